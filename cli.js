@@ -10,12 +10,22 @@
  *   node cli.js --query "message"    Send a query to the Archestra agent
  *   node cli.js --status             Show system status
  *   node cli.js --anomaly on|off     Toggle anomaly mode for demos
+ *   node cli.js --scenario list      List incident scenarios
+ *   node cli.js --scenario start|pause|stop <name>
+ *   node cli.js --scenario load <file.json>
+ *   node cli.js --rules [reload]     Show (or reload) the incident rules
+ *   node cli.js --silence list [all]  List silences (maintenance windows)
+ *   node cli.js --silence add service=<name> duration=2h comment="..." [node=|type=|label.<key>=|starts_at=|ends_at=|by=]
+ *   node cli.js --silence expire <id>
+ *   node cli.js --postmortem incident=<id> | window=2h [services=a,b] [format=json] [out=<file>]
+ *   node cli.js --tail [service=a,b] [min_level=warn] [search="..."]   Follow new log entries
  */
 
 'use strict';
 
 require('dotenv').config();
 
+const fs = require('fs');
 const { Command } = require('commander');
 const chalk = require('chalk');
 
@@ -28,18 +38,29 @@ const ARCHESTRA_URL = process.env.ARCHESTRA_URL || 'http://localhost:9000';
 
 /**
  * Make an HTTP request using native fetch (Node 18+).
+ * A response that isn't JSON (e.g. another server's HTML 404) comes back as an error.
  */
 async function request(url, options = {}) {
+    let response;
     try {
-        const response = await fetch(url, {
+        response = await fetch(url, {
             headers: { 'Content-Type': 'application/json', ...options.headers },
             ...options,
         });
-        const data = await response.json();
-        return { ok: response.ok, status: response.status, data };
     } catch (error) {
         return { ok: false, status: 0, data: null, error: error.message };
     }
+    const body = await response.text();
+    try {
+        return { ok: response.ok, status: response.status, data: JSON.parse(body) };
+    } catch (error) {
+        return {
+            ok: false,
+            status: response.status,
+            data: null,
+            error: `HTTP ${response.status} from ${url} is not JSON — is SERVER_URL (${SERVER_URL}) an incident slayer server with this endpoint?`,
+        };
+    }
 }
 
 function printHeader(title) {
@@ -55,12 +76,21 @@ function printSection(title) {
 }
 
 function severityColor(value, threshold, invert = false) {
+    if (threshold === null || threshold === undefined) return chalk.white(value);
     const isHigh = invert ? value < threshold : value > threshold;
     if (isHigh) return chalk.red.bold(value);
     if (invert ? value < threshold * 1.2 : value > threshold * 0.8) return chalk.yellow(value);
     return chalk.green(value);
 }
 
+/** Lowest cluster-wide ">"/">=" threshold for a metric in the incident rules, or null */
+function ruleThreshold(rules, metric) {
+    const thresholds = rules
+        .filter((r) => r.enabled && r.metric === metric && r.scope.includes('cluster') && (r.operator === '>' || r.operator === '>='))
+        .map((r) => r.threshold);
+    return thresholds.length > 0 ? Math.min(...thresholds) : null;
+}
+
 // ── Commands ───────────────────────────────────────────────
 
 /** Local health check — fetches from all MCP tools and prints a formatted report */
@@ -81,43 +111,83 @@ async function runLocalCheck() {
     // 2. Metrics
     printSection('Infrastructure Metrics');
     const metrics = await request(`${SERVER_URL}/metrics`);
+    const ruleSet = await request(`${SERVER_URL}/rules`);
+    const rules = ruleSet.ok && ruleSet.data.success ? ruleSet.data.rules : [];
     if (metrics.ok && metrics.data.success) {
         const infra = metrics.data.data.infrastructure;
         const app = metrics.data.data.application;
 
-        console.log(`  CPU:           ${severityColor(infra.cpu_percent, 80)}%`);
-        console.log(`  Memory:        ${severityColor(infra.memory_percent, 85)}%`);
-        console.log(`  Disk:          ${severityColor(infra.disk_percent, 90)}%`);
+        console.log(`  CPU:           ${severityColor(infra.cpu_percent, ruleThreshold(rules, 'cpu_percent'))}%`);
+        console.log(`  Memory:        ${severityColor(infra.memory_percent, ruleThreshold(rules, 'memory_percent'))}%`);
+        console.log(`  Disk:          ${severityColor(infra.disk_percent, ruleThreshold(rules, 'disk_percent'))}%`);
         console.log(`  Pods:          ${severityColor(infra.pods_running, infra.pods_desired, true)} / ${infra.pods_desired}`);
-        console.log(`  Error Rate:    ${severityColor(app.error_rate_percent, 5)}%`);
-        console.log(`  Resp Time:     ${severityColor(app.avg_response_time_ms, 2000)}ms`);
+        console.log(`  Error Rate:    ${severityColor(app.error_rate_percent, ruleThreshold(rules, 'error_rate_percent'))}%`);
+        console.log(`  P99 Latency:   ${severityColor(app.p99_response_time_ms, ruleThreshold(rules, 'p99_response_time_ms'))}ms`);
         console.log(`  Requests/sec:  ${app.requests_per_second}`);
         console.log(`  Anomaly Mode:  ${metrics.data.data.anomaly_mode ? chalk.red.bold('ON') : chalk.green('OFF')}`);
+        const activeScenarios = metrics.data.data.active_scenarios || [];
+        console.log(`  Scenarios:     ${activeScenarios.length ? chalk.red.bold(activeScenarios.join(', ')) : chalk.green('none')}`);
 
-        // Incident detection
-        const incidents = [];
-        if (infra.cpu_percent > 80) incidents.push({ type: 'HIGH CPU', severity: 'critical' });
-        if (infra.disk_percent > 90) incidents.push({ type: 'DISK PRESSURE', severity: 'critical' });
-        if (infra.memory_percent > 85) incidents.push({ type: 'MEMORY PRESSURE', severity: 'warning' });
-        if (infra.pods_running < infra.pods_desired) incidents.push({ type: 'POD CRASH', severity: 'critical' });
-        if (app.error_rate_percent > 5) incidents.push({ type: 'HIGH ERROR RATE', severity: 'warning' });
-        if (app.avg_response_time_ms > 2000) incidents.push({ type: 'HIGH LATENCY', severity: 'warning' });
+        // Incident detection — evaluated server-side against the shared rule set
+        const evaluation = await request(`${SERVER_URL}/rules/evaluate`);
+        const incidents = evaluation.ok && evaluation.data.success ? evaluation.data.incidents : [];
 
-        if (incidents.length > 0) {
+        if (!evaluation.ok) {
+            printSection('Status');
+            console.log(chalk.red(`  ✗ Failed to evaluate incident rules: ${evaluation.error || evaluation.data?.error || 'unknown error'}`));
+        } else if (incidents.length > 0) {
             printSection('⚠️  INCIDENTS DETECTED');
             for (const inc of incidents) {
-                const icon = inc.severity === 'critical' ? '🔴' : '🟡';
-                console.log(`  ${icon} ${chalk.bold(inc.type)} [${inc.severity.toUpperCase()}]`);
+                const icon = inc.severity === 'critical' ? '🔴' : (inc.severity === 'warning' ? '🟡' : '🔵');
+                console.log(`  ${icon} ${chalk.bold(inc.type.replace(/_/g, ' ').toUpperCase())} [${inc.severity.toUpperCase()}] ${chalk.dim(inc.summary)}`);
             }
         } else {
             printSection('Status');
             console.log(chalk.green.bold('  ✓ All systems nominal. No incidents detected.'));
         }
+        const silenced = evaluation.ok && evaluation.data.success ? evaluation.data.silenced || [] : [];
+        if (silenced.length > 0) {
+            console.log(chalk.dim(`  🔕 ${silenced.length} incident(s) silenced: ${silenced.map((i) => i.type).join(', ')} (node cli.js --silence list)`));
+        }
     } else {
         console.log(chalk.red('  ✗ Failed to fetch metrics'));
     }
 
-    // 3. Recent Logs
+    // 3. Baseline anomalies
+    printSection('Statistical Anomalies');
+    const anomalies = await request(`${SERVER_URL}/anomalies`);
+    if (anomalies.ok && anomalies.data.success && anomalies.data.anomalies > 0) {
+        for (const f of anomalies.data.findings.slice(0, 5)) {
+            const range = `expected ${f.expected_range.low}–${f.expected_range.high}`;
+            console.log(`  ${chalk.yellow('▲')} ${chalk.cyan(f.name)} ${chalk.bold(f.metric)} = ${f.value} (${range}, z=${f.z_score})`);
+        }
+    } else if (anomalies.ok && anomalies.data.success) {
+        console.log(chalk.green('  ✓ All metrics within their baselines'));
+    } else {
+        console.log(chalk.dim('  Baselines unavailable'));
+    }
+
+    // 4. Capacity forecast
+    printSection('Capacity Forecast');
+    const forecasts = await request(`${SERVER_URL}/forecasts`);
+    if (forecasts.ok && forecasts.data.success && forecasts.data.forecasts.length > 0) {
+        for (const f of forecasts.data.forecasts.slice(0, 5)) {
+            const ci = f.confidence_interval;
+            const range = `95% CI ${ci.earliest || '?'} – ${ci.latest || 'never'}`;
+            const icon = f.status === 'exhausted' ? chalk.red('■') : chalk.yellow('▲');
+            console.log(`  ${icon} ${chalk.cyan(f.name)} ${chalk.bold(f.resource)} ${f.current}${f.unit === '%' ? '%' : ` ${f.unit}`} → full at ${f.predicted_full_at} (${range})`);
+        }
+        for (const inc of forecasts.data.incidents || []) {
+            const icon = inc.severity === 'critical' ? '🔴' : '🟡';
+            console.log(`  ${icon} ${chalk.bold('PREDICTED EXHAUSTION')} [${inc.severity.toUpperCase()}] ${inc.summary}`);
+        }
+    } else if (forecasts.ok && forecasts.data.success) {
+        console.log(chalk.green('  ✓ No resource is trending towards full'));
+    } else {
+        console.log(chalk.dim('  Forecast unavailable'));
+    }
+
+    // 5. Recent Logs
     printSection('Recent Error Logs');
     const logs = await request(`${SERVER_URL}/logs?level=error&limit=5`);
     if (logs.ok && logs.data.success && logs.data.data.length > 0) {
@@ -129,7 +199,7 @@ async function runLocalCheck() {
         console.log(chalk.green('  ✓ No recent errors'));
     }
 
-    // 4. Remediation History
+    // 6. Remediation History
     printSection('Recent Remediation Actions');
     const history = await request(`${SERVER_URL}/history?limit=5`);
     if (history.ok && history.data.success && history.data.data.length > 0) {
@@ -219,6 +289,274 @@ async function toggleAnomaly(mode) {
     }
 }
 
+/** List, load, start, pause or stop incident scenarios */
+async function runScenarioCommand([command, arg]) {
+    if (command === 'list') {
+        const result = await request(`${SERVER_URL}/scenarios`);
+        if (!result.ok || !result.data.success) {
+            console.log(chalk.red(`\n  ✗ Failed to list scenarios: ${result.error || result.data?.error || 'unknown error'}\n`));
+            return;
+        }
+
+        printHeader('MCP INCIDENT SLAYER — SCENARIOS');
+        for (const scenario of result.data.data) {
+            const status = scenario.run ? scenario.run.status : 'idle';
+            const color = { running: chalk.red.bold, paused: chalk.yellow, completed: chalk.magenta }[status] || chalk.dim;
+            const duration = scenario.duration_ms ? `${Math.round(scenario.duration_ms / 1000)}s` : 'open-ended';
+            console.log(`  ${chalk.bold(scenario.name.padEnd(24))} ${color(status.padEnd(10))} ${chalk.dim(duration)}`);
+            if (scenario.description) console.log(chalk.dim(`    ${scenario.description}`));
+        }
+        console.log('');
+        return;
+    }
+
+    if (command === 'load') {
+        if (!arg) throw new Error('Usage: --scenario load <file.json>');
+        const doc = JSON.parse(fs.readFileSync(arg, 'utf8'));
+        const result = await request(`${SERVER_URL}/scenarios`, { method: 'POST', body: JSON.stringify(doc) });
+        if (result.ok && result.data.success) {
+            console.log(chalk.green(`\n  ✓ Loaded scenario "${result.data.data.name}"\n`));
+        } else {
+            console.log(chalk.red(`\n  ✗ Failed to load scenario: ${result.error || result.data?.error || 'unknown error'}`));
+            for (const detail of result.data?.validation_errors || []) console.log(chalk.red(`    - ${detail}`));
+            console.log('');
+        }
+        return;
+    }
+
+    if (['start', 'pause', 'stop'].includes(command)) {
+        if (!arg) throw new Error(`Usage: --scenario ${command} <name>`);
+        const result = await request(`${SERVER_URL}/scenarios/${encodeURIComponent(arg)}/${command}`, { method: 'POST' });
+        if (result.ok && result.data.success) {
+            const icons = { start: '🔴', pause: '⏸', stop: '🟢' };
+            console.log(chalk.bold(`\n  ${icons[command]} Scenario "${arg}" ${result.data.data.run.status}\n`));
+        } else {
+            console.log(chalk.red(`\n  ✗ Failed to ${command} scenario: ${result.error || result.data?.error || 'unknown error'}\n`));
+        }
+        return;
+    }
+
+    throw new Error('--scenario must be one of: list, load <file>, start <name>, pause <name>, stop <name>');
+}
+
+/** Show the active incident rules, or re-read the rule file with "reload" */
+async function runRulesCommand(command) {
+    if (command !== true && command !== 'reload') throw new Error('Usage: --rules [reload]');
+
+    const result = command === 'reload'
+        ? await request(`${SERVER_URL}/rules/reload`, { method: 'POST' })
+        : await request(`${SERVER_URL}/rules`);
+    if (!result.ok || !result.data.success) {
+        console.log(chalk.red(`\n  ✗ Failed to ${command === 'reload' ? 'reload' : 'load'} rules: ${result.error || result.data?.error || 'unknown error'}`));
+        for (const detail of result.data?.details || []) console.log(chalk.red(`    - ${detail}`));
+        console.log('');
+        return;
+    }
+
+    printHeader('MCP INCIDENT SLAYER — INCIDENT RULES');
+    console.log(chalk.dim(`  ${result.data.file} (loaded ${result.data.loaded_at})\n`));
+    for (const rule of result.data.rules) {
+        const color = { critical: chalk.red.bold, warning: chalk.yellow, info: chalk.blue }[rule.severity];
+        const held = rule.duration_ms > 0 ? ` for ${Math.round(rule.duration_ms / 1000)}s` : '';
+        const name = rule.enabled ? chalk.bold(rule.name.padEnd(20)) : chalk.dim(`${rule.name} (off)`.padEnd(20));
+        console.log(`  ${name} ${color(rule.severity.padEnd(9))} ${rule.metric} ${rule.operator} ${rule.threshold}${held} ${chalk.dim(`[${rule.scope.join(', ')}]`)}`);
+    }
+    console.log('');
+}
+
+/** "service=auth-service", "label.team=payments", ... → silence fields */
+function parseSilenceArgs(args) {
+    const fields = { created_by: process.env.USER || 'cli' };
+    for (const arg of args) {
+        const index = arg.indexOf('=');
+        if (index <= 0) throw new Error(`Expected key=value, got "${arg}"`);
+        const key = arg.slice(0, index);
+        const value = arg.slice(index + 1);
+        if (key.startsWith('label.')) {
+            fields.labels = { ...fields.labels, [key.slice(6)]: value };
+        } else {
+            fields[key === 'by' ? 'created_by' : key] = value;
+        }
+    }
+    return fields;
+}
+
+function printSilence(silence) {
+    const color = { active: chalk.red.bold, pending: chalk.yellow, expired: chalk.dim }[silence.status];
+    const matchers = ['service', 'node', 'type'].filter((key) => silence[key]).map((key) => `${key}=${silence[key]}`)
+        .concat(Object.entries(silence.labels).map(([key, value]) => `${key}=${value}`));
+    console.log(`  ${color(silence.status.padEnd(8))} ${chalk.bold(matchers.join(' '))} ${chalk.dim(silence.id)}`);
+    console.log(chalk.dim(`           ${silence.starts_at} → ${silence.ends_at} by ${silence.created_by}: ${silence.comment}`));
+}
+
+/** List, add or expire silences */
+async function runSilenceCommand([command, ...args]) {
+    if (command === 'list') {
+        const status = args[0] === 'all' ? '?status=all' : '';
+        const result = await request(`${SERVER_URL}/silences${status}`);
+        if (!result.ok || !result.data.success) {
+            console.log(chalk.red(`\n  ✗ Failed to list silences: ${result.error || result.data?.error || 'unknown error'}\n`));
+            return;
+        }
+
+        printHeader('MCP INCIDENT SLAYER — SILENCES');
+        if (result.data.data.length === 0) console.log(chalk.dim('  No silences'));
+        for (const silence of result.data.data) printSilence(silence);
+        console.log('');
+        return;
+    }
+
+    if (command === 'add') {
+        const result = await request(`${SERVER_URL}/silences`, { method: 'POST', body: JSON.stringify(parseSilenceArgs(args)) });
+        if (result.ok && result.data.success) {
+            console.log(chalk.green('\n  ✓ Silence created'));
+            printSilence(result.data.data);
+            console.log('');
+        } else {
+            console.log(chalk.red(`\n  ✗ Failed to create silence: ${result.error || result.data?.error || 'unknown error'}\n`));
+        }
+        return;
+    }
+
+    if (command === 'expire') {
+        if (!args[0]) throw new Error('Usage: --silence expire <id>');
+        const result = await request(`${SERVER_URL}/silences/${encodeURIComponent(args[0])}/expire`, {
+            method: 'POST',
+            body: JSON.stringify({ actor: process.env.USER || 'cli' }),
+        });
+        if (result.ok && result.data.success) {
+            console.log(chalk.green(`\n  ✓ Silence ${args[0]} expired\n`));
+        } else {
+            console.log(chalk.red(`\n  ✗ Failed to expire silence: ${result.error || result.data?.error || 'unknown error'}\n`));
+        }
+        return;
+    }
+
+    throw new Error('--silence must be one of: list [all], add key=value..., expire <id>');
+}
+
+/** Draft a postmortem for an incident or a window; Markdown goes to stdout unless out=<file> */
+async function runPostmortemCommand(args) {
+    const query = new URLSearchParams({ format: 'markdown' });
+    let out = null;
+    for (const arg of args) {
+        const index = arg.indexOf('=');
+        if (index <= 0) throw new Error(`Expected key=value, got "${arg}"`);
+        const key = arg.slice(0, index);
+        const value = arg.slice(index + 1);
+        if (key === 'out') {
+            out = value;
+        } else {
+            query.set(key === 'incident' ? 'incident_id' : key, value);
+        }
+    }
+
+    let text;
+    try {
+        const response = await fetch(`${SERVER_URL}/postmortem?${query}`);
+        text = await response.text();
+        if (!response.ok) {
+            let message = text;
+            try {
+                message = JSON.parse(text).error;
+            } catch (error) {
+                // not JSON: keep the body as the message
+            }
+            console.log(chalk.red(`\n  ✗ Failed to generate postmortem: ${message}\n`));
+            return;
+        }
+    } catch (error) {
+        console.log(chalk.red(`\n  ✗ Server unreachable at ${SERVER_URL}: ${error.message}\n`));
+        return;
+    }
+
+    if (query.get('format') === 'json') text = JSON.stringify(JSON.parse(text).data, null, 2);
+    if (out) {
+        fs.writeFileSync(out, text.endsWith('\n') ? text : `${text}\n`);
+        console.log(chalk.green(`\n  ✓ Postmortem written to ${out}\n`));
+    } else {
+        console.log(text);
+    }
+}
+
+const LEVEL_COLORS = { debug: chalk.dim, info: chalk.blue, warn: chalk.yellow, error: chalk.red, fatal: chalk.red.bold };
+
+/**
+ * Read Server-Sent Events from a fetch body.
+ * @param {ReadableStream} body
+ * @param {function({ id, event, data }): void} onEvent
+ * @returns {Promise<number|null>} The retry delay the server asked for, if any
+ */
+async function readEvents(body, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let retry = null;
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const event = { id: null, event: 'message', data: [] };
+            for (const line of buffer.slice(0, end).split('\n')) {
+                if (line === '' || line.startsWith(':')) continue;
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                if (field === 'data') event.data.push(value);
+                else if (field === 'retry') retry = parseInt(value, 10) || retry;
+                else if (field === 'id' || field === 'event') event[field] = value;
+            }
+            buffer = buffer.slice(end + 2);
+            if (event.data.length > 0) onEvent({ ...event, data: event.data.join('\n') });
+        }
+    }
+    return retry;
+}
+
+/** Follow new log entries from GET /logs/stream, reconnecting from the last one seen until Ctrl-C */
+async function runTailCommand(args) {
+    const query = new URLSearchParams();
+    for (const arg of args === true ? [] : args) {
+        const index = arg.indexOf('=');
+        if (index <= 0) throw new Error(`Expected key=value, got "${arg}"`);
+        query.set(arg.slice(0, index), arg.slice(index + 1));
+    }
+
+    const url = `${SERVER_URL}/logs/stream${String(query) ? `?${query}` : ''}`;
+    let connected = false;
+    let lastId = null;
+    let retryMs = 3000;
+    console.log(chalk.dim(`\n  Following ${url} (Ctrl-C to stop)\n`));
+
+    for (;;) {
+        try {
+            const response = await fetch(url, {
+                headers: { Accept: 'text/event-stream', ...(lastId ? { 'Last-Event-ID': lastId } : {}) },
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => null);
+                console.log(chalk.red(`\n  ✗ Failed to follow logs: ${data?.error || `HTTP ${response.status}`}\n`));
+                return;
+            }
+            connected = true;
+            retryMs = await readEvents(response.body, ({ id, event, data }) => {
+                if (event !== 'log') return;
+                lastId = id || lastId;
+                const log = JSON.parse(data);
+                const color = LEVEL_COLORS[log.level] || chalk.white;
+                console.log(`  ${chalk.dim(log.timestamp)} ${color(log.level.toUpperCase().padEnd(5))} ${chalk.cyan(log.service)} ${log.message}`);
+            }) || retryMs;
+            console.log(chalk.dim('  Stream closed, reconnecting...'));
+        } catch (error) {
+            if (!connected) {
+                console.log(chalk.red(`\n  ✗ Server unreachable at ${SERVER_URL}: ${error.message}\n`));
+                return;
+            }
+            console.log(chalk.dim(`  Connection lost (${error.message}), reconnecting...`));
+        }
+        await new Promise((resolve) => setTimeout(resolve, retryMs));
+    }
+}
+
 // ── CLI Definition ─────────────────────────────────────────
 
 program
@@ -230,7 +568,12 @@ program
     .option('-l, --local', 'Run a local health check against all MCP tools')
     .option('-q, --query <message>', 'Send a query to the Archestra agent')
     .option('-s, --status', 'Show system status')
-    .option('-a, --anomaly <on|off>', 'Toggle anomaly mode for demos');
+    .option('-a, --anomaly <on|off>', 'Toggle anomaly mode for demos')
+    .option('--scenario <command...>', 'Manage incident scenarios: list | load <file> | start|pause|stop <name>')
+    .option('--rules [reload]', 'Show the incident rules, or reload them from the rule file')
+    .option('--silence <command...>', 'Manage silences: list [all] | add service=|node=|type=|label.<key>= duration=|ends_at= comment= [by=] | expire <id>')
+    .option('--postmortem <args...>', 'Draft a postmortem: incident=<id> | window=|from=|to= [services=a,b] [format=markdown|json] [out=<file>]')
+    .option('--tail [filters...]', 'Follow new log entries as they arrive: [service=a,b] [level=|min_level=] [search=...]');
 
 program.parse(process.argv);
 
@@ -250,6 +593,16 @@ const opts = program.opts();
                 process.exit(1);
             }
             await toggleAnomaly(opts.anomaly);
+        } else if (opts.scenario) {
+            await runScenarioCommand(opts.scenario);
+        } else if (opts.rules) {
+            await runRulesCommand(opts.rules);
+        } else if (opts.silence) {
+            await runSilenceCommand(opts.silence);
+        } else if (opts.postmortem) {
+            await runPostmortemCommand(opts.postmortem);
+        } else if (opts.tail) {
+            await runTailCommand(opts.tail);
         } else {
             program.help();
         }
@@ -0,0 +1,148 @@
+/**
+ * Alertmanager — map webhook notifications onto alerts
+ *
+ * Alertmanager's webhook receiver POSTs groups of alerts
+ * (https://prometheus.io/docs/alerting/latest/configuration/#webhook_config):
+ *
+ *   { "version": "4", "status": "firing", "receiver": "incident-slayer",
+ *     "groupLabels": {...}, "commonLabels": {...}, "externalURL": "...",
+ *     "alerts": [{ "status": "firing" | "resolved", "labels": {...}, "annotations": {...},
+ *                  "startsAt": "...", "endsAt": "...", "generatorURL": "...", "fingerprint": "..." }] }
+ *
+ * Mapping one alert:
+ *   labels.alertname                       → rule (required)
+ *   labels.type, else snake_cased alertname → type (HighCPUUsage → high_cpu_usage)
+ *   labels.severity / priority             → critical | warning | info (SEVERITY_ALIASES; default warning)
+ *   service label (service, app, app_kubernetes_io_name, deployment, job) → service
+ *   node label (node, kubernetes_node, nodename, hostname)                → node
+ *   annotations.summary / description / message → summary
+ *   annotations.value (numeric)            → value
+ *
+ * Alerts are identified by their full label set, as Alertmanager does, so
+ * repeat notifications update one stored alert (lib/alerts.js).
+ */
+
+'use strict';
+
+// ── Configuration ──────────────────────────────────────────
+
+const STATUSES = ['firing', 'resolved'];
+const SERVICE_LABELS = ['service', 'app', 'app_kubernetes_io_name', 'deployment', 'job'];
+const NODE_LABELS = ['node', 'kubernetes_node', 'nodename', 'hostname'];
+const SEVERITY_ALIASES = {
+    critical: 'critical', page: 'critical', error: 'critical', high: 'critical', p1: 'critical', sev1: 'critical',
+    warning: 'warning', warn: 'warning', medium: 'warning', p2: 'warning', p3: 'warning', sev2: 'warning', sev3: 'warning',
+    info: 'info', none: 'info', low: 'info', p4: 'info', p5: 'info', sev4: 'info',
+};
+const DEFAULT_SEVERITY = 'warning';
+/** Alertmanager sends this endsAt for alerts that have not ended */
+const ZERO_TIME = '0001-01-01T00:00:00Z';
+
+// ── Helpers ────────────────────────────────────────────────
+
+function webhookError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+function isStringMap(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every((v) => typeof v === 'string');
+}
+
+function firstLabel(labels, names) {
+    const name = names.find((n) => labels[n]);
+    return name ? labels[name] : null;
+}
+
+/** HighCPUUsage → high_cpu_usage, KubePodCrashLooping → kube_pod_crash_looping */
+function snakeCase(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+}
+
+/** ISO time → ms, or null when absent, zero or unparsable */
+function timeOf(value) {
+    if (typeof value !== 'string' || value.startsWith(ZERO_TIME.slice(0, 4))) return null;
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Map one webhook alert.
+ * @returns {{ alert?: object, error?: string }}
+ */
+function mapAlert(raw) {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'alert must be an object' };
+    if (!STATUSES.includes(raw.status)) return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    if (!isStringMap(raw.labels)) return { error: 'labels must be an object of strings' };
+    if (!raw.labels.alertname) return { error: 'labels.alertname is required' };
+    if (raw.annotations !== undefined && !isStringMap(raw.annotations)) return { error: 'annotations must be an object of strings' };
+
+    const startsAt = timeOf(raw.startsAt);
+    if (raw.startsAt && startsAt === null) return { error: `invalid startsAt "${raw.startsAt}"` };
+    const endsAt = timeOf(raw.endsAt);
+
+    const { labels } = raw;
+    const annotations = raw.annotations || {};
+    const service = firstLabel(labels, SERVICE_LABELS);
+    const node = firstLabel(labels, NODE_LABELS);
+    const rawSeverity = String(labels.severity || labels.priority || '').toLowerCase();
+    const value = parseFloat(annotations.value);
+    const target = service ? `service ${service}` : node ? `node ${node}` : 'cluster';
+
+    return {
+        alert: {
+            status: raw.status,
+            rule: labels.alertname,
+            type: labels.type || snakeCase(labels.alertname),
+            severity: SEVERITY_ALIASES[rawSeverity] || DEFAULT_SEVERITY,
+            scope: service ? 'service' : node ? 'node' : 'cluster',
+            service,
+            node,
+            value: Number.isFinite(value) ? value : null,
+            labels,
+            annotations,
+            summary: annotations.summary || annotations.description || annotations.message || `${labels.alertname} on ${target}`,
+            generator_url: raw.generatorURL || null,
+            starts_at: startsAt,
+            ends_at: endsAt,
+        },
+    };
+}
+
+// ── Public API ─────────────────────────────────────────────
+
+/**
+ * Parse an Alertmanager webhook payload. Invalid alerts are rejected one by one.
+ * @param {object} payload - Request body
+ * @returns {{ receiver: string|null, alerts: Array<object>, errors: Array<{ ref, error }> }}
+ * @throws {Error} code INVALID when the payload itself is malformed
+ */
+function parseWebhook(payload) {
+    if (payload === null || typeof payload !== 'object' || !Array.isArray(payload.alerts)) {
+        throw webhookError('Expected an Alertmanager webhook payload with an "alerts" array');
+    }
+
+    const alerts = [];
+    const errors = [];
+    payload.alerts.forEach((raw, index) => {
+        const { alert, error } = mapAlert(raw);
+        if (error) errors.push({ ref: `alerts[${index}]`, error });
+        else alerts.push(alert);
+    });
+    return { receiver: typeof payload.receiver === 'string' ? payload.receiver : null, alerts, errors };
+}
+
+module.exports = {
+    SERVICE_LABELS,
+    NODE_LABELS,
+    SEVERITY_ALIASES,
+    parseWebhook,
+    snakeCase,
+};
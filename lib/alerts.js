@@ -0,0 +1,440 @@
+/**
+ * Alerts — deduplicated, stateful rule breaches
+ *
+ * Every evaluation of the incident rules (lib/rules.js) feeds this module.
+ * A breach is identified by its fingerprint (rule + scope + service + node),
+ * so a condition that keeps firing updates one alert instead of producing a
+ * new one on every poll:
+ *
+ *   (breach)    → pending   while the rule's duration ("for") has not passed yet
+ *   pending     → firing    once the breach has held for the duration (at once without one)
+ *   pending     → resolved  if the breach clears before that
+ *   firing      → resolved  once the metric is back past resolve_threshold (hysteresis;
+ *                           defaults to threshold), or the target or rule is gone
+ *   resolved    → pending/firing again on the next breach (same row, fire_count + 1)
+ *
+ * Alerts from elsewhere (source "alertmanager", see lib/alertmanager.js) are
+ * stored alongside with the status their sender reports, identified by their
+ * label set. SLO burn-rate alerts (source "slo", see lib/slos.js) are stored
+ * the same way.
+ *
+ * Alerts can be grouped by service, node, cluster, rule or type so related
+ * breaches show up together.
+ *
+ * Tables:
+ *   alerts (fingerprint, source, rule, type, severity, status, scope, service, node, metric,
+ *           operator, threshold, resolve_threshold, value, labels, annotations, summary,
+ *           generator_url, started_at, firing_at, last_seen_at, last_evaluated_at, resolved_at,
+ *           occurrences, fire_count)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const database = require('./database');
+const rules = require('./rules');
+
+// ── Configuration ──────────────────────────────────────────
+const STATUSES = ['pending', 'firing', 'resolved'];
+const SOURCES = ['rules', 'alertmanager', 'slo'];
+const GROUP_BY = ['service', 'node', 'cluster', 'rule', 'type'];
+const MAX_LIMIT = 500;
+
+// ── Internal State ──────────────────────────────────────────
+let tablesReady = false;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function alertError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ── Initialization ─────────────────────────────────────────
+
+async function ensureTables() {
+    if (tablesReady) return;
+
+    await database.getDatabase();
+
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      fingerprint TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      rule TEXT NOT NULL,
+      type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      status TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      service TEXT,
+      node TEXT,
+      metric TEXT,
+      operator TEXT,
+      threshold REAL,
+      resolve_threshold REAL,
+      value REAL,
+      labels TEXT DEFAULT '{}',
+      annotations TEXT DEFAULT '{}',
+      summary TEXT DEFAULT '',
+      generator_url TEXT,
+      started_at TEXT NOT NULL,
+      firing_at TEXT,
+      last_seen_at TEXT NOT NULL,
+      last_evaluated_at TEXT NOT NULL,
+      resolved_at TEXT,
+      occurrences INTEGER DEFAULT 0,
+      fire_count INTEGER DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts (status);
+  `);
+
+    // Databases from before external alerts lack these
+    const columns = database.queryAll('PRAGMA table_info(alerts)').map((c) => c.name);
+    if (!columns.includes('annotations')) database.exec("ALTER TABLE alerts ADD COLUMN annotations TEXT DEFAULT '{}'");
+    if (!columns.includes('generator_url')) database.exec('ALTER TABLE alerts ADD COLUMN generator_url TEXT');
+
+    tablesReady = true;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+function hash(parts) {
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+/** Stable id for "this rule on this target" */
+function fingerprintOf({ source = 'rules', rule, scope, service, node }) {
+    return hash([source, rule, scope, service || null, node || null]);
+}
+
+/** Stable id for an external alert: its sender and full label set */
+function externalFingerprint(source, labels) {
+    return hash([source, Object.keys(labels).sort().map((key) => [key, labels[key]])]);
+}
+
+function toAlert(row) {
+    return { ...row, labels: JSON.parse(row.labels || '{}'), annotations: JSON.parse(row.annotations || '{}') };
+}
+
+function saveAlert(alert) {
+    database.run(
+        `INSERT OR REPLACE INTO alerts (fingerprint, source, rule, type, severity, status, scope, service, node, metric,
+           operator, threshold, resolve_threshold, value, labels, annotations, summary, generator_url, started_at,
+           firing_at, last_seen_at, last_evaluated_at, resolved_at, occurrences, fire_count)
+         VALUES ($fingerprint, $source, $rule, $type, $severity, $status, $scope, $service, $node, $metric,
+           $operator, $threshold, $resolve_threshold, $value, $labels, $annotations, $summary, $generator_url, $started_at,
+           $firing_at, $last_seen_at, $last_evaluated_at, $resolved_at, $occurrences, $fire_count)`,
+        Object.fromEntries(Object.entries({
+            metric: null,
+            operator: null,
+            threshold: null,
+            resolve_threshold: null,
+            generator_url: null,
+            ...alert,
+            labels: JSON.stringify(alert.labels || {}),
+            annotations: JSON.stringify(alert.annotations || {}),
+        }).map(([key, value]) => [`$${key}`, value === undefined ? null : value]))
+    );
+}
+
+/** Group key of an alert for each GROUP_BY dimension */
+function groupKey(alert, by) {
+    const labels = alert.labels || {};
+    if (by === 'service') return alert.service || labels.service || (alert.node ? `node/${alert.node}` : 'cluster');
+    if (by === 'node') return alert.node || labels.node || (alert.service ? `service/${alert.service}` : 'cluster');
+    if (by === 'cluster') return labels.cluster || 'default';
+    return alert[by];
+}
+
+// ── Evaluation ─────────────────────────────────────────────
+
+/**
+ * Step one alert's state for one observation (see lib/rules observeRules).
+ * @returns {object|null} The new alert row, or null when nothing is tracked
+ */
+function nextState(existing, observation, timestamp, nowMs) {
+    const incident = rules.incidentFor(observation);
+    const { rule } = observation;
+    const active = existing && existing.status !== 'resolved';
+
+    if (!observation.breaching) {
+        if (!active) return existing ? { ...existing, last_evaluated_at: timestamp } : null;
+        const clears = existing.status === 'pending' || observation.recovered;
+        return {
+            ...existing,
+            value: observation.value,
+            status: clears ? 'resolved' : existing.status,
+            resolved_at: clears ? timestamp : existing.resolved_at,
+            last_evaluated_at: timestamp,
+        };
+    }
+
+    const startedAt = active ? existing.started_at : timestamp;
+    const dueToFire = observation.held || nowMs - Date.parse(startedAt) >= rule.duration_ms;
+    const firing = (active && existing.status === 'firing') || dueToFire;
+    const becameFiring = firing && !(active && existing.status === 'firing');
+
+    return {
+        fingerprint: fingerprintOf({ rule: rule.name, scope: observation.scope, service: observation.service, node: observation.node }),
+        source: 'rules',
+        rule: rule.name,
+        type: incident.type,
+        severity: rule.severity,
+        status: firing ? 'firing' : 'pending',
+        scope: observation.scope,
+        service: observation.service,
+        node: observation.node,
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        resolve_threshold: rule.resolve_threshold,
+        value: observation.value,
+        labels: rule.labels,
+        summary: incident.summary,
+        started_at: startedAt,
+        firing_at: becameFiring ? timestamp : (active ? existing.firing_at : null),
+        last_seen_at: timestamp,
+        last_evaluated_at: timestamp,
+        resolved_at: null,
+        occurrences: (active ? existing.occurrences : 0) + 1,
+        fire_count: ((existing && existing.fire_count) || 0) + (becameFiring ? 1 : 0),
+    };
+}
+
+/**
+ * Evaluate the incident rules against a snapshot and update alert state.
+ * Always looks at the whole snapshot, so alerts of targets that are no
+ * longer present can be resolved.
+ *
+ * @param {object} snapshot - Unfiltered snapshot
+ * @param {object} [options] - { now }
+ * @returns {Promise<{ firing: Array<object>, pending: Array<object>, transitions: Array<object> }>}
+ *   firing/pending are the active alerts after this evaluation, critical first, with
+ *   `new: true` on alerts that started firing in it; transitions lists
+ *   { fingerprint, rule, from, to } for every status change
+ */
+async function evaluateAlerts(snapshot, { now = Date.now() } = {}) {
+    await ensureTables();
+    const timestamp = new Date(now).toISOString();
+    const observations = await rules.observeRules(snapshot, { now });
+
+    const existing = new Map(
+        database.queryAll("SELECT * FROM alerts WHERE source = 'rules'").map((row) => [row.fingerprint, toAlert(row)])
+    );
+    const transitions = [];
+    const seen = new Set();
+
+    const apply = (before, after) => {
+        if (!after) return;
+        saveAlert(after);
+        const from = before ? before.status : null;
+        if (from !== after.status) transitions.push({ fingerprint: after.fingerprint, rule: after.rule, from, to: after.status });
+    };
+
+    for (const observation of observations) {
+        const fingerprint = fingerprintOf({ rule: observation.rule.name, scope: observation.scope, service: observation.service, node: observation.node });
+        seen.add(fingerprint);
+        const before = existing.get(fingerprint);
+        apply(before, nextState(before, observation, timestamp, now));
+    }
+
+    // Active alerts nobody observed: the target or the rule is gone
+    for (const [fingerprint, alert] of existing) {
+        if (seen.has(fingerprint) || alert.status === 'resolved') continue;
+        apply(alert, { ...alert, status: 'resolved', resolved_at: timestamp, last_evaluated_at: timestamp });
+    }
+
+    if (transitions.length > 0) {
+        database.saveToDisk();
+        console.log(`[alerts] ${transitions.map((t) => `${t.rule}: ${t.from || 'new'} → ${t.to}`).join(', ')}`);
+    }
+
+    const fired = new Set(transitions.filter((t) => t.to === 'firing').map((t) => t.fingerprint));
+    const active = database.queryAll("SELECT * FROM alerts WHERE source = 'rules' AND status IN ('pending', 'firing')")
+        .map((row) => ({ ...toAlert(row), new: fired.has(row.fingerprint) }))
+        .sort(rules.bySeverity);
+    return {
+        firing: active.filter((a) => a.status === 'firing'),
+        pending: active.filter((a) => a.status === 'pending'),
+        transitions,
+    };
+}
+
+/**
+ * Store alerts reported by an external system (see lib/alertmanager.js
+ * parseWebhook). The sender decides firing vs resolved; repeat notifications
+ * of a firing alert only bump its occurrences.
+ *
+ * @param {string} source - e.g. "alertmanager"
+ * @param {Array<object>} incoming - Mapped alerts ({ status, rule, type, severity, scope, service, node,
+ *   value, labels, annotations, summary, generator_url, starts_at, ends_at })
+ * @param {number} [now]
+ * @param {object} [options]
+ * @param {boolean} [options.resolveMissing=false] - `incoming` is the full set of firing alerts for
+ *   this source: resolve the source's firing alerts that are not in it
+ * @returns {Promise<Array<{ fingerprint, rule, status, new }>>} `new` when the alert (re)started firing
+ */
+async function recordExternalAlerts(source, incoming, now = Date.now(), { resolveMissing = false } = {}) {
+    await ensureTables();
+    const timestamp = new Date(now).toISOString();
+    const results = [];
+
+    for (const alert of incoming) {
+        const fingerprint = externalFingerprint(source, alert.labels);
+        const row = database.queryOne('SELECT * FROM alerts WHERE fingerprint = $fp', { $fp: fingerprint });
+        const existing = row ? toAlert(row) : null;
+        const active = existing && existing.status === 'firing';
+        const startedAt = new Date(alert.starts_at || now).toISOString();
+        const firing = alert.status === 'firing';
+
+        // A late "resolved" for an alert that already is resolved changes nothing
+        if (!firing && existing && !active) {
+            results.push({ fingerprint, rule: existing.rule, status: existing.status, new: false });
+            continue;
+        }
+
+        const fields = {
+            fingerprint,
+            source,
+            rule: alert.rule,
+            type: alert.type,
+            severity: alert.severity,
+            scope: alert.scope,
+            service: alert.service,
+            node: alert.node,
+            value: alert.value,
+            labels: alert.labels,
+            annotations: alert.annotations,
+            summary: alert.summary,
+            generator_url: alert.generator_url,
+            last_evaluated_at: timestamp,
+        };
+        const restarted = !active;
+        saveAlert({
+            ...fields,
+            status: alert.status,
+            started_at: restarted ? startedAt : existing.started_at,
+            firing_at: restarted ? startedAt : existing.firing_at,
+            last_seen_at: firing || !existing ? timestamp : existing.last_seen_at,
+            resolved_at: firing ? null : new Date(alert.ends_at || now).toISOString(),
+            occurrences: firing ? (restarted ? 1 : existing.occurrences + 1) : ((existing && existing.occurrences) || 1),
+            fire_count: ((existing && existing.fire_count) || 0) + (restarted ? 1 : 0),
+        });
+        results.push({ fingerprint, rule: alert.rule, status: alert.status, new: firing && restarted });
+    }
+
+    if (resolveMissing) {
+        const seen = new Set(results.map((r) => r.fingerprint));
+        const stale = database.queryAll("SELECT * FROM alerts WHERE source = $source AND status = 'firing'", { $source: source })
+            .filter((row) => !seen.has(row.fingerprint));
+        for (const row of stale) {
+            saveAlert({ ...toAlert(row), status: 'resolved', resolved_at: timestamp, last_evaluated_at: timestamp });
+            results.push({ fingerprint: row.fingerprint, rule: row.rule, status: 'resolved', new: false });
+        }
+    }
+
+    database.saveToDisk();
+    return results;
+}
+
+// ── Queries ────────────────────────────────────────────────
+
+/**
+ * Group alerts, most severe group first.
+ * @param {Array<object>} alerts
+ * @param {string} by - service | node | cluster | rule | type
+ * @returns {Array<{ key, count, severity, firing, pending, started_at, alerts }>}
+ */
+function groupAlerts(alerts, by) {
+    const groups = new Map();
+    for (const alert of alerts) {
+        const key = groupKey(alert, by);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(alert);
+    }
+    return [...groups].map(([key, members]) => ({
+        key,
+        count: members.length,
+        severity: members.slice().sort(rules.bySeverity)[0].severity,
+        firing: members.filter((a) => a.status === 'firing').length,
+        pending: members.filter((a) => a.status === 'pending').length,
+        started_at: members.map((a) => a.started_at).sort()[0],
+        alerts: members,
+    })).sort((a, b) => rules.bySeverity(a, b) || b.count - a.count);
+}
+
+/**
+ * Stored alerts, most severe and most recent first.
+ * @param {object} [filters] - { status (pending | firing | resolved | active | all; default active),
+ *   severity, service, node, rule, type, source (rules | alertmanager | slo), group_by, limit }
+ * @returns {Promise<{ count, data } | { count, group_by, groups }>}
+ * @throws {Error} code INVALID
+ */
+async function listAlerts({ status = 'active', severity, service, node, rule, type, source, group_by: groupBy, limit } = {}) {
+    await ensureTables();
+
+    let where = 'WHERE 1=1';
+    const params = {};
+    if (status === 'active') {
+        where += " AND status IN ('pending', 'firing')";
+    } else if (status !== 'all') {
+        if (!STATUSES.includes(status)) throw alertError('INVALID', `"status" must be one of: ${STATUSES.join(', ')}, active, all`);
+        where += ' AND status = $status';
+        params.$status = status;
+    }
+    if (source !== undefined && !SOURCES.includes(source)) {
+        throw alertError('INVALID', `"source" must be one of: ${SOURCES.join(', ')}`);
+    }
+    if (groupBy !== undefined && !GROUP_BY.includes(groupBy)) {
+        throw alertError('INVALID', `"group_by" must be one of: ${GROUP_BY.join(', ')}`);
+    }
+    for (const [field, value] of Object.entries({ severity, service, node, rule, type, source })) {
+        if (value) {
+            where += ` AND ${field} = $${field}`;
+            params[`$${field}`] = value;
+        }
+    }
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LIMIT);
+    const alerts = database.queryAll(`SELECT * FROM alerts ${where} ORDER BY last_seen_at DESC LIMIT ${max}`, params)
+        .map(toAlert)
+        .sort((a, b) => rules.bySeverity(a, b));
+
+    if (groupBy) {
+        const groups = groupAlerts(alerts, groupBy);
+        return { count: alerts.length, group_by: groupBy, groups };
+    }
+    return { count: alerts.length, data: alerts };
+}
+
+/**
+ * One alert by fingerprint.
+ * @throws {Error} code NOT_FOUND
+ */
+async function getAlert(fingerprint) {
+    await ensureTables();
+    const row = database.queryOne('SELECT * FROM alerts WHERE fingerprint = $fp', { $fp: fingerprint });
+    if (!row) throw alertError('NOT_FOUND', `Alert not found: ${fingerprint}`);
+    return toAlert(row);
+}
+
+/** Forget table state (tests only). */
+function resetForTesting() {
+    tablesReady = false;
+}
+
+module.exports = {
+    STATUSES,
+    SOURCES,
+    GROUP_BY,
+    MAX_LIMIT,
+    ensureTables,
+    fingerprintOf,
+    evaluateAlerts,
+    recordExternalAlerts,
+    groupAlerts,
+    listAlerts,
+    getAlert,
+    resetForTesting,
+};
@@ -0,0 +1,288 @@
+/**
+ * Baselines — statistical anomaly detection on per-service, per-node metrics
+ *
+ * Keeps an exponentially weighted mean and variance (EWMA) for every metric of
+ * every service and node, and scores new values by how many standard
+ * deviations they sit from that baseline (z-score). A service that always runs
+ * at 90% CPU gets a 90% baseline, while a slow leak still stands out against
+ * a baseline that adapts more slowly than the leak grows.
+ *
+ * Memory is set in time (a half-life), not samples, so the sampling interval
+ * doesn't change how fast a baseline forgets. Early on, each sample weighs at
+ * least 1/n, making a young baseline a plain running mean and variance.
+ *
+ * With seasonality "hour_of_day", a separate baseline is kept per UTC hour,
+ * used once it has seen enough samples (the all-hours baseline covers until
+ * then). Those only see one hour in 24, so their half-life is 24× longer.
+ *
+ * Baselines are learned from the stored history (lib/metrics-store.js): on
+ * first use from the last BASELINE_WINDOW, then from every snapshot stored since.
+ *
+ * Configuration (env):
+ *   BASELINE_HALF_LIFE     how long until old samples weigh half (default 6h)
+ *   BASELINE_Z_THRESHOLD   |z| at which a value is anomalous (default 3)
+ *   BASELINE_WARMUP        samples before a baseline is trusted (default 20)
+ *   BASELINE_SEASONALITY   none | hour_of_day (default none)
+ *   BASELINE_WINDOW        history used for initial training (default 24h)
+ */
+
+'use strict';
+
+const { parseDuration } = require('./duration');
+const metricsStore = require('./metrics-store');
+const { filterSnapshot } = require('./metrics-model');
+
+// ── Configuration ──────────────────────────────────────────
+
+/** Metrics tracked per entity kind */
+const TRACKED_METRICS = {
+    service: ['cpu_percent', 'memory_percent', 'pods_running', 'requests_per_second', 'error_rate_percent', 'avg_response_time_ms', 'p99_response_time_ms'],
+    node: ['cpu_percent', 'memory_percent', 'disk_percent', 'requests_per_second', 'error_rate_percent'],
+};
+const SEASONALITIES = ['none', 'hour_of_day'];
+/** Samples closer together than this (or out of order) count as this far apart */
+const MIN_STEP_MS = 1000;
+
+function defaultConfig() {
+    return {
+        half_life_ms: parseDuration(process.env.BASELINE_HALF_LIFE || '6h'),
+        threshold: parseFloat(process.env.BASELINE_Z_THRESHOLD) || 3,
+        warmup: parseInt(process.env.BASELINE_WARMUP, 10) || 20,
+        seasonality: process.env.BASELINE_SEASONALITY || 'none',
+        window_ms: parseDuration(process.env.BASELINE_WINDOW || '24h'),
+    };
+}
+
+// ── Internal State ──────────────────────────────────────────
+let config = defaultConfig();
+const baselines = new Map(); // "kind|name|metric|season" -> { mean, variance, samples, updated_at }
+let lastObservedMs = null;
+
+// ── Baseline Maths ─────────────────────────────────────────
+
+function seasonOf(epochMs) {
+    return config.seasonality === 'hour_of_day' ? `hour_of_day:${new Date(epochMs).getUTCHours()}` : null;
+}
+
+function keyOf(kind, name, metric, season) {
+    return `${kind}|${name}|${metric}|${season || 'all'}`;
+}
+
+/** Fold one value into a baseline (EWMA mean + exponentially weighted variance) */
+function update(key, value, epochMs, halfLifeMs) {
+    const state = baselines.get(key);
+    if (!state) {
+        baselines.set(key, { mean: value, variance: 0, samples: 1, updated_at: epochMs });
+        return;
+    }
+    const elapsed = Math.max(epochMs - state.updated_at, MIN_STEP_MS);
+    const alpha = Math.max(1 - Math.pow(2, -elapsed / halfLifeMs), 1 / (state.samples + 1));
+    const diff = value - state.mean;
+    state.mean += alpha * diff;
+    state.variance = (1 - alpha) * (state.variance + alpha * diff * diff);
+    state.samples += 1;
+    state.updated_at = epochMs;
+}
+
+/**
+ * Standard deviation with a floor, so flat series (e.g. pods always 3/3)
+ * still produce a finite score when they move.
+ */
+function stdDevOf(state) {
+    return Math.max(Math.sqrt(state.variance), Math.abs(state.mean) * 0.01, 0.1);
+}
+
+function round(value, precision = 2) {
+    return parseFloat(value.toFixed(precision));
+}
+
+/** The baseline to judge a value against: seasonal if warmed up, else all-hours */
+function baselineFor(kind, name, metric, epochMs) {
+    const season = seasonOf(epochMs);
+    if (season) {
+        const seasonal = baselines.get(keyOf(kind, name, metric, season));
+        if (seasonal && seasonal.samples >= config.warmup) return { state: seasonal, basis: season };
+    }
+    const overall = baselines.get(keyOf(kind, name, metric, null));
+    return overall ? { state: overall, basis: 'all_hours' } : null;
+}
+
+function entitiesOf(snapshot) {
+    return [
+        ...(snapshot.services || []).map((entity) => ({ kind: 'service', entity })),
+        ...(snapshot.nodes || []).map((entity) => ({ kind: 'node', entity })),
+    ];
+}
+
+// ── Learning ───────────────────────────────────────────────
+
+/**
+ * Learn from one snapshot.
+ * @param {object} snapshot - Unfiltered snapshot (services[] and nodes[])
+ */
+function observe(snapshot) {
+    const epochMs = typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+    const season = seasonOf(epochMs);
+
+    for (const { kind, entity } of entitiesOf(snapshot)) {
+        for (const metric of TRACKED_METRICS[kind]) {
+            const value = entity[metric];
+            if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+            update(keyOf(kind, entity.name, metric, null), value, epochMs, config.half_life_ms);
+            if (season) update(keyOf(kind, entity.name, metric, season), value, epochMs, config.half_life_ms * 24);
+        }
+    }
+    if (lastObservedMs === null || epochMs > lastObservedMs) lastObservedMs = epochMs;
+}
+
+/**
+ * Catch baselines up with the stored history: the last BASELINE_WINDOW on
+ * first use, afterwards only snapshots stored since the previous sync.
+ * @returns {Promise<number>} Snapshots learned from
+ */
+async function syncFromStore(now = Date.now()) {
+    const from = lastObservedMs === null ? now - config.window_ms : lastObservedMs + 1;
+    const snapshots = (await metricsStore.readRange({ from, to: now })).map((entry) => entry.snapshot);
+    snapshots.forEach(observe);
+    if (lastObservedMs === null) lastObservedMs = now;
+    return snapshots.length;
+}
+
+// ── Scoring ────────────────────────────────────────────────
+
+/**
+ * Score every tracked metric of a snapshot against its baseline.
+ * Metrics whose baseline hasn't finished warming up are skipped.
+ *
+ * @param {object} snapshot
+ * @param {object} [options]
+ * @param {string} [options.service] - Only this service
+ * @param {string} [options.node] - Only this node
+ * @param {number} [options.threshold] - |z| at which a value is anomalous
+ * @param {boolean} [options.includeNormal=false] - Also return non-anomalous metrics
+ * @returns {Array<object>} Findings, highest anomaly score first
+ */
+function evaluate(snapshot, { service, node, threshold = config.threshold, includeNormal = false } = {}) {
+    const epochMs = typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+    const findings = [];
+
+    for (const { kind, entity } of entitiesOf(snapshot)) {
+        if ((service || node) && !((kind === 'service' && entity.name === service) || (kind === 'node' && entity.name === node))) continue;
+
+        for (const metric of TRACKED_METRICS[kind]) {
+            const value = entity[metric];
+            const baseline = baselineFor(kind, entity.name, metric, epochMs);
+            if (typeof value !== 'number' || !baseline || baseline.state.samples < config.warmup) continue;
+
+            const std = stdDevOf(baseline.state);
+            const z = (value - baseline.state.mean) / std;
+            const anomalous = Math.abs(z) >= threshold;
+            if (!anomalous && !includeNormal) continue;
+
+            findings.push({
+                kind,
+                name: entity.name,
+                metric,
+                value,
+                expected: round(baseline.state.mean),
+                expected_range: {
+                    low: round(baseline.state.mean - threshold * std),
+                    high: round(baseline.state.mean + threshold * std),
+                },
+                std_dev: round(std, 3),
+                z_score: round(z),
+                anomaly_score: round(Math.abs(z)),
+                direction: z >= 0 ? 'above' : 'below',
+                anomalous,
+                baseline: baseline.basis,
+                samples: baseline.state.samples,
+            });
+        }
+    }
+
+    return findings.sort((a, b) => b.anomaly_score - a.anomaly_score);
+}
+
+/**
+ * Sync baselines, then score `snapshot` (typically one just fetched).
+ * The snapshot is learned from on the next sync, once it has been stored.
+ * @returns {Promise<object>} { timestamp, threshold, seasonality, anomalies, findings }
+ * @throws {Error} code UNKNOWN_TARGET when options.service or options.node is not in the snapshot
+ */
+async function detectAnomalies(snapshot, options = {}) {
+    filterSnapshot(snapshot, { service: options.service, node: options.node });
+    await syncFromStore();
+    const threshold = options.threshold || config.threshold;
+    const findings = evaluate(snapshot, { ...options, threshold });
+    return {
+        timestamp: snapshot.timestamp,
+        snapshot_id: snapshot.id,
+        threshold,
+        seasonality: config.seasonality,
+        anomalies: findings.filter((f) => f.anomalous).length,
+        findings,
+    };
+}
+
+/**
+ * Current baselines, optionally narrowed down.
+ * @param {{ kind?: string, name?: string, metric?: string }} [filter]
+ */
+function listBaselines({ kind, name, metric } = {}) {
+    const result = [];
+    for (const [key, state] of baselines) {
+        const [k, n, m, season] = key.split('|');
+        if ((kind && k !== kind) || (name && n !== name) || (metric && m !== metric)) continue;
+        const std = stdDevOf(state);
+        result.push({
+            kind: k,
+            name: n,
+            metric: m,
+            season,
+            mean: round(state.mean),
+            std_dev: round(std, 3),
+            expected_range: { low: round(state.mean - config.threshold * std), high: round(state.mean + config.threshold * std) },
+            samples: state.samples,
+            warmed_up: state.samples >= config.warmup,
+            updated_at: new Date(state.updated_at).toISOString(),
+        });
+    }
+    return result;
+}
+
+/** Active configuration */
+function getConfig() {
+    return { ...config };
+}
+
+/**
+ * Override configuration (tests, or embedding). Changing seasonality or the
+ * half-life only affects values learned from now on; call resetForTesting() to relearn.
+ */
+function configure(overrides) {
+    const next = { ...config, ...overrides };
+    if (!SEASONALITIES.includes(next.seasonality)) {
+        throw new Error(`seasonality must be one of: ${SEASONALITIES.join(', ')}`);
+    }
+    if (!(next.half_life_ms > 0)) throw new Error('half_life_ms must be a positive number of milliseconds');
+    config = next;
+}
+
+/** Forget all baselines and restore env configuration (tests only). */
+function resetForTesting() {
+    baselines.clear();
+    lastObservedMs = null;
+    config = defaultConfig();
+}
+
+module.exports = {
+    TRACKED_METRICS,
+    observe,
+    syncFromStore,
+    evaluate,
+    detectAnomalies,
+    listBaselines,
+    getConfig,
+    configure,
+    resetForTesting,
+};
@@ -0,0 +1,68 @@
+/**
+ * Duration Helper — parse human-friendly durations ("30s", "10m", "1h30m")
+ * and points in time ("2024-05-01T10:00:00Z", "15m" ago, epoch ms)
+ *
+ * Used wherever config files or query parameters accept a time span.
+ */
+
+'use strict';
+
+const UNIT_MS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration into milliseconds.
+ * Accepts numbers (already ms), numeric strings (ms), and unit strings
+ * such as "500ms", "30s", "10m", "2h", "1d" or compounds like "1h30m".
+ * @param {number|string} value
+ * @returns {number|null} Milliseconds, or null if the value can't be parsed
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+    let total = 0;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(trimmed)) !== null) {
+        total += parseFloat(match[1]) * UNIT_MS[match[2]];
+        consumed += match[0].length;
+    }
+
+    return consumed > 0 && consumed === trimmed.length ? total : null;
+}
+
+/**
+ * Parse a point in time into epoch milliseconds.
+ * Accepts epoch ms (number or numeric string), ISO 8601 dates, "now",
+ * and durations meaning "that long ago" ("15m", "-15m", "now-15m").
+ * @param {number|string} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Epoch ms, or null if the value can't be parsed
+ */
+function parseTime(value, now = Date.now()) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    if (trimmed === 'now') return now;
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+
+    const relative = trimmed.replace(/^now-|^-/, '');
+    const ago = /[a-z]$/.test(relative) ? parseDuration(relative) : null;
+    if (ago !== null) return now - ago;
+
+    const parsed = Date.parse(trimmed);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+module.exports = { parseDuration, parseTime };
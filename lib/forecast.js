@@ -0,0 +1,303 @@
+/**
+ * Forecast — predict when disk, memory or pod capacity runs out
+ *
+ * Fits a least-squares line through each resource's recent history
+ * (lib/metrics-store.js) and extrapolates it to the resource's capacity, so
+ * a disk that will be full by tonight is reported while it is still at 70%.
+ *
+ * Resources:
+ *   disk    node disk_percent, full at 100
+ *   memory  service and node memory_percent, full at 100
+ *   pods    node pods_running, full at FORECAST_MAX_PODS_PER_NODE
+ *
+ * Confidence intervals come from the standard error of the fitted slope: the
+ * earliest estimate uses the steepest plausible trend, the latest the
+ * shallowest. When the shallowest trend isn't rising any more, `latest` is
+ * null — the data is also consistent with the resource never filling up.
+ *
+ * With FORECAST_INCIDENTS=true, resources predicted to fill within
+ * FORECAST_INCIDENT_WITHIN are reported as "predicted_exhaustion" incidents
+ * next to the threshold-based ones.
+ *
+ * Configuration (env):
+ *   FORECAST_WINDOW              history the trend is fitted on (default 6h)
+ *   FORECAST_HORIZON             how far ahead a fill-up counts as "filling" (default 7d)
+ *   FORECAST_MIN_POINTS          points needed before forecasting (default 10)
+ *   FORECAST_MAX_PODS_PER_NODE   pod capacity per node (default 110, the kubelet default)
+ *   FORECAST_INCIDENTS           report predicted_exhaustion incidents (default false)
+ *   FORECAST_INCIDENT_WITHIN     how soon a fill-up must be to raise one (default 24h)
+ */
+
+'use strict';
+
+const { parseDuration } = require('./duration');
+const metricsStore = require('./metrics-store');
+
+// ── Configuration ──────────────────────────────────────────
+
+const HOUR_MS = 60 * 60 * 1000;
+/** Two-sided 95% normal quantile */
+const Z_95 = 1.96;
+
+/** What each resource is forecast from, and where it is full */
+const RESOURCES = {
+    disk: { metric: 'disk_percent', kinds: ['node'], capacity: () => 100, unit: '%' },
+    memory: { metric: 'memory_percent', kinds: ['service', 'node'], capacity: () => 100, unit: '%' },
+    pods: { metric: 'pods_running', kinds: ['node'], capacity: (config) => config.max_pods_per_node, unit: 'pods' },
+};
+
+function defaultConfig() {
+    return {
+        window_ms: parseDuration(process.env.FORECAST_WINDOW || '6h'),
+        horizon_ms: parseDuration(process.env.FORECAST_HORIZON || '7d'),
+        min_points: parseInt(process.env.FORECAST_MIN_POINTS, 10) || 10,
+        max_pods_per_node: parseInt(process.env.FORECAST_MAX_PODS_PER_NODE, 10) || 110,
+        incidents: process.env.FORECAST_INCIDENTS === 'true',
+        incident_within_ms: parseDuration(process.env.FORECAST_INCIDENT_WITHIN || '24h'),
+    };
+}
+
+// ── Internal State ──────────────────────────────────────────
+let config = defaultConfig();
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+function round(value, precision = 2) {
+    return parseFloat(value.toFixed(precision));
+}
+
+function epochOf(snapshot) {
+    return typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+}
+
+function isoOrNull(epochMs) {
+    return epochMs === null ? null : new Date(epochMs).toISOString();
+}
+
+// ── Trend Fitting ──────────────────────────────────────────
+
+/**
+ * Ordinary least squares of value against time (in hours).
+ * @param {Array<{ t: number, value: number }>} series - At least 3 points
+ * @returns {{ slope: number, intercept: number, slope_se: number, r_squared: number, origin: number }}
+ *   slope per hour; intercept is the value at `origin` (epoch ms)
+ */
+function fitLine(series) {
+    const origin = series[series.length - 1].t;
+    const xs = series.map((p) => (p.t - origin) / HOUR_MS);
+    const ys = series.map((p) => p.value);
+    const n = series.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) ** 2;
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) ** 2;
+    }
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const residual = ys.reduce((acc, y, i) => acc + (y - (intercept + slope * xs[i])) ** 2, 0);
+    const slopeSe = sxx === 0 ? Infinity : Math.sqrt(residual / (n - 2) / sxx);
+
+    return {
+        slope,
+        intercept,
+        slope_se: slopeSe,
+        r_squared: syy === 0 ? 1 : 1 - residual / syy,
+        origin,
+    };
+}
+
+/** Hours until a line at `level` rising `slope` per hour reaches `capacity` (null if it never does) */
+function hoursToReach(level, slope, capacity) {
+    if (level >= capacity) return 0;
+    return slope > 0 ? (capacity - level) / slope : null;
+}
+
+/**
+ * Forecast one series against its capacity.
+ * @returns {object} status is exhausted | filling | stable | insufficient_data
+ */
+function forecastSeries(series, capacity, now) {
+    if (series.length < Math.max(config.min_points, 3)) {
+        return { status: 'insufficient_data', points: series.length };
+    }
+
+    const fit = fitLine(series);
+    const current = series[series.length - 1].value;
+    // Extrapolate from the fitted line rather than the last (noisy) sample
+    const level = fit.intercept + fit.slope * ((now - fit.origin) / HOUR_MS);
+    const toFull = (slope) => {
+        const hours = current >= capacity ? 0 : hoursToReach(level, slope, capacity);
+        return hours === null ? null : now + hours * HOUR_MS;
+    };
+
+    const predicted = toFull(fit.slope);
+    const earliest = toFull(fit.slope + Z_95 * fit.slope_se);
+    const latest = toFull(fit.slope - Z_95 * fit.slope_se);
+
+    let status = 'stable';
+    if (current >= capacity) status = 'exhausted';
+    else if (predicted !== null && predicted - now <= config.horizon_ms) status = 'filling';
+
+    return {
+        status,
+        current,
+        trend_per_hour: round(fit.slope, 4),
+        r_squared: round(Math.max(fit.r_squared, 0), 3),
+        points: series.length,
+        time_to_full_seconds: predicted === null ? null : Math.round((predicted - now) / 1000),
+        predicted_full_at: isoOrNull(predicted),
+        confidence_interval: {
+            level: 0.95,
+            earliest: isoOrNull(earliest),
+            latest: isoOrNull(latest),
+        },
+    };
+}
+
+// ── Forecasts ──────────────────────────────────────────────
+
+/**
+ * Check and normalise forecast options.
+ * @throws {Error} with `code = 'INVALID'`
+ */
+function normalizeOptions({ resource, service, node, window, threshold, all = false }) {
+    if (resource !== undefined && !RESOURCES[resource]) {
+        throw invalid(`"resource" must be one of: ${Object.keys(RESOURCES).join(', ')}`);
+    }
+    if (threshold !== undefined) {
+        if (!resource) throw invalid('"threshold" needs a "resource" (its unit differs per resource)');
+        if (!(typeof threshold === 'number' && threshold > 0)) throw invalid('"threshold" must be a positive number');
+    }
+    if (window !== undefined && !(window > 0)) throw invalid('"window" must be a positive duration');
+    return { resources: resource ? [resource] : Object.keys(RESOURCES), service, node, window: window || config.window_ms, threshold, all };
+}
+
+/**
+ * Forecast when resources run out.
+ *
+ * @param {object} [options]
+ * @param {string} [options.resource] - disk | memory | pods (default: all)
+ * @param {string} [options.service] - Only this service
+ * @param {string} [options.node] - Only this node
+ * @param {number} [options.window] - History to fit, in ms (default FORECAST_WINDOW)
+ * @param {number} [options.threshold] - Level that counts as full, instead of capacity
+ *   (e.g. 90 to predict when the disk alert will fire); needs `resource`
+ * @param {boolean} [options.all=false] - Also return stable resources and those without enough data
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<object>} { timestamp, window, horizon, forecasts } — soonest exhaustion first
+ * @throws {Error} with `code = 'INVALID'` for bad options
+ */
+async function forecastExhaustion(options = {}, now = Date.now()) {
+    const query = normalizeOptions(options);
+    const points = await metricsStore.readRange({ from: now - query.window, to: now });
+
+    const forecasts = [];
+    for (const resource of query.resources) {
+        const spec = RESOURCES[resource];
+        const capacity = query.threshold || spec.capacity(config);
+        const series = new Map();
+
+        for (const { snapshot } of points) {
+            const t = epochOf(snapshot);
+            for (const kind of spec.kinds) {
+                for (const entity of (kind === 'service' ? snapshot.services : snapshot.nodes) || []) {
+                    if (kind === 'service' && ((query.service && entity.name !== query.service) || (query.node && !(entity.nodes || []).includes(query.node)))) continue;
+                    if (kind === 'node' && ((query.node && entity.name !== query.node) || (query.service && !(entity.services || []).includes(query.service)))) continue;
+                    const value = entity[spec.metric];
+                    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+                    const key = `${kind}|${entity.name}`;
+                    if (!series.has(key)) series.set(key, []);
+                    series.get(key).push({ t, value });
+                }
+            }
+        }
+
+        for (const [key, values] of series) {
+            const [kind, name] = key.split('|');
+            const result = forecastSeries(values, capacity, now);
+            if (!query.all && result.status !== 'filling' && result.status !== 'exhausted') continue;
+            forecasts.push({ resource, kind, name, metric: spec.metric, capacity, unit: spec.unit, ...result });
+        }
+    }
+
+    const eta = (f) => (f.time_to_full_seconds === null || f.time_to_full_seconds === undefined ? Infinity : f.time_to_full_seconds);
+    forecasts.sort((a, b) => eta(a) - eta(b));
+
+    return {
+        timestamp: new Date(now).toISOString(),
+        window: { from: new Date(now - query.window).toISOString(), to: new Date(now).toISOString() },
+        horizon_seconds: Math.round(config.horizon_ms / 1000),
+        forecasts,
+    };
+}
+
+/**
+ * Turn forecasts into "predicted_exhaustion" incidents: anything filling within
+ * FORECAST_INCIDENT_WITHIN (or `within`). Critical when it is due within the hour.
+ * @param {Array<object>} forecasts - From forecastExhaustion()
+ * @returns {Array<object>}
+ */
+function exhaustionIncidents(forecasts, { within = config.incident_within_ms } = {}) {
+    return forecasts
+        .filter((f) => f.status === 'filling' && f.time_to_full_seconds * 1000 <= within)
+        .map((f) => ({
+            type: 'predicted_exhaustion',
+            severity: f.time_to_full_seconds * 1000 <= HOUR_MS ? 'critical' : 'warning',
+            resource: f.resource,
+            service: f.kind === 'service' ? f.name : null,
+            node: f.kind === 'node' ? f.name : null,
+            metric: f.metric,
+            current_value: f.current,
+            capacity: f.capacity,
+            predicted_full_at: f.predicted_full_at,
+            confidence_interval: f.confidence_interval,
+            summary: `${f.resource} on ${f.kind} ${f.name} predicted to reach ${f.capacity}${f.unit === '%' ? '%' : ` ${f.unit}`} ` +
+                `at ${f.predicted_full_at} (now ${f.current}${f.unit === '%' ? '%' : ''}, +${f.trend_per_hour}/h)`,
+        }));
+}
+
+/**
+ * Forecast incidents for status checks — empty unless FORECAST_INCIDENTS is on.
+ * @returns {Promise<Array<object>>}
+ */
+async function predictedIncidents(now = Date.now()) {
+    if (!config.incidents) return [];
+    const { forecasts } = await forecastExhaustion({}, now);
+    return exhaustionIncidents(forecasts);
+}
+
+/** Active configuration */
+function getConfig() {
+    return { ...config };
+}
+
+/** Override configuration (tests, or embedding). */
+function configure(overrides) {
+    config = { ...config, ...overrides };
+}
+
+/** Restore env configuration (tests only). */
+function resetForTesting() {
+    config = defaultConfig();
+}
+
+module.exports = {
+    RESOURCES,
+    fitLine,
+    forecastExhaustion,
+    exhaustionIncidents,
+    predictedIncidents,
+    getConfig,
+    configure,
+    resetForTesting,
+};
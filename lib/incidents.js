@@ -0,0 +1,385 @@
+/**
+ * Incidents — stored incident records with a lifecycle
+ *
+ * An incident is opened (by an agent or a person), then moves
+ * forward through
+ *
+ *   open → acknowledged → mitigated → resolved
+ *
+ * Steps may be skipped (an incident can be resolved straight from open) but
+ * never reversed. Every transition is kept in incident_events. Opening an
+ * incident while an unresolved one with the same fingerprint (type, service,
+ * node) exists returns that one instead of a duplicate.
+ *
+ * Remediations are linked through an incident_id column on `actions` (REST
+ * executor) and `executions` (MCP server); linking a successful remediation to
+ * an open or acknowledged incident marks it mitigated.
+ *
+ * MTTA (opened → acknowledged) and MTTR (opened → resolved) are derived from
+ * the stored timestamps on every read.
+ *
+ * Tables:
+ *   incidents       (id, fingerprint, title, type, severity, status, service, node, source,
+ *                    summary, labels, opened_at, acknowledged_at, mitigated_at, resolved_at,
+ *                    updated_at, acknowledged_by, resolved_by, resolution)
+ *   incident_events (id, incident_id, timestamp, type, actor, note, data)
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+
+// ── Configuration ──────────────────────────────────────────
+const STATUSES = ['open', 'acknowledged', 'mitigated', 'resolved'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+/** Remediation tables an incident can be linked to, and the status that counts as success */
+const REMEDIATION_TABLES = { actions: 'success', executions: 'completed' };
+const MAX_LIMIT = 200;
+
+// ── Internal State ──────────────────────────────────────────
+let tablesReady = false;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function incidentError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ── Initialization ─────────────────────────────────────────
+
+function tableExists(table) {
+    return database.queryOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = $name", { $name: table }) !== null;
+}
+
+/** Add incident_id to a remediation table that was created before incidents existed */
+function ensureIncidentColumn(table) {
+    if (!tableExists(table)) return;
+    const columns = database.queryAll(`PRAGMA table_info(${table})`).map((c) => c.name);
+    if (!columns.includes('incident_id')) database.exec(`ALTER TABLE ${table} ADD COLUMN incident_id TEXT`);
+}
+
+async function ensureTables() {
+    if (tablesReady) return;
+
+    await database.getDatabase();
+
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS incidents (
+      id TEXT PRIMARY KEY,
+      fingerprint TEXT NOT NULL,
+      title TEXT NOT NULL,
+      type TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      status TEXT NOT NULL,
+      service TEXT,
+      node TEXT,
+      source TEXT NOT NULL,
+      summary TEXT DEFAULT '',
+      labels TEXT DEFAULT '{}',
+      opened_at TEXT NOT NULL,
+      acknowledged_at TEXT,
+      mitigated_at TEXT,
+      resolved_at TEXT,
+      updated_at TEXT NOT NULL,
+      acknowledged_by TEXT,
+      resolved_by TEXT,
+      resolution TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_incidents_fingerprint ON incidents (fingerprint, status);
+    CREATE INDEX IF NOT EXISTS idx_incidents_opened ON incidents (opened_at);
+    CREATE TABLE IF NOT EXISTS incident_events (
+      id TEXT PRIMARY KEY,
+      incident_id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      type TEXT NOT NULL,
+      actor TEXT,
+      note TEXT,
+      data TEXT DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_incident_events_incident ON incident_events (incident_id, timestamp);
+  `);
+    for (const table of Object.keys(REMEDIATION_TABLES)) ensureIncidentColumn(table);
+
+    tablesReady = true;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+/** Incidents with the same fingerprint are the same problem */
+function fingerprintOf({ type, service, node }) {
+    return [type, service || '', node || ''].join('|');
+}
+
+function secondsBetween(from, to) {
+    return from && to ? Math.round((Date.parse(to) - Date.parse(from)) / 1000) : null;
+}
+
+/** Row → API object, with MTTA/MTTR */
+function toIncident(row) {
+    return {
+        ...row,
+        labels: JSON.parse(row.labels || '{}'),
+        mtta_seconds: secondsBetween(row.opened_at, row.acknowledged_at),
+        mttr_seconds: secondsBetween(row.opened_at, row.resolved_at),
+    };
+}
+
+function recordEvent(incidentId, type, { actor, note, data = {} }, timestamp) {
+    database.run(
+        'INSERT INTO incident_events (id, incident_id, timestamp, type, actor, note, data) VALUES ($id, $incident, $ts, $type, $actor, $note, $data)',
+        { $id: uuidv4(), $incident: incidentId, $ts: timestamp, $type: type, $actor: actor || null, $note: note || null, $data: JSON.stringify(data) }
+    );
+}
+
+function requireIncident(id) {
+    const row = database.queryOne('SELECT * FROM incidents WHERE id = $id', { $id: id });
+    if (!row) throw incidentError('NOT_FOUND', `Incident not found: ${id}`);
+    return row;
+}
+
+function validateOpen({ title, type, severity, labels }) {
+    if (typeof type !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(type)) {
+        throw incidentError('INVALID', '"type" is required: letters, digits, "_", "." or "-" (e.g. high_cpu)');
+    }
+    if (!SEVERITIES.includes(severity)) throw incidentError('INVALID', `"severity" must be one of: ${SEVERITIES.join(', ')}`);
+    if (title !== undefined && (typeof title !== 'string' || title.length > 200)) {
+        throw incidentError('INVALID', '"title" must be a string of at most 200 characters');
+    }
+    if (labels !== undefined && (!labels || typeof labels !== 'object' || Array.isArray(labels))) {
+        throw incidentError('INVALID', '"labels" must be an object');
+    }
+}
+
+// ── Lifecycle ──────────────────────────────────────────────
+
+/**
+ * Open an incident, or return the unresolved one with the same fingerprint.
+ * @param {object} fields - { type, severity, title?, service?, node?, summary?, labels?, source?, actor? }
+ * @returns {Promise<{ incident: object, deduplicated: boolean }>}
+ * @throws {Error} code INVALID
+ */
+async function openIncident(fields, now = Date.now()) {
+    await ensureTables();
+    validateOpen(fields);
+
+    const { type, severity, service, node, summary = '', labels = {}, source = 'manual', actor } = fields;
+    const fingerprint = fingerprintOf(fields);
+    const existing = database.queryOne(
+        "SELECT * FROM incidents WHERE fingerprint = $fp AND status != 'resolved' ORDER BY opened_at DESC LIMIT 1",
+        { $fp: fingerprint }
+    );
+    if (existing) return { incident: toIncident(existing), deduplicated: true };
+
+    const id = uuidv4();
+    const timestamp = new Date(now).toISOString();
+    const title = fields.title || `${type.replace(/_/g, ' ')}${service || node ? ` on ${service || node}` : ''}`;
+    database.run(
+        `INSERT INTO incidents (id, fingerprint, title, type, severity, status, service, node, source, summary, labels, opened_at, updated_at)
+         VALUES ($id, $fp, $title, $type, $severity, 'open', $service, $node, $source, $summary, $labels, $ts, $ts)`,
+        {
+            $id: id, $fp: fingerprint, $title: title, $type: type, $severity: severity,
+            $service: service || null, $node: node || null, $source: source, $summary: summary,
+            $labels: JSON.stringify(labels), $ts: timestamp,
+        }
+    );
+    recordEvent(id, 'opened', { actor, note: summary }, timestamp);
+    database.saveToDisk();
+
+    console.log(`[incidents] Opened ${id} (${type}, ${severity})`);
+    return { incident: toIncident(requireIncident(id)), deduplicated: false };
+}
+
+/**
+ * Move an incident forward to `status`. Skipping steps is allowed; going back is not.
+ * @param {string} id
+ * @param {string} status - acknowledged | mitigated | resolved
+ * @param {object} [options] - { actor, note, resolution }
+ * @returns {Promise<object>} The updated incident
+ * @throws {Error} code NOT_FOUND, INVALID or CONFLICT
+ */
+async function transition(id, status, { actor, note, resolution } = {}, now = Date.now()) {
+    await ensureTables();
+    if (!STATUSES.includes(status) || status === 'open') {
+        throw incidentError('INVALID', `Status must be one of: ${STATUSES.slice(1).join(', ')}`);
+    }
+
+    const row = requireIncident(id);
+    if (STATUSES.indexOf(status) <= STATUSES.indexOf(row.status)) {
+        throw incidentError('CONFLICT', `Incident ${id} is already ${row.status}`);
+    }
+
+    const timestamp = new Date(now).toISOString();
+    database.run(
+        `UPDATE incidents SET status = $status, updated_at = $ts,
+           ${status}_at = $ts,
+           acknowledged_by = CASE WHEN $status = 'acknowledged' THEN $actor ELSE acknowledged_by END,
+           resolved_by = CASE WHEN $status = 'resolved' THEN $actor ELSE resolved_by END,
+           resolution = CASE WHEN $status = 'resolved' THEN $resolution ELSE resolution END
+         WHERE id = $id`,
+        { $id: id, $status: status, $ts: timestamp, $actor: actor || null, $resolution: resolution || note || null }
+    );
+    recordEvent(id, status, { actor, note: status === 'resolved' ? resolution || note : note }, timestamp);
+    database.saveToDisk();
+
+    console.log(`[incidents] ${id} ${row.status} → ${status}`);
+    return toIncident(requireIncident(id));
+}
+
+const acknowledgeIncident = (id, options, now) => transition(id, 'acknowledged', options, now);
+const mitigateIncident = (id, options, now) => transition(id, 'mitigated', options, now);
+const resolveIncident = (id, options, now) => transition(id, 'resolved', options, now);
+
+// ── Remediation Links ──────────────────────────────────────
+
+/** The remediation table row with this id, or null */
+function findRemediation(remediationId) {
+    for (const [table, successStatus] of Object.entries(REMEDIATION_TABLES)) {
+        if (!tableExists(table)) continue;
+        const row = database.queryOne(`SELECT * FROM ${table} WHERE id = $id`, { $id: remediationId });
+        if (row) return { table, row, succeeded: row.status === successStatus };
+    }
+    return null;
+}
+
+/**
+ * Link an `actions` or `executions` row to an incident. A successful
+ * remediation moves an open or acknowledged incident to mitigated.
+ * @param {string} id - Incident id
+ * @param {string} remediationId - actions.id or executions.id
+ * @param {object} [options] - { actor }
+ * @returns {Promise<object>} The updated incident
+ * @throws {Error} code NOT_FOUND
+ */
+async function linkRemediation(id, remediationId, { actor } = {}, now = Date.now()) {
+    await ensureTables();
+    const incident = requireIncident(id);
+    const remediation = findRemediation(remediationId);
+    if (!remediation) throw incidentError('NOT_FOUND', `No action or execution with id ${remediationId}`);
+
+    database.run(`UPDATE ${remediation.table} SET incident_id = $incident WHERE id = $id`, { $incident: id, $id: remediationId });
+    recordEvent(id, 'remediation_linked', {
+        actor,
+        note: `${remediation.row.action} (${remediation.row.status})`,
+        data: { table: remediation.table, id: remediationId, action: remediation.row.action, status: remediation.row.status },
+    }, new Date(now).toISOString());
+    database.saveToDisk();
+
+    if (remediation.succeeded && ['open', 'acknowledged'].includes(incident.status)) {
+        return transition(id, 'mitigated', { actor, note: `Mitigated by ${remediation.row.action}` }, now);
+    }
+    return toIncident(requireIncident(id));
+}
+
+/** Remediations linked to an incident, oldest first */
+function linkedRemediations(id) {
+    const linked = [];
+    for (const table of Object.keys(REMEDIATION_TABLES)) {
+        if (!tableExists(table)) continue;
+        for (const row of database.queryAll(`SELECT * FROM ${table} WHERE incident_id = $id`, { $id: id })) {
+            linked.push({
+                table,
+                id: row.id,
+                action: row.action,
+                status: row.status,
+                timestamp: row.timestamp,
+                params: JSON.parse(row.params || '{}'),
+            });
+        }
+    }
+    return linked.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ── Queries ────────────────────────────────────────────────
+
+/** Whether an incident with this id exists */
+async function incidentExists(id) {
+    await ensureTables();
+    return database.queryOne('SELECT id FROM incidents WHERE id = $id', { $id: id }) !== null;
+}
+
+/**
+ * One incident with its lifecycle events and linked remediations.
+ * @throws {Error} code NOT_FOUND
+ */
+async function getIncident(id) {
+    await ensureTables();
+    const incident = toIncident(requireIncident(id));
+    const events = database.queryAll('SELECT * FROM incident_events WHERE incident_id = $id ORDER BY timestamp ASC', { $id: id })
+        .map((e) => ({ ...e, data: JSON.parse(e.data || '{}') }));
+    return { ...incident, events, remediations: linkedRemediations(id) };
+}
+
+/**
+ * Incidents, newest first, with MTTA/MTTR averages over the matches.
+ * @param {object} [filters] - { status, severity, service, node, type, limit }
+ *   status may be "active" for anything not yet resolved
+ * @returns {Promise<{ count, stats, data }>}
+ * @throws {Error} code INVALID
+ */
+async function listIncidents({ status, severity, service, node, type, limit } = {}) {
+    await ensureTables();
+
+    let where = 'WHERE 1=1';
+    const params = {};
+    if (status === 'active') {
+        where += " AND status != 'resolved'";
+    } else if (status) {
+        if (!STATUSES.includes(status)) throw incidentError('INVALID', `"status" must be one of: ${STATUSES.join(', ')}, active`);
+        where += ' AND status = $status';
+        params.$status = status;
+    }
+    if (severity) {
+        if (!SEVERITIES.includes(severity)) throw incidentError('INVALID', `"severity" must be one of: ${SEVERITIES.join(', ')}`);
+        where += ' AND severity = $severity';
+        params.$severity = severity;
+    }
+    for (const [field, value] of Object.entries({ service, node, type })) {
+        if (value) {
+            where += ` AND ${field} = $${field}`;
+            params[`$${field}`] = value;
+        }
+    }
+
+    const all = database.queryAll(`SELECT * FROM incidents ${where} ORDER BY opened_at DESC`, params).map(toIncident);
+    const average = (values) => (values.length === 0 ? null : Math.round(values.reduce((sum, v) => sum + v, 0) / values.length));
+    const mtta = all.map((i) => i.mtta_seconds).filter((v) => v !== null);
+    const mttr = all.map((i) => i.mttr_seconds).filter((v) => v !== null);
+    const byStatus = Object.fromEntries(STATUSES.map((s) => [s, all.filter((i) => i.status === s).length]));
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+    return {
+        count: all.length,
+        stats: {
+            by_status: byStatus,
+            mtta_seconds: average(mtta),
+            mttr_seconds: average(mttr),
+            acknowledged: mtta.length,
+            resolved: mttr.length,
+        },
+        data: all.slice(0, max),
+    };
+}
+
+/** Forget table state (tests only). */
+function resetForTesting() {
+    tablesReady = false;
+}
+
+module.exports = {
+    STATUSES,
+    SEVERITIES,
+    ensureTables,
+    fingerprintOf,
+    openIncident,
+    acknowledgeIncident,
+    mitigateIncident,
+    resolveIncident,
+    linkRemediation,
+    incidentExists,
+    getIncident,
+    listIncidents,
+    resetForTesting,
+};
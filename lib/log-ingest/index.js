@@ -0,0 +1,228 @@
+/**
+ * Log Ingest — turn forwarded log lines into rows of the logs table
+ *
+ * Log shippers send NDJSON, JSON arrays or logfmt to POST /logs/bulk, or RFC
+ * 5424 syslog to the optional listener (./syslog.js). Every record is mapped
+ * onto the logs columns the same way:
+ *
+ *   timestamp  timestamp, time, ts, @timestamp (ISO 8601, epoch s or ms); default now
+ *   level      level, severity, lvl, loglevel; WARNING, ERR, CRIT, 50... are
+ *              normalized to debug | info | warn | error | fatal; default info
+ *   service    service, service.name, service_name, app, application;
+ *              default the push's ?service=
+ *   message    message, msg, log, text
+ *   metadata   a "metadata" object plus every other field
+ *
+ * Invalid records are rejected one by one with a reference to where they
+ * were; the rest are written together (see tools/logs-db.js insertLogs).
+ *
+ * Configuration (env):
+ *   LOGS_BULK_MAX_LINES  records accepted per push (default 10000)
+ */
+
+'use strict';
+
+const { parseNdjson, parseJsonArray } = require('./json-lines');
+const { parseLogfmt } = require('./logfmt');
+const { LOG_LEVELS } = require('../log-search');
+
+// ── Configuration ──────────────────────────────────────────
+
+const FORMATS = ['ndjson', 'json', 'logfmt'];
+const FIELD_KEYS = {
+    timestamp: ['timestamp', 'time', 'ts', '@timestamp'],
+    level: ['level', 'severity', 'lvl', 'loglevel'],
+    service: ['service', 'service.name', 'service_name', 'app', 'application'],
+    message: ['message', 'msg', 'log', 'text'],
+};
+
+/** Level spellings from common loggers and syslog, lower-cased */
+const LEVEL_ALIASES = {
+    trace: 'debug', debug: 'debug', dbg: 'debug', verbose: 'debug',
+    info: 'info', information: 'info', informational: 'info', notice: 'info',
+    warn: 'warn', warning: 'warn',
+    err: 'error', error: 'error', severe: 'error',
+    crit: 'fatal', critical: 'fatal', alert: 'fatal', emerg: 'fatal', emergency: 'fatal', fatal: 'fatal', panic: 'fatal',
+};
+
+/** Numeric levels as pino and bunyan write them */
+const NUMERIC_LEVELS = [[60, 'fatal'], [50, 'error'], [40, 'warn'], [30, 'info'], [0, 'debug']];
+
+const MAX_SERVICE_LENGTH = 128;
+/** Clock skew tolerated on entry timestamps */
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+/** Epoch values below this are seconds, not milliseconds (it is 2001-09-09 in ms) */
+const EPOCH_SECONDS_BELOW = 1e12;
+
+function maxRecords() {
+    return parseInt(process.env.LOGS_BULK_MAX_LINES, 10) || 10000;
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+// ── Normalization ──────────────────────────────────────────
+
+/**
+ * Map a level as written by some logger onto the logs levels.
+ * @param {string|number} raw
+ * @returns {string|null} null when it isn't recognised
+ */
+function normalizeLevel(raw) {
+    if (typeof raw === 'number' || /^\d+$/.test(String(raw).trim())) {
+        const value = Number(raw);
+        const match = NUMERIC_LEVELS.find(([min]) => value >= min);
+        return match ? match[1] : null;
+    }
+    return LEVEL_ALIASES[String(raw).trim().toLowerCase()] || null;
+}
+
+/** Epoch s / ms (number or numeric string) or a date string, as epoch ms */
+function parseTimestamp(raw) {
+    if (typeof raw === 'number' || /^\d+(\.\d+)?$/.test(String(raw).trim())) {
+        const value = Number(raw);
+        return value < EPOCH_SECONDS_BELOW ? Math.round(value * 1000) : Math.round(value);
+    }
+    const parsed = Date.parse(String(raw));
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/** Take the first of `keys` present in `fields`, removing it */
+function take(fields, keys) {
+    const key = keys.find((candidate) => fields[candidate] !== undefined && fields[candidate] !== null && fields[candidate] !== '');
+    if (!key) return undefined;
+    const value = fields[key];
+    delete fields[key];
+    return value;
+}
+
+/**
+ * Map one record onto a logs row.
+ * @param {object} record - Field object from a parser
+ * @param {object} [defaults] - { service, metadata } applied where the record has none
+ * @param {number} [now=Date.now()]
+ * @returns {{ entry: { timestamp, level, service, message, metadata } } | { error: string }}
+ */
+function normalizeEntry(record, defaults = {}, now = Date.now()) {
+    const fields = { ...record };
+    const rawTimestamp = take(fields, FIELD_KEYS.timestamp);
+    const rawLevel = take(fields, FIELD_KEYS.level);
+    const service = take(fields, FIELD_KEYS.service) || defaults.service;
+    const message = take(fields, FIELD_KEYS.message);
+
+    if (typeof message !== 'string' || message.trim() === '') return { error: `missing message (one of: ${FIELD_KEYS.message.join(', ')})` };
+    if (typeof service !== 'string' || service.trim() === '') return { error: `missing service (one of: ${FIELD_KEYS.service.join(', ')}, or ?service=)` };
+    if (service.length > MAX_SERVICE_LENGTH) return { error: `service is longer than ${MAX_SERVICE_LENGTH} characters` };
+
+    const level = rawLevel === undefined ? 'info' : normalizeLevel(rawLevel);
+    if (!level) return { error: `unknown level "${rawLevel}" (expected one of ${LOG_LEVELS.join(', ')} or a common alias such as WARNING or ERR)` };
+
+    let epochMs = now;
+    if (rawTimestamp !== undefined) {
+        epochMs = parseTimestamp(rawTimestamp);
+        if (epochMs === null) return { error: `invalid timestamp "${rawTimestamp}"` };
+        if (epochMs > now + MAX_FUTURE_MS) return { error: `timestamp ${new Date(epochMs).toISOString()} is in the future` };
+    }
+
+    const nested = fields.metadata !== null && typeof fields.metadata === 'object' && !Array.isArray(fields.metadata) ? fields.metadata : {};
+    delete fields.metadata;
+
+    return {
+        entry: {
+            timestamp: new Date(epochMs).toISOString(),
+            level,
+            service: service.trim(),
+            message,
+            metadata: { ...defaults.metadata, ...nested, ...fields },
+        },
+    };
+}
+
+// ── Bulk Payloads ──────────────────────────────────────────
+
+/**
+ * Parse and normalize a bulk payload.
+ * @param {object} push
+ * @param {string} push.format - ndjson | json | logfmt
+ * @param {string|object} push.body - Text, or the parsed JSON body for "json"
+ * @param {string} [push.service] - Service for records that name none
+ * @param {number} [now=Date.now()]
+ * @returns {{ entries: object[], errors: Array<{ ref, error }> }}
+ * @throws {Error} code INVALID for an unknown format or an oversized payload
+ */
+function prepareBulk({ format, body, service }, now = Date.now()) {
+    if (!FORMATS.includes(format)) throw invalid(`Invalid format "${format}". Must be one of: ${FORMATS.join(', ')}`);
+
+    let parsed;
+    if (format === 'json') parsed = parseJsonArray(body);
+    else if (typeof body !== 'string') throw invalid(`${format} must be sent as text`);
+    else parsed = format === 'ndjson' ? parseNdjson(body) : parseLogfmt(body);
+
+    const limit = maxRecords();
+    if (parsed.records.length > limit) {
+        throw invalid(`Too many log entries (${parsed.records.length}); at most ${limit} per push`);
+    }
+
+    const entries = [];
+    const errors = [...parsed.errors];
+    for (const { fields, ref } of parsed.records) {
+        const result = normalizeEntry(fields, { service, metadata: { source: 'bulk' } }, now);
+        if (result.error) errors.push({ ref, error: result.error });
+        else entries.push(result.entry);
+    }
+    errors.sort((a, b) => parseInt(a.ref.split(' ')[1], 10) - parseInt(b.ref.split(' ')[1], 10));
+
+    return { entries, errors };
+}
+
+// ── Batching ───────────────────────────────────────────────
+
+/**
+ * Collect entries and hand them to `write` in batches: when `maxSize` are
+ * waiting, or `flushMs` after the first one arrived.
+ * @param {function(object[]): Promise<*>} write
+ * @param {object} [options] - { maxSize = 500, flushMs = 1000 }
+ * @returns {{ push: function(object): void, flush: function(): Promise<void>, pending: function(): number }}
+ */
+function createBatcher(write, { maxSize = 500, flushMs = 1000 } = {}) {
+    let queue = [];
+    let timer = null;
+    let writing = Promise.resolve();
+
+    function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (queue.length === 0) return writing;
+        const batch = queue;
+        queue = [];
+        writing = writing
+            .then(() => write(batch))
+            .catch((error) => console.error(`[log-ingest] Failed to write ${batch.length} log entries:`, error.message));
+        return writing;
+    }
+
+    function push(entry) {
+        queue.push(entry);
+        if (queue.length >= maxSize) {
+            flush();
+        } else if (!timer) {
+            timer = setTimeout(flush, flushMs);
+            if (timer.unref) timer.unref();
+        }
+    }
+
+    return { push, flush, pending: () => queue.length };
+}
+
+module.exports = {
+    FORMATS,
+    normalizeLevel,
+    normalizeEntry,
+    prepareBulk,
+    createBatcher,
+};
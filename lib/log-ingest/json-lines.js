@@ -0,0 +1,76 @@
+/**
+ * Log Ingest: NDJSON and JSON arrays
+ *
+ *   {"ts":"2024-05-01T10:00:00Z","level":"WARNING","service":"auth-service","msg":"Slow login"}
+ *   {"ts":1714557601,"level":"error","service":"auth-service","msg":"Login failed","user":"u-1"}
+ *
+ * One object per line (NDJSON), or a JSON array of objects. Blank lines are
+ * skipped; a line or item that isn't an object is reported with its position
+ * and the rest of the payload is still used.
+ */
+
+'use strict';
+
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse newline-delimited JSON.
+ * @param {string} text
+ * @returns {{ records: Array<{ fields: object, ref: string }>, errors: Array<{ ref, error }> }}
+ *   `ref` is "line N"
+ */
+function parseNdjson(text) {
+    const records = [];
+    const errors = [];
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const ref = `line ${index + 1}`;
+        if (line === '') return;
+
+        let fields;
+        try {
+            fields = JSON.parse(line);
+        } catch (error) {
+            errors.push({ ref, error: `invalid JSON: ${error.message}` });
+            return;
+        }
+        if (!isRecord(fields)) {
+            errors.push({ ref, error: 'expected a JSON object' });
+            return;
+        }
+        records.push({ fields, ref });
+    });
+
+    return { records, errors };
+}
+
+/**
+ * Read a parsed JSON body: an array of objects, or a single object.
+ * @param {*} body
+ * @returns {{ records: Array<{ fields: object, ref: string }>, errors: Array<{ ref, error }> }}
+ *   `ref` is "item N" (1-based)
+ */
+function parseJsonArray(body) {
+    const items = Array.isArray(body) ? body : [body];
+    const records = [];
+    const errors = [];
+
+    items.forEach((fields, index) => {
+        const ref = `item ${index + 1}`;
+        if (isRecord(fields)) {
+            records.push({ fields, ref });
+        } else {
+            errors.push({ ref, error: 'expected a JSON object' });
+        }
+    });
+
+    return { records, errors };
+}
+
+module.exports = {
+    parseNdjson,
+    parseJsonArray,
+};
@@ -0,0 +1,95 @@
+/**
+ * Log Ingest: logfmt
+ *
+ *   ts=2024-05-01T10:00:00Z level=warn service=auth-service msg="Slow login" duration_ms=1840
+ *
+ * Space-separated key=value pairs, one entry per line. Values may be quoted
+ * with backslash escapes and stay strings; a bare key means true.
+ */
+
+'use strict';
+
+const KEY_RE = /^[^\s="]+/;
+
+/**
+ * Parse one logfmt line into an object.
+ * @param {string} line
+ * @returns {object}
+ * @throws {Error} on an unterminated quote or a missing key
+ */
+function parseLogfmtLine(line) {
+    const fields = {};
+    let i = 0;
+
+    while (i < line.length) {
+        while (line[i] === ' ' || line[i] === '\t') i++;
+        if (i >= line.length) break;
+
+        const key = KEY_RE.exec(line.slice(i));
+        if (!key) throw new Error(`expected a key at column ${i + 1}`);
+        i += key[0].length;
+
+        if (line[i] !== '=') {
+            fields[key[0]] = true;
+            continue;
+        }
+        i++; // past "="
+
+        if (line[i] === '"') {
+            let value = '';
+            i++;
+            for (;;) {
+                if (i >= line.length) throw new Error(`unterminated quote for "${key[0]}"`);
+                const ch = line[i];
+                if (ch === '\\' && i + 1 < line.length) {
+                    const next = line[i + 1];
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    i += 2;
+                } else if (ch === '"') {
+                    i++;
+                    break;
+                } else {
+                    value += ch;
+                    i++;
+                }
+            }
+            fields[key[0]] = value;
+        } else {
+            const start = i;
+            while (i < line.length && line[i] !== ' ' && line[i] !== '\t') i++;
+            fields[key[0]] = line.slice(start, i);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Parse a logfmt payload.
+ * @param {string} text
+ * @returns {{ records: Array<{ fields: object, ref: string }>, errors: Array<{ ref, error }> }}
+ *   `ref` is "line N"
+ */
+function parseLogfmt(text) {
+    const records = [];
+    const errors = [];
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const ref = `line ${index + 1}`;
+        if (line === '') return;
+
+        try {
+            records.push({ fields: parseLogfmtLine(line), ref });
+        } catch (error) {
+            errors.push({ ref, error: error.message });
+        }
+    });
+
+    return { records, errors };
+}
+
+module.exports = {
+    parseLogfmt,
+    parseLogfmtLine,
+};
@@ -0,0 +1,285 @@
+/**
+ * Log Ingest: RFC 5424 syslog over UDP and TCP
+ *
+ *   <165>1 2024-05-01T10:00:00.000Z web-1 auth-service 812 ID47 [req@32473 id="r-1"] Slow login
+ *
+ * PRI gives the facility and severity (0 emerg … 7 debug, mapped onto the log
+ * levels), APP-NAME the service and MSG the message. Hostname, process and
+ * message ids, the facility name and any structured data go into metadata.
+ * Nil values ("-") are left out; a message without APP-NAME is stored under
+ * the service "syslog".
+ *
+ * UDP takes one message per datagram. TCP takes octet-counted frames
+ * ("<length> <message>", RFC 6587) or newline-terminated messages.
+ * Messages that don't parse are counted and logged, not stored.
+ *
+ * Configuration (env):
+ *   SYSLOG_PORT       port to listen on; the listener is off without it
+ *   SYSLOG_HOST       address to bind (default 0.0.0.0)
+ *   SYSLOG_PROTOCOLS  udp, tcp or both, comma-separated (default udp,tcp)
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+const { normalizeEntry, createBatcher } = require('./index');
+
+// ── Configuration ──────────────────────────────────────────
+
+const PROTOCOLS = ['udp', 'tcp'];
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const FACILITIES = [
+    'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv', 'ftp',
+    'ntp', 'audit', 'alert', 'clock', 'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7',
+];
+const HEADER_RE = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ?([\s\S]*)$/;
+const DEFAULT_SERVICE = 'syslog';
+/** Longest TCP frame kept in memory while waiting for its end */
+const MAX_FRAME_BYTES = 64 * 1024;
+
+// ── Parsing ────────────────────────────────────────────────
+
+const nil = (value) => (value === '-' ? undefined : value);
+
+/**
+ * Parse STRUCTURED-DATA at the start of `text`.
+ * @returns {{ data: object, rest: string }} data is { sd-id: { param: value } }
+ * @throws {Error} on malformed elements
+ */
+function parseStructuredData(text) {
+    if (text.startsWith('-')) return { data: {}, rest: text.slice(1) };
+
+    const data = {};
+    let i = 0;
+    while (text[i] === '[') {
+        const idEnd = text.slice(i + 1).search(/[ \]]/);
+        if (idEnd <= 0) throw new Error('structured data element without an id');
+        const id = text.slice(i + 1, i + 1 + idEnd);
+        const params = {};
+        i += 1 + idEnd;
+
+        while (text[i] === ' ') {
+            i++;
+            const eq = text.indexOf('="', i);
+            if (eq <= i) throw new Error(`malformed parameter in [${id}]`);
+            const name = text.slice(i, eq);
+            i = eq + 2;
+            let value = '';
+            for (;;) {
+                if (i >= text.length) throw new Error(`unterminated value for ${id}.${name}`);
+                if (text[i] === '\\' && ['"', '\\', ']'].includes(text[i + 1])) {
+                    value += text[i + 1];
+                    i += 2;
+                } else if (text[i] === '"') {
+                    i++;
+                    break;
+                } else {
+                    value += text[i++];
+                }
+            }
+            params[name] = value;
+        }
+        if (text[i] !== ']') throw new Error(`unterminated structured data element [${id}]`);
+        i++;
+        data[id] = params;
+    }
+    if (i === 0) throw new Error('expected structured data or "-"');
+    return { data, rest: text.slice(i) };
+}
+
+/**
+ * Parse one RFC 5424 message into a record for normalizeEntry().
+ * @param {string} message
+ * @returns {object} { timestamp, level, service, message, metadata }
+ * @throws {Error} when the message isn't RFC 5424
+ */
+function parseSyslog(message) {
+    const match = HEADER_RE.exec(message.replace(/[\r\n]+$/, ''));
+    if (!match) throw new Error('not an RFC 5424 message');
+    const [, pri, version, timestamp, hostname, appName, procId, msgId, rest] = match;
+
+    const priority = parseInt(pri, 10);
+    if (priority > 191) throw new Error(`invalid PRI <${pri}>`);
+    if (version !== '1') throw new Error(`unsupported syslog version ${version}`);
+
+    const { data, rest: afterData } = parseStructuredData(rest);
+    const text = afterData.replace(/^ /, '').replace(/^\uFEFF/, '');
+    if (text.trim() === '') throw new Error('message has no MSG');
+
+    const metadata = {
+        source: 'syslog',
+        facility: FACILITIES[priority >> 3],
+        hostname: nil(hostname),
+        procid: nil(procId),
+        msgid: nil(msgId),
+    };
+    if (Object.keys(data).length > 0) metadata.structured_data = data;
+
+    return {
+        timestamp: nil(timestamp),
+        level: SEVERITIES[priority & 7],
+        service: nil(appName) || DEFAULT_SERVICE,
+        message: text,
+        metadata: Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined)),
+    };
+}
+
+/**
+ * Split a TCP stream buffer into complete frames.
+ * @param {Buffer} buffer
+ * @returns {{ frames: string[], rest: Buffer }}
+ */
+function splitFrames(buffer) {
+    const frames = [];
+    let rest = buffer;
+    for (;;) {
+        const counted = /^(\d{1,6}) /.exec(rest.subarray(0, 8).toString('latin1'));
+        if (counted) {
+            const start = counted[0].length;
+            const length = parseInt(counted[1], 10);
+            if (rest.length < start + length) break;
+            frames.push(rest.subarray(start, start + length).toString('utf8'));
+            rest = rest.subarray(start + length);
+        } else {
+            const newline = rest.indexOf(0x0a);
+            if (newline === -1) break;
+            const frame = rest.subarray(0, newline).toString('utf8');
+            if (frame.trim() !== '') frames.push(frame);
+            rest = rest.subarray(newline + 1);
+        }
+    }
+    return { frames, rest };
+}
+
+// ── Listener ───────────────────────────────────────────────
+
+/**
+ * Listen for syslog messages and write them in batches.
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} [options.host='0.0.0.0']
+ * @param {string[]} [options.protocols=['udp', 'tcp']]
+ * @param {function(object[]): Promise<*>} options.write - Stores a batch of entries
+ * @param {object} [options.batch] - { maxSize, flushMs } for createBatcher()
+ * @returns {Promise<object>} { addresses, stats(), flush(), close() }
+ */
+async function startSyslogListener({ port, host = '0.0.0.0', protocols = PROTOCOLS, write, batch }) {
+    const unknown = protocols.filter((protocol) => !PROTOCOLS.includes(protocol));
+    if (unknown.length > 0) throw new Error(`Unknown syslog protocol(s): ${unknown.join(', ')}`);
+
+    const batcher = createBatcher(write, batch);
+    const stats = { received: 0, accepted: 0, rejected: 0, last_error: null };
+    const sockets = new Set();
+    const addresses = {};
+
+    const receive = (message) => {
+        stats.received++;
+        let result;
+        try {
+            result = normalizeEntry(parseSyslog(message));
+        } catch (error) {
+            result = { error: error.message };
+        }
+        if (result.error) {
+            stats.rejected++;
+            stats.last_error = result.error;
+            console.warn(`[syslog] Rejected message: ${result.error}`);
+            return;
+        }
+        stats.accepted++;
+        batcher.push(result.entry);
+    };
+
+    let udp = null;
+    if (protocols.includes('udp')) {
+        udp = dgram.createSocket('udp4');
+        udp.on('message', (msg) => receive(msg.toString('utf8')));
+        await new Promise((resolve, reject) => {
+            udp.once('error', reject);
+            udp.bind(port, host, () => {
+                udp.off('error', reject);
+                udp.on('error', (error) => console.error('[syslog] UDP error:', error.message));
+                resolve();
+            });
+        });
+        addresses.udp = udp.address();
+    }
+
+    let tcp = null;
+    if (protocols.includes('tcp')) {
+        tcp = net.createServer((socket) => {
+            sockets.add(socket);
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                const { frames, rest } = splitFrames(Buffer.concat([buffer, chunk]));
+                frames.forEach(receive);
+                buffer = rest;
+                if (buffer.length > MAX_FRAME_BYTES) {
+                    console.warn(`[syslog] Dropping TCP connection: frame over ${MAX_FRAME_BYTES} bytes`);
+                    socket.destroy();
+                }
+            });
+            socket.on('error', () => socket.destroy());
+            socket.on('close', () => sockets.delete(socket));
+        });
+        try {
+            await new Promise((resolve, reject) => {
+                tcp.once('error', reject);
+                tcp.listen(port, host, () => {
+                    tcp.off('error', reject);
+                    resolve();
+                });
+            });
+        } catch (error) {
+            if (udp) udp.close();
+            throw error;
+        }
+        addresses.tcp = tcp.address();
+    }
+
+    console.log(`[syslog] Listening on ${protocols.map((protocol) => `${protocol}/${addresses[protocol].port}`).join(', ')}`);
+
+    return {
+        addresses,
+        stats: () => ({ ...stats, pending: batcher.pending() }),
+        flush: () => batcher.flush(),
+        async close() {
+            for (const socket of sockets) socket.destroy();
+            await Promise.all([
+                udp && new Promise((resolve) => udp.close(resolve)),
+                tcp && new Promise((resolve) => tcp.close(resolve)),
+            ]);
+            await batcher.flush();
+        },
+    };
+}
+
+/**
+ * Start the listener when SYSLOG_PORT is set.
+ * @param {function(object[]): Promise<*>} write
+ * @returns {Promise<object|null>} The listener, or null when off or it couldn't start
+ */
+async function startSyslogFromEnv(write) {
+    if (!process.env.SYSLOG_PORT) return null;
+    try {
+        return await startSyslogListener({
+            port: parseInt(process.env.SYSLOG_PORT, 10),
+            host: process.env.SYSLOG_HOST || undefined,
+            protocols: process.env.SYSLOG_PROTOCOLS
+                ? process.env.SYSLOG_PROTOCOLS.split(',').map((p) => p.trim().toLowerCase()).filter(Boolean)
+                : undefined,
+            write,
+        });
+    } catch (error) {
+        console.error('[syslog] Listener not started:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    parseSyslog,
+    splitFrames,
+    startSyslogListener,
+    startSyslogFromEnv,
+};
@@ -0,0 +1,184 @@
+/**
+ * Log Metadata — filter and group logs on fields of their metadata JSON
+ *
+ * Keys are dot paths into the metadata object: "k8s.pod" is metadata.k8s.pod.
+ * A filter on a key takes:
+ *
+ *   "*" or true        the key is present, with any value (null too)
+ *   "a,b" or [a, b]    the value is one of these
+ *   anything else      the value equals it
+ *
+ * Values compare as they are written in a query string, so "42" also
+ * matches the number 42, and "true" / "false" the booleans.
+ *
+ * The most common keys (INDEXED_KEYS) are also virtual columns of logs,
+ * meta_<key>, each with an index. Filters and grouping on those keys use
+ * the column; other keys read the JSON with json_extract().
+ */
+
+'use strict';
+
+// ── Configuration ──────────────────────────────────────────
+
+/** Keys with an indexed column: correlation ids and where the line came from */
+const INDEXED_KEYS = ['trace_id', 'request_id', 'pod', 'node', 'hostname'];
+/** Query parameter prefix for a filter, as in ?metadata.trace_id=abc */
+const PARAM_PREFIX = 'metadata.';
+const KEY_RE = /^[A-Za-z0-9_@-]+(?:\.[A-Za-z0-9_@-]+)*$/;
+const MAX_FILTERS = 10;
+const MAX_GROUP_KEYS = 3;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+// ── Keys ───────────────────────────────────────────────────
+
+function checkKey(key) {
+    if (!KEY_RE.test(key)) {
+        throw invalid(`Invalid metadata key "${key}" (letters, digits, _, - and @, nested with dots)`);
+    }
+    return key;
+}
+
+/** JSON path of a key; segments are quoted so "service.name" style keys stay nested */
+function jsonPath(key) {
+    return `$.${key.split('.').map((segment) => `"${segment}"`).join('.')}`;
+}
+
+/**
+ * The indexed metadata columns of logs.
+ * @returns {Array<{ key: string, column: string, expression: string }>}
+ */
+function indexedColumns() {
+    return INDEXED_KEYS.map((key) => ({
+        key,
+        column: `meta_${key}`,
+        expression: `json_extract(metadata, '${jsonPath(key)}')`,
+    }));
+}
+
+/** SQL for the value of `key` in the logs row aliased l */
+function valueSql(key) {
+    return INDEXED_KEYS.includes(key) ? `l.meta_${key}` : `json_extract(l.metadata, '${jsonPath(checkKey(key))}')`;
+}
+
+// ── Filters ────────────────────────────────────────────────
+
+/** { k8s: { pod: 'x' } } → [['k8s.pod', 'x']]; arrays and scalars are values */
+function flatten(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => (
+        value !== null && typeof value === 'object' && !Array.isArray(value)
+            ? flatten(value, `${prefix}${key}.`)
+            : [[`${prefix}${key}`, value]]
+    ));
+}
+
+/**
+ * Collect metadata filters from query options: a `metadata` object (the MCP
+ * tools, or ?metadata[pod]=x) and `metadata.<key>` parameters.
+ * @param {object} options
+ * @returns {Array<{ key: string, op: 'exists'|'in', values: string[] }>}
+ * @throws {Error} code INVALID for a bad key or value
+ */
+function parseMetadataFilters(options = {}) {
+    let pairs = Object.entries(options)
+        .filter(([name]) => name.startsWith(PARAM_PREFIX))
+        .map(([name, value]) => [name.slice(PARAM_PREFIX.length), value]);
+
+    if (options.metadata !== undefined && options.metadata !== null && options.metadata !== '') {
+        let { metadata } = options;
+        if (typeof metadata === 'string') {
+            try {
+                metadata = JSON.parse(metadata);
+            } catch (error) {
+                throw invalid('"metadata" must be an object of key: value filters');
+            }
+        }
+        if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+            throw invalid('"metadata" must be an object of key: value filters');
+        }
+        pairs = pairs.concat(flatten(metadata));
+    }
+    if (pairs.length > MAX_FILTERS) throw invalid(`At most ${MAX_FILTERS} metadata filters`);
+
+    return pairs.map(([key, value]) => {
+        checkKey(key);
+        if (value === true || value === '*') return { key, op: 'exists', values: [] };
+
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        const values = [...new Set(list.map((v) => String(v).trim()).filter((v) => v !== ''))];
+        if (values.length === 0 || list.some((v) => v !== null && typeof v === 'object')) {
+            throw invalid(`Invalid value for metadata.${key}: give a value, a comma-separated list or "*"`);
+        }
+        return { key, op: 'in', values };
+    });
+}
+
+/** A query string value and the typed JSON values it stands for */
+function sqlValues(text) {
+    const values = [text];
+    if (/^-?\d+(\.\d+)?$/.test(text)) values.push(Number(text));
+    if (text === 'true' || text === 'false') values.push(text === 'true' ? 1 : 0);
+    return values;
+}
+
+/**
+ * Turn filters into SQL conditions over `logs l`.
+ * @param {object[]} filters - From parseMetadataFilters()
+ * @returns {{ conditions: string[], params: object }}
+ */
+function compileMetadataFilters(filters) {
+    const conditions = [];
+    const params = {};
+    filters.forEach((filter, i) => {
+        if (filter.op === 'exists') {
+            conditions.push(`json_type(l.metadata, '${jsonPath(filter.key)}') IS NOT NULL`);
+            return;
+        }
+        const names = filter.values.flatMap(sqlValues).map((value, j) => {
+            params[`$meta${i}_${j}`] = value;
+            return `$meta${i}_${j}`;
+        });
+        conditions.push(`${valueSql(filter.key)} IN (${names.join(', ')})`);
+    });
+    return { conditions, params };
+}
+
+/**
+ * Filters as echoed back in responses: { key: value | [values] | "*" }.
+ * @param {object[]} filters
+ * @returns {object|null}
+ */
+function describeFilters(filters) {
+    if (filters.length === 0) return null;
+    return Object.fromEntries(filters.map((f) => [f.key, f.op === 'exists' ? '*' : (f.values.length === 1 ? f.values[0] : f.values)]));
+}
+
+// ── Grouping ───────────────────────────────────────────────
+
+/**
+ * Parse a group_by list: metadata keys, with or without the "metadata." prefix.
+ * @param {string|string[]} [groupBy] - Comma-separated or an array
+ * @returns {string[]}
+ * @throws {Error} code INVALID for a bad key or too many
+ */
+function parseGroupBy(groupBy) {
+    if (groupBy === undefined || groupBy === null || groupBy === '') return [];
+    const list = Array.isArray(groupBy) ? groupBy : String(groupBy).split(',');
+    const keys = [...new Set(list.map((k) => String(k).trim().replace(/^metadata\./, '')).filter(Boolean))].map(checkKey);
+    if (keys.length > MAX_GROUP_KEYS) throw invalid(`group_by takes at most ${MAX_GROUP_KEYS} metadata keys`);
+    return keys;
+}
+
+module.exports = {
+    INDEXED_KEYS,
+    indexedColumns,
+    valueSql,
+    parseMetadataFilters,
+    compileMetadataFilters,
+    describeFilters,
+    parseGroupBy,
+};
@@ -0,0 +1,192 @@
+/**
+ * Log Patterns — group similar log messages into templates (Drain)
+ *
+ * Fifty "Upstream timeout: payment-service:8080 after 30000ms" lines say the
+ * same thing; this module reduces them to one pattern with a count. It is a
+ * streaming miner after Drain (He et al., 2017):
+ *
+ *   1. Mask variable tokens — UUIDs, IPs, pod names, durations, hex and
+ *      prefixed ids (u-9823, evt_1Ox2Hq), plain numbers — as <UUID>, <IP>, ...
+ *   2. Route the message through a fixed-depth tree: first by token count,
+ *      then by its leading tokens (tokens with digits share a <*> branch)
+ *   3. In the leaf, join the most similar cluster (share of identical tokens
+ *      at least `similarity`), where tokens that differ become <*>; otherwise
+ *      start a new cluster
+ *
+ * Each pattern reports its count, first and last seen, counts per level and
+ * service, and a few sample entries (distinct messages, newest first).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// ── Configuration ──────────────────────────────────────────
+
+const WILDCARD = '<*>';
+
+/** Applied in order, so a pod name is masked before its parts look like ids */
+const MASKS = [
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<UUID>'],
+    [/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<IP>'],
+    [/\b[a-z][a-z0-9]*(?:-[a-z0-9]+)*-[a-z0-9]{8,10}-[a-z0-9]{5}\b/g, '<POD>'],
+    [/\b0x[0-9a-f]+\b/gi, '<HEX>'],
+    [/\b\d+(?:\.\d+)?(?:ms|us|µs|ns|s|m|h|d)(?:\d+(?:\.\d+)?(?:ms|s|m|h))*\b/g, '<DURATION>'],
+    [/\b[A-Za-z]{1,8}[_-](?=[A-Za-z0-9]*\d)[A-Za-z0-9]{4,}\b/g, '<ID>'],
+    [/\b(?=[a-f]*\d)(?=\d*[a-f])[0-9a-f]{12,}\b/gi, '<HEX>'],
+    [/\b\d+(?:\.\d+)?\b/g, '<NUM>'],
+];
+const MASK_RE = /^<[A-Z*]+>$/;
+
+const DEFAULTS = {
+    similarity: 0.5,
+    depth: 4,
+    max_children: 100,
+    samples: 3,
+};
+
+// ── Tokens ─────────────────────────────────────────────────
+
+/**
+ * Replace variable parts of a message with their mask.
+ * @param {string} message
+ * @returns {string}
+ */
+function maskMessage(message) {
+    return MASKS.reduce((text, [pattern, mask]) => text.replace(pattern, mask), String(message));
+}
+
+function tokensOf(message) {
+    return maskMessage(message).split(/\s+/).filter(Boolean);
+}
+
+/** Tokens with digits are likely variables, so they don't get their own branch */
+function branchKey(token) {
+    return /\d/.test(token) || MASK_RE.test(token) ? WILDCARD : token;
+}
+
+/** Share of positions where the template and the tokens agree (wildcards never agree) */
+function similarity(template, tokens) {
+    let same = 0;
+    for (let i = 0; i < template.length; i++) {
+        if (template[i] !== WILDCARD && template[i] === tokens[i]) same++;
+    }
+    return template.length === 0 ? 1 : same / template.length;
+}
+
+// ── Miner ──────────────────────────────────────────────────
+
+/**
+ * Create a miner that log entries are added to one at a time, oldest first.
+ * @param {object} [options] - { similarity (0-1, default 0.5), depth (default 4),
+ *   max_children (default 100), samples (per pattern, default 3) }
+ * @returns {{ add: function(object): void, patterns: function(): object[] }}
+ */
+function createMiner(options = {}) {
+    // Options left undefined (e.g. an absent query parameter) keep their default
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const settings = { ...DEFAULTS, ...given };
+    const prefixLength = Math.max(settings.depth - 2, 1);
+    const root = new Map(); // token count -> tree of leading tokens -> clusters
+    const clusters = [];
+
+    function leafFor(tokens) {
+        if (!root.has(tokens.length)) root.set(tokens.length, new Map());
+        let node = root.get(tokens.length);
+        for (let i = 0; i < Math.min(prefixLength, tokens.length); i++) {
+            let key = branchKey(tokens[i]);
+            if (!node.has(key)) {
+                if (node.size >= settings.max_children) key = WILDCARD;
+                if (!node.has(key)) node.set(key, new Map());
+            }
+            node = node.get(key);
+        }
+        if (!node.has('')) node.set('', []);
+        return node.get('');
+    }
+
+    function add(entry) {
+        const tokens = tokensOf(entry.message);
+        const leaf = leafFor(tokens);
+
+        let best = null;
+        let bestScore = -1;
+        for (const cluster of leaf) {
+            const score = similarity(cluster.template, tokens);
+            if (score > bestScore || (score === bestScore && cluster.wildcards < best.wildcards)) {
+                best = cluster;
+                bestScore = score;
+            }
+        }
+
+        if (!best || bestScore < settings.similarity) {
+            best = {
+                template: tokens,
+                wildcards: 0,
+                count: 0,
+                first_seen: entry.timestamp,
+                last_seen: entry.timestamp,
+                levels: {},
+                services: {},
+                samples: [],
+            };
+            leaf.push(best);
+            clusters.push(best);
+        } else {
+            best.template = best.template.map((token, i) => (token === tokens[i] ? token : WILDCARD));
+            best.wildcards = best.template.filter((token) => token === WILDCARD).length;
+        }
+
+        best.count++;
+        if (entry.timestamp < best.first_seen) best.first_seen = entry.timestamp;
+        if (entry.timestamp > best.last_seen) best.last_seen = entry.timestamp;
+        best.levels[entry.level] = (best.levels[entry.level] || 0) + 1;
+        best.services[entry.service] = (best.services[entry.service] || 0) + 1;
+        if (!best.samples.some((sample) => sample.message === entry.message)) {
+            best.samples.push(entry);
+            if (best.samples.length > settings.samples) best.samples.shift();
+        }
+    }
+
+    /** Patterns, most frequent first */
+    function patterns() {
+        return clusters
+            .map((cluster) => {
+                const template = cluster.template.join(' ');
+                return {
+                    id: crypto.createHash('sha1').update(template).digest('hex').slice(0, 10),
+                    template,
+                    count: cluster.count,
+                    first_seen: cluster.first_seen,
+                    last_seen: cluster.last_seen,
+                    levels: cluster.levels,
+                    services: Object.entries(cluster.services)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([service, count]) => ({ service, count })),
+                    samples: [...cluster.samples].reverse(),
+                };
+            })
+            .sort((a, b) => b.count - a.count || (a.last_seen < b.last_seen ? 1 : -1));
+    }
+
+    return { add, patterns };
+}
+
+/**
+ * Mine patterns from entries in one go.
+ * @param {object[]} entries - { timestamp, level, service, message, ... }, oldest first
+ * @param {object} [options] - See createMiner()
+ * @returns {object[]} Patterns, most frequent first
+ */
+function minePatterns(entries, options) {
+    const miner = createMiner(options);
+    entries.forEach(miner.add);
+    return miner.patterns();
+}
+
+module.exports = {
+    WILDCARD,
+    maskMessage,
+    createMiner,
+    minePatterns,
+};
@@ -0,0 +1,283 @@
+/**
+ * Log Search — full-text queries over the logs table
+ *
+ * Messages and metadata are indexed in an FTS4 table (logs_fts, created by
+ * tools/logs-db.js and kept in sync by triggers). This module turns a query
+ * string into SQL against it and ranks the rows that match.
+ *
+ * Query syntax:
+ *   oomkilled memory        both words (AND is implied)
+ *   "circuit breaker"       phrase
+ *   replica*                prefix
+ *   a OR b, a AND b         boolean operators (upper case), grouped with ( )
+ *   NOT a, -a               exclusion
+ *   message:x, metadata:x   a word or phrase in that field only
+ *   service:x, level:x      exact service or level (service:payment* for a prefix)
+ *
+ * Words are split the way the index tokenizes them, so payment-service
+ * searches for the phrase "payment service". Ranking is BM25 over the
+ * non-negated words, message hits weighing twice as much as metadata hits.
+ */
+
+'use strict';
+
+// ── Configuration ──────────────────────────────────────────
+
+/** Log levels, least severe first */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
+
+/** Indexed columns, in logs_fts order, and their ranking weights */
+const TEXT_FIELDS = ['message', 'metadata'];
+const COLUMN_WEIGHTS = [1, 0.5];
+const COLUMN_FIELDS = ['service', 'level'];
+const FIELDS = [...TEXT_FIELDS, ...COLUMN_FIELDS];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/** Format string for matchinfo(); scoreMatch() reads its output */
+const MATCHINFO_FORMAT = 'pcnalx';
+const SNIPPET_OPEN = '<mark>';
+const SNIPPET_CLOSE = '</mark>';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_QUERY_LENGTH = 1000;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+// ── Parsing ────────────────────────────────────────────────
+
+/** Split a query into words, phrases, parentheses and operators */
+function lex(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readPhrase = () => {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) throw invalid(`Unterminated phrase in search: ${text.slice(i)}`);
+        const phrase = text.slice(i + 1, end);
+        i = end + 1;
+        const prefix = text[i] === '*';
+        if (prefix) i++;
+        return { phrase, prefix };
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ kind: ch });
+            i++;
+        } else if (ch === '"') {
+            const { phrase, prefix } = readPhrase();
+            tokens.push({ kind: 'term', field: null, value: phrase, prefix, raw: `"${phrase}"` });
+        } else if (ch === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+            tokens.push({ kind: 'NOT' });
+            i++;
+        } else {
+            const start = i;
+            while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+            const word = text.slice(start, i);
+
+            const scoped = /^([a-z_]+):(.*)$/i.exec(word);
+            if (OPERATORS.includes(word)) {
+                tokens.push({ kind: word });
+            } else if (scoped && (scoped[2] || text[i] === '"')) {
+                const field = scoped[1].toLowerCase();
+                if (!FIELDS.includes(field)) throw invalid(`Unknown search field "${scoped[1]}". Use one of: ${FIELDS.join(', ')}`);
+                const value = scoped[2] ? { phrase: scoped[2], prefix: false } : readPhrase();
+                tokens.push({ kind: 'term', field, value: value.phrase, prefix: value.prefix, raw: word + (scoped[2] ? '' : `"${value.phrase}"`) });
+            } else {
+                tokens.push({ kind: 'term', field: null, value: word, prefix: false, raw: word });
+            }
+        }
+    }
+    return tokens;
+}
+
+/** Words as the FTS4 simple tokenizer sees them: ASCII alphanumerics (lower-cased) and non-ASCII characters */
+function tokenize(text) {
+    return text.split(/[^A-Za-z0-9\u0080-\uffff]+/).filter(Boolean).map((word) => word.toLowerCase());
+}
+
+function leaf(token) {
+    let { value, prefix } = token;
+    if (value.endsWith('*')) {
+        value = value.slice(0, -1);
+        prefix = true;
+    }
+
+    if (COLUMN_FIELDS.includes(token.field)) {
+        if (!value) throw invalid(`Nothing to match in "${token.raw}"`);
+        if (token.field === 'level' && (prefix || !LOG_LEVELS.includes(value))) {
+            throw invalid(`Invalid level in "${token.raw}". Must be one of: ${LOG_LEVELS.join(', ')}`);
+        }
+        return { type: 'field', field: token.field, value, prefix };
+    }
+
+    const words = tokenize(value);
+    if (words.length === 0) throw invalid(`Nothing to search for in "${token.raw}"`);
+    return { type: 'text', field: token.field, words, prefix };
+}
+
+/**
+ * Parse a query string into a tree of and / or / not / text / field nodes.
+ * @param {string} text
+ * @returns {object|null} null for an empty query
+ * @throws {Error} code INVALID for a malformed query
+ */
+function parseSearch(text) {
+    if (typeof text !== 'string') throw invalid('Search must be a string');
+    if (text.length > MAX_QUERY_LENGTH) throw invalid(`Search is longer than ${MAX_QUERY_LENGTH} characters`);
+
+    const tokens = lex(text);
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].kind;
+
+    const describe = (token) => (token.kind === 'term' ? `"${token.raw}"` : token.kind);
+
+    function parseOr() {
+        const nodes = [parseAnd()];
+        while (peek() === 'OR') {
+            pos++;
+            nodes.push(parseAnd());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    }
+
+    function parseAnd() {
+        const nodes = [parseUnary()];
+        while (pos < tokens.length && peek() !== 'OR' && peek() !== ')') {
+            if (peek() === 'AND') pos++;
+            nodes.push(parseUnary());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    }
+
+    function parseUnary() {
+        if (peek() === 'NOT') {
+            pos++;
+            return { type: 'not', node: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[pos];
+        if (!token) throw invalid('Search ends where a word or phrase was expected');
+        pos++;
+        if (token.kind === '(') {
+            const node = parseOr();
+            if (peek() !== ')') throw invalid('Missing ")" in search');
+            pos++;
+            return node;
+        }
+        if (token.kind === 'term') return leaf(token);
+        throw invalid(`Unexpected ${describe(token)} in search`);
+    }
+
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (pos < tokens.length) throw invalid(`Unexpected ${describe(tokens[pos])} in search`);
+    return tree;
+}
+
+// ── Compiling ──────────────────────────────────────────────
+
+/** A leaf as an FTS4 MATCH phrase, e.g. "payment service*" */
+function matchPhrase(node) {
+    return `"${node.words.join(' ')}${node.prefix ? '*' : ''}"`;
+}
+
+/**
+ * Compile a query into a WHERE fragment over `logs l`.
+ * @param {string} text
+ * @returns {object|null} { where, params, match } — `match` ORs the non-negated
+ *   words for ranking and snippets (null when there are none); null for an empty query
+ * @throws {Error} code INVALID for a malformed query
+ */
+function compileSearch(text) {
+    const tree = parseSearch(text);
+    if (!tree) return null;
+
+    const params = {};
+    const ranked = [];
+    let n = 0;
+    const param = (value) => {
+        const name = `$search${n++}`;
+        params[name] = value;
+        return name;
+    };
+
+    function compile(node, negated) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return `(${node.nodes.map((child) => compile(child, negated)).join(` ${node.type.toUpperCase()} `)})`;
+            case 'not':
+                return `NOT ${compile(node.node, !negated)}`;
+            case 'field':
+                if (node.prefix) {
+                    return `l.${node.field} LIKE ${param(`${node.value.replace(/[\\%_]/g, '\\$&')}%`)} ESCAPE '\\'`;
+                }
+                return `l.${node.field} = ${param(node.value)}`;
+            default: {
+                const phrase = matchPhrase(node);
+                if (!negated) ranked.push(phrase);
+                return `l.rowid IN (SELECT docid FROM logs_fts WHERE ${node.field || 'logs_fts'} MATCH ${param(phrase)})`;
+            }
+        }
+    }
+
+    const where = compile(tree, false);
+    return { where, params, match: ranked.length > 0 ? [...new Set(ranked)].join(' OR ') : null };
+}
+
+// ── Ranking ────────────────────────────────────────────────
+
+/**
+ * BM25 score of one row from its matchinfo('pcnalx') blob.
+ * @param {Uint8Array} matchinfo
+ * @returns {number}
+ */
+function scoreMatch(matchinfo) {
+    if (!matchinfo || matchinfo.length === 0) return 0;
+    const view = new DataView(matchinfo.buffer, matchinfo.byteOffset, matchinfo.byteLength);
+    const at = (index) => view.getUint32(index * 4, true);
+
+    const phrases = at(0);
+    const columns = at(1);
+    const rows = at(2);
+    const avgLength = (col) => at(3 + col);
+    const length = (col) => at(3 + columns + col);
+    const hitsBase = 3 + 2 * columns;
+
+    let score = 0;
+    for (let p = 0; p < phrases; p++) {
+        for (let col = 0; col < columns; col++) {
+            const base = hitsBase + 3 * (p * columns + col);
+            const hits = at(base);
+            if (hits === 0) continue;
+            const docsWithHit = at(base + 2);
+            const idf = Math.log(1 + (rows - docsWithHit + 0.5) / (docsWithHit + 0.5));
+            const norm = 1 - BM25_B + BM25_B * (length(col) / (avgLength(col) || 1));
+            score += (COLUMN_WEIGHTS[col] || 1) * idf * (hits * (BM25_K1 + 1)) / (hits + BM25_K1 * norm);
+        }
+    }
+    return score;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    FIELDS,
+    MATCHINFO_FORMAT,
+    SNIPPET_OPEN,
+    SNIPPET_CLOSE,
+    parseSearch,
+    compileSearch,
+    scoreMatch,
+};
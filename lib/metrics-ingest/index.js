@@ -0,0 +1,314 @@
+/**
+ * Metrics Ingest — accept pushed samples into the metrics history
+ *
+ * Exporters push samples in Prometheus text exposition format or OTLP/JSON;
+ * each sample is mapped onto a snapshot field and stored in the same SQLite
+ * history (lib/metrics-store.js) that the simulator and Prometheus sources
+ * feed, so /metrics/history, /metrics/query, baselines and forecasts see it.
+ *
+ * Mapping a sample:
+ *   metric name  → snapshot field (cpu_percent, disk_percent, ...); dots become
+ *                  underscores, and METRICS_INGEST_MAP renames exporter metrics
+ *   service label (service, service.name, service_name) → that service's entry
+ *   node label (node, k8s.node.name, host.name)         → that node's entry
+ *                  (both: a service entry placed on that node)
+ *   neither      → the cluster-wide aggregate
+ *
+ * Samples sharing a timestamp (the push time when they carry none) become one
+ * snapshot, stored with source "push:<source>" and the source's labels.
+ * Invalid samples are rejected one by one, with a reference to where they were.
+ *
+ * With METRICS_SOURCE=push, the current snapshot merges the latest value of
+ * every field from every source, dropping entries not refreshed within
+ * METRICS_PUSH_STALE.
+ *
+ * Configuration (env):
+ *   METRICS_INGEST_MAP          JSON object of exporter metric name → snapshot field
+ *   METRICS_INGEST_MAX_SAMPLES  samples accepted per push (default 10000)
+ *   METRICS_PUSH_STALE          how long pushed values stay current (default 5m)
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const metricsStore = require('../metrics-store');
+const { summarize } = require('../metrics-model');
+const { parseDuration } = require('../duration');
+const { FIELD_LAYOUT, SERVICE_FIELDS, NODE_FIELDS } = require('../metrics-sources/prometheus');
+const { parsePrometheusText } = require('./prometheus-text');
+const { parseOtlpJson } = require('./otlp-json');
+
+// ── Configuration ──────────────────────────────────────────
+
+const FORMATS = ['prometheus', 'otlp'];
+const SERVICE_LABELS = ['service', 'service.name', 'service_name'];
+const NODE_LABELS = ['node', 'k8s.node.name', 'host.name'];
+const SOURCE_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+const LABEL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_.]{0,63}$/;
+/** Clock skew tolerated on sample timestamps */
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+function defaultConfig() {
+    let nameMap = {};
+    if (process.env.METRICS_INGEST_MAP) {
+        try {
+            nameMap = JSON.parse(process.env.METRICS_INGEST_MAP);
+        } catch (error) {
+            throw new Error(`METRICS_INGEST_MAP is not valid JSON: ${error.message}`);
+        }
+    }
+    return {
+        name_map: nameMap,
+        max_samples: parseInt(process.env.METRICS_INGEST_MAX_SAMPLES, 10) || 10000,
+        stale_ms: parseDuration(process.env.METRICS_PUSH_STALE || '5m'),
+    };
+}
+
+// ── Internal State ──────────────────────────────────────────
+let config = defaultConfig();
+const sources = new Map(); // source name -> { labels, pushes, accepted, rejected, first_push, last_push, latest }
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+function emptyFrame() {
+    return { cluster: {}, services: new Map(), nodes: new Map(), placement: new Set() };
+}
+
+// ── Sample Mapping ─────────────────────────────────────────
+
+function labelOf(labels, candidates) {
+    const key = candidates.find((candidate) => labels[candidate]);
+    return key ? labels[key] : null;
+}
+
+/**
+ * Work out where a sample goes, or why it can't be stored.
+ * @returns {{ field, kind, service, node, value } | { error: string }}
+ */
+function mapSample(sample, now) {
+    const field = config.name_map[sample.name] || sample.name.replace(/\./g, '_');
+    if (!FIELD_LAYOUT[field]) return { error: `unknown metric "${sample.name}"` };
+
+    const service = labelOf(sample.labels, SERVICE_LABELS);
+    const node = labelOf(sample.labels, NODE_LABELS);
+    const kind = service ? 'service' : (node ? 'node' : 'cluster');
+    if (kind === 'service' && !SERVICE_FIELDS.includes(field)) return { error: `"${field}" is not a per-service metric` };
+    if (kind === 'node' && !NODE_FIELDS.includes(field)) return { error: `"${field}" is not a per-node metric` };
+
+    const { value } = sample;
+    if (!Number.isFinite(value)) return { error: `"${sample.name}" value must be a finite number` };
+    if (value < 0) return { error: `"${sample.name}" must not be negative` };
+    if (field.endsWith('_percent') && value > 100) return { error: `"${sample.name}" is a percentage and must be at most 100` };
+    if (sample.timestamp_ms !== null && sample.timestamp_ms > now + MAX_FUTURE_MS) {
+        return { error: `timestamp ${new Date(sample.timestamp_ms).toISOString()} is in the future` };
+    }
+
+    return { field, kind, service, node, value: parseFloat(value.toFixed(FIELD_LAYOUT[field][1])) };
+}
+
+/** Put a mapped sample into a frame; an older sample never replaces a newer value */
+function applyToFrame(frame, mapped, epochMs) {
+    const setField = (map, name) => {
+        const entry = map.get(name) || { fields: {}, updated_at: epochMs };
+        if (epochMs >= entry.updated_at || !(mapped.field in entry.fields)) entry.fields[mapped.field] = mapped.value;
+        entry.updated_at = Math.max(entry.updated_at, epochMs);
+        map.set(name, entry);
+    };
+
+    if (mapped.kind === 'cluster') {
+        const current = frame.cluster[mapped.field];
+        if (!current || epochMs >= current.updated_at) frame.cluster[mapped.field] = { value: mapped.value, updated_at: epochMs };
+    } else if (mapped.kind === 'service') {
+        setField(frame.services, mapped.service);
+        if (mapped.node) frame.placement.add(`${mapped.service}|${mapped.node}`);
+    } else {
+        setField(frame.nodes, mapped.node);
+    }
+}
+
+/**
+ * Assemble a snapshot from a frame. Aggregates are computed from the nodes
+ * (or the services, when no node values were pushed), and explicitly pushed
+ * cluster-wide samples take precedence.
+ */
+function buildSnapshot(frame, epochMs, { source, labels, cluster }) {
+    const placement = [...frame.placement].map((key) => key.split('|'));
+    const services = [...frame.services.entries()].map(([name, entry]) => ({
+        name,
+        ...entry.fields,
+        nodes: placement.filter(([s]) => s === name).map(([, n]) => n),
+    }));
+    const nodes = [...frame.nodes.entries()].map(([name, entry]) => ({
+        name,
+        ...entry.fields,
+        services: placement.filter(([, n]) => n === name).map(([s]) => s),
+    }));
+    // Nodes that only appear in a placement still get an entry
+    for (const [, name] of placement) {
+        if (!nodes.some((n) => n.name === name)) nodes.push({ name, services: placement.filter(([, n]) => n === name).map(([s]) => s) });
+    }
+
+    const measured = nodes.some((n) => Object.values(n).some((v) => typeof v === 'number'));
+    const { infrastructure, application } = summarize(measured ? nodes : services, nodes);
+    const snapshot = {
+        id: uuidv4(),
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        source,
+        labels,
+        cluster,
+        infrastructure,
+        network: { ingress_mbps: null, egress_mbps: null },
+        application,
+        services,
+        nodes,
+        anomaly_mode: false,
+    };
+    for (const [field, { value }] of Object.entries(frame.cluster)) {
+        snapshot[FIELD_LAYOUT[field][0]][field] = value;
+    }
+    return snapshot;
+}
+
+function validateOptions({ format, source, labels }) {
+    if (!FORMATS.includes(format)) throw invalid(`"format" must be one of: ${FORMATS.join(', ')}`);
+    if (!SOURCE_RE.test(source)) throw invalid('"source" must be 1-64 letters, digits, ".", "_", ":" or "-"');
+    for (const [key, value] of Object.entries(labels)) {
+        if (!LABEL_NAME_RE.test(key)) throw invalid(`invalid label name "${key}"`);
+        if (typeof value !== 'string') throw invalid(`label "${key}" must be a string`);
+    }
+}
+
+// ── Ingestion ──────────────────────────────────────────────
+
+/**
+ * Parse, validate and store one push.
+ *
+ * @param {object} push
+ * @param {string} push.format - prometheus | otlp
+ * @param {string|object} push.body - Exposition text, or the parsed OTLP/JSON body
+ * @param {string} [push.source='push'] - Who is pushing (exporter or job name)
+ * @param {object} [push.labels] - Labels attached to everything from this source (e.g. { env: 'prod' })
+ * @param {number} [now=Date.now()] - Timestamp for samples that carry none
+ * @returns {Promise<object>} { source, format, accepted, rejected, snapshots, errors }
+ * @throws {Error} with `code = 'INVALID'` for bad options or an oversized payload
+ */
+async function ingest({ format, body, source = 'push', labels = {} }, now = Date.now()) {
+    validateOptions({ format, source, labels });
+
+    const parsed = format === 'prometheus' ? parsePrometheusText(body) : parseOtlpJson(body);
+    if (parsed.samples.length > config.max_samples) {
+        throw invalid(`Too many samples (${parsed.samples.length}); at most ${config.max_samples} per push`);
+    }
+
+    const errors = [...parsed.errors];
+    const frames = new Map(); // epoch ms -> frame
+    const state = sources.get(source) || { pushes: 0, accepted: 0, rejected: 0, first_push: now, latest: emptyFrame() };
+    let accepted = 0;
+
+    for (const sample of parsed.samples) {
+        const mapped = mapSample(sample, now);
+        if (mapped.error) {
+            errors.push({ ref: sample.ref, metric: sample.name, error: mapped.error });
+            continue;
+        }
+        const epochMs = sample.timestamp_ms === null ? now : sample.timestamp_ms;
+        if (!frames.has(epochMs)) frames.set(epochMs, emptyFrame());
+        applyToFrame(frames.get(epochMs), mapped, epochMs);
+        applyToFrame(state.latest, mapped, epochMs);
+        accepted += 1;
+    }
+
+    const snapshotLabels = { ...labels, source };
+    const cluster = labels.cluster || process.env.METRICS_CLUSTER || 'push';
+    const snapshots = [];
+    for (const epochMs of [...frames.keys()].sort((a, b) => a - b)) {
+        const snapshot = buildSnapshot(frames.get(epochMs), epochMs, { source: `push:${source}`, labels: snapshotLabels, cluster });
+        await metricsStore.recordSnapshot(snapshot);
+        snapshots.push(snapshot.id);
+    }
+
+    if (accepted > 0) {
+        Object.assign(state, {
+            labels: snapshotLabels,
+            cluster,
+            pushes: state.pushes + 1,
+            accepted: state.accepted + accepted,
+            rejected: state.rejected + errors.length,
+            last_push: now,
+        });
+        sources.set(source, state);
+    }
+    console.log(`[metrics-ingest] ${source}: ${accepted} sample(s) accepted, ${errors.length} rejected (${format})`);
+
+    return { source, format, labels: snapshotLabels, accepted, rejected: errors.length, snapshots, errors };
+}
+
+/**
+ * The current state of every pushed field across sources, as one snapshot
+ * (the push metrics source). Entries not refreshed within METRICS_PUSH_STALE are left out.
+ */
+function pushedSnapshot(now = Date.now()) {
+    const merged = emptyFrame();
+    const fresh = (updatedAt) => now - updatedAt <= config.stale_ms;
+    let cluster = process.env.METRICS_CLUSTER || 'push';
+
+    // Oldest push first, so the most recent value of a field wins
+    const ordered = [...sources.values()].sort((a, b) => a.last_push - b.last_push);
+    for (const state of ordered) {
+        cluster = state.cluster;
+        for (const [field, entry] of Object.entries(state.latest.cluster)) {
+            if (fresh(entry.updated_at)) merged.cluster[field] = entry;
+        }
+        for (const kind of ['services', 'nodes']) {
+            for (const [name, entry] of state.latest[kind]) {
+                if (!fresh(entry.updated_at)) continue;
+                const target = merged[kind].get(name) || { fields: {}, updated_at: entry.updated_at };
+                Object.assign(target.fields, entry.fields);
+                target.updated_at = Math.max(target.updated_at, entry.updated_at);
+                merged[kind].set(name, target);
+            }
+        }
+        for (const key of state.latest.placement) {
+            const [service] = key.split('|');
+            if (merged.services.has(service)) merged.placement.add(key);
+        }
+    }
+
+    return buildSnapshot(merged, now, { source: 'push', labels: { source: 'push' }, cluster });
+}
+
+/** Sources that have pushed since startup, most recent first */
+function listSources() {
+    return [...sources.entries()]
+        .map(([name, state]) => ({
+            name,
+            labels: state.labels,
+            pushes: state.pushes,
+            samples_accepted: state.accepted,
+            samples_rejected: state.rejected,
+            services: state.latest.services.size,
+            nodes: state.latest.nodes.size,
+            first_push: new Date(state.first_push).toISOString(),
+            last_push: new Date(state.last_push).toISOString(),
+        }))
+        .sort((a, b) => Date.parse(b.last_push) - Date.parse(a.last_push));
+}
+
+/** Forget pushed state and re-read configuration (tests only). */
+function resetForTesting() {
+    sources.clear();
+    config = defaultConfig();
+}
+
+module.exports = {
+    FORMATS,
+    ingest,
+    pushedSnapshot,
+    listSources,
+    resetForTesting,
+};
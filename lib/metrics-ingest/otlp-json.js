@@ -0,0 +1,113 @@
+/**
+ * Metrics Ingest: OTLP/JSON (ExportMetricsServiceRequest)
+ *
+ * Accepts the JSON encoding of OTLP metrics, as sent by OpenTelemetry
+ * exporters configured for http/json:
+ *
+ *   { "resourceMetrics": [{
+ *       "resource": { "attributes": [{ "key": "service.name", "value": { "stringValue": "auth-service" } }] },
+ *       "scopeMetrics": [{ "metrics": [{
+ *           "name": "cpu_percent",
+ *           "gauge": { "dataPoints": [{ "timeUnixNano": "1700000000000000000", "asDouble": 42.5 }] }
+ *       }] }]
+ *   }] }
+ *
+ * Gauge and sum data points are read; resource and data point attributes
+ * become the sample's labels (data point attributes win). Histograms and
+ * summaries are reported as errors, since snapshots hold single values.
+ */
+
+'use strict';
+
+/** Flatten an OTLP AnyValue into a label string */
+function anyValueToString(value) {
+    if (!value || typeof value !== 'object') return '';
+    if ('stringValue' in value) return String(value.stringValue);
+    if ('intValue' in value) return String(value.intValue);
+    if ('doubleValue' in value) return String(value.doubleValue);
+    if ('boolValue' in value) return String(value.boolValue);
+    return JSON.stringify(value.arrayValue || value.kvlistValue || value.bytesValue || '');
+}
+
+function attributesToLabels(attributes) {
+    const labels = {};
+    for (const attribute of Array.isArray(attributes) ? attributes : []) {
+        if (attribute && typeof attribute.key === 'string') labels[attribute.key] = anyValueToString(attribute.value);
+    }
+    return labels;
+}
+
+/** Data point value: asDouble, or asInt (a string in the JSON encoding) */
+function pointValue(point) {
+    if (typeof point.asDouble === 'number') return point.asDouble;
+    if (typeof point.asDouble === 'string') return parseFloat(point.asDouble);
+    if (point.asInt !== undefined) return Number(point.asInt);
+    return null;
+}
+
+/** timeUnixNano (string or number) → epoch ms, or null when absent */
+function pointTimeMs(point) {
+    if (point.timeUnixNano === undefined || point.timeUnixNano === null || point.timeUnixNano === '0' || point.timeUnixNano === 0) return null;
+    const nanos = String(point.timeUnixNano);
+    if (!/^\d+$/.test(nanos)) return NaN;
+    return nanos.length > 6 ? parseInt(nanos.slice(0, -6), 10) : 0;
+}
+
+/**
+ * Parse an OTLP/JSON metrics payload.
+ * @param {object} body - Parsed JSON
+ * @returns {{ samples: Array<{ name, labels, value, timestamp_ms, ref }>, errors: Array<{ ref, error }> }}
+ *   `ref` is a JSON path such as "resourceMetrics[0].scopeMetrics[0].metrics[2]"
+ */
+function parseOtlpJson(body) {
+    const samples = [];
+    const errors = [];
+
+    if (!body || !Array.isArray(body.resourceMetrics)) {
+        return { samples, errors: [{ ref: 'body', error: 'expected an object with a "resourceMetrics" array' }] };
+    }
+
+    body.resourceMetrics.forEach((resourceMetrics, r) => {
+        const resourceLabels = attributesToLabels(resourceMetrics && resourceMetrics.resource && resourceMetrics.resource.attributes);
+        ((resourceMetrics && resourceMetrics.scopeMetrics) || []).forEach((scopeMetrics, s) => {
+            ((scopeMetrics && scopeMetrics.metrics) || []).forEach((metric, m) => {
+                const metricRef = `resourceMetrics[${r}].scopeMetrics[${s}].metrics[${m}]`;
+                if (!metric || typeof metric.name !== 'string' || metric.name === '') {
+                    errors.push({ ref: metricRef, error: 'metric has no name' });
+                    return;
+                }
+                const data = metric.gauge || metric.sum;
+                if (!data) {
+                    const kind = Object.keys(metric).find((key) => ['histogram', 'exponentialHistogram', 'summary'].includes(key));
+                    errors.push({ ref: metricRef, error: kind ? `unsupported metric type "${kind}" for "${metric.name}"` : `"${metric.name}" has no gauge or sum data` });
+                    return;
+                }
+
+                (data.dataPoints || []).forEach((point, p) => {
+                    const ref = `${metricRef}.dataPoints[${p}]`;
+                    const value = pointValue(point || {});
+                    const timestampMs = pointTimeMs(point || {});
+                    if (value === null || Number.isNaN(value)) {
+                        errors.push({ ref, error: `"${metric.name}" data point has no numeric asDouble/asInt` });
+                    } else if (Number.isNaN(timestampMs)) {
+                        errors.push({ ref, error: `invalid timeUnixNano "${point.timeUnixNano}"` });
+                    } else {
+                        samples.push({
+                            name: metric.name,
+                            labels: { ...resourceLabels, ...attributesToLabels(point.attributes) },
+                            value,
+                            timestamp_ms: timestampMs,
+                            ref,
+                        });
+                    }
+                });
+            });
+        });
+    });
+
+    return { samples, errors };
+}
+
+module.exports = {
+    parseOtlpJson,
+};
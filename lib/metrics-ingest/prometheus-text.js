@@ -0,0 +1,109 @@
+/**
+ * Metrics Ingest: Prometheus text exposition format (0.0.4)
+ *
+ * Parses what exporters serve on /metrics:
+ *
+ *   # HELP node_disk_percent Root filesystem usage
+ *   # TYPE node_disk_percent gauge
+ *   disk_percent{node="prod-k8s-node-01"} 71.5 1700000000000
+ *
+ * Comments and HELP/TYPE lines are skipped. Lines that don't parse are
+ * reported with their line number; the rest of the payload is still used.
+ */
+
+'use strict';
+
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*/;
+const LABEL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+
+/** Parse a sample value, including the NaN / +Inf / -Inf spellings */
+function parseValue(raw) {
+    if (raw === 'NaN') return NaN;
+    if (raw === '+Inf' || raw === 'Inf') return Infinity;
+    if (raw === '-Inf') return -Infinity;
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(raw)) return null;
+    return parseFloat(raw);
+}
+
+/**
+ * Parse the `{a="b",c="d"}` label block starting at `text[0]`.
+ * @returns {{ labels: object, rest: string }}
+ * @throws {Error} on malformed labels
+ */
+function parseLabels(text) {
+    const labels = {};
+    let i = 1; // past "{"
+    for (;;) {
+        while (text[i] === ' ' || text[i] === ',') i++;
+        if (text[i] === '}') return { labels, rest: text.slice(i + 1) };
+
+        const name = LABEL_NAME_RE.exec(text.slice(i));
+        if (!name) throw new Error(`invalid label name at column ${i + 1}`);
+        i += name[0].length;
+        while (text[i] === ' ') i++;
+        if (text[i] !== '=' || text[i + 1] !== '"') throw new Error(`expected ="..." after label "${name[0]}"`);
+        i += 2;
+
+        let value = '';
+        for (;;) {
+            if (i >= text.length) throw new Error(`unterminated value for label "${name[0]}"`);
+            const ch = text[i];
+            if (ch === '"') break;
+            if (ch === '\\') {
+                const next = text[i + 1];
+                value += next === 'n' ? '\n' : next;
+                i += 2;
+            } else {
+                value += ch;
+                i += 1;
+            }
+        }
+        labels[name[0]] = value;
+        i += 1; // past closing quote
+    }
+}
+
+/**
+ * Parse a Prometheus text exposition payload.
+ * @param {string} text
+ * @returns {{ samples: Array<{ name, labels, value, timestamp_ms, ref }>, errors: Array<{ ref, error }> }}
+ *   `ref` is "line N"; timestamp_ms is null when the line has none
+ */
+function parsePrometheusText(text) {
+    const samples = [];
+    const errors = [];
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const ref = `line ${index + 1}`;
+        if (line === '' || line.startsWith('#')) return;
+
+        try {
+            const name = NAME_RE.exec(line);
+            if (!name) throw new Error('expected a metric name');
+            let rest = line.slice(name[0].length);
+            let labels = {};
+            if (rest.startsWith('{')) ({ labels, rest } = parseLabels(rest));
+
+            const parts = rest.trim().split(/\s+/).filter(Boolean);
+            if (parts.length === 0 || parts.length > 2) throw new Error('expected "<value> [timestamp]" after the metric');
+            const value = parseValue(parts[0]);
+            if (value === null) throw new Error(`invalid value "${parts[0]}"`);
+            let timestampMs = null;
+            if (parts.length === 2) {
+                if (!/^-?\d+$/.test(parts[1])) throw new Error(`invalid timestamp "${parts[1]}"`);
+                timestampMs = parseInt(parts[1], 10);
+            }
+
+            samples.push({ name: name[0], labels, value, timestamp_ms: timestampMs, ref });
+        } catch (error) {
+            errors.push({ ref, error: error.message });
+        }
+    });
+
+    return { samples, errors };
+}
+
+module.exports = {
+    parsePrometheusText,
+};
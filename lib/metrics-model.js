@@ -0,0 +1,207 @@
+/**
+ * Metrics Model — per-service and per-node snapshot helpers
+ *
+ * A snapshot carries one entry per service and per node, each with its own
+ * CPU, memory, pods, error rate and latency, plus cluster-wide aggregates in
+ * the `infrastructure` and `application` sections:
+ *
+ *   cpu_percent / memory_percent — mean over nodes (or over services when filtered by service)
+ *   disk_percent                 — worst node, since one full disk is already an incident
+ *   pods_running / pods_desired  — sums
+ *   requests_per_second          — sum
+ *   error_rate_percent / avg_response_time_ms — weighted by requests_per_second
+ *   p99_response_time_ms         — worst entity
+ *
+ * Shared by every metrics source, the metrics-fetcher filters and the
+ * history store's downsampling.
+ */
+
+'use strict';
+
+// ── Default Fleet ──────────────────────────────────────────
+
+/** Nodes and services the simulator models. traffic_share sums to 1. */
+const DEFAULT_FLEET = {
+    cluster: 'us-east-1-primary',
+    nodes: ['prod-k8s-node-01', 'prod-k8s-node-02', 'prod-k8s-node-03'],
+    services: [
+        { name: 'api-gateway', pods_desired: 3, traffic_share: 0.35, nodes: ['prod-k8s-node-01', 'prod-k8s-node-02', 'prod-k8s-node-03'] },
+        { name: 'auth-service', pods_desired: 2, traffic_share: 0.2, nodes: ['prod-k8s-node-01', 'prod-k8s-node-02'] },
+        { name: 'payment-service', pods_desired: 3, traffic_share: 0.15, nodes: ['prod-k8s-node-02', 'prod-k8s-node-03'] },
+        { name: 'database-proxy', pods_desired: 2, traffic_share: 0.2, nodes: ['prod-k8s-node-01', 'prod-k8s-node-03'] },
+        { name: 'cache-service', pods_desired: 2, traffic_share: 0.1, nodes: ['prod-k8s-node-02', 'prod-k8s-node-03'] },
+    ],
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function round(value, precision) {
+    return value === null ? null : parseFloat(value.toFixed(precision));
+}
+
+/** Values of `key` across entities, ignoring missing ones */
+function present(entities, key) {
+    return entities.map((e) => e[key]).filter((v) => typeof v === 'number' && Number.isFinite(v));
+}
+
+function mean(values) {
+    return values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function sum(values) {
+    return values.length === 0 ? null : values.reduce((a, b) => a + b, 0);
+}
+
+function max(values) {
+    return values.length === 0 ? null : Math.max(...values);
+}
+
+/** Mean of `key` weighted by requests_per_second (plain mean when there is no traffic) */
+function trafficWeighted(entities, key) {
+    const pairs = entities.filter((e) => typeof e[key] === 'number' && typeof e.requests_per_second === 'number');
+    const totalRps = pairs.reduce((acc, e) => acc + e.requests_per_second, 0);
+    if (pairs.length === 0) return mean(present(entities, key));
+    if (totalRps === 0) return mean(pairs.map((e) => e[key]));
+    return pairs.reduce((acc, e) => acc + e[key] * e.requests_per_second, 0) / totalRps;
+}
+
+// ── Aggregation ────────────────────────────────────────────
+
+/**
+ * Compute the aggregate sections from a set of entities.
+ * @param {Array<object>} entities - Services or nodes the aggregates describe
+ * @param {Array<object>} nodes - Nodes backing those entities (for disk usage)
+ * @returns {{ infrastructure: object, application: object }}
+ */
+function summarize(entities, nodes) {
+    return {
+        infrastructure: {
+            cpu_percent: round(mean(present(entities, 'cpu_percent')), 1),
+            disk_percent: round(max(present(nodes, 'disk_percent')), 1),
+            memory_percent: round(mean(present(entities, 'memory_percent')), 1),
+            pods_running: sum(present(entities, 'pods_running')),
+            pods_desired: sum(present(entities, 'pods_desired')),
+        },
+        application: {
+            requests_per_second: round(sum(present(entities, 'requests_per_second')), 0),
+            error_rate_percent: round(trafficWeighted(entities, 'error_rate_percent'), 2),
+            avg_response_time_ms: round(trafficWeighted(entities, 'avg_response_time_ms'), 0),
+            p99_response_time_ms: round(max(present(entities, 'p99_response_time_ms')), 0),
+        },
+    };
+}
+
+/**
+ * Restrict a snapshot to one service and/or node and recompute its aggregates.
+ * A service filter keeps the nodes hosting that service; a node filter keeps
+ * the services scheduled on that node.
+ *
+ * @param {object} snapshot
+ * @param {object} filters
+ * @param {string} [filters.service]
+ * @param {string} [filters.node]
+ * @returns {object} A new snapshot (the input is not modified)
+ * @throws {Error} with `code = 'UNKNOWN_TARGET'` when the service or node doesn't exist
+ */
+function filterSnapshot(snapshot, { service, node } = {}) {
+    if (!service && !node) return snapshot;
+
+    let services = snapshot.services || [];
+    let nodes = snapshot.nodes || [];
+
+    if (service) {
+        services = services.filter((s) => s.name === service);
+        if (services.length === 0) throw unknownTarget('service', service, snapshot.services);
+        nodes = nodes.filter((n) => services[0].nodes.includes(n.name));
+    }
+    if (node) {
+        const match = (snapshot.nodes || []).find((n) => n.name === node);
+        if (!match) throw unknownTarget('node', node, snapshot.nodes);
+        nodes = nodes.filter((n) => n.name === node);
+        services = services.filter((s) => s.nodes.includes(node));
+    }
+
+    const { infrastructure, application } = summarize(service ? services : nodes, nodes);
+
+    return {
+        ...snapshot,
+        filters: { service: service || null, node: node || null },
+        infrastructure,
+        application,
+        services,
+        nodes,
+    };
+}
+
+/** Weighted mean of every numeric field present in `objects` */
+function weightedFields(objects, weights) {
+    const totals = {};
+    const result = {};
+    objects.forEach((obj, i) => {
+        for (const [key, value] of Object.entries(obj || {})) {
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                totals[key] = totals[key] || { sum: 0, weight: 0 };
+                totals[key].sum += value * weights[i];
+                totals[key].weight += weights[i];
+            } else if (!(key in result) || value !== null) {
+                result[key] = value;
+            }
+        }
+    });
+    for (const [key, { sum: total, weight }] of Object.entries(totals)) {
+        result[key] = weight === 0 ? null : round(total / weight, 2);
+    }
+    return result;
+}
+
+/** Average same-named entities (services or nodes) across snapshots */
+function averageEntities(lists, weights) {
+    const byName = new Map();
+    lists.forEach((list, i) => {
+        for (const entity of list || []) {
+            if (!byName.has(entity.name)) byName.set(entity.name, { entities: [], weights: [] });
+            byName.get(entity.name).entities.push(entity);
+            byName.get(entity.name).weights.push(weights[i]);
+        }
+    });
+    return [...byName.values()].map(({ entities, weights: w }) => weightedFields(entities, w));
+}
+
+/**
+ * Average several snapshots into one — used for downsampling history.
+ * Numeric fields become weighted means (2 decimals); everything else
+ * (names, node lists, ids) comes from the latest snapshot that has it.
+ *
+ * @param {Array<{ snapshot: object, weight?: number }>} entries - Oldest first
+ * @returns {object} Snapshot-shaped average with `samples` = total weight
+ */
+function averageSnapshots(entries) {
+    const snapshots = entries.map((e) => e.snapshot);
+    const weights = entries.map((e) => (typeof e.weight === 'number' ? e.weight : 1));
+    const latest = snapshots[snapshots.length - 1];
+
+    return {
+        source: latest.source,
+        cluster: latest.cluster,
+        infrastructure: weightedFields(snapshots.map((s) => s.infrastructure), weights),
+        network: weightedFields(snapshots.map((s) => s.network), weights),
+        application: weightedFields(snapshots.map((s) => s.application), weights),
+        services: averageEntities(snapshots.map((s) => s.services), weights),
+        nodes: averageEntities(snapshots.map((s) => s.nodes), weights),
+        samples: weights.reduce((a, b) => a + b, 0),
+    };
+}
+
+function unknownTarget(kind, name, entities) {
+    const known = (entities || []).map((e) => e.name);
+    const error = new Error(`Unknown ${kind} "${name}". Known ${kind}s: ${known.join(', ') || 'none'}`);
+    error.code = 'UNKNOWN_TARGET';
+    return error;
+}
+
+module.exports = {
+    DEFAULT_FLEET,
+    summarize,
+    filterSnapshot,
+    averageSnapshots,
+};
@@ -0,0 +1,249 @@
+/**
+ * Metrics Query — aggregate one metric over a time window
+ *
+ * Answers questions such as "p95 latency per service over the last hour" or
+ * "peak disk per node since midnight" from the stored history
+ * (lib/metrics-store.js), instead of making callers pull raw snapshots.
+ *
+ * Aggregations:
+ *   avg        mean, weighted by the raw samples behind each point
+ *   min / max  extremes of the stored points
+ *   sum        sum of the stored points
+ *   count      number of stored points
+ *   last       most recent value
+ *   percentile linearly interpolated between ranks ("p50", "p95"... are shorthands)
+ *   rate       change per second between the first and last point (also reports `delta`)
+ *
+ * Where raw retention has expired, points are 1m/5m/1h rollups, i.e. bucket
+ * means — min, max and percentiles over those are smoother than the raw data was.
+ */
+
+'use strict';
+
+const metricsStore = require('./metrics-store');
+const { filterSnapshot } = require('./metrics-model');
+
+// ── Configuration ──────────────────────────────────────────
+
+const ENTITY_METRICS = [
+    'cpu_percent', 'memory_percent', 'pods_running', 'pods_desired', 'requests_per_second',
+    'error_rate_percent', 'avg_response_time_ms', 'p99_response_time_ms',
+];
+
+/** Metrics available per grouping, and the snapshot section cluster metrics live in */
+const METRICS = {
+    service: ENTITY_METRICS,
+    node: [...ENTITY_METRICS, 'disk_percent'],
+    cluster: {
+        cpu_percent: 'infrastructure',
+        memory_percent: 'infrastructure',
+        disk_percent: 'infrastructure',
+        pods_running: 'infrastructure',
+        pods_desired: 'infrastructure',
+        requests_per_second: 'application',
+        error_rate_percent: 'application',
+        avg_response_time_ms: 'application',
+        p99_response_time_ms: 'application',
+        ingress_mbps: 'network',
+        egress_mbps: 'network',
+    },
+};
+
+const AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count', 'last', 'percentile', 'rate'];
+const GROUP_BY = ['service', 'node'];
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
+function round(value, precision = 2) {
+    return parseFloat(value.toFixed(precision));
+}
+
+function epochOf(snapshot) {
+    return typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+}
+
+// ── Aggregation ────────────────────────────────────────────
+
+/** Linear interpolation between closest ranks (same as numpy's default) */
+function percentileOf(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Reduce one series to a single value.
+ * @param {Array<{ t: number, value: number, weight: number }>} series - Oldest first, non-empty
+ * @returns {object} { value, delta? }
+ */
+function aggregate(series, aggregation, percentile) {
+    const values = series.map((p) => p.value);
+    switch (aggregation) {
+        case 'avg': {
+            const weight = series.reduce((acc, p) => acc + p.weight, 0);
+            return { value: round(series.reduce((acc, p) => acc + p.value * p.weight, 0) / weight) };
+        }
+        case 'min':
+            return { value: Math.min(...values) };
+        case 'max':
+            return { value: Math.max(...values) };
+        case 'sum':
+            return { value: round(values.reduce((a, b) => a + b, 0)) };
+        case 'count':
+            return { value: values.length };
+        case 'last':
+            return { value: values[values.length - 1] };
+        case 'percentile':
+            return { value: round(percentileOf([...values].sort((a, b) => a - b), percentile)) };
+        case 'rate': {
+            const first = series[0];
+            const last = series[series.length - 1];
+            const seconds = (last.t - first.t) / 1000;
+            return { value: seconds > 0 ? round((last.value - first.value) / seconds, 4) : 0, delta: round(last.value - first.value) };
+        }
+        default:
+            throw invalid(`Unknown aggregation "${aggregation}"`);
+    }
+}
+
+// ── Series Extraction ──────────────────────────────────────
+
+/**
+ * Split stored points into one series per group.
+ * @returns {Map<string, Array<{ t, value, weight }>>} Keyed by service/node name, or "cluster"
+ */
+function collectSeries(points, { metric, groupBy, service, node }) {
+    const series = new Map();
+    const push = (key, t, value, weight) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push({ t, value, weight });
+    };
+
+    for (const { snapshot, weight } of points) {
+        const t = epochOf(snapshot);
+        if (groupBy === 'service') {
+            for (const entity of snapshot.services || []) {
+                if (service && entity.name !== service) continue;
+                if (node && !(entity.nodes || []).includes(node)) continue;
+                push(entity.name, t, entity[metric], weight);
+            }
+        } else if (groupBy === 'node') {
+            for (const entity of snapshot.nodes || []) {
+                if (node && entity.name !== node) continue;
+                if (service && !(entity.services || []).includes(service)) continue;
+                push(entity.name, t, entity[metric], weight);
+            }
+        } else {
+            let scoped = snapshot;
+            try {
+                scoped = filterSnapshot(snapshot, { service, node });
+            } catch (error) {
+                // Points from before the service or node existed don't count
+                if (error.code === 'UNKNOWN_TARGET') continue;
+                throw error;
+            }
+            const section = scoped[METRICS.cluster[metric]] || {};
+            push('cluster', t, section[metric], weight);
+        }
+    }
+    return series;
+}
+
+// ── Query ──────────────────────────────────────────────────
+
+/**
+ * Check and normalise query options.
+ * @returns {object} { metric, aggregation, percentile, groupBy, from, to, service, node }
+ * @throws {Error} with `code = 'INVALID'`
+ */
+function normalizeQuery({ metric, aggregation = 'avg', percentile, group_by: groupBy, from, to, window, service, node }, now) {
+    let agg = String(aggregation).toLowerCase();
+    let p = percentile;
+    const shorthand = /^p(\d{1,2}(?:\.\d+)?)$/.exec(agg);
+    if (shorthand) {
+        agg = 'percentile';
+        p = parseFloat(shorthand[1]);
+    }
+    if (!AGGREGATIONS.includes(agg)) {
+        throw invalid(`"aggregation" must be one of: ${AGGREGATIONS.join(', ')} (or p50, p95, p99...)`);
+    }
+    if (agg === 'percentile') {
+        p = typeof p === 'string' ? parseFloat(p) : p;
+        if (typeof p !== 'number' || !(p >= 0 && p <= 100)) throw invalid('"percentile" must be a number between 0 and 100');
+    } else {
+        p = undefined;
+    }
+
+    if (groupBy !== undefined && groupBy !== null && groupBy !== 'none' && !GROUP_BY.includes(groupBy)) {
+        throw invalid(`"group_by" must be one of: ${GROUP_BY.join(', ')}`);
+    }
+    const kind = GROUP_BY.includes(groupBy) ? groupBy : null;
+    const known = kind ? METRICS[kind] : Object.keys(METRICS.cluster);
+    if (!metric) throw invalid('"metric" is required');
+    if (!known.includes(metric)) {
+        throw invalid(`Unknown metric "${metric}"${kind ? ` for group_by=${kind}` : ''}. Available: ${known.join(', ')}`);
+    }
+
+    const end = to === undefined ? now : to;
+    const start = from === undefined ? end - (window === undefined ? DEFAULT_WINDOW_MS : window) : from;
+    if (!Number.isFinite(start) || !Number.isFinite(end)) throw invalid('"from", "to" and "window" must describe a valid time range');
+    if (start > end) throw invalid('"from" must be before "to"');
+
+    return { metric, aggregation: agg, percentile: p, groupBy: kind, from: start, to: end, service, node };
+}
+
+/**
+ * Aggregate one metric over a time window, optionally per service or node.
+ *
+ * @param {object} options
+ * @param {string} options.metric - e.g. cpu_percent, p99_response_time_ms, disk_percent
+ * @param {string} [options.aggregation='avg'] - See AGGREGATIONS, or p50/p95/p99
+ * @param {number} [options.percentile] - 0–100, for aggregation "percentile"
+ * @param {string} [options.group_by] - service | node (default: one cluster-wide result)
+ * @param {number} [options.from] - Epoch ms (default: `to` minus `window`)
+ * @param {number} [options.to=now] - Epoch ms
+ * @param {number} [options.window=1h] - Window length in ms, when `from` isn't given
+ * @param {string} [options.service] - Only this service (or nodes hosting it)
+ * @param {string} [options.node] - Only this node (or services scheduled on it)
+ * @returns {Promise<object>} { metric, aggregation, percentile?, group_by, window, results }
+ *   — one result per group that has data, highest value first
+ * @throws {Error} with `code = 'INVALID'` for a malformed query
+ */
+async function queryMetrics(options = {}, now = Date.now()) {
+    const query = normalizeQuery(options, now);
+    const points = await metricsStore.readRange({ from: query.from, to: query.to });
+    const series = collectSeries(points, query);
+
+    const results = [...series.entries()].map(([name, values]) => ({
+        group: query.groupBy ? { [query.groupBy]: name } : null,
+        ...aggregate(values, query.aggregation, query.percentile),
+        points: values.length,
+        samples: values.reduce((acc, p) => acc + p.weight, 0),
+        first: new Date(values[0].t).toISOString(),
+        last: new Date(values[values.length - 1].t).toISOString(),
+    }));
+    results.sort((a, b) => b.value - a.value);
+
+    return {
+        metric: query.metric,
+        aggregation: query.aggregation,
+        ...(query.percentile === undefined ? {} : { percentile: query.percentile }),
+        group_by: query.groupBy,
+        filters: { service: query.service || null, node: query.node || null },
+        window: { from: new Date(query.from).toISOString(), to: new Date(query.to).toISOString() },
+        results,
+    };
+}
+
+module.exports = {
+    METRICS,
+    AGGREGATIONS,
+    queryMetrics,
+};
@@ -0,0 +1,220 @@
+/**
+ * Metrics Sources — pluggable backends for infrastructure snapshots
+ *
+ * Every source implements the same interface:
+ *   name        — identifier reported in snapshots and /status
+ *   snapshot(opts) — Promise resolving to one snapshot in the metrics-fetcher
+ *                    shape; opts.seed makes simulated data reproducible
+ *   range(opts)    — optional; Promise resolving to snapshots for { start, end, step }
+ *
+ * The active source is chosen with METRICS_SOURCE:
+ *   simulator  (default) — random data with anomaly injection (SIM_SEED to seed)
+ *   prometheus           — PromQL against PROMETHEUS_URL
+ *   replay               — a recording (METRICS_REPLAY_FILE) served back verbatim
+ *   push                 — whatever exporters send to POST /metrics/ingest
+ *
+ * METRICS_RECORD_FILE records every snapshot of the active source to disk
+ * from startup; recording and replay can also be toggled at runtime.
+ *
+ * Used by both the REST metrics-fetcher tool and the MCP server.
+ */
+
+'use strict';
+
+const path = require('path');
+const { createSimulatorSource } = require('./simulator');
+const { createPrometheusSource } = require('./prometheus');
+const { createPushSource } = require('./push');
+const recording = require('./recording');
+
+let activeSource = null;
+let envRecordingStarted = false;
+
+function sourceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse PROMETHEUS_QUERIES (a JSON object of field → PromQL overrides).
+ */
+function parseQueryOverrides(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`PROMETHEUS_QUERIES is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Build a source from its name and the current environment.
+ * @param {string} name - simulator | prometheus | replay | push
+ * @returns {object} Metrics source
+ */
+function createSource(name) {
+    switch (name) {
+        case 'simulator':
+            return createSimulatorSource();
+        case 'prometheus':
+            return createPrometheusSource({
+                url: process.env.PROMETHEUS_URL || 'http://localhost:9090',
+                queries: parseQueryOverrides(process.env.PROMETHEUS_QUERIES),
+                serviceLabel: process.env.PROMETHEUS_SERVICE_LABEL,
+                nodeLabel: process.env.PROMETHEUS_NODE_LABEL,
+                timeoutMs: parseInt(process.env.PROMETHEUS_TIMEOUT_MS, 10) || undefined,
+                cluster: process.env.METRICS_CLUSTER,
+            });
+        case 'replay':
+            if (!process.env.METRICS_REPLAY_FILE) throw new Error('METRICS_SOURCE=replay requires METRICS_REPLAY_FILE');
+            return recording.createReplaySource({
+                file: path.resolve(process.env.METRICS_REPLAY_FILE),
+                loop: process.env.METRICS_REPLAY_LOOP === 'true',
+            });
+        case 'push':
+            return createPushSource();
+        default:
+            throw new Error(`Unknown METRICS_SOURCE "${name}". Must be one of: simulator, prometheus, replay, push`);
+    }
+}
+
+/**
+ * Return the configured metrics source, creating it on first use.
+ * @returns {object} Metrics source
+ */
+function getMetricsSource() {
+    if (!activeSource) {
+        activeSource = createSource(process.env.METRICS_SOURCE || 'simulator');
+        console.log(`[metrics-sources] Using "${activeSource.name}" metrics source`);
+        // Only once per process — recreating the source must not truncate the recording
+        if (process.env.METRICS_RECORD_FILE && !envRecordingStarted) {
+            envRecordingStarted = true;
+            recordTo(path.resolve(process.env.METRICS_RECORD_FILE));
+        }
+    }
+    return activeSource;
+}
+
+/**
+ * Replace the active source (tests, or embedding with a custom backend).
+ * Pass null to fall back to METRICS_SOURCE on next use.
+ */
+function setMetricsSource(source) {
+    activeSource = source;
+}
+
+// ── Record & Replay ─────────────────────────────────────────
+
+/**
+ * Start recording every snapshot of the active source.
+ * @param {string} name - Recording name; always resolved inside RECORDINGS_DIR
+ * @returns {object} Recording status
+ * @throws {Error} code CONFLICT if already recording, INVALID for a bad name
+ */
+function startRecording(name) {
+    return recordTo(recording.resolveRecordingPath(name));
+}
+
+/**
+ * Record to any file. Only for paths from trusted configuration
+ * (METRICS_RECORD_FILE), never for names from a request.
+ */
+function recordTo(file) {
+    const source = getMetricsSource();
+    if (source.recording) throw sourceError('CONFLICT', 'Metrics are already being recorded');
+
+    activeSource = recording.createRecordingSource(source, { file });
+    console.log(`[metrics-sources] Recording "${source.name}" snapshots to ${file}`);
+    return activeSource.recording();
+}
+
+/**
+ * Stop recording and keep serving from the underlying source.
+ * @returns {object} Final recording status
+ * @throws {Error} code CONFLICT if not recording
+ */
+function stopRecording() {
+    if (!activeSource || !activeSource.recording) throw sourceError('CONFLICT', 'Metrics are not being recorded');
+    const status = activeSource.recording();
+    activeSource = activeSource.inner;
+    console.log(`[metrics-sources] Recording stopped (${status.snapshots} snapshot(s) in ${status.file})`);
+    return status;
+}
+
+/** Current recording status, or null */
+function recordingStatus() {
+    return activeSource && activeSource.recording ? activeSource.recording() : null;
+}
+
+/**
+ * Replace the active source with a replay of a recording.
+ * @param {string} name - Recording name; always resolved inside RECORDINGS_DIR
+ * @param {{ loop?: boolean }} [options]
+ * @throws {Error} code CONFLICT while recording, NOT_FOUND / INVALID for bad names or files
+ */
+function startReplay(name, { loop = false } = {}) {
+    if (recordingStatus()) throw sourceError('CONFLICT', 'Stop recording before starting a replay');
+
+    const target = recording.resolveRecordingPath(name);
+    activeSource = recording.createReplaySource({ file: target, loop });
+    console.log(`[metrics-sources] Replaying ${target}${loop ? ' (looping)' : ''}`);
+    return activeSource.replay();
+}
+
+/**
+ * End a replay and go back to the METRICS_SOURCE source.
+ * @throws {Error} code CONFLICT if nothing is being replayed
+ */
+function stopReplay() {
+    if (!activeSource || !activeSource.replay) throw sourceError('CONFLICT', 'No replay is active');
+    const status = activeSource.replay();
+    activeSource = null;
+    console.log('[metrics-sources] Replay stopped');
+    return status;
+}
+
+/** Current replay status, or null */
+function replayStatus() {
+    return activeSource && activeSource.replay ? activeSource.replay() : null;
+}
+
+/**
+ * Flatten a snapshot into the single-level shape used by the MCP server
+ * and the dashboard (cpu_percent, latency_p99_ms, request_rate_rps, ...).
+ * Per-service and per-node entries are passed through unchanged.
+ */
+function flattenSnapshot(snapshot) {
+    const { infrastructure, network, application } = snapshot;
+    return {
+        id: snapshot.id,
+        timestamp: snapshot.timestamp,
+        source: snapshot.source,
+        cpu_percent: infrastructure.cpu_percent,
+        memory_percent: infrastructure.memory_percent,
+        disk_percent: infrastructure.disk_percent,
+        network_in_mbps: network.ingress_mbps,
+        network_out_mbps: network.egress_mbps,
+        request_rate_rps: application.requests_per_second,
+        error_rate_percent: application.error_rate_percent,
+        latency_p99_ms: application.p99_response_time_ms,
+        pods_running: infrastructure.pods_running,
+        pods_desired: infrastructure.pods_desired,
+        filters: snapshot.filters,
+        services: snapshot.services || [],
+        nodes: snapshot.nodes || [],
+    };
+}
+
+module.exports = {
+    getMetricsSource,
+    setMetricsSource,
+    createSource,
+    startRecording,
+    stopRecording,
+    recordingStatus,
+    startReplay,
+    stopReplay,
+    replayStatus,
+    flattenSnapshot,
+};
@@ -0,0 +1,290 @@
+/**
+ * Metrics Source: Prometheus HTTP API
+ *
+ * Runs PromQL instant and range queries against any Prometheus-compatible
+ * /api/v1/query endpoint (Prometheus, Thanos, VictoriaMetrics, Mimir) and
+ * maps the results into the metrics-fetcher snapshot shape.
+ *
+ * Each snapshot field is backed by one PromQL expression: cluster aggregates,
+ * per-service series grouped by a `service` label, and per-node series grouped
+ * by a `node` label. The defaults assume node-exporter, kube-state-metrics and
+ * a conventional http_requests_total / http_request_duration_seconds
+ * instrumentation; any of them can be overridden through the `queries` option.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+// ── Default Queries ────────────────────────────────────────
+
+/** Cluster-wide aggregates */
+const DEFAULT_QUERIES = {
+    cpu_percent: '100 - (avg(rate(node_cpu_seconds_total{mode="idle"}[5m])) * 100)',
+    memory_percent: '(1 - sum(node_memory_MemAvailable_bytes) / sum(node_memory_MemTotal_bytes)) * 100',
+    disk_percent: 'max((1 - node_filesystem_avail_bytes{mountpoint="/"} / node_filesystem_size_bytes{mountpoint="/"}) * 100)',
+    pods_running: 'sum(kube_pod_status_phase{phase="Running"})',
+    pods_desired: 'sum(kube_deployment_spec_replicas)',
+    ingress_mbps: 'sum(rate(node_network_receive_bytes_total[5m])) * 8 / 1e6',
+    egress_mbps: 'sum(rate(node_network_transmit_bytes_total[5m])) * 8 / 1e6',
+    requests_per_second: 'sum(rate(http_requests_total[5m]))',
+    error_rate_percent: 'sum(rate(http_requests_total{status=~"5.."}[5m])) / sum(rate(http_requests_total[5m])) * 100',
+    avg_response_time_ms: 'sum(rate(http_request_duration_seconds_sum[5m])) / sum(rate(http_request_duration_seconds_count[5m])) * 1000',
+    p99_response_time_ms: 'histogram_quantile(0.99, sum(rate(http_request_duration_seconds_bucket[5m])) by (le)) * 1000',
+};
+
+/** Per-service series, one per value of the service label */
+const DEFAULT_SERVICE_QUERIES = {
+    cpu_percent: 'sum by (service) (rate(container_cpu_usage_seconds_total[5m])) / sum by (service) (kube_pod_container_resource_limits{resource="cpu"}) * 100',
+    memory_percent: 'sum by (service) (container_memory_working_set_bytes) / sum by (service) (kube_pod_container_resource_limits{resource="memory"}) * 100',
+    pods_running: 'sum by (service) (kube_pod_status_phase{phase="Running"})',
+    pods_desired: 'sum by (service) (kube_deployment_spec_replicas)',
+    requests_per_second: 'sum by (service) (rate(http_requests_total[5m]))',
+    error_rate_percent: 'sum by (service) (rate(http_requests_total{status=~"5.."}[5m])) / sum by (service) (rate(http_requests_total[5m])) * 100',
+    avg_response_time_ms: 'sum by (service) (rate(http_request_duration_seconds_sum[5m])) / sum by (service) (rate(http_request_duration_seconds_count[5m])) * 1000',
+    p99_response_time_ms: 'histogram_quantile(0.99, sum by (service, le) (rate(http_request_duration_seconds_bucket[5m]))) * 1000',
+};
+
+/** Per-node series, one per value of the node label */
+const DEFAULT_NODE_QUERIES = {
+    cpu_percent: '100 - (avg by (node) (rate(node_cpu_seconds_total{mode="idle"}[5m])) * 100)',
+    memory_percent: '(1 - sum by (node) (node_memory_MemAvailable_bytes) / sum by (node) (node_memory_MemTotal_bytes)) * 100',
+    disk_percent: 'max by (node) ((1 - node_filesystem_avail_bytes{mountpoint="/"} / node_filesystem_size_bytes{mountpoint="/"}) * 100)',
+    pods_running: 'count by (node) (kube_pod_info)',
+    requests_per_second: 'sum by (node) (rate(http_requests_total[5m]))',
+    error_rate_percent: 'sum by (node) (rate(http_requests_total{status=~"5.."}[5m])) / sum by (node) (rate(http_requests_total[5m])) * 100',
+    avg_response_time_ms: 'sum by (node) (rate(http_request_duration_seconds_sum[5m])) / sum by (node) (rate(http_request_duration_seconds_count[5m])) * 1000',
+    p99_response_time_ms: 'histogram_quantile(0.99, sum by (node, le) (rate(http_request_duration_seconds_bucket[5m]))) * 1000',
+};
+
+/** Pods per (service, node) pair — links services to the nodes they run on */
+const DEFAULT_PLACEMENT_QUERY = 'count by (service, node) (kube_pod_info)';
+
+/** Which snapshot section each field belongs to, and its rounding precision */
+const FIELD_LAYOUT = {
+    cpu_percent: ['infrastructure', 1],
+    disk_percent: ['infrastructure', 1],
+    memory_percent: ['infrastructure', 1],
+    pods_running: ['infrastructure', 0],
+    pods_desired: ['infrastructure', 0],
+    ingress_mbps: ['network', 0],
+    egress_mbps: ['network', 0],
+    requests_per_second: ['application', 0],
+    error_rate_percent: ['application', 2],
+    avg_response_time_ms: ['application', 0],
+    p99_response_time_ms: ['application', 0],
+};
+
+const SERVICE_FIELDS = Object.keys(DEFAULT_SERVICE_QUERIES);
+const NODE_FIELDS = ['cpu_percent', 'memory_percent', 'disk_percent', 'pods_running', 'pods_desired',
+    'requests_per_second', 'error_rate_percent', 'avg_response_time_ms', 'p99_response_time_ms'];
+
+// ── Helpers ────────────────────────────────────────────────
+
+/**
+ * Parse a Prometheus sample value ("1.5", "NaN", "+Inf") into a rounded number.
+ * Returns null for anything that isn't a finite number.
+ */
+function parseSampleValue(raw, precision) {
+    if (raw === undefined || raw === null) return null;
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    return parseFloat(value.toFixed(precision));
+}
+
+/** Build one service or node entry from its raw field values */
+function buildEntity(name, fields, raw) {
+    const entity = { name };
+    for (const field of fields) {
+        entity[field] = parseSampleValue(raw[field], FIELD_LAYOUT[field][1]);
+    }
+    return entity;
+}
+
+/**
+ * Merge user overrides into the default queries.
+ * Override keys are snapshot fields for aggregates, `service.<field>` /
+ * `node.<field>` for entity series, and `placement` for the service → node mapping.
+ */
+function resolveQueries(overrides = {}) {
+    const pick = (prefix, defaults) => {
+        const out = { ...defaults };
+        for (const [key, query] of Object.entries(overrides)) {
+            if (key.startsWith(`${prefix}.`)) out[key.slice(prefix.length + 1)] = query;
+        }
+        return out;
+    };
+
+    const aggregate = { ...DEFAULT_QUERIES };
+    for (const [key, query] of Object.entries(overrides)) {
+        if (key in FIELD_LAYOUT) aggregate[key] = query;
+    }
+
+    return {
+        aggregate,
+        service: pick('service', DEFAULT_SERVICE_QUERIES),
+        node: pick('node', DEFAULT_NODE_QUERIES),
+        placement: overrides.placement || DEFAULT_PLACEMENT_QUERY,
+    };
+}
+
+// ── Source Factory ─────────────────────────────────────────
+
+/**
+ * Create a Prometheus-backed metrics source.
+ * @param {object} options
+ * @param {string} options.url - Base URL of the Prometheus-compatible API (e.g. http://localhost:9090)
+ * @param {object} [options.queries] - PromQL overrides: `<field>`, `service.<field>`, `node.<field>` or `placement`
+ * @param {string} [options.serviceLabel='service'] - Label that identifies a service in per-service series
+ * @param {string} [options.nodeLabel='node'] - Label that identifies a node in per-node series
+ * @param {number} [options.timeoutMs=5000] - Per-request timeout
+ * @param {string} [options.cluster] - Cluster label reported in snapshots
+ * @returns {{ name: string, snapshot: function(): Promise<object>, range: function(object): Promise<Array<object>> }}
+ */
+function createPrometheusSource(options = {}) {
+    if (!options.url) throw new Error('Prometheus source requires a url');
+
+    const baseUrl = options.url.replace(/\/+$/, '');
+    const queries = resolveQueries(options.queries);
+    const serviceLabel = options.serviceLabel || 'service';
+    const nodeLabel = options.nodeLabel || 'node';
+    const timeoutMs = options.timeoutMs || 5000;
+    const cluster = options.cluster || 'prometheus';
+
+    /** Every query that makes up a snapshot, tagged with where its result goes */
+    const plan = [
+        ...Object.entries(queries.aggregate).map(([field, query]) => ({ kind: 'aggregate', field, query })),
+        ...Object.entries(queries.service).map(([field, query]) => ({ kind: 'service', field, query })),
+        ...Object.entries(queries.node).map(([field, query]) => ({ kind: 'node', field, query })),
+        { kind: 'placement', query: queries.placement },
+    ];
+
+    /**
+     * Call a Prometheus API endpoint and return the `data` member.
+     * Throws on transport errors and on `status: "error"` responses.
+     */
+    async function callApi(endpoint, params) {
+        const url = `${baseUrl}${endpoint}?${new URLSearchParams(params).toString()}`;
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        const body = await response.json().catch(() => null);
+
+        if (!response.ok || !body || body.status !== 'success') {
+            const reason = body && body.error ? body.error : `HTTP ${response.status}`;
+            throw new Error(`Prometheus query failed (${endpoint}): ${reason}`);
+        }
+        return body.data;
+    }
+
+    /** Normalize scalar/vector/matrix results into [{ metric, samples: [[ts, value], ...] }] */
+    function toSeries(data) {
+        if (data.resultType === 'scalar') return [{ metric: {}, samples: [data.result] }];
+        if (data.resultType === 'vector') return data.result.map((r) => ({ metric: r.metric, samples: [r.value] }));
+        if (data.resultType === 'matrix') return data.result.map((r) => ({ metric: r.metric, samples: r.values }));
+        return [];
+    }
+
+    /**
+     * Run the whole plan with `runQuery` and assemble one snapshot per timestamp.
+     * @param {function(string): Promise<object>} runQuery - Returns the API `data` for a query
+     * @returns {Promise<Array<object>>} Snapshots in ascending time order
+     */
+    async function collect(runQuery) {
+        const results = await Promise.all(plan.map((step) => runQuery(step.query).then(toSeries)));
+        const frames = new Map();
+
+        const frameAt = (ts) => {
+            if (!frames.has(ts)) frames.set(ts, { aggregate: {}, services: new Map(), nodes: new Map(), placement: [] });
+            return frames.get(ts);
+        };
+        const entityIn = (map, name) => {
+            if (!map.has(name)) map.set(name, {});
+            return map.get(name);
+        };
+
+        plan.forEach((step, i) => {
+            for (const series of results[i]) {
+                for (const [ts, raw] of series.samples) {
+                    const frame = frameAt(Number(ts));
+                    if (step.kind === 'aggregate') {
+                        if (!(step.field in frame.aggregate)) frame.aggregate[step.field] = raw;
+                    } else if (step.kind === 'service' && series.metric[serviceLabel]) {
+                        entityIn(frame.services, series.metric[serviceLabel])[step.field] = raw;
+                    } else if (step.kind === 'node' && series.metric[nodeLabel]) {
+                        entityIn(frame.nodes, series.metric[nodeLabel])[step.field] = raw;
+                    } else if (step.kind === 'placement' && series.metric[serviceLabel] && series.metric[nodeLabel]) {
+                        frame.placement.push({ service: series.metric[serviceLabel], node: series.metric[nodeLabel] });
+                    }
+                }
+            }
+        });
+
+        return [...frames.keys()].sort((a, b) => a - b).map((ts) => buildSnapshot(frames.get(ts), ts * 1000));
+    }
+
+    /** Assemble a snapshot from one collected frame */
+    function buildSnapshot(frame, epochMs) {
+        const nodesOf = (service) => frame.placement.filter((p) => p.service === service).map((p) => p.node);
+        const servicesOn = (node) => frame.placement.filter((p) => p.node === node).map((p) => p.service);
+
+        const snapshot = {
+            id: uuidv4(),
+            timestamp: new Date(epochMs).toISOString(),
+            epoch_ms: epochMs,
+            source: 'prometheus',
+            cluster,
+            infrastructure: {},
+            network: {},
+            application: {},
+            services: [...frame.services.entries()]
+                .map(([name, raw]) => ({ ...buildEntity(name, SERVICE_FIELDS, raw), nodes: nodesOf(name) })),
+            nodes: [...frame.nodes.entries()]
+                .map(([name, raw]) => ({ ...buildEntity(name, NODE_FIELDS, raw), services: servicesOn(name) })),
+            anomaly_mode: false,
+        };
+
+        for (const [field, [section, precision]] of Object.entries(FIELD_LAYOUT)) {
+            snapshot[section][field] = parseSampleValue(frame.aggregate[field], precision);
+        }
+
+        return snapshot;
+    }
+
+    return {
+        name: 'prometheus',
+
+        /** Current snapshot via one instant query per field */
+        async snapshot() {
+            const timeSec = Date.now() / 1000;
+            const [snapshot] = await collect((query) => callApi('/api/v1/query', { query, time: String(timeSec) }));
+            return snapshot || buildSnapshot({ aggregate: {}, services: new Map(), nodes: new Map(), placement: [] }, timeSec * 1000);
+        },
+
+        /**
+         * Snapshot series via one range query per field.
+         * @param {object} range
+         * @param {number} range.start - Start time (epoch ms)
+         * @param {number} range.end - End time (epoch ms)
+         * @param {number} range.step - Resolution (ms)
+         * @returns {Promise<Array<object>>} Snapshots in ascending time order
+         */
+        async range({ start, end, step }) {
+            const params = {
+                start: String(Math.floor(start / 1000)),
+                end: String(Math.floor(end / 1000)),
+                step: String(Math.max(1, Math.round(step / 1000))),
+            };
+            return collect((query) => callApi('/api/v1/query_range', { ...params, query }));
+        },
+    };
+}
+
+module.exports = {
+    createPrometheusSource,
+    DEFAULT_QUERIES,
+    DEFAULT_SERVICE_QUERIES,
+    DEFAULT_NODE_QUERIES,
+    DEFAULT_PLACEMENT_QUERY,
+    FIELD_LAYOUT,
+    SERVICE_FIELDS,
+    NODE_FIELDS,
+};
@@ -0,0 +1,31 @@
+/**
+ * Metrics Source: Push
+ *
+ * Serves what exporters push to POST /metrics/ingest instead of pulling
+ * anything: each snapshot merges the latest value of every field across all
+ * pushing sources (see lib/metrics-ingest). The pushed samples themselves are
+ * stored in the history as they arrive.
+ */
+
+'use strict';
+
+const { pushedSnapshot } = require('../metrics-ingest');
+
+/**
+ * Create the push-backed metrics source.
+ * @returns {{ name: string, snapshot: function(): Promise<object> }}
+ */
+function createPushSource() {
+    return {
+        name: 'push',
+
+        /** Latest pushed values, minus those gone stale */
+        async snapshot() {
+            return pushedSnapshot();
+        },
+    };
+}
+
+module.exports = {
+    createPushSource,
+};
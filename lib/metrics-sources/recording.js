@@ -0,0 +1,146 @@
+/**
+ * Metrics Sources: Record & Replay
+ *
+ * A recording is an NDJSON file holding one header line followed by every
+ * snapshot served while recording was on, in order:
+ *   {"format":"metrics-recording/1","source":"simulator","seed":"42","started_at":"..."}
+ *   {"seq":0,"seed":null,"snapshot":{...}}
+ *   {"seq":1,"seed":null,"snapshot":{...}}
+ *
+ * createRecordingSource() wraps any source and appends each snapshot it
+ * returns; createReplaySource() serves a recording back verbatim, one
+ * snapshot per call — ids, timestamps and all — so an agent run can be
+ * reproduced exactly.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const random = require('../random');
+
+// ── Configuration ──────────────────────────────────────────
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, '..', '..', 'recordings'));
+const FORMAT = 'metrics-recording/1';
+const EXTENSION = '.ndjson';
+
+function recordingError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Resolve a recording name to a file inside RECORDINGS_DIR.
+ * Only the base name is used, so callers can't reach outside the directory.
+ * @param {string} name - e.g. "checkout-outage" or "checkout-outage.ndjson"
+ */
+function resolveRecordingPath(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9._-]+$/.test(path.basename(name))) {
+        throw recordingError('INVALID', 'Recording name must contain only letters, digits, ".", "_" and "-"');
+    }
+    const base = path.basename(name);
+    return path.join(RECORDINGS_DIR, base.endsWith(EXTENSION) ? base : `${base}${EXTENSION}`);
+}
+
+/**
+ * Parse a recording file.
+ * @returns {{ header: object, snapshots: Array<object> }}
+ */
+function readRecording(file) {
+    if (!fs.existsSync(file)) throw recordingError('NOT_FOUND', `Recording not found: ${path.basename(file)}`);
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim() !== '');
+    const parsed = lines.map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw recordingError('INVALID', `${path.basename(file)} line ${i + 1} is not valid JSON`);
+        }
+    });
+
+    const [header, ...entries] = parsed;
+    if (!header || header.format !== FORMAT) {
+        throw recordingError('INVALID', `${path.basename(file)} is not a metrics recording (expected format "${FORMAT}")`);
+    }
+    return { header, snapshots: entries.map((entry) => entry.snapshot) };
+}
+
+/**
+ * Recordings in RECORDINGS_DIR with their headers and snapshot counts.
+ */
+function listRecordings() {
+    if (!fs.existsSync(RECORDINGS_DIR)) return [];
+    return fs.readdirSync(RECORDINGS_DIR)
+        .filter((f) => f.endsWith(EXTENSION))
+        .sort()
+        .map((f) => {
+            try {
+                const { header, snapshots } = readRecording(path.join(RECORDINGS_DIR, f));
+                return { name: f, source: header.source, seed: header.seed, started_at: header.started_at, snapshots: snapshots.length };
+            } catch (error) {
+                return { name: f, error: error.message };
+            }
+        });
+}
+
+// ── Sources ────────────────────────────────────────────────
+
+/**
+ * Wrap a source so every snapshot it serves is appended to `file`.
+ * The file is truncated and a fresh header written when recording starts.
+ * @param {object} inner - Source to record
+ * @param {{ file: string }} options
+ */
+function createRecordingSource(inner, { file }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const startedAt = new Date().toISOString();
+    fs.writeFileSync(file, `${JSON.stringify({ format: FORMAT, source: inner.name, seed: random.getSeed(), started_at: startedAt })}\n`);
+    let count = 0;
+
+    const source = {
+        name: inner.name,
+        inner,
+        snapshot: async (options = {}) => {
+            const snapshot = await inner.snapshot(options);
+            fs.appendFileSync(file, `${JSON.stringify({ seq: count, seed: options.seed === undefined ? null : options.seed, snapshot })}\n`);
+            count++;
+            return snapshot;
+        },
+        recording: () => ({ file, started_at: startedAt, snapshots: count }),
+    };
+    if (typeof inner.range === 'function') source.range = (opts) => inner.range(opts);
+    return source;
+}
+
+/**
+ * Serve a recording back one snapshot per call.
+ * @param {{ file: string, loop?: boolean }} options - loop restarts from the
+ *   first snapshot at the end; otherwise further calls fail with code REPLAY_ENDED
+ */
+function createReplaySource({ file, loop = false }) {
+    const { header, snapshots } = readRecording(file);
+    if (snapshots.length === 0) throw recordingError('INVALID', `${path.basename(file)} contains no snapshots`);
+    let position = 0;
+
+    return {
+        name: 'replay',
+        snapshot: async () => {
+            if (position >= snapshots.length) {
+                if (!loop) throw recordingError('REPLAY_ENDED', `Replay of ${path.basename(file)} finished after ${snapshots.length} snapshot(s)`);
+                position = 0;
+            }
+            return JSON.parse(JSON.stringify(snapshots[position++]));
+        },
+        replay: () => ({ file, recorded_from: header.source, seed: header.seed, position, total: snapshots.length, loop }),
+    };
+}
+
+module.exports = {
+    RECORDINGS_DIR,
+    resolveRecordingPath,
+    readRecording,
+    listRecordings,
+    createRecordingSource,
+    createReplaySource,
+};
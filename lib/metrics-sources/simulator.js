@@ -0,0 +1,201 @@
+/**
+ * Metrics Source: Simulator
+ *
+ * Default metrics source. Produces realistic CPU, disk, memory, and pod
+ * metrics for every service and node in the fleet. Active scenarios
+ * (lib/scenarios.js) pick the baseline profile and override individual
+ * metrics along their timelines, for demo/testing purposes.
+ *
+ * All randomness comes from lib/random.js, so a seed (SIM_SEED, or a
+ * per-request `seed`) reproduces the same sequence of snapshots.
+ */
+
+'use strict';
+
+const random = require('../random');
+const { DEFAULT_FLEET, summarize } = require('../metrics-model');
+const scenarios = require('../scenarios');
+
+// ── Helpers ────────────────────────────────────────────────
+
+/**
+ * Random float between min and max, rounded to precision decimal places.
+ */
+function randomBetween(min, max, precision = 1) {
+    const value = random.random() * (max - min) + min;
+    return parseFloat(value.toFixed(precision));
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Overwrite entity metrics with scenario overrides aimed at it ("*" matches all).
+ * @returns {Set<string>} Names of the metrics that were overridden
+ */
+function applyOverrides(entity, kind, overrides) {
+    const applied = new Set();
+    for (const o of overrides) {
+        if (o.kind !== kind || (o.name !== '*' && o.name !== entity.name)) continue;
+        entity[o.metric] = o.value;
+        applied.add(o.metric);
+    }
+
+    for (const key of ['cpu_percent', 'memory_percent', 'disk_percent']) {
+        if (key in entity) entity[key] = clamp(entity[key], 0, 100);
+    }
+    if (applied.has('pods_running')) entity.pods_running = clamp(Math.round(entity.pods_running), 0, entity.pods_desired);
+    return applied;
+}
+
+/**
+ * Simulate one service. Anomaly mode pushes values toward incident thresholds.
+ */
+function simulateService(def, anomalyMode, overrides) {
+    const pods_running = anomalyMode
+        ? Math.max(1, Math.floor(random.random() * def.pods_desired))
+        : (random.random() < 0.1 ? def.pods_desired - 1 : def.pods_desired);
+
+    const totalRps = anomalyMode ? randomBetween(800, 2000, 0) : randomBetween(50, 400, 0);
+
+    const avgResponseTimeMs = anomalyMode
+        ? randomBetween(500, 5000, 0)
+        : randomBetween(20, 200, 0);
+
+    const service = {
+        name: def.name,
+        nodes: def.nodes,
+        cpu_percent: anomalyMode ? randomBetween(78, 99, 1) : randomBetween(15, 75, 1),
+        memory_percent: anomalyMode ? randomBetween(80, 96, 1) : randomBetween(30, 70, 1),
+        pods_running: Math.max(pods_running, 1),
+        pods_desired: def.pods_desired,
+        requests_per_second: Math.round(totalRps * def.traffic_share),
+        error_rate_percent: anomalyMode ? randomBetween(5, 25, 2) : randomBetween(0, 2, 2),
+        avg_response_time_ms: avgResponseTimeMs,
+        // Tail latency sits a few multiples above the mean
+        p99_response_time_ms: Math.round(avgResponseTimeMs * randomBetween(1.2, 2.4, 2)),
+    };
+
+    const applied = applyOverrides(service, 'service', overrides);
+    // Keep tail latency consistent with a scripted mean unless it was scripted too
+    if (applied.has('avg_response_time_ms') && !applied.has('p99_response_time_ms')) {
+        service.p99_response_time_ms = Math.round(service.p99_response_time_ms * (service.avg_response_time_ms / avgResponseTimeMs));
+    }
+    return service;
+}
+
+/**
+ * Simulate one node from the pods scheduled on it. Pods of each service are
+ * spread round-robin across that service's nodes.
+ */
+function simulateNode(name, services, anomalyMode, overrides) {
+    const placements = [];
+    for (const svc of services) {
+        const index = svc.nodes.indexOf(name);
+        if (index === -1) continue;
+        const running = Math.floor(svc.pods_running / svc.nodes.length) + (index < svc.pods_running % svc.nodes.length ? 1 : 0);
+        const desired = Math.floor(svc.pods_desired / svc.nodes.length) + (index < svc.pods_desired % svc.nodes.length ? 1 : 0);
+        placements.push({ svc, running, desired });
+    }
+
+    const podsRunning = placements.reduce((acc, p) => acc + p.running, 0);
+    const podsDesired = placements.reduce((acc, p) => acc + p.desired, 0);
+    // Resource usage follows the scheduled workload, even while some of its pods are down
+    const weighted = (key) => (podsDesired === 0
+        ? 0
+        : placements.reduce((acc, p) => acc + p.svc[key] * p.desired, 0) / podsDesired);
+
+    // Each pod of a service takes an equal share of its traffic
+    const share = (p) => (p.svc.pods_running === 0 ? 0 : p.running / p.svc.pods_running);
+    const rps = placements.reduce((acc, p) => acc + p.svc.requests_per_second * share(p), 0);
+    const trafficWeighted = (key) => (rps === 0
+        ? 0
+        : placements.reduce((acc, p) => acc + p.svc[key] * p.svc.requests_per_second * share(p), 0) / rps);
+
+    const node = {
+        name,
+        services: placements.map((p) => p.svc.name),
+        cpu_percent: parseFloat(clamp(weighted('cpu_percent') + randomBetween(-5, 5, 1), 0, 100).toFixed(1)),
+        memory_percent: parseFloat(clamp(weighted('memory_percent') + randomBetween(-5, 5, 1), 0, 100).toFixed(1)),
+        disk_percent: anomalyMode ? randomBetween(85, 98, 1) : randomBetween(20, 70, 1),
+        pods_running: podsRunning,
+        pods_desired: podsDesired,
+        requests_per_second: Math.round(rps),
+        error_rate_percent: parseFloat(trafficWeighted('error_rate_percent').toFixed(2)),
+        avg_response_time_ms: Math.round(trafficWeighted('avg_response_time_ms')),
+        p99_response_time_ms: placements.length === 0 ? 0 : Math.max(...placements.map((p) => p.svc.p99_response_time_ms)),
+    };
+
+    applyOverrides(node, 'node', overrides);
+    return node;
+}
+
+/**
+ * Generate a realistic per-service, per-node metrics snapshot.
+ * @param {object} [fleet=DEFAULT_FLEET] - Services and nodes to simulate
+ */
+function generateMetrics(fleet = DEFAULT_FLEET) {
+    const now = new Date();
+    const anomalyMode = scenarios.activeProfile() === 'anomaly';
+    const overrides = scenarios.currentOverrides(now.getTime());
+
+    const services = fleet.services.map((def) => simulateService(def, anomalyMode, overrides));
+    const nodes = fleet.nodes.map((name) => simulateNode(name, services, anomalyMode, overrides));
+    const { infrastructure, application } = summarize(nodes, nodes);
+
+    return {
+        id: random.uuid(),
+        timestamp: now.toISOString(),
+        epoch_ms: now.getTime(),
+        source: 'simulator',
+        cluster: fleet.cluster,
+        infrastructure,
+        network: {
+            ingress_mbps: randomBetween(10, 500, 0),
+            egress_mbps: randomBetween(5, 300, 0),
+        },
+        application,
+        services,
+        nodes,
+        anomaly_mode: anomalyMode,
+        active_scenarios: scenarios.activeScenarioNames(),
+    };
+}
+
+/**
+ * Create the simulator source.
+ * snapshot({ seed }) generates from a fresh generator for that seed, leaving
+ * the process-wide sequence untouched.
+ * @returns {{ name: string, snapshot: function(object=): Promise<object> }}
+ */
+function createSimulatorSource() {
+    return {
+        name: 'simulator',
+        snapshot: async ({ seed } = {}) => (seed === undefined
+            ? generateMetrics()
+            : random.withSeed(seed, () => generateMetrics())),
+    };
+}
+
+/** True while the built-in "anomaly" scenario (or any anomaly-profile scenario) is active */
+function isAnomalyMode() {
+    return scenarios.activeProfile() === 'anomaly';
+}
+
+/**
+ * Legacy boolean switch — starts or stops the built-in "anomaly" scenario.
+ */
+function setAnomalyMode(enabled) {
+    const active = scenarios.activeScenarioNames().includes('anomaly');
+    if (enabled && !active) scenarios.startScenario('anomaly');
+    if (!enabled && active) scenarios.stopScenario('anomaly');
+}
+
+module.exports = {
+    createSimulatorSource,
+    generateMetrics,
+    randomBetween,
+    isAnomalyMode,
+    setAnomalyMode,
+};
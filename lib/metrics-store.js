@@ -0,0 +1,386 @@
+/**
+ * Metrics Store — persistent snapshot history in SQLite
+ *
+ * Every snapshot served (and one sampled every METRICS_SAMPLE_INTERVAL_MS
+ * while a server is running) is stored raw. compact() rolls completed
+ * periods up into 1m, 5m and 1h averages and drops rows past their tier's
+ * retention, so long ranges stay cheap to keep and to query:
+ *
+ *   tier  bucket  retention (default)  env override
+ *   raw   —       6h                   METRICS_RETENTION_RAW
+ *   1m    1 min   24h                  METRICS_RETENTION_1M
+ *   5m    5 min   7d                   METRICS_RETENTION_5M
+ *   1h    1 hour  90d                  METRICS_RETENTION_1H
+ *
+ * readRange() and queryHistory() stitch tiers together: the finest tier that
+ * suits the requested step, backfilled from coarser tiers where it has expired.
+ *
+ * Tables:
+ *   metric_snapshots (id, epoch_ms, timestamp, source, data, rolled_up)
+ *   metric_rollups   (resolution, bucket_ms, timestamp, samples, data, rolled_up)
+ */
+
+'use strict';
+
+const database = require('./database');
+const { averageSnapshots } = require('./metrics-model');
+const { parseDuration } = require('./duration');
+
+// ── Configuration ──────────────────────────────────────────
+
+function retentionFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (!value) return parseDuration(fallback);
+    const ms = parseDuration(value);
+    if (ms === null) throw new Error(`${name} is not a valid duration: "${value}"`);
+    return ms;
+}
+
+/** Storage tiers, finest first */
+const TIERS = [
+    { name: 'raw', bucket_ms: 0, retention_ms: retentionFromEnv('METRICS_RETENTION_RAW', '6h') },
+    { name: '1m', bucket_ms: 60 * 1000, retention_ms: retentionFromEnv('METRICS_RETENTION_1M', '24h') },
+    { name: '5m', bucket_ms: 5 * 60 * 1000, retention_ms: retentionFromEnv('METRICS_RETENTION_5M', '7d') },
+    { name: '1h', bucket_ms: 60 * 60 * 1000, retention_ms: retentionFromEnv('METRICS_RETENTION_1H', '90d') },
+];
+const DEFAULT_SAMPLE_INTERVAL_MS = 15000;
+const COMPACT_INTERVAL_MS = 60000;
+const MAX_POINTS = 1000;
+
+// ── Internal State ──────────────────────────────────────────
+let tablesReady = false;
+let sampler = null;
+let lastCompaction = 0;
+
+// ── Initialization ─────────────────────────────────────────
+
+async function ensureTables() {
+    if (tablesReady) return;
+
+    await database.getDatabase();
+
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS metric_snapshots (
+      id TEXT PRIMARY KEY,
+      epoch_ms INTEGER NOT NULL,
+      timestamp TEXT NOT NULL,
+      source TEXT,
+      data TEXT NOT NULL,
+      rolled_up INTEGER DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_metric_snapshots_epoch ON metric_snapshots (epoch_ms);
+    CREATE TABLE IF NOT EXISTS metric_rollups (
+      resolution TEXT NOT NULL,
+      bucket_ms INTEGER NOT NULL,
+      timestamp TEXT NOT NULL,
+      samples INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      rolled_up INTEGER DEFAULT 0,
+      PRIMARY KEY (resolution, bucket_ms)
+    );
+  `);
+
+    tablesReady = true;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+function epochOf(snapshot) {
+    if (typeof snapshot.epoch_ms === 'number') return snapshot.epoch_ms;
+    const parsed = Date.parse(snapshot.timestamp);
+    return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+/** Turn an average into a snapshot for a period starting at `startMs` */
+function periodSnapshot(average, startMs, resolution) {
+    return {
+        id: `${resolution}-${startMs}`,
+        timestamp: new Date(startMs).toISOString(),
+        epoch_ms: startMs,
+        resolution,
+        ...average,
+    };
+}
+
+/**
+ * Rows of one tier between two epochs, as averageSnapshots() entries.
+ * @param {boolean} [pendingOnly] - Only rows not yet rolled up into the next tier
+ */
+function tierRows(tier, fromMs, toMs, pendingOnly = false) {
+    const pending = pendingOnly ? ' AND rolled_up = 0' : '';
+    if (tier.name === 'raw') {
+        return database.queryAll(
+            `SELECT data FROM metric_snapshots WHERE epoch_ms >= $from AND epoch_ms <= $to${pending} ORDER BY epoch_ms ASC`,
+            { $from: fromMs, $to: toMs }
+        ).map((row) => ({ snapshot: JSON.parse(row.data), weight: 1 }));
+    }
+    return database.queryAll(
+        `SELECT samples, data FROM metric_rollups WHERE resolution = $res AND bucket_ms >= $from AND bucket_ms <= $to${pending} ORDER BY bucket_ms ASC`,
+        { $res: tier.name, $from: fromMs, $to: toMs }
+    ).map((row) => ({ snapshot: JSON.parse(row.data), weight: row.samples }));
+}
+
+function upsertRollup(tier, bucketMs, entries) {
+    const snapshot = periodSnapshot(averageSnapshots(entries), bucketMs, tier.name);
+    database.run(
+        `INSERT OR REPLACE INTO metric_rollups (resolution, bucket_ms, timestamp, samples, data, rolled_up)
+         VALUES ($res, $bucket, $ts, $samples, $data, 0)`,
+        {
+            $res: tier.name,
+            $bucket: bucketMs,
+            $ts: snapshot.timestamp,
+            $samples: snapshot.samples,
+            $data: JSON.stringify(snapshot),
+        }
+    );
+}
+
+function groupByBucket(rows, bucketMs, keyOf) {
+    const groups = new Map();
+    for (const row of rows) {
+        const bucket = Math.floor(keyOf(row) / bucketMs) * bucketMs;
+        if (!groups.has(bucket)) groups.set(bucket, []);
+        groups.get(bucket).push(row);
+    }
+    return groups;
+}
+
+// ── Writing ────────────────────────────────────────────────
+
+/**
+ * Store one snapshot (unfiltered, as returned by the metrics source).
+ * Snapshots already stored (same id) are ignored, and so are those of the
+ * push source: they merge pushed samples that were stored on ingestion.
+ */
+async function recordSnapshot(snapshot) {
+    if (snapshot.source === 'push') return;
+    await ensureTables();
+    database.run(
+        `INSERT OR IGNORE INTO metric_snapshots (id, epoch_ms, timestamp, source, data)
+         VALUES ($id, $epoch, $ts, $source, $data)`,
+        {
+            $id: snapshot.id,
+            $epoch: epochOf(snapshot),
+            $ts: snapshot.timestamp,
+            $source: snapshot.source || null,
+            $data: JSON.stringify(snapshot),
+        }
+    );
+}
+
+/**
+ * Roll completed periods up a tier and apply retention.
+ *
+ * Raw snapshots are merged into their 1m bucket (late arrivals included);
+ * 5m and 1h buckets are recomputed from the tier below whenever one of
+ * their inputs changed. Only periods that ended before `now` are rolled up.
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{ rolled_up: object, deleted: object }>} Buckets written and rows dropped per tier
+ */
+async function compact(now = Date.now()) {
+    await ensureTables();
+    const rolledUp = {};
+    const deleted = {};
+
+    // raw → 1m
+    const minute = TIERS[1];
+    const cutoff = Math.floor(now / minute.bucket_ms) * minute.bucket_ms;
+    const pending = database.queryAll(
+        'SELECT id, epoch_ms, data FROM metric_snapshots WHERE rolled_up = 0 AND epoch_ms < $cutoff ORDER BY epoch_ms ASC',
+        { $cutoff: cutoff }
+    );
+    const minuteBuckets = groupByBucket(pending, minute.bucket_ms, (row) => row.epoch_ms);
+    for (const [bucket, rows] of minuteBuckets) {
+        const existing = tierRows(minute, bucket, bucket);
+        upsertRollup(minute, bucket, [...existing, ...rows.map((row) => ({ snapshot: JSON.parse(row.data), weight: 1 }))]);
+        for (const row of rows) {
+            database.run('UPDATE metric_snapshots SET rolled_up = 1 WHERE id = $id', { $id: row.id });
+        }
+    }
+    rolledUp[minute.name] = minuteBuckets.size;
+
+    // 1m → 5m → 1h
+    for (let i = 2; i < TIERS.length; i++) {
+        const tier = TIERS[i];
+        const below = TIERS[i - 1];
+        const tierCutoff = Math.floor(now / tier.bucket_ms) * tier.bucket_ms;
+        const changed = database.queryAll(
+            'SELECT bucket_ms FROM metric_rollups WHERE resolution = $res AND rolled_up = 0 AND bucket_ms < $cutoff',
+            { $res: below.name, $cutoff: tierCutoff }
+        );
+        const buckets = groupByBucket(changed, tier.bucket_ms, (row) => row.bucket_ms);
+        for (const bucket of buckets.keys()) {
+            upsertRollup(tier, bucket, tierRows(below, bucket, bucket + tier.bucket_ms - 1));
+        }
+        database.run(
+            'UPDATE metric_rollups SET rolled_up = 1 WHERE resolution = $res AND rolled_up = 0 AND bucket_ms < $cutoff',
+            { $res: below.name, $cutoff: tierCutoff }
+        );
+        rolledUp[tier.name] = buckets.size;
+    }
+
+    // Retention — only rows that have already been rolled up
+    for (const tier of TIERS) {
+        const before = now - tier.retention_ms;
+        const isLast = tier === TIERS[TIERS.length - 1];
+        const guard = isLast ? '' : ' AND rolled_up = 1';
+        const table = tier.name === 'raw' ? 'metric_snapshots' : 'metric_rollups';
+        const column = tier.name === 'raw' ? 'epoch_ms' : 'bucket_ms';
+        const scope = tier.name === 'raw' ? '' : ' AND resolution = $res';
+        const params = tier.name === 'raw' ? { $before: before } : { $before: before, $res: tier.name };
+
+        const row = database.queryOne(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} < $before${scope}${guard}`, params);
+        if (row.count > 0) database.run(`DELETE FROM ${table} WHERE ${column} < $before${scope}${guard}`, params);
+        deleted[tier.name] = row.count;
+    }
+
+    lastCompaction = now;
+    return { rolled_up: rolledUp, deleted };
+}
+
+// ── Reading ────────────────────────────────────────────────
+
+/**
+ * Every stored point between `from` and `to`, uncapped.
+ *
+ * Points come from the coarsest tier no wider than `step` (raw without a
+ * step); any part of the range that tier no longer covers is filled from
+ * coarser tiers. With `step`, points are then averaged into step-sized buckets.
+ *
+ * @param {object} options
+ * @param {number} options.from - Epoch ms
+ * @param {number} [options.to=now] - Epoch ms
+ * @param {number} [options.step] - Bucket width in ms
+ * @returns {Promise<Array<{ snapshot: object, weight: number }>>} Oldest first;
+ *   weight is the number of raw samples behind each point
+ */
+async function readRange({ from, to, step }) {
+    await ensureTables();
+    const end = to === undefined ? Date.now() : to;
+    const startTier = step ? TIERS.reduce((best, tier) => (tier.bucket_ms <= step ? tier : best), TIERS[0]) : TIERS[0];
+    const startIndex = TIERS.indexOf(startTier);
+
+    // Newest data hasn't reached the chosen tier yet: take it from the finer tiers' pending rows
+    let points = [];
+    for (const tier of TIERS.slice(0, startIndex)) {
+        points = [...tierRows(tier, from, end, true), ...points];
+    }
+    points.sort((a, b) => epochOf(a.snapshot) - epochOf(b.snapshot));
+
+    // Then walk to coarser tiers, each covering only periods older than what we have
+    let coveredFrom = points.length > 0 ? epochOf(points[0].snapshot) : end + 1;
+    for (const tier of TIERS.slice(startIndex)) {
+        if (coveredFrom <= from) break;
+        const upper = tier.bucket_ms === 0 || coveredFrom > end ? Math.min(coveredFrom - 1, end) : coveredFrom - tier.bucket_ms;
+        const rows = tierRows(tier, from, upper);
+        if (rows.length === 0) continue;
+        points = [...rows, ...points];
+        coveredFrom = epochOf(rows[0].snapshot);
+    }
+
+    if (!step) return points;
+
+    const buckets = groupByBucket(points, step, (entry) => epochOf(entry.snapshot));
+    return [...buckets.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([bucket, entries]) => {
+            const snapshot = { ...periodSnapshot(averageSnapshots(entries), bucket, startTier.name), step_ms: step };
+            return { snapshot, weight: snapshot.samples };
+        });
+}
+
+/**
+ * Snapshot history between `from` and `to` (see readRange), for display.
+ * Without a range, returns the latest `limit` raw snapshots.
+ *
+ * @param {object} [options]
+ * @param {number} [options.from] - Epoch ms
+ * @param {number} [options.to=now] - Epoch ms
+ * @param {number} [options.step] - Bucket width in ms
+ * @param {number} [options.limit] - Keep only the latest N points (max 1000)
+ * @returns {Promise<Array<object>>} Snapshots, oldest first
+ */
+async function queryHistory({ from, to, step, limit } = {}) {
+    await ensureTables();
+    const max = Math.min(limit || MAX_POINTS, MAX_POINTS);
+
+    if (from === undefined) {
+        return database.queryAll(
+            'SELECT data FROM metric_snapshots WHERE epoch_ms <= $to ORDER BY epoch_ms DESC LIMIT $limit',
+            { $to: to === undefined ? Number.MAX_SAFE_INTEGER : to, $limit: max }
+        ).map((row) => JSON.parse(row.data)).reverse();
+    }
+
+    const points = await readRange({ from, to, step });
+    return points.slice(-max).map((entry) => entry.snapshot);
+}
+
+/** Row counts and time span per tier */
+async function historyStats() {
+    await ensureTables();
+    return TIERS.map((tier) => {
+        const row = tier.name === 'raw'
+            ? database.queryOne('SELECT COUNT(*) AS count, MIN(epoch_ms) AS oldest, MAX(epoch_ms) AS newest FROM metric_snapshots')
+            : database.queryOne(
+                'SELECT COUNT(*) AS count, MIN(bucket_ms) AS oldest, MAX(bucket_ms) AS newest FROM metric_rollups WHERE resolution = $res',
+                { $res: tier.name }
+            );
+        return {
+            resolution: tier.name,
+            retention_ms: tier.retention_ms,
+            rows: row.count,
+            oldest: row.oldest === null ? null : new Date(row.oldest).toISOString(),
+            newest: row.newest === null ? null : new Date(row.newest).toISOString(),
+        };
+    });
+}
+
+// ── Sampling ───────────────────────────────────────────────
+
+/**
+ * Store a snapshot from the active source every `intervalMs` and compact
+ * once a minute, so history keeps growing when nobody is polling.
+ * Replays are not sampled — that would consume the recording — and pushed
+ * metrics are already stored as they arrive (but still handed to onSnapshot).
+ * @param {{ intervalMs?: number, getSource: function(): object, onSnapshot?: function(object): Promise }} options
+ */
+function startSampling({ intervalMs, getSource, onSnapshot }) {
+    const interval = intervalMs === undefined
+        ? (parseInt(process.env.METRICS_SAMPLE_INTERVAL_MS, 10) || DEFAULT_SAMPLE_INTERVAL_MS)
+        : intervalMs;
+    if (sampler || interval <= 0) return;
+
+    sampler = setInterval(async () => {
+        try {
+            const source = getSource();
+            if (source.name !== 'replay') {
+                const snapshot = await source.snapshot();
+                if (source.name !== 'push') await recordSnapshot(snapshot);
+                if (onSnapshot) await onSnapshot(snapshot);
+            }
+            if (Date.now() - lastCompaction >= COMPACT_INTERVAL_MS) await compact();
+        } catch (error) {
+            console.error('[metrics-store] Sampling failed:', error.message);
+        }
+    }, interval);
+    sampler.unref();
+    console.log(`[metrics-store] Sampling metrics every ${interval}ms`);
+}
+
+function stopSampling() {
+    if (sampler) clearInterval(sampler);
+    sampler = null;
+}
+
+module.exports = {
+    TIERS,
+    recordSnapshot,
+    compact,
+    readRange,
+    queryHistory,
+    historyStats,
+    startSampling,
+    stopSampling,
+    _resetTablesReady: () => { tablesReady = false; },
+};
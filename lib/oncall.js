@@ -0,0 +1,874 @@
+/**
+ * On-call — rotations, overrides and escalation policies
+ *
+ * Schedules and policies live in ONCALL_FILE (default config/oncall.yaml;
+ * .json works too). A schedule stacks layers of rotations:
+ *
+ *   layer     users take turns, one shift of `rotation` each, handing off
+ *             at `handoff` and every rotation after it; `restrict` limits a
+ *             layer to daily hours (UTC)
+ *   stacking  the last layer with someone on call wins, so a business-hours
+ *             layer sits on top of a 24/7 one
+ *   override  a person covering a schedule for a while (stored, see
+ *             createOverride); overrides win over every layer
+ *
+ * An escalation policy covers the incidents of some services. While an
+ * incident stays open (unacknowledged), evaluateEscalations() pages the
+ * targets of one step after another, each `escalate_after` the previous one,
+ * and runs the steps `repeat` more times before giving up. Acknowledging,
+ * mitigating or resolving the incident stops it; silenced incidents are not
+ * paged. Pages go out through Slack (lib/slack.js): to the user's handle, or
+ * to the policy's channel when there is nobody to page. The metrics sampler
+ * runs evaluateEscalations() on every sample.
+ *
+ * Tables:
+ *   oncall_overrides (id, schedule, user, starts_at, ends_at, created_by, reason, created_at, cancelled_by)
+ *   escalations      (id, incident_id, policy, status, step, round, started_at, next_at, updated_at, stopped_by)
+ *   pages            (id, escalation_id, incident_id, step, round, target, recipient, channel, message,
+ *                     sent, detail, timestamp)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const incidents = require('./incidents');
+const silences = require('./silences');
+const slack = require('./slack');
+const { parseDuration, parseTime } = require('./duration');
+
+// ── Configuration ──────────────────────────────────────────
+const ONCALL_FILE = path.resolve(process.env.ONCALL_FILE || path.join(__dirname, '..', 'config', 'oncall.yaml'));
+
+const ESCALATION_STATUSES = ['active', 'acknowledged', 'resolved', 'exhausted', 'cancelled'];
+const OVERRIDE_STATUSES = ['pending', 'active', 'expired'];
+const DEFAULT_ESCALATE_AFTER = '5m';
+const DEFAULT_CHANNEL = '#incidents';
+const DEFAULT_MIN_SEVERITY = 'warning';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SHIFTS_SPAN_MS = 7 * DAY_MS;
+const MAX_SHIFTS_SPAN_MS = 90 * DAY_MS;
+const MAX_LIMIT = 200;
+
+// ── Internal State ──────────────────────────────────────────
+let oncall = null; // { file, loaded_at, users, schedules, policies }
+let tablesReady = false;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function oncallError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ── Validation ─────────────────────────────────────────────
+
+const NAME_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+
+/** "09:30" → ms after midnight, or null */
+function timeOfDay(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+    return match ? (Number(match[1]) * 60 + Number(match[2])) * 60 * 1000 : null;
+}
+
+function normalizeUsers(users, errors) {
+    if (users === undefined || users === null) return {};
+    if (typeof users !== 'object' || Array.isArray(users)) {
+        errors.push('users must be a map of user id to { name, slack }');
+        return {};
+    }
+    const normalized = {};
+    for (const [id, spec] of Object.entries(users)) {
+        if (spec !== null && (typeof spec !== 'object' || Array.isArray(spec))) {
+            errors.push(`users.${id} must be a map (or empty)`);
+            continue;
+        }
+        const { name = id, slack: handle = null } = spec || {};
+        if (typeof name !== 'string') errors.push(`users.${id}.name must be a string`);
+        if (handle !== null && typeof handle !== 'string') errors.push(`users.${id}.slack must be a string`);
+        normalized[id] = { id, name, slack: handle };
+    }
+    return normalized;
+}
+
+/** Users referenced by schedules and policies must be declared once any are */
+function checkUser(user, users, where, errors) {
+    if (typeof user !== 'string' || user.trim() === '') {
+        errors.push(`${where} must be a user id`);
+    } else if (Object.keys(users).length > 0 && !users[user]) {
+        errors.push(`${where}: unknown user "${user}"`);
+    }
+}
+
+function normalizeLayer(layer, where, users, errors) {
+    if (!layer || typeof layer !== 'object') {
+        errors.push(`${where} must be an object`);
+        return null;
+    }
+    if (!Array.isArray(layer.users) || layer.users.length === 0) {
+        errors.push(`${where}.users must be a non-empty list`);
+    } else {
+        layer.users.forEach((user, i) => checkUser(user, users, `${where}.users[${i}]`, errors));
+    }
+
+    const rotationMs = parseDuration(layer.rotation);
+    if (!rotationMs) errors.push(`${where}.rotation must be a duration (e.g. 7d, 12h)`);
+    const handoffMs = typeof layer.handoff === 'string' ? Date.parse(layer.handoff) : NaN;
+    if (!Number.isFinite(handoffMs)) errors.push(`${where}.handoff must be an ISO time (e.g. 2025-01-06T09:00:00Z)`);
+
+    let restrict = null;
+    if (layer.restrict !== undefined) {
+        const from = timeOfDay(layer.restrict && layer.restrict.from);
+        const to = timeOfDay(layer.restrict && layer.restrict.to);
+        if (from === null || to === null) {
+            errors.push(`${where}.restrict must be { from: "HH:MM", to: "HH:MM" } (UTC)`);
+        } else if (from >= to) {
+            errors.push(`${where}.restrict.from must be before restrict.to`);
+        } else {
+            restrict = { from: layer.restrict.from, to: layer.restrict.to, from_ms: from, to_ms: to };
+        }
+    }
+
+    return {
+        name: typeof layer.name === 'string' ? layer.name : where,
+        users: Array.isArray(layer.users) ? layer.users : [],
+        rotation: layer.rotation,
+        rotation_ms: rotationMs,
+        handoff: Number.isFinite(handoffMs) ? new Date(handoffMs).toISOString() : null,
+        handoff_ms: handoffMs,
+        restrict,
+    };
+}
+
+function normalizeSchedules(list, users, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push('schedules must be a list');
+        return [];
+    }
+    const names = new Set();
+    return list.map((schedule, i) => {
+        const where = `schedules[${i}]${schedule && schedule.name ? ` (${schedule.name})` : ''}`;
+        if (!schedule || typeof schedule !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        if (typeof schedule.name !== 'string' || !NAME_PATTERN.test(schedule.name)) {
+            errors.push(`${where}.name must be letters, digits, "_", "." or "-"`);
+        } else if (names.has(schedule.name)) {
+            errors.push(`${where}.name is used by another schedule`);
+        }
+        names.add(schedule.name);
+
+        if (!Array.isArray(schedule.layers) || schedule.layers.length === 0) {
+            errors.push(`${where}.layers must be a non-empty list`);
+            return { name: schedule.name, layers: [] };
+        }
+        return { name: schedule.name, layers: schedule.layers.map((layer, j) => normalizeLayer(layer, `${where}.layers[${j}]`, users, errors)) };
+    });
+}
+
+function normalizeTarget(target, where, users, schedules, errors) {
+    const match = /^(schedule|user):(.+)$/.exec(typeof target === 'string' ? target : '');
+    if (!match) {
+        errors.push(`${where} must be "schedule:<name>" or "user:<id>"`);
+        return null;
+    }
+    const [, kind, name] = match;
+    if (kind === 'schedule' && !schedules.some((s) => s && s.name === name)) errors.push(`${where}: unknown schedule "${name}"`);
+    if (kind === 'user') checkUser(name, users, where, errors);
+    return { kind, name };
+}
+
+function normalizePolicies(list, users, schedules, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push('escalation_policies must be a list');
+        return [];
+    }
+    const names = new Set();
+    return list.map((policy, i) => {
+        const where = `escalation_policies[${i}]${policy && policy.name ? ` (${policy.name})` : ''}`;
+        if (!policy || typeof policy !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        if (typeof policy.name !== 'string' || !NAME_PATTERN.test(policy.name)) {
+            errors.push(`${where}.name must be letters, digits, "_", "." or "-"`);
+        } else if (names.has(policy.name)) {
+            errors.push(`${where}.name is used by another policy`);
+        }
+        names.add(policy.name);
+
+        const services = policy.services === undefined ? ['*'] : policy.services;
+        if (!Array.isArray(services) || services.length === 0 || !services.every((s) => typeof s === 'string' && s)) {
+            errors.push(`${where}.services must be a non-empty list of service names (or "*")`);
+        }
+        const minSeverity = policy.min_severity === undefined ? DEFAULT_MIN_SEVERITY : policy.min_severity;
+        if (!incidents.SEVERITIES.includes(minSeverity)) errors.push(`${where}.min_severity must be one of: ${incidents.SEVERITIES.join(', ')}`);
+        const repeat = policy.repeat === undefined ? 0 : policy.repeat;
+        if (!Number.isInteger(repeat) || repeat < 0) errors.push(`${where}.repeat must be a whole number (0 or more)`);
+        const channel = policy.channel === undefined ? DEFAULT_CHANNEL : policy.channel;
+        if (typeof channel !== 'string' || channel === '') errors.push(`${where}.channel must be a Slack channel`);
+
+        let steps = [];
+        if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+            errors.push(`${where}.steps must be a non-empty list`);
+        } else {
+            steps = policy.steps.map((step, j) => {
+                const at = `${where}.steps[${j}]`;
+                if (!step || !Array.isArray(step.notify) || step.notify.length === 0) {
+                    errors.push(`${at}.notify must be a non-empty list of targets`);
+                    return { notify: [], escalate_after: DEFAULT_ESCALATE_AFTER, escalate_after_ms: parseDuration(DEFAULT_ESCALATE_AFTER) };
+                }
+                const after = step.escalate_after === undefined ? DEFAULT_ESCALATE_AFTER : step.escalate_after;
+                const afterMs = parseDuration(after);
+                if (!afterMs) errors.push(`${at}.escalate_after must be a duration (e.g. 5m)`);
+                return {
+                    notify: step.notify.map((target, k) => normalizeTarget(target, `${at}.notify[${k}]`, users, schedules, errors)),
+                    escalate_after: after,
+                    escalate_after_ms: afterMs,
+                };
+            });
+        }
+
+        return { name: policy.name, services, min_severity: minSeverity, repeat, channel, steps };
+    });
+}
+
+/**
+ * Validate an on-call document.
+ * @param {object} doc - { users, schedules, escalation_policies }
+ * @returns {{ users: object, schedules: Array<object>, policies: Array<object> }}
+ * @throws {Error} code INVALID with `details` listing every problem
+ */
+function normalizeOncall(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw oncallError('INVALID', 'On-call file must be a map with "schedules" and "escalation_policies"', ['document must be a map']);
+    }
+    const errors = [];
+    const users = normalizeUsers(doc.users, errors);
+    const schedules = normalizeSchedules(doc.schedules, users, errors);
+    const policies = normalizePolicies(doc.escalation_policies, users, schedules, errors);
+
+    if (errors.length > 0) throw oncallError('INVALID', 'Invalid on-call configuration', errors);
+    return { users, schedules, policies };
+}
+
+// ── Loading ────────────────────────────────────────────────
+
+/**
+ * Read and activate an on-call file (.yaml, .yml or .json). The previous
+ * configuration stays active if the file is invalid; a missing file means
+ * no schedules and no policies.
+ * @param {string} [file=ONCALL_FILE]
+ * @returns {object} { file, loaded_at, users, schedules, policies }
+ * @throws {Error} code INVALID with `details`
+ */
+function loadOncall(file = ONCALL_FILE) {
+    let config = { users: {}, schedules: [], policies: [] };
+    if (fs.existsSync(file)) {
+        const text = fs.readFileSync(file, 'utf8');
+        let doc;
+        try {
+            doc = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+        } catch (error) {
+            throw oncallError('INVALID', `Cannot parse ${path.basename(file)}: ${error.message}`, [error.message]);
+        }
+        config = normalizeOncall(doc);
+    }
+
+    oncall = { file, loaded_at: new Date().toISOString(), ...config };
+    console.log(`[oncall] Loaded ${config.schedules.length} schedule(s) and ${config.policies.length} escalation policy(ies) from ${file}`);
+    return oncall;
+}
+
+/** The active configuration, loading ONCALL_FILE on first use */
+function getOncall() {
+    return oncall || loadOncall();
+}
+
+function requireSchedule(name) {
+    const schedule = getOncall().schedules.find((s) => s.name === name);
+    if (!schedule) throw oncallError('NOT_FOUND', `Schedule not found: ${name}`);
+    return schedule;
+}
+
+/** { id, name, slack } for a user id, declared or not */
+function userInfo(id) {
+    if (!id) return null;
+    return getOncall().users[id] || { id, name: id, slack: null };
+}
+
+// ── Initialization ─────────────────────────────────────────
+
+async function ensureTables() {
+    if (tablesReady) return;
+
+    await database.getDatabase();
+    await incidents.ensureTables();
+
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS oncall_overrides (
+      id TEXT PRIMARY KEY,
+      schedule TEXT NOT NULL,
+      user TEXT NOT NULL,
+      starts_at TEXT NOT NULL,
+      ends_at TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      reason TEXT DEFAULT '',
+      created_at TEXT NOT NULL,
+      cancelled_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_oncall_overrides_schedule ON oncall_overrides (schedule, ends_at);
+    CREATE TABLE IF NOT EXISTS escalations (
+      id TEXT PRIMARY KEY,
+      incident_id TEXT NOT NULL UNIQUE,
+      policy TEXT NOT NULL,
+      status TEXT NOT NULL,
+      step INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      started_at TEXT NOT NULL,
+      next_at TEXT,
+      updated_at TEXT NOT NULL,
+      stopped_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_escalations_status ON escalations (status);
+    CREATE TABLE IF NOT EXISTS pages (
+      id TEXT PRIMARY KEY,
+      escalation_id TEXT NOT NULL,
+      incident_id TEXT NOT NULL,
+      step INTEGER NOT NULL,
+      round INTEGER NOT NULL,
+      target TEXT NOT NULL,
+      recipient TEXT,
+      channel TEXT NOT NULL,
+      message TEXT NOT NULL,
+      sent INTEGER NOT NULL,
+      detail TEXT,
+      timestamp TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_pages_escalation ON pages (escalation_id, timestamp);
+  `);
+
+    tablesReady = true;
+}
+
+// ── Rotations ──────────────────────────────────────────────
+
+/** The layer's shift at t, or null when the layer has nobody then */
+function layerShiftAt(layer, t) {
+    if (t < layer.handoff_ms) return null;
+    const index = Math.floor((t - layer.handoff_ms) / layer.rotation_ms);
+    let start = layer.handoff_ms + index * layer.rotation_ms;
+    let end = start + layer.rotation_ms;
+    if (layer.restrict) {
+        const day = Math.floor(t / DAY_MS) * DAY_MS;
+        if (t < day + layer.restrict.from_ms || t >= day + layer.restrict.to_ms) return null;
+        start = Math.max(start, day + layer.restrict.from_ms);
+        end = Math.min(end, day + layer.restrict.to_ms);
+    }
+    return { user: layer.users[index % layer.users.length], start, end };
+}
+
+function overrideRows(schedule, from, to) {
+    return database.queryAll(
+        `SELECT * FROM oncall_overrides WHERE schedule = $schedule AND starts_at < $to AND ends_at > $from
+         ORDER BY created_at DESC`,
+        { $schedule: schedule, $from: new Date(from).toISOString(), $to: new Date(to).toISOString() }
+    ).map((row) => ({ ...row, starts_ms: Date.parse(row.starts_at), ends_ms: Date.parse(row.ends_at) }));
+}
+
+/** Who a schedule puts on call at t: the newest override, else the last layer with someone */
+function onCallAt(schedule, overrides, t) {
+    const override = overrides.find((o) => o.starts_ms <= t && t < o.ends_ms);
+    if (override) return { user: override.user, source: 'override', layer: null, override_id: override.id };
+    for (const layer of [...schedule.layers].reverse()) {
+        const shift = layerShiftAt(layer, t);
+        if (shift) return { user: shift.user, source: 'layer', layer: layer.name, override_id: null };
+    }
+    return { user: null, source: null, layer: null, override_id: null };
+}
+
+/** Every moment in [from, to) at which the person on call may change */
+function changePoints(schedule, overrides, from, to) {
+    const points = new Set([from]);
+    for (const layer of schedule.layers) {
+        const first = Math.max(0, Math.ceil((from - layer.handoff_ms) / layer.rotation_ms));
+        for (let t = layer.handoff_ms + first * layer.rotation_ms; t < to; t += layer.rotation_ms) points.add(t);
+        if (layer.restrict) {
+            for (let day = Math.floor(from / DAY_MS) * DAY_MS; day < to; day += DAY_MS) {
+                points.add(day + layer.restrict.from_ms);
+                points.add(day + layer.restrict.to_ms);
+            }
+        }
+    }
+    for (const override of overrides) {
+        points.add(override.starts_ms);
+        points.add(override.ends_ms);
+    }
+    return [...points].filter((t) => t >= from && t < to).sort((a, b) => a - b);
+}
+
+/** Consecutive stretches of [from, to) with the same person on call, from the same layer or override */
+function shiftsBetween(schedule, from, to) {
+    const overrides = overrideRows(schedule.name, from, to);
+    const shifts = [];
+    for (const t of changePoints(schedule, overrides, from, to)) {
+        const who = onCallAt(schedule, overrides, t);
+        const last = shifts[shifts.length - 1];
+        if (last && last.user === who.user && last.layer === who.layer && last.override_id === who.override_id) continue;
+        if (last) last.end = t;
+        shifts.push({ ...who, start: t, end: to });
+    }
+    return shifts;
+}
+
+function toShift(shift) {
+    const user = userInfo(shift.user);
+    return {
+        user: shift.user,
+        name: user ? user.name : null,
+        source: shift.source,
+        layer: shift.layer,
+        override_id: shift.override_id,
+        start: new Date(shift.start).toISOString(),
+        end: new Date(shift.end).toISOString(),
+    };
+}
+
+// ── Who Is On Call ─────────────────────────────────────────
+
+/** How far around a moment to look for the current shift's bounds and the next person */
+function horizonOf(schedule) {
+    return 2 * Math.max(...schedule.layers.map((layer) => layer.rotation_ms)) + DAY_MS;
+}
+
+function onCallEntry(schedule, at) {
+    const horizon = horizonOf(schedule);
+    const shifts = shiftsBetween(schedule, at - horizon, at + horizon);
+    const index = shifts.findIndex((s) => s.start <= at && at < s.end);
+    const current = shifts[index];
+    const next = shifts.slice(index + 1).find((s) => s.user !== current.user);
+    const user = userInfo(current.user);
+
+    return {
+        schedule: schedule.name,
+        user: current.user,
+        name: user ? user.name : null,
+        slack: user ? user.slack : null,
+        source: current.source,
+        layer: current.layer,
+        override_id: current.override_id,
+        since: index > 0 ? new Date(current.start).toISOString() : null,
+        until: next ? new Date(next.start).toISOString() : null,
+        next: next ? { user: next.user, name: userInfo(next.user) && userInfo(next.user).name, at: new Date(next.start).toISOString() } : null,
+    };
+}
+
+/** Schedules a service's escalation policy pages, in step order */
+function schedulesFor(service) {
+    const policy = policyFor(service);
+    if (!policy) return [];
+    return [...new Set(policy.steps.flatMap((step) => step.notify.filter((t) => t.kind === 'schedule').map((t) => t.name)))];
+}
+
+/**
+ * Who is on call, per schedule.
+ * @param {object} [options]
+ * @param {string} [options.schedule] - Only this schedule
+ * @param {string} [options.service] - Only the schedules its escalation policy pages
+ * @param {string|number} [options.at] - When (ISO, epoch ms or "2h" ago; default now)
+ * @param {number} [now]
+ * @returns {Promise<{ at, policy, data: Array<object> }>} Each entry: { schedule, user, name, slack, source
+ *   (layer | override), layer, override_id, since, until, next: { user, name, at } }
+ * @throws {Error} code INVALID, or NOT_FOUND for an unknown schedule
+ */
+async function whoIsOnCall({ schedule, service, at } = {}, now = Date.now()) {
+    await ensureTables();
+    const when = at === undefined || at === '' ? now : parseTime(at, now);
+    if (when === null) throw oncallError('INVALID', `Invalid "at": ${at}`);
+
+    let schedules = getOncall().schedules;
+    if (schedule) schedules = [requireSchedule(schedule)];
+    if (service) {
+        const names = schedulesFor(service);
+        schedules = schedules.filter((s) => names.includes(s.name));
+    }
+
+    const policy = service ? policyFor(service) : null;
+    return {
+        at: new Date(when).toISOString(),
+        policy: policy ? policy.name : null,
+        data: schedules.map((s) => onCallEntry(s, when)),
+    };
+}
+
+/**
+ * A schedule's shifts over a range, layers and overrides resolved.
+ * @param {string} name
+ * @param {object} [range] - { from (default now), to (default 7 days after from; at most 90 days) }
+ * @param {number} [now]
+ * @returns {Promise<object>} { schedule, layers, from, to, shifts: [{ user, name, source, layer, override_id, start, end }] }
+ * @throws {Error} code NOT_FOUND or INVALID
+ */
+async function scheduleShifts(name, { from, to } = {}, now = Date.now()) {
+    await ensureTables();
+    const schedule = requireSchedule(name);
+    const start = from === undefined ? now : parseTime(from, now);
+    if (start === null) throw oncallError('INVALID', `Invalid "from": ${from}`);
+    const end = to === undefined ? start + DEFAULT_SHIFTS_SPAN_MS : parseTime(to, now);
+    if (end === null) throw oncallError('INVALID', `Invalid "to": ${to}`);
+    if (end <= start) throw oncallError('INVALID', '"from" must be before "to"');
+    if (end - start > MAX_SHIFTS_SPAN_MS) throw oncallError('INVALID', 'At most 90 days of shifts at a time');
+
+    return {
+        schedule: schedule.name,
+        layers: schedule.layers.map(({ name: layer, users, rotation, handoff, restrict }) => ({
+            name: layer, users, rotation, handoff, restrict: restrict && { from: restrict.from, to: restrict.to },
+        })),
+        from: new Date(start).toISOString(),
+        to: new Date(end).toISOString(),
+        shifts: shiftsBetween(schedule, start, end).map(toShift),
+    };
+}
+
+// ── Overrides ──────────────────────────────────────────────
+
+function overrideStatus(row, now) {
+    if (Date.parse(row.ends_at) <= now) return 'expired';
+    return Date.parse(row.starts_at) > now ? 'pending' : 'active';
+}
+
+function toOverride(row, now) {
+    return { ...row, status: overrideStatus(row, now) };
+}
+
+function requireOverride(id) {
+    const row = database.queryOne('SELECT * FROM oncall_overrides WHERE id = $id', { $id: id });
+    if (!row) throw oncallError('NOT_FOUND', `Override not found: ${id}`);
+    return row;
+}
+
+/**
+ * Put someone on call for a schedule for a while.
+ * @param {object} fields - { schedule, user, starts_at? (default now), ends_at | duration, created_by, reason? }
+ * @returns {Promise<object>}
+ * @throws {Error} code INVALID or NOT_FOUND (schedule)
+ */
+async function createOverride(fields = {}, now = Date.now()) {
+    await ensureTables();
+    const { schedule, user, created_by: createdBy, reason = '' } = fields;
+    if (typeof schedule !== 'string' || !schedule) throw oncallError('INVALID', '"schedule" is required');
+    requireSchedule(schedule);
+
+    const errors = [];
+    checkUser(user, getOncall().users, '"user"', errors);
+    if (errors.length > 0) throw oncallError('INVALID', errors[0]);
+    if (typeof createdBy !== 'string' || createdBy.trim() === '') throw oncallError('INVALID', '"created_by" is required');
+    if (typeof reason !== 'string' || reason.length > 1000) throw oncallError('INVALID', '"reason" must be a string of at most 1000 characters');
+
+    const startsAt = fields.starts_at === undefined ? now : parseTime(fields.starts_at, now);
+    if (startsAt === null) throw oncallError('INVALID', `Invalid "starts_at": ${fields.starts_at}`);
+    let endsAt;
+    if (fields.ends_at !== undefined && fields.duration !== undefined) {
+        throw oncallError('INVALID', 'Give either "ends_at" or "duration", not both');
+    } else if (fields.duration !== undefined) {
+        const ms = parseDuration(fields.duration);
+        if (!ms) throw oncallError('INVALID', `Invalid "duration": ${fields.duration} (e.g. 8h, 2d)`);
+        endsAt = startsAt + ms;
+    } else {
+        endsAt = parseTime(fields.ends_at, now);
+        if (endsAt === null) throw oncallError('INVALID', '"ends_at" (or "duration") is required');
+    }
+    if (endsAt <= startsAt) throw oncallError('INVALID', '"ends_at" must be after "starts_at"');
+    if (endsAt <= now) throw oncallError('INVALID', '"ends_at" is in the past');
+
+    const id = uuidv4();
+    database.run(
+        `INSERT INTO oncall_overrides (id, schedule, user, starts_at, ends_at, created_by, reason, created_at)
+         VALUES ($id, $schedule, $user, $starts, $ends, $by, $reason, $created)`,
+        {
+            $id: id, $schedule: schedule, $user: user, $starts: new Date(startsAt).toISOString(), $ends: new Date(endsAt).toISOString(),
+            $by: createdBy.trim(), $reason: reason.trim(), $created: new Date(now).toISOString(),
+        }
+    );
+    database.saveToDisk();
+
+    console.log(`[oncall] ${createdBy} put ${user} on call for ${schedule} until ${new Date(endsAt).toISOString()}`);
+    return toOverride(requireOverride(id), now);
+}
+
+/**
+ * End an override now (a pending one is cut to zero length).
+ * @param {string} id
+ * @param {object} [options] - { actor }
+ * @throws {Error} code NOT_FOUND, or CONFLICT when it already expired
+ */
+async function cancelOverride(id, { actor } = {}, now = Date.now()) {
+    await ensureTables();
+    const row = requireOverride(id);
+    if (overrideStatus(row, now) === 'expired') throw oncallError('CONFLICT', `Override ${id} has already expired`);
+
+    const endsAt = new Date(Math.max(now, Date.parse(row.starts_at))).toISOString();
+    database.run('UPDATE oncall_overrides SET ends_at = $ends, cancelled_by = $by WHERE id = $id', { $ends: endsAt, $by: actor || null, $id: id });
+    database.saveToDisk();
+
+    console.log(`[oncall] Cancelled override ${id}${actor ? ` (${actor})` : ''}`);
+    return toOverride(requireOverride(id), now);
+}
+
+/**
+ * Overrides, latest ending first.
+ * @param {object} [filters] - { schedule, status (pending | active | expired | all; default: pending + active), limit }
+ * @throws {Error} code INVALID
+ */
+async function listOverrides({ schedule, status, limit } = {}, now = Date.now()) {
+    await ensureTables();
+    if (status !== undefined && status !== 'all' && !OVERRIDE_STATUSES.includes(status)) {
+        throw oncallError('INVALID', `"status" must be one of: ${OVERRIDE_STATUSES.join(', ')}, all`);
+    }
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+    const rows = schedule
+        ? database.queryAll('SELECT * FROM oncall_overrides WHERE schedule = $schedule ORDER BY ends_at DESC', { $schedule: schedule })
+        : database.queryAll('SELECT * FROM oncall_overrides ORDER BY ends_at DESC');
+    const data = rows
+        .map((row) => toOverride(row, now))
+        .filter((o) => (status === undefined ? o.status !== 'expired' : status === 'all' || o.status === status))
+        .slice(0, max);
+    return { count: data.length, data };
+}
+
+// ── Escalation ─────────────────────────────────────────────
+
+/** The first policy listing the service, else the first one with "*" */
+function policyFor(service) {
+    const { policies } = getOncall();
+    return policies.find((p) => service && p.services.includes(service)) || policies.find((p) => p.services.includes('*')) || null;
+}
+
+function pageMessage(incident, policy, escalation, target) {
+    const where = incident.service || incident.node;
+    const step = `step ${escalation.step + 1}/${policy.steps.length}${escalation.round > 0 ? `, round ${escalation.round + 1}` : ''}`;
+    const why = target.kind === 'schedule' ? `you are on call for ${target.name}` : 'you are on the escalation path';
+    return `🚨 *${incident.severity.toUpperCase()}* incident "${incident.title}"${where ? ` on ${where}` : ''} is unacknowledged — ${why} (${policy.name}, ${step}).\n`
+        + `Acknowledge: POST /incidents/${incident.id}/acknowledge`;
+}
+
+/** Page every target of the escalation's current step; each person at most once per step */
+async function pageStep(incident, policy, escalation, now) {
+    const timestamp = new Date(now).toISOString();
+    const paged = new Set();
+    const pages = [];
+
+    for (const target of policy.steps[escalation.step].notify) {
+        let recipient = target.name;
+        if (target.kind === 'schedule') recipient = onCallEntry(requireSchedule(target.name), now).user;
+        if (recipient && paged.has(recipient)) continue;
+        if (recipient) paged.add(recipient);
+
+        const user = userInfo(recipient);
+        const channel = (user && user.slack) || policy.channel;
+        const message = recipient
+            ? pageMessage(incident, policy, escalation, target)
+            : `⚠️ Nobody is on call for ${target.name}; incident "${incident.title}" (${incident.id}) is unacknowledged (${policy.name}, step ${escalation.step + 1}).`;
+        const result = await slack.sendSlackMessage(channel, message);
+
+        const page = {
+            id: uuidv4(),
+            escalation_id: escalation.id,
+            incident_id: incident.id,
+            step: escalation.step,
+            round: escalation.round,
+            target: `${target.kind}:${target.name}`,
+            recipient,
+            channel,
+            message,
+            sent: result.sent ? 1 : 0,
+            detail: result.sent ? `HTTP ${result.status}` : result.reason,
+            timestamp,
+        };
+        database.run(
+            `INSERT INTO pages (id, escalation_id, incident_id, step, round, target, recipient, channel, message, sent, detail, timestamp)
+             VALUES ($id, $escalation, $incident, $step, $round, $target, $recipient, $channel, $message, $sent, $detail, $ts)`,
+            {
+                $id: page.id, $escalation: page.escalation_id, $incident: page.incident_id, $step: page.step, $round: page.round,
+                $target: page.target, $recipient: page.recipient, $channel: page.channel, $message: page.message,
+                $sent: page.sent, $detail: page.detail, $ts: page.timestamp,
+            }
+        );
+        pages.push({ ...page, sent: Boolean(page.sent) });
+    }
+    return pages;
+}
+
+function updateEscalation(escalation, fields, now) {
+    Object.assign(escalation, fields, { updated_at: new Date(now).toISOString() });
+    database.run(
+        `UPDATE escalations SET status = $status, step = $step, round = $round, next_at = $next, updated_at = $ts, stopped_by = $by
+         WHERE id = $id`,
+        {
+            $id: escalation.id, $status: escalation.status, $step: escalation.step, $round: escalation.round,
+            $next: escalation.next_at, $ts: escalation.updated_at, $by: escalation.stopped_by || null,
+        }
+    );
+}
+
+/** Incidents still open that no escalation has picked up, and that some policy pages for */
+async function startEscalations(now) {
+    const rows = database.queryAll(
+        `SELECT i.* FROM incidents i LEFT JOIN escalations e ON e.incident_id = i.id
+         WHERE i.status = 'open' AND e.id IS NULL ORDER BY i.opened_at ASC`
+    );
+    const changes = [];
+    for (const row of rows) {
+        const incident = { ...row, labels: JSON.parse(row.labels || '{}') };
+        const policy = policyFor(incident.service);
+        if (!policy || incidents.SEVERITIES.indexOf(incident.severity) < incidents.SEVERITIES.indexOf(policy.min_severity)) continue;
+        // A silenced incident is left alone; it is picked up if still open when the silence ends
+        if (await silences.silenceFor(incident, now)) continue;
+
+        const timestamp = new Date(now).toISOString();
+        const escalation = {
+            id: uuidv4(),
+            incident_id: incident.id,
+            policy: policy.name,
+            status: 'active',
+            step: 0,
+            round: 0,
+            started_at: timestamp,
+            next_at: new Date(now + policy.steps[0].escalate_after_ms).toISOString(),
+            updated_at: timestamp,
+        };
+        database.run(
+            `INSERT INTO escalations (id, incident_id, policy, status, step, round, started_at, next_at, updated_at)
+             VALUES ($id, $incident, $policy, 'active', 0, 0, $ts, $next, $ts)`,
+            { $id: escalation.id, $incident: incident.id, $policy: policy.name, $ts: timestamp, $next: escalation.next_at }
+        );
+        const pages = await pageStep(incident, policy, escalation, now);
+        console.log(`[oncall] Escalating incident ${incident.id} with ${policy.name}`);
+        changes.push({ escalation_id: escalation.id, incident_id: incident.id, event: 'started', step: 0, round: 0, pages });
+    }
+    return changes;
+}
+
+/** Stop, advance or give up on the active escalations */
+async function advanceEscalations(now) {
+    const changes = [];
+    for (const escalation of database.queryAll("SELECT * FROM escalations WHERE status = 'active'")) {
+        const incident = database.queryOne('SELECT * FROM incidents WHERE id = $id', { $id: escalation.incident_id });
+        const policy = getOncall().policies.find((p) => p.name === escalation.policy);
+        const change = (event, pages = []) => changes.push({
+            escalation_id: escalation.id, incident_id: escalation.incident_id, event, step: escalation.step, round: escalation.round, pages,
+        });
+
+        if (!incident || incident.status !== 'open') {
+            const status = incident && incident.status === 'resolved' ? 'resolved' : 'acknowledged';
+            const by = incident && (incident.acknowledged_by || incident.resolved_by);
+            updateEscalation(escalation, { status, next_at: null, stopped_by: by || null }, now);
+            change(status);
+            continue;
+        }
+        if (!policy) {
+            updateEscalation(escalation, { status: 'cancelled', next_at: null }, now);
+            change('cancelled');
+            continue;
+        }
+        if (now < Date.parse(escalation.next_at)) continue;
+        // Silenced since it started: hold the step and page once the silence ends
+        if (await silences.silenceFor({ ...incident, labels: JSON.parse(incident.labels || '{}') }, now)) continue;
+
+        let { step, round } = escalation;
+        step++;
+        if (step >= policy.steps.length) {
+            step = 0;
+            round++;
+        }
+        if (round > policy.repeat) {
+            updateEscalation(escalation, { status: 'exhausted', next_at: null }, now);
+            await slack.sendSlackMessage(policy.channel, `⚠️ Nobody acknowledged incident "${incident.title}" (${incident.id}); `
+                + `${policy.name} ran out of steps.`);
+            console.warn(`[oncall] Escalation for incident ${incident.id} exhausted`);
+            change('exhausted');
+            continue;
+        }
+
+        updateEscalation(escalation, { step, round, next_at: new Date(now + policy.steps[step].escalate_after_ms).toISOString() }, now);
+        change('escalated', await pageStep(incident, policy, escalation, now));
+    }
+    return changes;
+}
+
+/**
+ * Start escalations for newly opened incidents, advance those whose step
+ * timed out and stop those whose incident was acknowledged or resolved.
+ * Called by the metrics sampler; safe to call at any rate.
+ * @param {number} [now]
+ * @returns {Promise<Array<object>>} What changed: { escalation_id, incident_id, event (started | escalated |
+ *   acknowledged | resolved | exhausted | cancelled), step, round, pages }
+ */
+async function evaluateEscalations(now = Date.now()) {
+    await ensureTables();
+    const changes = [...await advanceEscalations(now), ...await startEscalations(now)];
+    if (changes.length > 0) database.saveToDisk();
+    return changes;
+}
+
+/**
+ * Escalations, newest first, with the pages they sent.
+ * @param {object} [filters] - { status, incident_id, limit }
+ * @throws {Error} code INVALID
+ */
+async function listEscalations({ status, incident_id: incidentId, limit } = {}) {
+    await ensureTables();
+    if (status !== undefined && !ESCALATION_STATUSES.includes(status)) {
+        throw oncallError('INVALID', `"status" must be one of: ${ESCALATION_STATUSES.join(', ')}`);
+    }
+
+    let where = 'WHERE 1=1';
+    const params = {};
+    if (status) {
+        where += ' AND status = $status';
+        params.$status = status;
+    }
+    if (incidentId) {
+        where += ' AND incident_id = $incident';
+        params.$incident = incidentId;
+    }
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+    const data = database.queryAll(`SELECT * FROM escalations ${where} ORDER BY started_at DESC LIMIT $limit`, { ...params, $limit: max })
+        .map((row) => ({
+            ...row,
+            pages: database.queryAll('SELECT * FROM pages WHERE escalation_id = $id ORDER BY timestamp ASC, step ASC', { $id: row.id })
+                .map((page) => ({ ...page, sent: Boolean(page.sent) })),
+        }));
+    return { count: data.length, data };
+}
+
+/** Forget the loaded configuration and table state (tests only). */
+function resetForTesting() {
+    oncall = null;
+    tablesReady = false;
+}
+
+module.exports = {
+    ONCALL_FILE,
+    ESCALATION_STATUSES,
+    normalizeOncall,
+    loadOncall,
+    getOncall,
+    whoIsOnCall,
+    scheduleShifts,
+    createOverride,
+    cancelOverride,
+    listOverrides,
+    evaluateEscalations,
+    listEscalations,
+    resetForTesting,
+};
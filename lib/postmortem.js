@@ -0,0 +1,492 @@
+/**
+ * Postmortem — a first draft of the write-up, built from what was stored
+ *
+ * Covers an incident (its window and service, as in lib/timeline.js) or any
+ * time window, and fills in the usual sections:
+ *
+ *   summary       one paragraph: what, where, how long
+ *   impact        duration, affected and downstream services (declared
+ *                 topology), error log volume, threshold breaches with their
+ *                 peaks, alerts that fired and SLO error budgets
+ *   timeline      the merged timeline of the window
+ *   root cause    candidate notes: the first signal, the earliest breach, the
+ *                 most frequent error and the recorded resolution
+ *   actions       remediations run in the window or linked to the incident,
+ *                 with their stated reason
+ *   approvals     who acknowledged, mitigated, resolved or linked what
+ *   follow-ups    checklist items derived from the above (failed actions,
+ *                 slow or missing acknowledgement, recurring errors, budgets)
+ *
+ * Everything here is inferred from stored data, so the output is marked as a
+ * draft for a person to confirm and edit. renderMarkdown() turns the JSON
+ * document into Markdown.
+ */
+
+'use strict';
+
+const database = require('./database');
+const metricsStore = require('./metrics-store');
+const rules = require('./rules');
+const alerts = require('./alerts');
+const incidents = require('./incidents');
+const slos = require('./slos');
+const topology = require('./topology');
+const timeline = require('./timeline');
+
+// ── Configuration ──────────────────────────────────────────
+const FORMATS = ['json', 'markdown'];
+const REMEDIATION_TABLES = { actions: 'success', executions: 'completed' };
+const DEFAULT_TIMELINE_LIMIT = 100;
+const TOP_ERRORS = 5;
+/** Acknowledgement slower than this becomes a follow-up */
+const SLOW_ACK_MS = 15 * 60 * 1000;
+/** Log lines repeated at least this often become a follow-up */
+const RECURRING_ERROR_COUNT = 3;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function postmortemError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+function tableExists(table) {
+    return database.queryOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = $name", { $name: table }) !== null;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/** "1h02m", "3m05s", "40s" */
+function formatDuration(ms) {
+    return ms === null || ms === undefined ? null : timeline.formatOffset(ms).slice(1);
+}
+
+function targetOf({ service, node }) {
+    return service || (node ? `node/${node}` : 'cluster');
+}
+
+// ── Sections ───────────────────────────────────────────────
+
+/** Threshold breaches in the window: stored snapshots replayed against the rules, with peaks */
+async function thresholdBreaches(window, wanted, filtered) {
+    const entries = await metricsStore.readRange({ from: window.from, to: window.to });
+    const open = new Map();
+    const breaches = [];
+
+    for (const { snapshot } of entries) {
+        const t = typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+        for (const state of rules.thresholdStates(snapshot)) {
+            if (filtered && (state.scope !== 'service' || !wanted(state.service))) continue;
+            const { rule } = state;
+            const key = `${rule.name}|${targetOf(state)}`;
+            const current = open.get(key);
+
+            if (!state.breaching) {
+                if (current) {
+                    current.ended_at = t;
+                    open.delete(key);
+                }
+                continue;
+            }
+            if (!current) {
+                const breach = {
+                    rule: rule.name,
+                    severity: rule.severity,
+                    metric: rule.metric,
+                    operator: rule.operator,
+                    threshold: rule.threshold,
+                    target: targetOf(state),
+                    peak: state.value,
+                    started_at: t,
+                    ended_at: null,
+                };
+                open.set(key, breach);
+                breaches.push(breach);
+            } else if (rule.operator.startsWith('<') ? state.value < current.peak : state.value > current.peak) {
+                current.peak = state.value;
+            }
+        }
+    }
+
+    return breaches.map((b) => ({
+        ...b,
+        started_at: new Date(b.started_at).toISOString(),
+        ended_at: b.ended_at === null ? null : new Date(b.ended_at).toISOString(),
+        duration: formatDuration((b.ended_at === null ? window.to : b.ended_at) - b.started_at),
+    }));
+}
+
+/** Error and fatal lines in the window, grouped by service and message, most frequent first */
+function errorLogs(window, wanted) {
+    if (!tableExists('logs')) return [];
+    return database.queryAll(
+        `SELECT service, message, COUNT(*) AS count, MIN(timestamp) AS first_at, MAX(timestamp) AS last_at
+         FROM logs WHERE timestamp >= $from AND timestamp <= $to AND level IN ('error', 'fatal')
+         GROUP BY service, message ORDER BY count DESC, first_at ASC`,
+        { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString() }
+    ).filter((row) => wanted(row.service));
+}
+
+/** Remediations run in the window (for the services) or linked to the incident, oldest first */
+function remediations(window, wanted, filtered, incidentId) {
+    const found = [];
+    for (const [table, successStatus] of Object.entries(REMEDIATION_TABLES)) {
+        if (!tableExists(table)) continue;
+        const rows = database.queryAll(
+            `SELECT * FROM ${table} WHERE (timestamp >= $from AND timestamp <= $to) OR incident_id = $incident`,
+            { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString(), $incident: incidentId || '' }
+        );
+        for (const row of rows) {
+            const params = parseJson(row.params);
+            const linked = Boolean(incidentId) && row.incident_id === incidentId;
+            if (!linked && filtered && !wanted(params.service || null)) continue;
+
+            const result = parseJson(row.result);
+            found.push({
+                at: row.timestamp,
+                id: row.id,
+                action: row.action,
+                target: params.service || params.node || params.channel || null,
+                params,
+                status: row.status,
+                succeeded: row.status === successStatus,
+                reason: row.reason || null,
+                error: result.error || null,
+                via: table === 'actions' ? 'rest' : 'mcp',
+                linked,
+            });
+        }
+    }
+    return found.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/** Alerts that started firing in the window, from any source */
+async function alertsFired(window, wanted) {
+    await alerts.ensureTables();
+    return database.queryAll(
+        'SELECT * FROM alerts WHERE firing_at >= $from AND firing_at <= $to ORDER BY firing_at ASC',
+        { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString() }
+    )
+        .map((row) => ({ ...row, service: row.service || parseJson(row.labels).service || null }))
+        .filter((row) => wanted(row.service))
+        .map((row) => ({
+            rule: row.rule,
+            source: row.source,
+            severity: row.severity,
+            service: row.service,
+            status: row.status,
+            firing_at: row.firing_at,
+            resolved_at: row.resolved_at || null,
+            summary: row.summary,
+        }));
+}
+
+/** Who signed off each step of the incident */
+function approvalsOf(incident) {
+    if (!incident) return [];
+    return incident.events
+        .filter((e) => e.type !== 'opened' || e.actor)
+        .map((e) => ({ at: e.timestamp, step: e.type, actor: e.actor || null, note: e.note || null }));
+}
+
+/** Error budgets of the services' SLOs, as they stand now */
+async function sloImpact(services, now) {
+    const measured = services.length === 0
+        ? (await slos.sloStatus({}, now)).data
+        : (await Promise.all(services.map((service) => slos.sloStatus({ service }, now)))).flatMap((result) => result.data);
+    return measured.map((slo) => ({
+        name: slo.name,
+        service: slo.service,
+        objective: slo.objective,
+        target: slo.target,
+        status: slo.status,
+        remaining_percent: slo.error_budget.remaining_percent,
+    }));
+}
+
+/** Services that call the affected ones, per the declared topology */
+async function downstreamOf(services) {
+    const downstream = new Set();
+    for (const service of services) {
+        try {
+            const radius = await topology.blastRadius(service, { source: 'config' });
+            for (const entry of radius.downstream) downstream.add(entry.service);
+        } catch (error) {
+            if (error.code !== 'NOT_FOUND') throw error;
+        }
+    }
+    return [...downstream].filter((service) => !services.includes(service)).sort();
+}
+
+function rootCauseNotes({ events, breaches, errors, incident }) {
+    const notes = [];
+    const first = events.find((e) => e.severity !== 'info' && e.kind !== 'incident');
+    if (first) notes.push(`First signal at ${first.at} (${first.offset}): ${first.summary}`);
+
+    const earliest = breaches[0];
+    if (earliest) {
+        notes.push(`Earliest threshold breach: ${earliest.metric} ${earliest.operator} ${earliest.threshold} on ${earliest.target} `
+            + `from ${earliest.started_at}, peaking at ${earliest.peak}`);
+    }
+    if (errors[0]) notes.push(`Most frequent error: "${errors[0].message}" (${errors[0].count}× on ${errors[0].service})`);
+    if (incident && incident.resolution) {
+        notes.push(`Resolution${incident.resolved_by ? ` by ${incident.resolved_by}` : ''}: ${incident.resolution}`);
+    }
+    return notes;
+}
+
+function followUps({ incident, actions, errors, sloList, now }) {
+    const items = [];
+    for (const action of actions.filter((a) => !a.succeeded)) {
+        items.push(`Find out why ${action.action}${action.target ? ` on ${action.target}` : ''} ended ${action.status}`
+            + (action.error ? ` (${action.error})` : ''));
+    }
+    if (incident) {
+        const ackMs = incident.acknowledged_at ? Date.parse(incident.acknowledged_at) - Date.parse(incident.opened_at) : null;
+        if (ackMs === null && incident.status !== 'open') {
+            items.push('Review paging: the incident was never acknowledged');
+        } else if (ackMs === null && now - Date.parse(incident.opened_at) > SLOW_ACK_MS) {
+            items.push(`Review paging: still unacknowledged after ${formatDuration(now - Date.parse(incident.opened_at))}`);
+        } else if (ackMs > SLOW_ACK_MS) {
+            items.push(`Review paging: acknowledgement took ${formatDuration(ackMs)}`);
+        }
+        if (incident.status === 'resolved' && !incident.resolution) {
+            items.push('Record the root cause: the incident was resolved without a resolution note');
+        }
+        if (actions.length > 0 && !actions.some((a) => a.linked)) {
+            items.push('Link the remediation that fixed it to the incident');
+        }
+    }
+    for (const error of errors.slice(0, TOP_ERRORS).filter((e) => e.count >= RECURRING_ERROR_COUNT)) {
+        items.push(`Handle or alert on "${error.message}" (${error.count}× on ${error.service})`);
+    }
+    for (const slo of sloList.filter((s) => ['exhausted', 'critical'].includes(s.status))) {
+        items.push(`Review error budget spending for SLO ${slo.name}: ${slo.status}, ${slo.remaining_percent}% remaining`);
+    }
+    return items;
+}
+
+function summarize({ incident, window, services, breaches, alertList, actions, errorCount }) {
+    const where = services.length > 0 ? services.join(', ') : 'all services';
+    const parts = [];
+    if (incident) {
+        const how = incident.resolved_at
+            ? `resolved after ${formatDuration(Date.parse(incident.resolved_at) - Date.parse(incident.opened_at))}`
+            : `still ${incident.status}`;
+        const severity = incident.severity[0].toUpperCase() + incident.severity.slice(1);
+        parts.push(`${severity} incident "${incident.title}" on ${where}, opened ${incident.opened_at} and ${how}.`);
+    } else {
+        parts.push(`Activity on ${where} between ${window.from} and ${window.to}.`);
+    }
+    parts.push(`${breaches.length} threshold breach(es), ${alertList.length} alert(s) fired, ${errorCount} error log line(s), `
+        + `${actions.length} remediation(s) run (${actions.filter((a) => a.succeeded).length} succeeded).`);
+    return parts.join(' ');
+}
+
+// ── Postmortem ─────────────────────────────────────────────
+
+/**
+ * Draft a postmortem for an incident or a time window.
+ * @param {object} [options] - incident_id, from, to, window, services, min_level and limit as
+ *   for timeline.buildTimeline (limit applies to the timeline section, default 100)
+ * @param {number} [now]
+ * @returns {Promise<object>} { title, draft, generated_at, incident, window, services, summary, impact,
+ *   timeline, root_cause, actions_taken, approvals, follow_ups }
+ * @throws {Error} code INVALID, or NOT_FOUND for an unknown incident
+ */
+async function generatePostmortem(options = {}, now = Date.now()) {
+    const built = await timeline.buildTimeline({ limit: DEFAULT_TIMELINE_LIMIT, ...options }, now);
+    const incident = built.incident_id ? await incidents.getIncident(built.incident_id) : null;
+    const window = { from: Date.parse(built.from), to: Date.parse(built.to) };
+    const { services } = built;
+    const filtered = services.length > 0;
+    const wanted = (service) => !filtered || services.includes(service);
+
+    const breaches = await thresholdBreaches(window, wanted, filtered);
+    const errors = errorLogs(window, wanted);
+    const actions = remediations(window, wanted, filtered, incident && incident.id);
+    const alertList = await alertsFired(window, wanted);
+    const sloList = await sloImpact(services, now);
+
+    const errorsByService = {};
+    for (const row of errors) errorsByService[row.service] = (errorsByService[row.service] || 0) + row.count;
+    const errorCount = Object.values(errorsByService).reduce((sum, n) => sum + n, 0);
+
+    const end = incident && incident.resolved_at ? Date.parse(incident.resolved_at) : window.to;
+    const start = incident ? Date.parse(incident.opened_at) : window.from;
+
+    return {
+        title: incident ? incident.title : `Activity on ${services.length > 0 ? services.join(', ') : 'all services'}`,
+        draft: true,
+        generated_at: new Date(now).toISOString(),
+        incident: incident && {
+            id: incident.id,
+            title: incident.title,
+            type: incident.type,
+            severity: incident.severity,
+            status: incident.status,
+            service: incident.service,
+            node: incident.node,
+            opened_at: incident.opened_at,
+            acknowledged_at: incident.acknowledged_at,
+            mitigated_at: incident.mitigated_at,
+            resolved_at: incident.resolved_at,
+            mtta: formatDuration(incident.mtta_seconds === null ? null : incident.mtta_seconds * 1000),
+            mttr: formatDuration(incident.mttr_seconds === null ? null : incident.mttr_seconds * 1000),
+        },
+        window: { from: built.from, to: built.to },
+        services,
+        summary: summarize({ incident, window: built, services, breaches, alertList, actions, errorCount }),
+        impact: {
+            duration: formatDuration(end - start),
+            services,
+            downstream_services: await downstreamOf(services),
+            error_logs: { total: errorCount, by_service: errorsByService },
+            breaches,
+            alerts: alertList,
+            slos: sloList,
+        },
+        timeline: {
+            anchor: built.anchor,
+            truncated: built.truncated,
+            logs_truncated: built.logs_truncated,
+            events: built.events.map(({ at, offset, kind, severity, service, summary, count }) => ({ at, offset, kind, severity, service, summary, count })),
+        },
+        root_cause: {
+            notes: rootCauseNotes({ events: built.events, breaches, errors, incident }),
+            top_errors: errors.slice(0, TOP_ERRORS),
+        },
+        actions_taken: actions,
+        approvals: approvalsOf(incident),
+        follow_ups: followUps({ incident, actions, errors, sloList, now }),
+    };
+}
+
+// ── Markdown ───────────────────────────────────────────────
+
+function cell(value) {
+    return value === null || value === undefined || value === '' ? '—' : String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+}
+
+/**
+ * Render a postmortem document as Markdown.
+ * @param {object} doc - From generatePostmortem()
+ * @returns {string}
+ */
+function renderMarkdown(doc) {
+    const { incident, impact } = doc;
+    const out = [
+        `# Postmortem: ${doc.title}`,
+        '',
+        `_Draft generated ${doc.generated_at} from stored logs, metrics, alerts and remediation history. Confirm and edit before sharing._`,
+        '',
+    ];
+
+    const facts = [];
+    if (incident) {
+        facts.push(['Incident', incident.id], ['Severity', incident.severity], ['Status', incident.status],
+            ['Opened', incident.opened_at], ['Resolved', incident.resolved_at],
+            ['Time to acknowledge', incident.mtta], ['Time to resolve', incident.mttr]);
+    }
+    facts.push(['Window', `${doc.window.from} → ${doc.window.to}`], ['Services', doc.services.join(', ') || 'all']);
+    out.push(table(['', ''], facts), '');
+
+    out.push('## Summary', '', doc.summary, '');
+
+    out.push('## Impact', '',
+        `- Duration: ${impact.duration}`,
+        `- Services: ${impact.services.join(', ') || 'all'}`
+            + (impact.downstream_services.length > 0 ? ` (downstream: ${impact.downstream_services.join(', ')})` : ''),
+        `- Error log lines: ${impact.error_logs.total}`
+            + (impact.error_logs.total > 0 ? ` (${Object.entries(impact.error_logs.by_service).map(([s, n]) => `${s}: ${n}`).join(', ')})` : ''),
+        '');
+    if (impact.breaches.length > 0) {
+        out.push('### Threshold breaches', '', table(
+            ['Rule', 'Target', 'Peak', 'Threshold', 'From', 'To', 'Duration'],
+            impact.breaches.map((b) => [b.rule, b.target, `${b.metric} ${b.peak}`, `${b.operator} ${b.threshold}`, b.started_at, b.ended_at || 'ongoing', b.duration])
+        ), '');
+    }
+    if (impact.alerts.length > 0) {
+        out.push('### Alerts', '', ...impact.alerts.map((a) => `- ${a.firing_at} **${a.severity}** ${a.source === 'rules' ? '' : `${a.source} `}`
+            + `${a.rule}: ${a.summary}${a.resolved_at ? ` (resolved ${a.resolved_at})` : ''}`), '');
+    }
+    if (impact.slos.length > 0) {
+        out.push('### SLOs', '', table(
+            ['SLO', 'Service', 'Target', 'Status', 'Budget remaining'],
+            impact.slos.map((s) => [s.name, s.service, `${s.target}% ${s.objective}`, s.status, s.remaining_percent === null ? null : `${s.remaining_percent}%`])
+        ), '');
+    }
+
+    out.push('## Timeline', '');
+    if (doc.timeline.events.length === 0) {
+        out.push('_No events recorded in this window._', '');
+    } else {
+        out.push(table(
+            ['Time (UTC)', 'Offset', 'Source', 'Event'],
+            doc.timeline.events.map((e) => [e.at, e.offset, e.kind, `${e.summary}${e.count > 1 ? ` (×${e.count})` : ''}`])
+        ), '');
+        if (doc.timeline.truncated) out.push('_Timeline truncated: less severe log lines were left out._', '');
+        if (doc.timeline.logs_truncated) out.push('_Log lines past the timeline\'s read cap were not included._', '');
+    }
+
+    out.push('## Root cause', '', '_Candidate notes drawn from the data; confirm or replace them._', '');
+    out.push(...(doc.root_cause.notes.length > 0 ? doc.root_cause.notes.map((n) => `- ${n}`) : ['- No signals recorded']), '');
+
+    out.push('## Actions taken', '');
+    if (doc.actions_taken.length === 0) {
+        out.push('_No remediations recorded._', '');
+    } else {
+        out.push(table(
+            ['Time (UTC)', 'Action', 'Target', 'Result', 'Reason'],
+            doc.actions_taken.map((a) => [a.at, a.action, a.target, a.status + (a.error ? `: ${a.error}` : ''), a.reason])
+        ), '');
+    }
+    if (doc.approvals.length > 0) {
+        out.push('### Approvals', '', table(
+            ['Time (UTC)', 'Step', 'By', 'Note'],
+            doc.approvals.map((a) => [a.at, a.step, a.actor || 'unknown', a.note])
+        ), '');
+    }
+
+    out.push('## Follow-ups', '');
+    out.push(...(doc.follow_ups.length > 0 ? doc.follow_ups.map((f) => `- [ ] ${f}`) : ['- [ ] _None suggested; add your own_']), '');
+
+    return out.join('\n');
+}
+
+/**
+ * Postmortem in the requested format.
+ * @param {object} [options] - As for generatePostmortem, plus format (json | markdown; default json)
+ * @param {number} [now]
+ * @returns {Promise<{ format: string, postmortem: object|string }>}
+ * @throws {Error} code INVALID or NOT_FOUND
+ */
+async function postmortem({ format = 'json', ...options } = {}, now = Date.now()) {
+    if (!FORMATS.includes(format)) throw postmortemError('INVALID', `"format" must be one of: ${FORMATS.join(', ')}`);
+    const doc = await generatePostmortem(options, now);
+    return { format, postmortem: format === 'markdown' ? renderMarkdown(doc) : doc };
+}
+
+module.exports = {
+    FORMATS,
+    generatePostmortem,
+    renderMarkdown,
+    postmortem,
+};
@@ -0,0 +1,152 @@
+/**
+ * Random — seedable randomness for everything the simulators make up
+ *
+ * Simulated metrics, scenario noise and remediation results all draw from
+ * random() instead of Math.random(), so a run can be reproduced exactly:
+ *   SIM_SEED=42                   — seed the whole process at startup
+ *   setSeed(42) / setSeed(null)   — reseed (or go back to Math.random) at runtime
+ *   withSeed(42, fn)              — run fn against a fresh generator, e.g. for a
+ *                                   single request carrying ?seed=42
+ *
+ * Seeds may be integers or strings (strings are hashed).
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+// ── Internal State ──────────────────────────────────────────
+let generator = Math.random;
+let currentSeed = null;
+
+// ── Generators ─────────────────────────────────────────────
+
+/**
+ * Turn a seed into a 32-bit unsigned integer.
+ * @param {number|string} seed
+ * @returns {number|null} null if the seed isn't usable
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number') return Number.isInteger(seed) ? seed >>> 0 : null;
+    if (typeof seed !== 'string' || seed.trim() === '') return null;
+
+    const trimmed = seed.trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 — small, fast, and good enough for simulated telemetry.
+ * @param {number|string} seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+    let state = normalizeSeed(seed);
+    if (state === null) throw new Error(`Invalid seed "${seed}" (use an integer or a non-empty string)`);
+
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ── Public API ─────────────────────────────────────────────
+
+/** Float in [0, 1) from the active generator */
+function random() {
+    return generator();
+}
+
+/** Integer in [min, max] inclusive */
+function randomInt(min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * UUID v4. Drawn from the active generator while seeded so snapshot ids
+ * repeat along with everything else.
+ */
+function uuid() {
+    if (currentSeed === null) return uuidv4();
+    const bytes = Array.from({ length: 16 }, () => Math.floor(random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Seed the process-wide generator. Pass null to go back to Math.random.
+ * @param {number|string|null} seed
+ */
+function setSeed(seed) {
+    if (seed === null || seed === undefined) {
+        generator = Math.random;
+        currentSeed = null;
+        return;
+    }
+    generator = createRng(seed);
+    currentSeed = seed;
+}
+
+/** The active seed, or null when unseeded */
+function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Run fn with a fresh generator for `seed`, then restore the previous one.
+ * fn must be synchronous — anything it defers runs against the restored generator.
+ */
+function withSeed(seed, fn) {
+    const previous = { generator, currentSeed };
+    generator = createRng(seed);
+    currentSeed = seed;
+    try {
+        return fn();
+    } finally {
+        generator = previous.generator;
+        currentSeed = previous.currentSeed;
+    }
+}
+
+/**
+ * Read a seed from a request parameter.
+ * @returns {number|string|undefined} undefined when absent
+ * @throws {Error} code INVALID_SEED when present but unusable
+ */
+function parseSeedParam(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (normalizeSeed(value) === null) {
+        const error = new Error(`Invalid seed "${value}" (use an integer or a non-empty string)`);
+        error.code = 'INVALID_SEED';
+        throw error;
+    }
+    return value;
+}
+
+if (process.env.SIM_SEED) {
+    setSeed(process.env.SIM_SEED);
+    console.log(`[random] Seeded simulation with SIM_SEED=${process.env.SIM_SEED}`);
+}
+
+module.exports = {
+    createRng,
+    random,
+    randomInt,
+    uuid,
+    setSeed,
+    getSeed,
+    withSeed,
+    parseSeedParam,
+};
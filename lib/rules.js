@@ -0,0 +1,360 @@
+/**
+ * Incident Rules — one rule set, one evaluator, for every entry point
+ *
+ * Incident thresholds live in a single rule file (RULES_FILE, default
+ * config/rules.yaml; .json works too) and are evaluated here for
+ * get_system_status, the REST API, the CLI and the dashboard alike.
+ *
+ * Rule format:
+ *   {
+ *     "name": "high_cpu",
+ *     "metric": "cpu_percent",       // snapshot field, or pods_unavailable
+ *     "operator": ">",               // > >= < <= == !=
+ *     "threshold": 80,
+ *     "duration": "2m",              // optional (alias "for"); must hold this long (checked against stored history)
+ *     "resolve_threshold": 75,       // optional; an alert stays firing until the metric is back past this
+ *     "severity": "critical",        // info | warning | critical
+ *     "scope": "cluster",            // cluster (default) | service | node, or a list
+ *     "labels": { "type": "high_cpu" }
+ *   }
+ *
+ * A rule whose condition holds for a target (the cluster, a service or a
+ * node) yields one incident for that target. With a duration, every stored
+ * snapshot of the last `duration` must also breach, and the history must
+ * reach back that far; until then the rule is pending and reports nothing.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseDuration } = require('./duration');
+const metricsStore = require('./metrics-store');
+const { METRICS } = require('./metrics-query');
+const { filterSnapshot } = require('./metrics-model');
+
+// ── Configuration ──────────────────────────────────────────
+const RULES_FILE = path.resolve(process.env.RULES_FILE || path.join(__dirname, '..', 'config', 'rules.yaml'));
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+const SEVERITIES = ['info', 'warning', 'critical'];
+const SCOPES = ['cluster', 'service', 'node'];
+/** Metrics computed from others rather than read from the snapshot */
+const DERIVED_METRICS = {
+    pods_unavailable: (values) => (typeof values.pods_desired === 'number' && typeof values.pods_running === 'number'
+        ? Math.max(values.pods_desired - values.pods_running, 0)
+        : null),
+};
+/** Metrics a rule may use per scope */
+const SCOPE_METRICS = {
+    cluster: [...Object.keys(METRICS.cluster), ...Object.keys(DERIVED_METRICS)],
+    service: [...METRICS.service, ...Object.keys(DERIVED_METRICS)],
+    node: [...METRICS.node, ...Object.keys(DERIVED_METRICS)],
+};
+/** Longest gap allowed between `duration` ago and the oldest stored point that proves it */
+const MAX_DURATION_SLACK_MS = 60 * 1000;
+
+// ── Internal State ──────────────────────────────────────────
+let ruleSet = null; // { file, loaded_at, rules }
+
+// ── Errors ─────────────────────────────────────────────────
+
+function rulesError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ── Validation ─────────────────────────────────────────────
+
+/**
+ * Validate a rule document and normalise durations and scopes.
+ * @param {object|Array<object>} doc - `{ rules: [...] }` or the bare list
+ * @returns {Array<object>} Normalised rules
+ * @throws {Error} code INVALID with `details` listing every problem
+ */
+function normalizeRules(doc) {
+    const list = Array.isArray(doc) ? doc : (doc && doc.rules);
+    if (!Array.isArray(list)) {
+        throw rulesError('INVALID', 'Rule file must contain a "rules" list', ['rules must be a list']);
+    }
+
+    const errors = [];
+    const names = new Set();
+    const rules = list.map((rule, i) => {
+        const where = `rules[${i}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+
+        if (typeof rule.name !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(rule.name)) {
+            errors.push(`${where}.name must be letters, digits, "_", "." or "-"`);
+        } else if (names.has(rule.name)) {
+            errors.push(`${where}.name is used by another rule`);
+        }
+        names.add(rule.name);
+
+        const scopes = rule.scope === undefined ? ['cluster'] : [].concat(rule.scope);
+        for (const scope of scopes) {
+            if (!SCOPES.includes(scope)) errors.push(`${where}.scope must be one of: ${SCOPES.join(', ')}`);
+            else if (!SCOPE_METRICS[scope].includes(rule.metric)) {
+                errors.push(`${where}.metric "${rule.metric}" is not available for scope ${scope}. Available: ${SCOPE_METRICS[scope].join(', ')}`);
+            }
+        }
+        if (!OPERATORS[rule.operator]) errors.push(`${where}.operator must be one of: ${Object.keys(OPERATORS).join(' ')}`);
+        if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) errors.push(`${where}.threshold must be a number`);
+        if (!SEVERITIES.includes(rule.severity)) errors.push(`${where}.severity must be one of: ${SEVERITIES.join(', ')}`);
+
+        if (rule.duration !== undefined && rule.for !== undefined) errors.push(`${where} sets both "duration" and "for"`);
+        const duration = rule.duration !== undefined ? rule.duration : rule.for;
+        const durationMs = duration === undefined ? 0 : parseDuration(duration);
+        if (durationMs === null) errors.push(`${where}.duration is not a valid duration`);
+
+        const resolveThreshold = rule.resolve_threshold === undefined ? rule.threshold : rule.resolve_threshold;
+        if (rule.resolve_threshold !== undefined) {
+            if (typeof rule.resolve_threshold !== 'number' || !Number.isFinite(rule.resolve_threshold)) {
+                errors.push(`${where}.resolve_threshold must be a number`);
+            } else if (!['>', '>=', '<', '<='].includes(rule.operator)) {
+                errors.push(`${where}.resolve_threshold needs one of the operators > >= < <=`);
+            } else if (rule.operator.startsWith('>') ? rule.resolve_threshold > rule.threshold : rule.resolve_threshold < rule.threshold) {
+                errors.push(`${where}.resolve_threshold must be on the healthy side of threshold (${rule.operator.startsWith('>') ? '<=' : '>='} ${rule.threshold})`);
+            }
+        }
+
+        const labels = rule.labels === undefined ? {} : rule.labels;
+        if (!labels || typeof labels !== 'object' || Array.isArray(labels) || Object.values(labels).some((v) => typeof v !== 'string')) {
+            errors.push(`${where}.labels must be an object of string values`);
+        }
+
+        return {
+            name: rule.name,
+            description: rule.description || '',
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            resolve_threshold: resolveThreshold,
+            duration_ms: durationMs,
+            severity: rule.severity,
+            scope: scopes,
+            labels,
+            enabled: rule.enabled !== false,
+        };
+    });
+
+    if (errors.length > 0) throw rulesError('INVALID', 'Invalid rule set', errors);
+    return rules;
+}
+
+// ── Loading ────────────────────────────────────────────────
+
+/**
+ * Read and activate a rule file (.yaml, .yml or .json). The previous rule set
+ * stays active if the file is missing or invalid.
+ * @param {string} [file=RULES_FILE]
+ * @returns {object} { file, loaded_at, rules }
+ * @throws {Error} code NOT_FOUND, or INVALID with `details`
+ */
+function loadRules(file = RULES_FILE) {
+    if (!fs.existsSync(file)) throw rulesError('NOT_FOUND', `Rule file not found: ${file}`);
+
+    const text = fs.readFileSync(file, 'utf8');
+    let doc;
+    try {
+        doc = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (error) {
+        throw rulesError('INVALID', `Cannot parse ${path.basename(file)}: ${error.message}`, [error.message]);
+    }
+
+    ruleSet = { file, loaded_at: new Date().toISOString(), rules: normalizeRules(doc) };
+    console.log(`[rules] Loaded ${ruleSet.rules.length} rule(s) from ${file}`);
+    return ruleSet;
+}
+
+/** The active rule set, loading RULES_FILE on first use */
+function getRuleSet() {
+    return ruleSet || loadRules();
+}
+
+// ── Evaluation ─────────────────────────────────────────────
+
+function epochOf(snapshot) {
+    return typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+}
+
+/** Every target a scope covers in a snapshot: [{ scope, name, values }] */
+function targetsOf(snapshot, scope) {
+    if (scope === 'service') return (snapshot.services || []).map((s) => ({ scope, name: s.name, values: s }));
+    if (scope === 'node') return (snapshot.nodes || []).map((n) => ({ scope, name: n.name, values: n }));
+    return [{ scope, name: null, values: { ...snapshot.infrastructure, ...snapshot.network, ...snapshot.application } }];
+}
+
+function valueOf(values, metric) {
+    const value = DERIVED_METRICS[metric] ? DERIVED_METRICS[metric](values) : values[metric];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/** Whether `rule` held for this target at every stored point of the last duration */
+function heldForDuration(rule, target, history, now) {
+    const since = now - rule.duration_ms;
+    const points = history
+        .filter((snapshot) => epochOf(snapshot) >= since)
+        .map((snapshot) => {
+            const match = targetsOf(snapshot, target.scope).find((t) => t.name === target.name);
+            return { t: epochOf(snapshot), value: match ? valueOf(match.values, rule.metric) : null };
+        })
+        .filter((p) => p.value !== null);
+
+    if (points.length === 0 || points[0].t - since > Math.min(MAX_DURATION_SLACK_MS, rule.duration_ms / 2)) return false;
+    return points.every((p) => OPERATORS[rule.operator](p.value, rule.threshold));
+}
+
+function describe(rule, target, value) {
+    const where = target.scope === 'cluster' ? 'cluster' : `${target.scope} ${target.name}`;
+    const held = rule.duration_ms > 0 ? ` for ${Math.round(rule.duration_ms / 1000)}s` : '';
+    return `${rule.metric} ${value} ${rule.operator} ${rule.threshold} on ${where}${held}`;
+}
+
+/** Stored snapshots of the window, narrowed like the evaluated one (points without the target are dropped) */
+async function historyFor(from, to, filters) {
+    const entries = await metricsStore.readRange({ from, to });
+    return entries.flatMap(({ snapshot }) => {
+        try {
+            return [filterSnapshot(snapshot, filters)];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Look at every enabled rule for every target in a snapshot.
+ *
+ * With a service or node filter the snapshot is narrowed first (see
+ * filterSnapshot), so cluster-scope rules see that target's aggregates.
+ *
+ * @param {object} snapshot - Unfiltered snapshot (infrastructure/application/network, services[], nodes[])
+ * @param {object} [options]
+ * @param {string} [options.service] - Only evaluate this service
+ * @param {string} [options.node] - Only evaluate this node
+ * @param {number} [options.now=Date.now()] - End of the duration window
+ * @returns {Promise<Array<object>>} One observation per rule and target with a value:
+ *   { rule, scope, service, node, value,
+ *     breaching (threshold crossed now), held (breaching for the rule's whole duration),
+ *     recovered (back past resolve_threshold) }
+ * @throws {Error} code UNKNOWN_TARGET when the service or node is not in the snapshot
+ */
+async function observeRules(snapshot, { service, node, now = Date.now() } = {}) {
+    const filters = { service, node };
+    const rules = getRuleSet().rules.filter((rule) => rule.enabled);
+    const longest = Math.max(0, ...rules.map((rule) => rule.duration_ms));
+    const history = longest > 0 ? await historyFor(now - longest, now, filters) : [];
+
+    return thresholdStates(filterSnapshot(snapshot, filters)).map(({ target, ...state }) => ({
+        ...state,
+        held: state.breaching && (state.rule.duration_ms === 0 || heldForDuration(state.rule, target, history, now)),
+        recovered: !OPERATORS[state.rule.operator](state.value, state.rule.resolve_threshold),
+    }));
+}
+
+/**
+ * Where every enabled rule stands against its threshold in one snapshot,
+ * durations aside (observeRules() adds those).
+ * @param {object} snapshot
+ * @returns {Array<{ rule, scope, target, service, node, value, breaching }>} One entry per rule and
+ *   target with a value
+ */
+function thresholdStates(snapshot) {
+    const states = [];
+    for (const rule of getRuleSet().rules.filter((r) => r.enabled)) {
+        for (const scope of rule.scope) {
+            for (const target of targetsOf(snapshot, scope)) {
+                const value = valueOf(target.values, rule.metric);
+                if (value === null) continue;
+
+                states.push({
+                    rule,
+                    scope,
+                    target,
+                    service: scope === 'service' ? target.name : null,
+                    node: scope === 'node' ? target.name : null,
+                    value,
+                    breaching: OPERATORS[rule.operator](value, rule.threshold),
+                });
+            }
+        }
+    }
+    return states;
+}
+
+/** The incident an observation describes */
+function incidentFor({ rule, scope, service, node, value }) {
+    return {
+        rule: rule.name,
+        type: rule.labels.type || rule.name,
+        severity: rule.severity,
+        scope,
+        service,
+        node,
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        value,
+        duration_ms: rule.duration_ms,
+        labels: rule.labels,
+        summary: describe(rule, { scope, name: service || node }, value),
+    };
+}
+
+/** Critical first, then warning, then info */
+function bySeverity(a, b) {
+    return SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+}
+
+/**
+ * Evaluate the active rules against a snapshot: one incident per rule and
+ * target whose condition holds (for its whole duration, if it has one).
+ * Takes the same options as observeRules().
+ * @returns {Promise<Array<object>>} Incidents, critical first
+ * @throws {Error} code UNKNOWN_TARGET when the service or node is not in the snapshot
+ */
+async function evaluateRules(snapshot, options = {}) {
+    const observations = await observeRules(snapshot, options);
+    return observations.filter((o) => o.held).map(incidentFor).sort(bySeverity);
+}
+
+/** HEALTHY without incidents, CRITICAL with any critical one, DEGRADED otherwise */
+function overallHealth(incidents) {
+    if (incidents.length === 0) return 'HEALTHY';
+    return incidents.some((i) => i.severity === 'critical') ? 'CRITICAL' : 'DEGRADED';
+}
+
+/** Forget the active rule set (tests only); the next use reloads RULES_FILE. */
+function resetForTesting() {
+    ruleSet = null;
+}
+
+module.exports = {
+    RULES_FILE,
+    OPERATORS,
+    SEVERITIES,
+    normalizeRules,
+    loadRules,
+    getRuleSet,
+    observeRules,
+    thresholdStates,
+    incidentFor,
+    bySeverity,
+    evaluateRules,
+    overallHealth,
+    resetForTesting,
+};
@@ -0,0 +1,471 @@
+/**
+ * Scenario Engine — scripted incident timelines for the metrics simulator
+ *
+ * A scenario is a declarative JSON document describing how metrics of
+ * particular services or nodes evolve over time (curves) and which log lines
+ * to inject along the way. Scenarios are loaded from SCENARIOS_DIR (default
+ * ./scenarios) or posted at runtime, then started, paused and stopped
+ * independently — several can run at once.
+ *
+ * Scenario format:
+ *   {
+ *     "name": "payment-memory-leak",
+ *     "description": "...",
+ *     "duration": "10m",            // optional; defaults to the last curve/log
+ *     "loop": false,                // restart the timeline when it ends
+ *     "profile": "normal",          // simulator baseline: normal | anomaly
+ *     "curves": [{
+ *       "target": { "service": "payment-service" },   // or { "node": "..." }; "*" = all
+ *       "metric": "memory_percent",
+ *       "shape": "linear",          // constant | linear | exponential | step | random
+ *       "from": 55, "to": 97,
+ *       "start": "0s", "end": "10m"
+ *     }],
+ *     "logs": [{ "at": "7m", "level": "error", "service": "payment-service", "message": "..." }]
+ *   }
+ *
+ * Once a scenario's timeline ends it reports "completed" and keeps holding its
+ * final values until stopped. The former boolean anomaly mode is the
+ * built-in "anomaly" scenario.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./duration');
+const random = require('./random');
+
+// ── Configuration ──────────────────────────────────────────
+const SCENARIOS_DIR = path.resolve(process.env.SCENARIOS_DIR || path.join(__dirname, '..', 'scenarios'));
+const TICK_INTERVAL_MS = 1000;
+
+/** Metrics a curve may drive, with their rounding precision */
+const SERVICE_METRICS = {
+    cpu_percent: 1,
+    memory_percent: 1,
+    pods_running: 0,
+    requests_per_second: 0,
+    error_rate_percent: 2,
+    avg_response_time_ms: 0,
+    p99_response_time_ms: 0,
+};
+const NODE_METRICS = {
+    cpu_percent: 1,
+    memory_percent: 1,
+    disk_percent: 1,
+};
+const SHAPES = ['constant', 'linear', 'exponential', 'step', 'random'];
+const PROFILES = ['normal', 'anomaly'];
+const LOG_LEVELS = ['info', 'warn', 'error', 'debug', 'fatal'];
+
+// ── Internal State ──────────────────────────────────────────
+const definitions = new Map(); // name -> normalized scenario
+const runs = new Map(); // name -> run state
+let logSink = null;
+let ticker = null;
+let directoryLoaded = false;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function scenarioError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ── Validation ─────────────────────────────────────────────
+
+/**
+ * Validate a scenario document and normalize durations to milliseconds.
+ * @param {object} doc - Raw scenario definition
+ * @returns {object} Normalized scenario
+ * @throws {Error} code INVALID with `details` listing every problem
+ */
+function normalizeScenario(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object') {
+        throw scenarioError('INVALID', 'Scenario must be a JSON object', ['scenario must be an object']);
+    }
+
+    if (typeof doc.name !== 'string' || !/^[a-z0-9-]+$/.test(doc.name)) {
+        errors.push('name must be a lowercase alphanumeric string with dashes');
+    }
+    const profile = doc.profile || 'normal';
+    if (!PROFILES.includes(profile)) errors.push(`profile must be one of: ${PROFILES.join(', ')}`);
+
+    const curves = (Array.isArray(doc.curves) ? doc.curves : []).map((curve, i) => {
+        const where = `curves[${i}]`;
+        if (!curve || typeof curve !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        const target = curve.target || {};
+        const kind = target.service ? 'service' : (target.node ? 'node' : null);
+        const metrics = kind === 'node' ? NODE_METRICS : SERVICE_METRICS;
+        const shape = curve.shape || 'linear';
+        const start = parseDuration(curve.start === undefined ? 0 : curve.start);
+        const end = curve.end === undefined ? start : parseDuration(curve.end);
+
+        if (!kind) errors.push(`${where}.target must name a service or a node`);
+        if (!(curve.metric in metrics)) errors.push(`${where}.metric must be one of: ${Object.keys(metrics).join(', ')}`);
+        if (!SHAPES.includes(shape)) errors.push(`${where}.shape must be one of: ${SHAPES.join(', ')}`);
+        if (typeof curve.to !== 'number') errors.push(`${where}.to must be a number`);
+        if (['linear', 'exponential', 'random'].includes(shape) && typeof curve.from !== 'number') {
+            errors.push(`${where}.from must be a number for ${shape} curves`);
+        }
+        if (start === null) errors.push(`${where}.start is not a valid duration`);
+        if (end === null || (start !== null && end < start)) errors.push(`${where}.end must be a duration after start`);
+
+        return { kind, name: target[kind], metric: curve.metric, shape, from: curve.from, to: curve.to, start_ms: start, end_ms: end };
+    });
+
+    const logs = (Array.isArray(doc.logs) ? doc.logs : []).map((log, i) => {
+        const where = `logs[${i}]`;
+        if (!log || typeof log !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        const at = parseDuration(log.at === undefined ? 0 : log.at);
+        if (at === null) errors.push(`${where}.at is not a valid duration`);
+        if (!LOG_LEVELS.includes(log.level)) errors.push(`${where}.level must be one of: ${LOG_LEVELS.join(', ')}`);
+        if (typeof log.service !== 'string' || !log.service) errors.push(`${where}.service is required`);
+        if (typeof log.message !== 'string' || !log.message) errors.push(`${where}.message is required`);
+        return { at_ms: at, level: log.level, service: log.service, message: log.message, metadata: log.metadata || {} };
+    });
+
+    let durationMs = null;
+    if (doc.duration !== undefined) {
+        durationMs = parseDuration(doc.duration);
+        if (durationMs === null) errors.push('duration is not a valid duration');
+    } else if (curves.length > 0 || logs.length > 0) {
+        durationMs = Math.max(0, ...curves.map((c) => (c && c.end_ms) || 0), ...logs.map((l) => (l && l.at_ms) || 0));
+    }
+
+    if (errors.length > 0) {
+        throw scenarioError('INVALID', `Invalid scenario "${doc.name || '(unnamed)'}"`, errors);
+    }
+
+    return {
+        name: doc.name,
+        description: doc.description || '',
+        profile,
+        loop: !!doc.loop,
+        duration_ms: durationMs,
+        curves,
+        logs,
+    };
+}
+
+// ── Loading ────────────────────────────────────────────────
+
+/**
+ * Register a scenario definition, replacing any previous one with the same name.
+ * @param {object} doc - Raw scenario definition
+ * @param {string} [origin='api'] - Where it came from (file name or "api")
+ * @returns {object} Normalized scenario
+ */
+function loadScenario(doc, origin = 'api') {
+    const scenario = { ...normalizeScenario(doc), origin };
+    definitions.set(scenario.name, scenario);
+    return scenario;
+}
+
+/**
+ * Load every *.json file in the scenarios directory.
+ * Invalid files are skipped and reported, not thrown.
+ * @returns {{ loaded: Array<string>, errors: Array<object> }}
+ */
+function loadScenarioDirectory(dir = SCENARIOS_DIR) {
+    const loaded = [];
+    const errors = [];
+    directoryLoaded = true;
+
+    if (!fs.existsSync(dir)) return { loaded, errors };
+
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+        try {
+            const doc = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            loaded.push(loadScenario(doc, file).name);
+        } catch (error) {
+            errors.push({ file, error: error.message, details: error.details });
+            console.error(`[scenarios] Failed to load ${file}: ${error.message}`);
+        }
+    }
+
+    console.log(`[scenarios] Loaded ${loaded.length} scenario(s) from ${dir}`);
+    return { loaded, errors };
+}
+
+function ensureLoaded() {
+    if (!directoryLoaded) loadScenarioDirectory();
+}
+
+function requireScenario(name) {
+    ensureLoaded();
+    const scenario = definitions.get(name);
+    if (!scenario) {
+        throw scenarioError('NOT_FOUND', `Unknown scenario "${name}". Loaded: ${[...definitions.keys()].join(', ') || 'none'}`);
+    }
+    return scenario;
+}
+
+// ── Timeline ───────────────────────────────────────────────
+
+/** Milliseconds of scenario time a run has covered */
+function elapsedMs(run, now = Date.now()) {
+    return run.accumulated_ms + (run.resumed_at === null ? 0 : now - run.resumed_at);
+}
+
+/** Position within the timeline, accounting for looping */
+function timelinePosition(scenario, elapsed) {
+    if (scenario.duration_ms === null || scenario.duration_ms === 0) return { offset: elapsed, cycle: 0 };
+    if (scenario.loop) {
+        return { offset: elapsed % scenario.duration_ms, cycle: Math.floor(elapsed / scenario.duration_ms) };
+    }
+    return { offset: Math.min(elapsed, scenario.duration_ms), cycle: 0 };
+}
+
+function isCompleted(scenario, elapsed) {
+    return !scenario.loop && scenario.duration_ms !== null && scenario.duration_ms > 0 && elapsed >= scenario.duration_ms;
+}
+
+/** Value of a curve at a timeline offset, or undefined before it starts */
+function curveValue(curve, offset) {
+    if (offset < curve.start_ms) return undefined;
+
+    const span = curve.end_ms - curve.start_ms;
+    const progress = span <= 0 ? 1 : Math.min(1, (offset - curve.start_ms) / span);
+
+    switch (curve.shape) {
+        case 'constant':
+        case 'step':
+            return curve.to;
+        case 'linear':
+            return curve.from + (curve.to - curve.from) * progress;
+        case 'exponential': {
+            // Slow start, steep finish — how leaks and queue build-ups look
+            const k = 3;
+            return curve.from + (curve.to - curve.from) * ((Math.exp(k * progress) - 1) / (Math.exp(k) - 1));
+        }
+        case 'random':
+            return curve.from + random.random() * (curve.to - curve.from);
+        default:
+            return undefined;
+    }
+}
+
+function describeRun(scenario, run, now = Date.now()) {
+    if (!run) return null;
+    const elapsed = elapsedMs(run, now);
+    const { offset, cycle } = timelinePosition(scenario, elapsed);
+    let status = run.resumed_at === null ? 'paused' : 'running';
+    if (status === 'running' && isCompleted(scenario, elapsed)) status = 'completed';
+
+    return {
+        status,
+        started_at: run.started_at,
+        elapsed_ms: elapsed,
+        timeline_offset_ms: offset,
+        cycle,
+        logs_injected: run.emitted.size,
+    };
+}
+
+// ── Log Injection ──────────────────────────────────────────
+
+/** Emit every scenario log line whose time has come. */
+function tick(now = Date.now()) {
+    for (const [name, run] of runs) {
+        const scenario = definitions.get(name);
+        if (!scenario || run.resumed_at === null) continue;
+
+        const { offset, cycle } = timelinePosition(scenario, elapsedMs(run, now));
+        scenario.logs.forEach((log, index) => {
+            const key = `${cycle}:${index}`;
+            if (log.at_ms > offset || run.emitted.has(key)) return;
+            run.emitted.add(key);
+
+            if (!logSink) return;
+            Promise.resolve(logSink({
+                level: log.level,
+                service: log.service,
+                message: log.message,
+                metadata: { ...log.metadata, source: 'scenario', scenario: name },
+            })).catch((error) => console.error(`[scenarios] Log injection failed: ${error.message}`));
+        });
+    }
+}
+
+function updateTicker() {
+    const anyRunning = [...runs.values()].some((run) => run.resumed_at !== null);
+    if (anyRunning && !ticker) {
+        ticker = setInterval(() => tick(), TICK_INTERVAL_MS);
+        ticker.unref();
+    } else if (!anyRunning && ticker) {
+        clearInterval(ticker);
+        ticker = null;
+    }
+}
+
+// ── Controls ───────────────────────────────────────────────
+
+/**
+ * Start a scenario from the beginning, or resume it if paused.
+ * @returns {object} Scenario summary including run state
+ * @throws {Error} code NOT_FOUND or CONFLICT (already running)
+ */
+function startScenario(name) {
+    const scenario = requireScenario(name);
+    const now = Date.now();
+    const existing = runs.get(name);
+
+    if (existing && existing.resumed_at !== null && !isCompleted(scenario, elapsedMs(existing, now))) {
+        throw scenarioError('CONFLICT', `Scenario "${name}" is already running`);
+    }
+
+    if (existing && existing.resumed_at === null) {
+        existing.resumed_at = now;
+        console.log(`[scenarios] Resumed "${name}"`);
+    } else {
+        runs.set(name, { started_at: new Date(now).toISOString(), accumulated_ms: 0, resumed_at: now, emitted: new Set() });
+        console.log(`[scenarios] Started "${name}"`);
+    }
+
+    updateTicker();
+    tick(now);
+    return getScenario(name);
+}
+
+/**
+ * Freeze a running scenario at its current position.
+ * @throws {Error} code NOT_FOUND or CONFLICT (not running)
+ */
+function pauseScenario(name) {
+    requireScenario(name);
+    const run = runs.get(name);
+    if (!run || run.resumed_at === null) {
+        throw scenarioError('CONFLICT', `Scenario "${name}" is not running`);
+    }
+
+    const now = Date.now();
+    run.accumulated_ms = elapsedMs(run, now);
+    run.resumed_at = null;
+    updateTicker();
+    console.log(`[scenarios] Paused "${name}"`);
+    return getScenario(name);
+}
+
+/**
+ * Stop a scenario and remove its effect on metrics.
+ * @throws {Error} code NOT_FOUND or CONFLICT (not active)
+ */
+function stopScenario(name) {
+    const scenario = requireScenario(name);
+    const run = runs.get(name);
+    if (!run) throw scenarioError('CONFLICT', `Scenario "${name}" is not active`);
+
+    const final = describeRun(scenario, run);
+    runs.delete(name);
+    updateTicker();
+    console.log(`[scenarios] Stopped "${name}"`);
+    return { ...summarize(scenario), run: { ...final, status: 'stopped' } };
+}
+
+// ── Queries ────────────────────────────────────────────────
+
+function summarize(scenario) {
+    return {
+        name: scenario.name,
+        description: scenario.description,
+        profile: scenario.profile,
+        loop: scenario.loop,
+        duration_ms: scenario.duration_ms,
+        curves: scenario.curves.length,
+        logs: scenario.logs.length,
+        origin: scenario.origin,
+        run: describeRun(scenario, runs.get(scenario.name)),
+    };
+}
+
+/** All loaded scenarios with their run state */
+function listScenarios() {
+    ensureLoaded();
+    return [...definitions.values()].map(summarize);
+}
+
+/** One scenario with its full definition and run state */
+function getScenario(name) {
+    const scenario = requireScenario(name);
+    return { ...summarize(scenario), definition: { curves: scenario.curves, logs: scenario.logs } };
+}
+
+/** Names of scenarios currently affecting metrics (running, paused or completed) */
+function activeScenarioNames() {
+    return [...runs.keys()];
+}
+
+/** Simulator baseline implied by the active scenarios */
+function activeProfile() {
+    for (const name of runs.keys()) {
+        const scenario = definitions.get(name);
+        if (scenario && scenario.profile === 'anomaly') return 'anomaly';
+    }
+    return 'normal';
+}
+
+/**
+ * Metric overrides from every active scenario at the current time.
+ * Later curves win when several drive the same metric.
+ * @returns {Array<{ kind: string, name: string, metric: string, value: number }>}
+ */
+function currentOverrides(now = Date.now()) {
+    const overrides = [];
+    for (const [name, run] of runs) {
+        const scenario = definitions.get(name);
+        if (!scenario) continue;
+        const { offset } = timelinePosition(scenario, elapsedMs(run, now));
+
+        for (const curve of scenario.curves) {
+            const value = curveValue(curve, offset);
+            if (value === undefined) continue;
+            const precision = (curve.kind === 'node' ? NODE_METRICS : SERVICE_METRICS)[curve.metric];
+            overrides.push({ kind: curve.kind, name: curve.name, metric: curve.metric, value: parseFloat(value.toFixed(precision)) });
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Route injected log lines somewhere (normally the logs table).
+ * @param {function(object): (void|Promise<void>)} sink - Receives { level, service, message, metadata }
+ */
+function setLogSink(sink) {
+    logSink = sink;
+}
+
+/** Stop everything and forget loaded scenarios (tests only). */
+function resetForTesting() {
+    runs.clear();
+    definitions.clear();
+    directoryLoaded = false;
+    updateTicker();
+}
+
+module.exports = {
+    SCENARIOS_DIR,
+    loadScenario,
+    loadScenarioDirectory,
+    listScenarios,
+    getScenario,
+    startScenario,
+    pauseScenario,
+    stopScenario,
+    activeScenarioNames,
+    activeProfile,
+    currentOverrides,
+    setLogSink,
+    tick,
+    resetForTesting,
+};
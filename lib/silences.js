@@ -0,0 +1,309 @@
+/**
+ * Silences — planned quiet periods (maintenance windows)
+ *
+ * A silence matches targets by any combination of service, node, incident
+ * type and labels; every matcher it sets must match. Between starts_at and
+ * ends_at it
+ *
+ *   - removes matching incidents from detection output (get_system_status,
+ *     GET /rules/evaluate, and so the CLI and dashboard), reporting them
+ *     separately as silenced instead
+ *   - blocks remediations on matching targets (POST /execute, execute_remediation)
+ *
+ * Every silence records who created it and why. Expiring one early sets its
+ * ends_at to now; silences are never deleted, so the audit trail stays.
+ *
+ * Tables:
+ *   silences (id, service, node, type, labels, starts_at, ends_at, created_by, comment,
+ *             created_at, expired_by)
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { parseDuration, parseTime } = require('./duration');
+
+// ── Configuration ──────────────────────────────────────────
+const STATUSES = ['pending', 'active', 'expired'];
+const MAX_LIMIT = 200;
+
+// ── Internal State ──────────────────────────────────────────
+let tablesReady = false;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function silenceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ── Initialization ─────────────────────────────────────────
+
+async function ensureTables() {
+    if (tablesReady) return;
+
+    await database.getDatabase();
+
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS silences (
+      id TEXT PRIMARY KEY,
+      service TEXT,
+      node TEXT,
+      type TEXT,
+      labels TEXT DEFAULT '{}',
+      starts_at TEXT NOT NULL,
+      ends_at TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      comment TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expired_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_silences_ends ON silences (ends_at);
+  `);
+
+    tablesReady = true;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+function statusAt(row, now) {
+    if (Date.parse(row.ends_at) <= now) return 'expired';
+    return Date.parse(row.starts_at) > now ? 'pending' : 'active';
+}
+
+function toSilence(row, now) {
+    return { ...row, labels: JSON.parse(row.labels || '{}'), status: statusAt(row, now) };
+}
+
+function isNonEmptyString(value, max) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+/** Validate and normalize a new silence; returns the row to insert */
+function validateSilence(fields, now) {
+    const { service, node, type, labels = {}, created_by: createdBy, comment } = fields;
+
+    for (const [name, value] of Object.entries({ service, node, type })) {
+        if (value !== undefined && value !== null && !isNonEmptyString(value, 200)) {
+            throw silenceError('INVALID', `"${name}" must be a non-empty string`);
+        }
+    }
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels) || !Object.values(labels).every((v) => typeof v === 'string')) {
+        throw silenceError('INVALID', '"labels" must be an object of strings');
+    }
+    if (!service && !node && !type && Object.keys(labels).length === 0) {
+        throw silenceError('INVALID', 'A silence needs at least one matcher: service, node, type or labels');
+    }
+    if (!isNonEmptyString(createdBy, 100)) throw silenceError('INVALID', '"created_by" is required');
+    if (!isNonEmptyString(comment, 1000)) throw silenceError('INVALID', '"comment" is required (why is this silenced?)');
+
+    const startsAt = fields.starts_at === undefined ? now : parseTime(fields.starts_at, now);
+    if (startsAt === null) throw silenceError('INVALID', `Invalid "starts_at": ${fields.starts_at}`);
+
+    let endsAt;
+    if (fields.ends_at !== undefined && fields.duration !== undefined) {
+        throw silenceError('INVALID', 'Give either "ends_at" or "duration", not both');
+    } else if (fields.duration !== undefined) {
+        const ms = parseDuration(fields.duration);
+        if (!ms) throw silenceError('INVALID', `Invalid "duration": ${fields.duration} (e.g. 30m, 2h)`);
+        endsAt = startsAt + ms;
+    } else {
+        endsAt = parseTime(fields.ends_at, now);
+        if (endsAt === null) throw silenceError('INVALID', '"ends_at" (or "duration") is required');
+    }
+    if (endsAt <= startsAt) throw silenceError('INVALID', '"ends_at" must be after "starts_at"');
+    if (endsAt <= now) throw silenceError('INVALID', '"ends_at" is in the past');
+
+    return {
+        service: service || null,
+        node: node || null,
+        type: type || null,
+        labels,
+        starts_at: new Date(startsAt).toISOString(),
+        ends_at: new Date(endsAt).toISOString(),
+        created_by: createdBy.trim(),
+        comment: comment.trim(),
+    };
+}
+
+function requireSilence(id) {
+    const row = database.queryOne('SELECT * FROM silences WHERE id = $id', { $id: id });
+    if (!row) throw silenceError('NOT_FOUND', `Silence not found: ${id}`);
+    return row;
+}
+
+// ── Matching ───────────────────────────────────────────────
+
+/**
+ * Whether a silence covers a target.
+ * @param {object} silence
+ * @param {object} target - { service?, node?, type?, labels? } (an incident, alert or remediation target)
+ */
+function matches(silence, target) {
+    const labels = target.labels || {};
+    if (silence.service && target.service !== silence.service) return false;
+    if (silence.node && target.node !== silence.node) return false;
+    if (silence.type && target.type !== silence.type) return false;
+    return Object.entries(silence.labels || {}).every(([key, value]) => labels[key] === value);
+}
+
+/** Silences in effect at `now` */
+async function activeSilences(now = Date.now()) {
+    await ensureTables();
+    const timestamp = new Date(now).toISOString();
+    return database.queryAll(
+        'SELECT * FROM silences WHERE starts_at <= $ts AND ends_at > $ts ORDER BY ends_at DESC',
+        { $ts: timestamp }
+    ).map((row) => toSilence(row, now));
+}
+
+/**
+ * The active silence covering a target, if any.
+ * @returns {Promise<object|null>}
+ */
+async function silenceFor(target, now = Date.now()) {
+    return (await activeSilences(now)).find((silence) => matches(silence, target)) || null;
+}
+
+/**
+ * The active silence that blocks a remediation, if any. Only actions aimed at
+ * a service or node can be blocked (notifications always go through); a
+ * linked incident adds its type and labels to the target.
+ * @param {object} params - Action params ({ service?, node?, ... })
+ * @param {object|null} [incident] - Incident the action is linked to
+ * @returns {Promise<object|null>}
+ */
+async function blockingSilence(params, incident = null, now = Date.now()) {
+    if (!params.service && !params.node) return null;
+    return silenceFor({
+        service: params.service,
+        node: params.node,
+        type: incident ? incident.type : undefined,
+        labels: incident ? incident.labels : undefined,
+    }, now);
+}
+
+/**
+ * Split detection output into what is reported and what is silenced.
+ * @param {Array<object>} items - Incidents or alerts
+ * @returns {Promise<{ kept: Array<object>, silenced: Array<object> }>} silenced items carry `silenced_by`
+ */
+async function suppress(items, now = Date.now()) {
+    const silences = await activeSilences(now);
+    const kept = [];
+    const silenced = [];
+    for (const item of items) {
+        const silence = silences.find((s) => matches(s, item));
+        if (silence) silenced.push({ ...item, silenced_by: silence.id });
+        else kept.push(item);
+    }
+    return { kept, silenced };
+}
+
+// ── Management ─────────────────────────────────────────────
+
+/**
+ * Create a silence.
+ * @param {object} fields - { service?, node?, type?, labels?, starts_at? (default now),
+ *   ends_at | duration, created_by, comment }
+ * @returns {Promise<object>}
+ * @throws {Error} code INVALID
+ */
+async function createSilence(fields, now = Date.now()) {
+    await ensureTables();
+    const silence = validateSilence(fields || {}, now);
+
+    const id = uuidv4();
+    database.run(
+        `INSERT INTO silences (id, service, node, type, labels, starts_at, ends_at, created_by, comment, created_at)
+         VALUES ($id, $service, $node, $type, $labels, $starts, $ends, $by, $comment, $created)`,
+        {
+            $id: id, $service: silence.service, $node: silence.node, $type: silence.type,
+            $labels: JSON.stringify(silence.labels), $starts: silence.starts_at, $ends: silence.ends_at,
+            $by: silence.created_by, $comment: silence.comment, $created: new Date(now).toISOString(),
+        }
+    );
+    database.saveToDisk();
+
+    console.log(`[silences] ${silence.created_by} silenced ${describe(silence)} until ${silence.ends_at}`);
+    return toSilence(requireSilence(id), now);
+}
+
+/**
+ * End a silence now.
+ * @param {string} id
+ * @param {object} [options] - { actor }
+ * @throws {Error} code NOT_FOUND, or CONFLICT when it already expired
+ */
+async function expireSilence(id, { actor } = {}, now = Date.now()) {
+    await ensureTables();
+    const row = requireSilence(id);
+    if (statusAt(row, now) === 'expired') throw silenceError('CONFLICT', `Silence ${id} has already expired`);
+
+    // A pending silence is cut to zero length rather than ending before it starts
+    const endsAt = new Date(Math.max(now, Date.parse(row.starts_at))).toISOString();
+    database.run('UPDATE silences SET ends_at = $ends, expired_by = $by WHERE id = $id', { $ends: endsAt, $by: actor || null, $id: id });
+    database.saveToDisk();
+
+    console.log(`[silences] Expired ${id}${actor ? ` (${actor})` : ''}`);
+    return toSilence(requireSilence(id), now);
+}
+
+/**
+ * Silences, latest ending first.
+ * @param {object} [filters] - { status (pending | active | expired | all; default: pending + active),
+ *   service, node, type, limit }
+ * @throws {Error} code INVALID
+ */
+async function listSilences({ status, service, node, type, limit } = {}, now = Date.now()) {
+    await ensureTables();
+    if (status !== undefined && status !== 'all' && !STATUSES.includes(status)) {
+        throw silenceError('INVALID', `"status" must be one of: ${STATUSES.join(', ')}, all`);
+    }
+
+    let where = 'WHERE 1=1';
+    const params = {};
+    for (const [field, value] of Object.entries({ service, node, type })) {
+        if (value) {
+            where += ` AND ${field} = $${field}`;
+            params[`$${field}`] = value;
+        }
+    }
+
+    const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+    const data = database.queryAll(`SELECT * FROM silences ${where} ORDER BY ends_at DESC`, params)
+        .map((row) => toSilence(row, now))
+        .filter((silence) => (status === undefined ? silence.status !== 'expired' : status === 'all' || silence.status === status))
+        .slice(0, max);
+    return { count: data.length, data };
+}
+
+/** One silence by id */
+async function getSilence(id, now = Date.now()) {
+    await ensureTables();
+    return toSilence(requireSilence(id), now);
+}
+
+/** "service auth-service, type high_cpu" */
+function describe(silence) {
+    const parts = ['service', 'node', 'type'].filter((key) => silence[key]).map((key) => `${key} ${silence[key]}`);
+    parts.push(...Object.entries(silence.labels || {}).map(([key, value]) => `${key}=${value}`));
+    return parts.join(', ');
+}
+
+module.exports = {
+    STATUSES,
+    ensureTables,
+    matches,
+    activeSilences,
+    silenceFor,
+    blockingSilence,
+    suppress,
+    createSilence,
+    expireSilence,
+    listSilences,
+    getSilence,
+    describe,
+};
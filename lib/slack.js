@@ -0,0 +1,36 @@
+/**
+ * Slack — post messages through the incoming webhook in SLACK_WEBHOOK_URL
+ *
+ * Without a webhook configured nothing is sent and the result says the
+ * message was simulated, so demos and tests run without Slack.
+ */
+
+'use strict';
+
+/**
+ * Post a message to a channel (or @user).
+ * @param {string} channel
+ * @param {string} message
+ * @returns {Promise<{ sent: boolean, status?: number, reason?: string }>}
+ */
+async function sendSlackMessage(channel, message) {
+    const webhookUrl = process.env.SLACK_WEBHOOK_URL;
+    if (!webhookUrl) return { sent: false, reason: 'No SLACK_WEBHOOK_URL configured (simulated)' };
+    try {
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                channel,
+                text: `⚔️ *MCP Incident Slayer*\n${message}`,
+                username: 'Incident Slayer Bot',
+                icon_emoji: ':crossed_swords:',
+            }),
+        });
+        return { sent: true, status: response.status };
+    } catch (err) {
+        return { sent: false, reason: err.message };
+    }
+}
+
+module.exports = { sendSlackMessage };
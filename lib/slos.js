@@ -0,0 +1,432 @@
+/**
+ * SLOs — service level objectives, error budgets and burn-rate alerts
+ *
+ * Objectives live in SLOS_FILE (default config/slos.yaml; .json works too)
+ * and are measured against stored metric history (lib/metrics-store.js):
+ *
+ *   availability  share of requests that did not fail, from
+ *                 error_rate_percent weighted by requests_per_second
+ *   latency       share of time the service's p99_response_time_ms (or
+ *                 avg_response_time_ms, see `metric`) stayed at or under
+ *                 threshold_ms
+ *
+ * The error budget is what the target leaves over (99.9% → 0.1%). Over the
+ * SLO window it is reported as consumed and remaining percent; the burn rate
+ * of any window is its error ratio divided by that budget, so 1 spends the
+ * budget exactly over the window and 14.4 spends a 30d budget in ~2 days.
+ *
+ * Burn-rate alerts follow the multi-window scheme of the SRE workbook: an
+ * alert fires while both its long and its short window burn at or above its
+ * rate (the short window makes it stop soon after the problem does). Firing
+ * alerts are stored with the others (lib/alerts.js, source "slo").
+ *
+ * SLO format:
+ *   {
+ *     "name": "checkout-availability",
+ *     "service": "payment-service",
+ *     "objective": "availability",      // availability | latency
+ *     "target": 99.5,                   // percent of good requests (or time)
+ *     "window": "30d",                  // rolling window (default 30d)
+ *     "threshold_ms": 500,              // latency only
+ *     "metric": "p99_response_time_ms", // latency only; or avg_response_time_ms
+ *     "burn_rate_alerts": [...]         // optional; default DEFAULT_BURN_RATE_ALERTS (those that fit the window)
+ *   }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseDuration } = require('./duration');
+const metricsStore = require('./metrics-store');
+const alerts = require('./alerts');
+
+// ── Configuration ──────────────────────────────────────────
+const SLOS_FILE = path.resolve(process.env.SLOS_FILE || path.join(__dirname, '..', 'config', 'slos.yaml'));
+
+const OBJECTIVES = ['availability', 'latency'];
+const LATENCY_METRICS = ['p99_response_time_ms', 'avg_response_time_ms'];
+const ALERT_SEVERITIES = ['warning', 'critical'];
+const DEFAULT_WINDOW = '30d';
+/** Page on fast burns, ticket on slow ones (SRE workbook, table 5-8) */
+const DEFAULT_BURN_RATE_ALERTS = [
+    { long: '1h', short: '5m', burn_rate: 14.4, severity: 'critical' },
+    { long: '6h', short: '30m', burn_rate: 6, severity: 'critical' },
+    { long: '1d', short: '2h', burn_rate: 3, severity: 'warning' },
+    { long: '3d', short: '6h', burn_rate: 1, severity: 'warning' },
+];
+/** Burn alerts are re-evaluated at most this often from the metrics sampler */
+const SAMPLE_EVALUATION_INTERVAL_MS = 60 * 1000;
+
+// ── Internal State ──────────────────────────────────────────
+let sloSet = null; // { file, loaded_at, slos }
+let lastSampleEvaluation = 0;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function sloError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ── Validation ─────────────────────────────────────────────
+
+function normalizeBurnRateAlerts(list, where, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${where}.burn_rate_alerts must be a list`);
+        return [];
+    }
+    return list.map((alert, i) => {
+        const at = `${where}.burn_rate_alerts[${i}]`;
+        const longMs = parseDuration(alert && alert.long);
+        const shortMs = parseDuration(alert && alert.short);
+        if (!longMs) errors.push(`${at}.long must be a duration (e.g. 1h)`);
+        if (!shortMs) errors.push(`${at}.short must be a duration (e.g. 5m)`);
+        if (longMs && shortMs && shortMs >= longMs) errors.push(`${at}.short must be shorter than long`);
+        if (!alert || typeof alert.burn_rate !== 'number' || !(alert.burn_rate > 0)) errors.push(`${at}.burn_rate must be a positive number`);
+        if (!alert || !ALERT_SEVERITIES.includes(alert.severity)) errors.push(`${at}.severity must be one of: ${ALERT_SEVERITIES.join(', ')}`);
+        return alert && { long: alert.long, short: alert.short, long_ms: longMs, short_ms: shortMs, burn_rate: alert.burn_rate, severity: alert.severity };
+    });
+}
+
+/**
+ * Validate an SLO document and normalise windows and defaults.
+ * @param {object|Array<object>} doc - `{ slos: [...] }` or the bare list
+ * @returns {Array<object>} Normalised SLOs
+ * @throws {Error} code INVALID with `details` listing every problem
+ */
+function normalizeSlos(doc) {
+    const list = Array.isArray(doc) ? doc : (doc && doc.slos);
+    if (!Array.isArray(list)) {
+        throw sloError('INVALID', 'SLO file must contain a "slos" list', ['slos must be a list']);
+    }
+
+    const errors = [];
+    const names = new Set();
+    const slos = list.map((slo, i) => {
+        const where = `slos[${i}]${slo && slo.name ? ` (${slo.name})` : ''}`;
+        if (!slo || typeof slo !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+
+        if (typeof slo.name !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(slo.name)) {
+            errors.push(`${where}.name must be letters, digits, "_", "." or "-"`);
+        } else if (names.has(slo.name)) {
+            errors.push(`${where}.name is used by another SLO`);
+        }
+        names.add(slo.name);
+
+        if (typeof slo.service !== 'string' || slo.service.trim() === '') errors.push(`${where}.service is required`);
+        if (!OBJECTIVES.includes(slo.objective)) errors.push(`${where}.objective must be one of: ${OBJECTIVES.join(', ')}`);
+        if (typeof slo.target !== 'number' || !(slo.target > 0 && slo.target < 100)) {
+            errors.push(`${where}.target must be a percentage between 0 and 100 (exclusive)`);
+        }
+
+        const window = slo.window === undefined ? DEFAULT_WINDOW : slo.window;
+        const windowMs = parseDuration(window);
+        if (!windowMs) errors.push(`${where}.window is not a valid duration`);
+
+        const metric = slo.metric === undefined ? LATENCY_METRICS[0] : slo.metric;
+        if (slo.objective === 'latency') {
+            if (typeof slo.threshold_ms !== 'number' || !(slo.threshold_ms > 0)) errors.push(`${where}.threshold_ms must be a positive number`);
+            if (!LATENCY_METRICS.includes(metric)) errors.push(`${where}.metric must be one of: ${LATENCY_METRICS.join(', ')}`);
+        } else if (slo.threshold_ms !== undefined || slo.metric !== undefined) {
+            errors.push(`${where}: threshold_ms and metric only apply to latency SLOs`);
+        }
+
+        // The defaults that do not fit a short window are left out; explicit ones must fit
+        const explicit = slo.burn_rate_alerts !== undefined;
+        let burnRateAlerts = normalizeBurnRateAlerts(explicit ? slo.burn_rate_alerts : DEFAULT_BURN_RATE_ALERTS, where, errors);
+        if (!explicit) {
+            burnRateAlerts = burnRateAlerts.filter((alert) => !windowMs || alert.long_ms <= windowMs);
+        } else if (windowMs && burnRateAlerts.some((alert) => alert && alert.long_ms > windowMs)) {
+            errors.push(`${where}.burn_rate_alerts windows must fit in the SLO window (${window})`);
+        }
+
+        return {
+            name: slo.name,
+            description: slo.description || '',
+            service: slo.service,
+            objective: slo.objective,
+            target: slo.target,
+            window,
+            window_ms: windowMs,
+            ...(slo.objective === 'latency' ? { metric, threshold_ms: slo.threshold_ms } : {}),
+            burn_rate_alerts: burnRateAlerts,
+        };
+    });
+
+    if (errors.length > 0) throw sloError('INVALID', 'Invalid SLO set', errors);
+    return slos;
+}
+
+// ── Loading ────────────────────────────────────────────────
+
+/**
+ * Read and activate an SLO file (.yaml, .yml or .json). The previous SLOs
+ * stay active if the file is invalid; a missing file means no SLOs.
+ * @param {string} [file=SLOS_FILE]
+ * @returns {object} { file, loaded_at, slos }
+ * @throws {Error} code INVALID with `details`
+ */
+function loadSlos(file = SLOS_FILE) {
+    let slos = [];
+    if (fs.existsSync(file)) {
+        const text = fs.readFileSync(file, 'utf8');
+        let doc;
+        try {
+            doc = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+        } catch (error) {
+            throw sloError('INVALID', `Cannot parse ${path.basename(file)}: ${error.message}`, [error.message]);
+        }
+        slos = normalizeSlos(doc);
+    }
+
+    sloSet = { file, loaded_at: new Date().toISOString(), slos };
+    console.log(`[slos] Loaded ${slos.length} SLO(s) from ${file}`);
+    return sloSet;
+}
+
+/** The active SLOs, loading SLOS_FILE on first use */
+function getSloSet() {
+    return sloSet || loadSlos();
+}
+
+// ── Measurement ────────────────────────────────────────────
+
+function epochOf(snapshot) {
+    return typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+}
+
+function finite(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * The share of bad events among the points: failed requests for
+ * availability, time over threshold for latency. Points are weighted by the
+ * raw samples behind them, so rolled-up history counts as much as raw.
+ * @returns {number|null} 0..1, or null without data
+ */
+function errorRatio(slo, points) {
+    let bad = 0;
+    let total = 0;
+    let unweightedBad = 0;
+    let unweightedTotal = 0;
+
+    for (const { service, weight } of points) {
+        if (slo.objective === 'latency') {
+            if (!finite(service[slo.metric])) continue;
+            total += weight;
+            if (service[slo.metric] > slo.threshold_ms) bad += weight;
+            continue;
+        }
+        if (!finite(service.error_rate_percent)) continue;
+        const failed = Math.min(Math.max(service.error_rate_percent, 0), 100) / 100;
+        unweightedBad += failed * weight;
+        unweightedTotal += weight;
+        if (finite(service.requests_per_second) && service.requests_per_second > 0) {
+            bad += failed * service.requests_per_second * weight;
+            total += service.requests_per_second * weight;
+        }
+    }
+
+    // Without traffic figures every point counts the same
+    if (total === 0 && unweightedTotal > 0) return unweightedBad / unweightedTotal;
+    return total === 0 ? null : bad / total;
+}
+
+/** Stored points of one service since `from`: [{ t, service, weight }] */
+function pointsFor(history, service, from) {
+    return history.flatMap(({ t, snapshot, weight }) => {
+        if (t < from) return [];
+        const match = (snapshot.services || []).find((s) => s.name === service);
+        return match ? [{ t, service: match, weight }] : [];
+    });
+}
+
+function round(value, digits) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * The status of one SLO over stored history.
+ * @param {object} slo - Normalised SLO
+ * @param {Array<{ t, snapshot, weight }>} history - Oldest first, covering at least the SLO window
+ * @param {number} now
+ * @returns {object} { name, service, objective, target, window, sli, error_budget, burn_rates,
+ *   alerts, status, data_from, points }
+ */
+function measureSlo(slo, history, now) {
+    const allowed = 1 - slo.target / 100;
+    const points = pointsFor(history, slo.service, now - slo.window_ms);
+    const ratio = errorRatio(slo, points);
+
+    const burnRate = (windowMs) => {
+        const windowRatio = errorRatio(slo, pointsFor(history, slo.service, now - windowMs));
+        return windowRatio === null ? null : windowRatio / allowed;
+    };
+    const burnRates = {};
+    for (const alert of slo.burn_rate_alerts) {
+        burnRates[alert.short] = burnRate(alert.short_ms);
+        burnRates[alert.long] = burnRate(alert.long_ms);
+    }
+
+    const burnAlerts = slo.burn_rate_alerts.map((alert) => {
+        const long = burnRates[alert.long];
+        const short = burnRates[alert.short];
+        return {
+            long: alert.long,
+            short: alert.short,
+            burn_rate: alert.burn_rate,
+            severity: alert.severity,
+            long_burn_rate: round(long, 3),
+            short_burn_rate: round(short, 3),
+            firing: long !== null && short !== null && long >= alert.burn_rate && short >= alert.burn_rate,
+        };
+    });
+
+    const consumed = ratio === null ? null : ratio / allowed;
+    const remaining = consumed === null ? null : 1 - consumed;
+    // At the fastest alert's long-window rate, when does the rest of the budget run out?
+    const currentBurn = slo.burn_rate_alerts.length > 0 ? burnRates[slo.burn_rate_alerts[0].long] : null;
+    const exhaustsAt = remaining !== null && remaining > 0 && currentBurn > 0
+        ? new Date(now + (remaining * slo.window_ms) / currentBurn).toISOString()
+        : null;
+
+    const firing = burnAlerts.filter((a) => a.firing);
+    let status = 'ok';
+    if (ratio === null) status = 'no_data';
+    else if (remaining <= 0) status = 'exhausted';
+    else if (firing.some((a) => a.severity === 'critical')) status = 'critical';
+    else if (firing.length > 0) status = 'warning';
+
+    return {
+        name: slo.name,
+        description: slo.description,
+        service: slo.service,
+        objective: slo.objective,
+        target: slo.target,
+        window: slo.window,
+        ...(slo.objective === 'latency' ? { metric: slo.metric, threshold_ms: slo.threshold_ms } : {}),
+        status,
+        sli: ratio === null ? null : round((1 - ratio) * 100, 4),
+        error_budget: {
+            allowed_percent: round(allowed * 100, 4),
+            consumed_percent: consumed === null ? null : round(consumed * 100, 2),
+            remaining_percent: remaining === null ? null : round(remaining * 100, 2),
+            exhausts_at: exhaustsAt,
+        },
+        burn_rates: Object.fromEntries(Object.entries(burnRates).map(([window, rate]) => [window, round(rate, 3)])),
+        alerts: burnAlerts,
+        data_from: points.length > 0 ? new Date(points[0].t).toISOString() : null,
+        points: points.length,
+    };
+}
+
+/** Stored history covering every given SLO's window: [{ t, snapshot, weight }] */
+async function historyFor(slos, now) {
+    const longest = Math.max(0, ...slos.map((slo) => slo.window_ms));
+    if (longest === 0) return [];
+    const entries = await metricsStore.readRange({ from: now - longest, to: now });
+    return entries.map(({ snapshot, weight }) => ({ t: epochOf(snapshot), snapshot, weight }));
+}
+
+// ── Status ─────────────────────────────────────────────────
+
+/**
+ * Status of the active SLOs, worst first.
+ * @param {object} [filters] - { name, service }
+ * @param {number} [now]
+ * @returns {Promise<{ count, data }>}
+ * @throws {Error} code NOT_FOUND for an unknown name
+ */
+async function sloStatus({ name, service } = {}, now = Date.now()) {
+    let slos = getSloSet().slos;
+    if (name) {
+        slos = slos.filter((slo) => slo.name === name);
+        if (slos.length === 0) throw sloError('NOT_FOUND', `SLO not found: ${name}`);
+    }
+    if (service) slos = slos.filter((slo) => slo.service === service);
+
+    const history = await historyFor(slos, now);
+    const order = ['exhausted', 'critical', 'warning', 'no_data', 'ok'];
+    const data = slos
+        .map((slo) => measureSlo(slo, history, now))
+        .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    return { count: data.length, data };
+}
+
+/** The stored alert for one firing burn-rate rule */
+function burnAlertFor(slo, alert, budget) {
+    const remaining = budget.remaining_percent === null ? '' : `; ${budget.remaining_percent}% of the ${slo.window} budget left`;
+    return {
+        status: 'firing',
+        rule: slo.name,
+        type: 'slo_burn_rate',
+        severity: alert.severity,
+        scope: 'service',
+        service: slo.service,
+        node: null,
+        value: alert.long_burn_rate,
+        labels: { slo: slo.name, service: slo.service, long_window: alert.long, short_window: alert.short },
+        annotations: { objective: slo.objective, target: String(slo.target) },
+        summary: `${slo.name} is burning its error budget at ${alert.long_burn_rate}x (${alert.long}) and `
+            + `${alert.short_burn_rate}x (${alert.short}), alert at ${alert.burn_rate}x${remaining}`,
+        generator_url: null,
+        starts_at: null,
+        ends_at: null,
+    };
+}
+
+/**
+ * Measure every SLO and update the stored burn-rate alerts: firing rules are
+ * recorded (repeats only bump occurrences), alerts that stopped firing are
+ * resolved.
+ * @param {number} [now]
+ * @returns {Promise<{ slos: Array<object>, alerts: Array<{ fingerprint, rule, status, new }> }>}
+ */
+async function evaluateSlos(now = Date.now()) {
+    const { data } = await sloStatus({}, now);
+    const slos = getSloSet().slos;
+    const firing = data.flatMap((status) => status.alerts
+        .filter((alert) => alert.firing)
+        .map((alert) => burnAlertFor(slos.find((slo) => slo.name === status.name), alert, status.error_budget)));
+
+    const recorded = await alerts.recordExternalAlerts('slo', firing, now, { resolveMissing: true });
+    return { slos: data, alerts: recorded };
+}
+
+/**
+ * evaluateSlos() for the metrics sampler, at most once a minute: reading a
+ * 30-day window on every sample would be wasted work.
+ */
+async function evaluateOnSample(now = Date.now()) {
+    if (now - lastSampleEvaluation < SAMPLE_EVALUATION_INTERVAL_MS) return null;
+    lastSampleEvaluation = now;
+    return evaluateSlos(now);
+}
+
+/** Forget the active SLOs (tests only); the next use reloads SLOS_FILE. */
+function resetForTesting() {
+    sloSet = null;
+    lastSampleEvaluation = 0;
+}
+
+module.exports = {
+    SLOS_FILE,
+    OBJECTIVES,
+    DEFAULT_BURN_RATE_ALERTS,
+    normalizeSlos,
+    loadSlos,
+    getSloSet,
+    measureSlo,
+    sloStatus,
+    evaluateSlos,
+    evaluateOnSample,
+    resetForTesting,
+};
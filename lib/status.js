@@ -0,0 +1,105 @@
+/**
+ * System Status — what GET /status reports on both servers
+ *
+ * Process, database and metrics source state, plus the REST tools and
+ * endpoints. The REST server and the MCP server mount the same routers, so
+ * one list describes both.
+ */
+
+'use strict';
+
+const database = require('./database');
+const { getMetricsSource, recordingStatus, replayStatus } = require('./metrics-sources');
+const { getSeed } = require('./random');
+const scenarios = require('./scenarios');
+
+const TOOLS = ['metrics-fetcher', 'metrics-ingest', 'logs-db', 'remediation-executor', 'scenarios', 'anomaly-detector', 'forecaster', 'incident-rules', 'incidents', 'alerts', 'silences', 'slos', 'topology', 'timeline', 'postmortem', 'oncall'];
+
+const ENDPOINTS = {
+    metrics: 'GET /metrics',
+    metrics_history: 'GET /metrics/history',
+    metrics_history_stats: 'GET /metrics/history/stats',
+    metrics_query: 'GET /metrics/query',
+    metrics_ingest: 'POST /metrics/ingest',
+    metrics_ingest_sources: 'GET /metrics/ingest/sources',
+    anomaly_toggle: 'POST /metrics/anomaly',
+    metrics_record: 'POST /metrics/record',
+    metrics_replay: 'POST /metrics/replay',
+    metrics_recordings: 'GET /metrics/recordings',
+    logs: 'GET /logs',
+    logs_insert: 'POST /logs',
+    logs_bulk: 'POST /logs/bulk',
+    logs_patterns: 'GET /logs/patterns',
+    logs_stream: 'GET /logs/stream',
+    logs_stats: 'GET /logs/stats',
+    execute: 'POST /execute',
+    history: 'GET /history',
+    actions: 'GET /actions',
+    scenarios: 'GET /scenarios',
+    scenario_load: 'POST /scenarios',
+    scenario_control: 'POST /scenarios/:name/(start|pause|stop)',
+    anomalies: 'GET /anomalies',
+    anomaly_baselines: 'GET /anomalies/baselines',
+    forecasts: 'GET /forecasts',
+    rules: 'GET /rules',
+    rules_reload: 'POST /rules/reload',
+    rules_evaluate: 'GET /rules/evaluate',
+    incidents: 'GET /incidents',
+    incident_open: 'POST /incidents',
+    incident: 'GET /incidents/:id',
+    incident_lifecycle: 'POST /incidents/:id/(acknowledge|mitigate|resolve)',
+    incident_link: 'POST /incidents/:id/link',
+    alerts: 'GET /alerts',
+    alert: 'GET /alerts/:fingerprint',
+    alertmanager_webhook: 'POST /alerts/alertmanager',
+    silences: 'GET /silences',
+    silence_create: 'POST /silences',
+    silence: 'GET /silences/:id',
+    silence_expire: 'POST /silences/:id/expire',
+    slos: 'GET /slos',
+    slos_reload: 'POST /slos/reload',
+    slo: 'GET /slos/:name',
+    topology: 'GET /topology',
+    topology_reload: 'POST /topology/reload',
+    blast_radius: 'GET /topology/blast-radius/:service',
+    timeline: 'GET /timeline',
+    postmortem: 'GET /postmortem',
+    oncall: 'GET /oncall',
+    oncall_reload: 'POST /oncall/reload',
+    oncall_schedule: 'GET /oncall/schedules/:name',
+    oncall_overrides: 'GET /oncall/overrides',
+    oncall_override_create: 'POST /oncall/overrides',
+    oncall_override_cancel: 'POST /oncall/overrides/:id/cancel',
+    escalations: 'GET /oncall/escalations',
+    health: 'GET /health',
+    prometheus: 'GET /prom-metrics',
+};
+
+/**
+ * Current status of this process.
+ * @returns {object} The `data` of a GET /status response
+ */
+function systemStatus() {
+    const memUsage = process.memoryUsage();
+    return {
+        service: 'mcp-incident-slayer',
+        version: '1.0.0',
+        uptime_seconds: Math.floor(process.uptime()),
+        memory: {
+            rss_mb: Math.round(memUsage.rss / 1024 / 1024),
+            heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
+            heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
+        },
+        database: { path: database.getDbPath() },
+        metrics_source: getMetricsSource().name,
+        simulation_seed: getSeed(),
+        metrics_recording: recordingStatus(),
+        metrics_replay: replayStatus(),
+        tools: TOOLS,
+        active_scenarios: scenarios.activeScenarioNames(),
+        endpoints: ENDPOINTS,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+module.exports = { systemStatus };
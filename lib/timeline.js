@@ -0,0 +1,401 @@
+/**
+ * Timeline — what happened, in order, from every store at once
+ *
+ * Merges five sources over one time window, optionally narrowed to some
+ * services:
+ *
+ *   logs          log lines at or above a minimum level (default warn)
+ *   metrics       stored snapshots replayed against the incident rules:
+ *                 one event where a threshold is crossed, one where it clears
+ *   alerts        alerts starting (pending), firing and resolving
+ *   remediations  executions from POST /execute and execute_remediation
+ *   incidents     incident lifecycle events (opened, acknowledged, ...)
+ *
+ * The same happening often shows up in several sources: a metric crossing a
+ * threshold is also the moment its rule alert starts, and a crash-looping
+ * pod logs the same line over and over. Events share a dedup key for that;
+ * events with the same key less than DEDUP_WINDOW_MS after the previous one
+ * are folded into it (count, last_at, sources).
+ *
+ * Offsets are relative to the incident's opened_at when the timeline is
+ * built for an incident, and to the first event otherwise.
+ */
+
+'use strict';
+
+const database = require('./database');
+const metricsStore = require('./metrics-store');
+const rules = require('./rules');
+const alerts = require('./alerts');
+const incidents = require('./incidents');
+const { parseDuration, parseTime } = require('./duration');
+
+// ── Configuration ──────────────────────────────────────────
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
+const LEVEL_SEVERITY = { debug: 'info', info: 'info', warn: 'warning', error: 'critical', fatal: 'critical' };
+const REMEDIATION_TABLES = ['actions', 'executions'];
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+/** How far before an incident was opened its timeline starts, and after it resolved that it ends */
+const INCIDENT_LEAD_MS = 30 * 60 * 1000;
+const INCIDENT_TRAIL_MS = 15 * 60 * 1000;
+const DEDUP_WINDOW_MS = 60 * 1000;
+const MAX_LOG_LINES = 5000;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+// ── Errors ─────────────────────────────────────────────────
+
+function timelineError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ── Helpers ────────────────────────────────────────────────
+
+function tableExists(table) {
+    return database.queryOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = $name", { $name: table }) !== null;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+function inWindow(timestamp, window) {
+    const t = Date.parse(timestamp);
+    return Number.isFinite(t) && t >= window.from && t <= window.to;
+}
+
+function targetOf({ service, node }) {
+    return service || (node ? `node/${node}` : 'cluster');
+}
+
+/** "+1h02m", "+2m30s", "-45s" */
+function formatOffset(ms) {
+    const sign = ms < 0 ? '-' : '+';
+    const total = Math.round(Math.abs(ms) / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    if (h > 0) return `${sign}${h}h${pad(m)}m`;
+    if (m > 0) return `${sign}${m}m${pad(s)}s`;
+    return `${sign}${s}s`;
+}
+
+function parseServices(services) {
+    if (services === undefined || services === null || services === '') return [];
+    const list = Array.isArray(services) ? services : String(services).split(',');
+    return [...new Set(list.map((s) => String(s).trim()).filter(Boolean))];
+}
+
+// ── Sources ────────────────────────────────────────────────
+
+/**
+ * Log lines of the window, oldest first. The service filter is part of the
+ * query so the MAX_LOG_LINES cap counts only lines that are wanted.
+ * @returns {{ events: Array<object>, truncated: boolean }} truncated when the cap cut lines off
+ */
+function logEvents(window, services, minLevel) {
+    if (!tableExists('logs')) return { events: [], truncated: false };
+    const levels = LOG_LEVELS.slice(LOG_LEVELS.indexOf(minLevel));
+    const serviceFilter = services.length > 0
+        ? `AND service IN (${services.map((_, i) => `$service${i}`).join(', ')})`
+        : '';
+    const rows = database.queryAll(
+        `SELECT * FROM logs WHERE timestamp >= $from AND timestamp <= $to
+           AND level IN (${levels.map((_, i) => `$level${i}`).join(', ')}) ${serviceFilter}
+         ORDER BY timestamp ASC LIMIT $limit`,
+        {
+            $from: new Date(window.from).toISOString(),
+            $to: new Date(window.to).toISOString(),
+            $limit: MAX_LOG_LINES + 1,
+            ...Object.fromEntries(levels.map((level, i) => [`$level${i}`, level])),
+            ...Object.fromEntries(services.map((service, i) => [`$service${i}`, service])),
+        }
+    );
+
+    const events = rows.slice(0, MAX_LOG_LINES).map((row) => ({
+        t: Date.parse(row.timestamp),
+        kind: 'log',
+        severity: LEVEL_SEVERITY[row.level] || 'info',
+        service: row.service,
+        node: null,
+        summary: `[${row.level.toUpperCase()}] ${row.message}`,
+        dedup: `log|${row.service}|${row.message}`,
+        details: { id: row.id, level: row.level, metadata: parseJson(row.metadata) },
+    }));
+    return { events, truncated: rows.length > MAX_LOG_LINES };
+}
+
+/** Replay stored snapshots against the rules; an event wherever a threshold is crossed either way */
+async function metricEvents(window, wanted, filtered) {
+    const entries = await metricsStore.readRange({ from: window.from, to: window.to });
+    const previous = new Map();
+    const events = [];
+
+    for (const { snapshot } of entries) {
+        const t = typeof snapshot.epoch_ms === 'number' ? snapshot.epoch_ms : Date.parse(snapshot.timestamp);
+        for (const state of rules.thresholdStates(snapshot)) {
+            // With a service filter only those services' own metrics count
+            if (filtered && (state.scope !== 'service' || !wanted(state.service))) continue;
+            const { rule } = state;
+            const target = targetOf(state);
+            const key = `${rule.name}|${target}`;
+            const was = previous.get(key);
+            previous.set(key, state.breaching);
+            if (was === state.breaching || (was === undefined && !state.breaching)) continue;
+
+            const where = state.scope === 'cluster' ? 'cluster' : `${state.scope} ${state.service || state.node}`;
+            events.push({
+                t,
+                kind: 'metric',
+                severity: state.breaching ? rule.severity : 'info',
+                service: state.service,
+                node: state.node,
+                summary: state.breaching
+                    ? `${rule.metric} ${state.value} ${rule.operator} ${rule.threshold} on ${where}${was === undefined ? ' (already at window start)' : ''}`
+                    : `${rule.metric} back to ${state.value} on ${where} (threshold ${rule.operator} ${rule.threshold})`,
+                dedup: `${state.breaching ? 'breach' : 'clear'}|${rule.name}|${target}`,
+                details: { rule: rule.name, metric: rule.metric, operator: rule.operator, threshold: rule.threshold, value: state.value },
+            });
+        }
+    }
+    return events;
+}
+
+async function alertEvents(window, wanted) {
+    await alerts.ensureTables();
+    const rows = database.queryAll(
+        `SELECT * FROM alerts WHERE (started_at >= $from AND started_at <= $to)
+            OR (firing_at >= $from AND firing_at <= $to) OR (resolved_at >= $from AND resolved_at <= $to)`,
+        { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString() }
+    );
+
+    const events = [];
+    for (const row of rows) {
+        const labels = parseJson(row.labels);
+        const service = row.service || labels.service || null;
+        if (!wanted(service)) continue;
+
+        const target = targetOf({ service, node: row.node });
+        const base = {
+            kind: 'alert',
+            service,
+            node: row.node,
+            details: { fingerprint: row.fingerprint, source: row.source, rule: row.rule, type: row.type, value: row.value },
+        };
+        const label = `${row.source === 'rules' ? 'Alert' : `${row.source} alert`} ${row.rule}`;
+        // A rules alert starts when its threshold is crossed, the moment the metric replay reports
+        const breach = row.source === 'rules' ? `breach|${row.rule}|${target}` : `alert|${row.fingerprint}|firing`;
+        const pending = row.firing_at !== row.started_at;
+
+        if (pending && inWindow(row.started_at, window)) {
+            events.push({ ...base, t: Date.parse(row.started_at), severity: 'info', summary: `${label} pending: ${row.summary}`, dedup: breach });
+        }
+        if (row.firing_at && inWindow(row.firing_at, window)) {
+            events.push({
+                ...base,
+                t: Date.parse(row.firing_at),
+                severity: row.severity,
+                summary: `${label} firing: ${row.summary}`,
+                dedup: pending ? `alert|${row.fingerprint}|firing` : breach,
+            });
+        }
+        if (row.status === 'resolved' && row.resolved_at && inWindow(row.resolved_at, window)) {
+            events.push({
+                ...base,
+                t: Date.parse(row.resolved_at),
+                severity: 'info',
+                summary: `${label} resolved`,
+                dedup: row.source === 'rules' ? `clear|${row.rule}|${target}` : `alert|${row.fingerprint}|resolved`,
+            });
+        }
+    }
+    return events;
+}
+
+function remediationEvents(window, wanted, filtered) {
+    const events = [];
+    for (const table of REMEDIATION_TABLES.filter(tableExists)) {
+        const rows = database.queryAll(
+            `SELECT * FROM ${table} WHERE timestamp >= $from AND timestamp <= $to`,
+            { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString() }
+        );
+        for (const row of rows) {
+            const params = parseJson(row.params);
+            // Under a service filter, actions without a service (notifications) are left out
+            if (filtered && !wanted(params.service || null)) continue;
+
+            const target = params.service || params.node || params.channel || '';
+            const result = parseJson(row.result);
+            const failed = !['success', 'completed'].includes(row.status);
+            events.push({
+                t: Date.parse(row.timestamp),
+                kind: 'remediation',
+                severity: failed ? 'warning' : 'info',
+                service: params.service || null,
+                node: params.node || null,
+                summary: `${row.action}${target ? ` ${target}` : ''} → ${row.status}${row.reason ? ` (${row.reason})` : ''}`
+                    + (failed && result.error ? `: ${result.error}` : ''),
+                dedup: `remediation|${table}|${row.id}`,
+                details: { execution_id: row.id, action: row.action, params, status: row.status, incident_id: row.incident_id || null },
+            });
+        }
+    }
+    return events;
+}
+
+async function incidentEvents(window, wanted) {
+    await incidents.ensureTables();
+    const rows = database.queryAll(
+        `SELECT e.*, i.title, i.service, i.node, i.severity FROM incident_events e JOIN incidents i ON i.id = e.incident_id
+         WHERE e.timestamp >= $from AND e.timestamp <= $to`,
+        { $from: new Date(window.from).toISOString(), $to: new Date(window.to).toISOString() }
+    );
+
+    return rows.filter((row) => wanted(row.service)).map((row) => ({
+        t: Date.parse(row.timestamp),
+        kind: 'incident',
+        severity: row.type === 'opened' ? row.severity : 'info',
+        service: row.service,
+        node: row.node,
+        summary: `Incident "${row.title}" ${row.type}${row.actor ? ` by ${row.actor}` : ''}${row.note ? `: ${row.note}` : ''}`,
+        dedup: `incident|${row.id}`,
+        details: { incident_id: row.incident_id, event: row.type, data: parseJson(row.data) },
+    }));
+}
+
+// ── Merging ────────────────────────────────────────────────
+
+/** Fold events sharing a dedup key that follow each other within DEDUP_WINDOW_MS */
+function deduplicate(events) {
+    const merged = [];
+    const latest = new Map();
+    for (const event of events) {
+        const previous = latest.get(event.dedup);
+        if (previous && event.t - previous.last_t <= DEDUP_WINDOW_MS) {
+            previous.count++;
+            previous.last_t = event.t;
+            if (!previous.sources.includes(event.kind)) previous.sources.push(event.kind);
+            if (rules.SEVERITIES.indexOf(event.severity) > rules.SEVERITIES.indexOf(previous.severity)) previous.severity = event.severity;
+            continue;
+        }
+        const entry = { ...event, count: 1, last_t: event.t, sources: [event.kind] };
+        latest.set(event.dedup, entry);
+        merged.push(entry);
+    }
+    return merged;
+}
+
+/** Over the limit, log lines go first, least severe first; everything else is kept */
+function trim(events, limit) {
+    if (events.length <= limit) return events;
+    const rank = (e) => (e.kind === 'log' ? rules.SEVERITIES.indexOf(e.severity) : rules.SEVERITIES.length);
+    const kept = new Set(events
+        .map((event, i) => ({ event, i }))
+        .sort((a, b) => rank(b.event) - rank(a.event) || b.i - a.i)
+        .slice(0, limit)
+        .map(({ event }) => event));
+    return events.filter((event) => kept.has(event));
+}
+
+// ── Timeline ───────────────────────────────────────────────
+
+/**
+ * One ordered, de-duplicated timeline.
+ * @param {object} [options]
+ * @param {string} [options.incident_id] - Build it for an incident: its window (from 30m before it
+ *   opened to 15m after it resolved, or now) and its service, unless given explicitly
+ * @param {string|number} [options.from] - Window start (ISO, epoch ms or "30m" ago; default 1h before `to`)
+ * @param {string|number} [options.to] - Window end (default now)
+ * @param {string} [options.window] - Window length ending at `to`, instead of `from`
+ * @param {string|Array<string>} [options.services] - Only these services (list or comma-separated)
+ * @param {string} [options.min_level="warn"] - Least severe log level included
+ * @param {number} [options.limit=200] - Max events (max 1000)
+ * @param {number} [now]
+ * @returns {Promise<object>} { from, to, anchor, services, incident_id, count, truncated,
+ *   logs_truncated (only the oldest MAX_LOG_LINES log lines were read), totals, events }
+ *   Each event: { at, offset_ms, offset, kind, severity, service, node, summary, count, last_at,
+ *   sources, details }
+ * @throws {Error} code INVALID, or NOT_FOUND for an unknown incident
+ */
+async function buildTimeline(options = {}, now = Date.now()) {
+    const { incident_id: incidentId, window: span, min_level: minLevel = 'warn' } = options;
+    const incident = incidentId ? await incidents.getIncident(incidentId) : null;
+
+    if (!LOG_LEVELS.includes(minLevel)) throw timelineError('INVALID', `"min_level" must be one of: ${LOG_LEVELS.join(', ')}`);
+    if (options.from !== undefined && span !== undefined) throw timelineError('INVALID', 'Give either "from" or "window", not both');
+
+    const defaultTo = incident && incident.resolved_at ? Math.min(Date.parse(incident.resolved_at) + INCIDENT_TRAIL_MS, now) : now;
+    const to = options.to === undefined ? defaultTo : parseTime(options.to, now);
+    if (to === null) throw timelineError('INVALID', `Invalid "to": ${options.to}`);
+
+    let from;
+    if (span !== undefined) {
+        const ms = parseDuration(span);
+        if (!ms) throw timelineError('INVALID', `Invalid "window": ${span} (e.g. 30m, 2h)`);
+        from = to - ms;
+    } else if (options.from !== undefined) {
+        from = parseTime(options.from, now);
+        if (from === null) throw timelineError('INVALID', `Invalid "from": ${options.from}`);
+    } else {
+        from = incident ? Date.parse(incident.opened_at) - INCIDENT_LEAD_MS : to - DEFAULT_WINDOW_MS;
+    }
+    if (from >= to) throw timelineError('INVALID', '"from" must be before "to"');
+
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : parseInt(options.limit, 10);
+    if (!(limit >= 1)) throw timelineError('INVALID', '"limit" must be a positive number');
+
+    let services = parseServices(options.services);
+    if (services.length === 0 && incident && incident.service) services = [incident.service];
+    const filtered = services.length > 0;
+    const wanted = (service) => !filtered || services.includes(service);
+
+    await database.getDatabase();
+    const window = { from, to };
+    const logs = logEvents(window, services, minLevel);
+    const sources = {
+        logs: logs.events,
+        metrics: await metricEvents(window, wanted, filtered),
+        alerts: await alertEvents(window, wanted),
+        remediations: remediationEvents(window, wanted, filtered),
+        incidents: await incidentEvents(window, wanted),
+    };
+
+    const all = Object.values(sources).flat()
+        .filter((event) => Number.isFinite(event.t))
+        .sort((a, b) => a.t - b.t);
+    const merged = deduplicate(all);
+    const events = trim(merged, Math.min(limit, MAX_LIMIT));
+    const anchor = incident ? Date.parse(incident.opened_at) : (events.length > 0 ? events[0].t : from);
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        anchor: new Date(anchor).toISOString(),
+        services,
+        incident_id: incident ? incident.id : null,
+        count: events.length,
+        truncated: events.length < merged.length,
+        logs_truncated: logs.truncated,
+        totals: Object.fromEntries(Object.entries(sources).map(([name, list]) => [name, list.length])),
+        events: events.map(({ t, last_t: lastT, dedup, ...event }) => ({
+            at: new Date(t).toISOString(),
+            offset_ms: t - anchor,
+            offset: formatOffset(t - anchor),
+            ...event,
+            last_at: event.count > 1 ? new Date(lastT).toISOString() : undefined,
+        })),
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    formatOffset,
+    buildTimeline,
+};
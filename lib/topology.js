@@ -0,0 +1,304 @@
+/**
+ * Topology — which service calls which, and who is hit when one fails
+ *
+ * Dependencies come from two places:
+ *
+ *   config  TOPOLOGY_FILE (default config/topology.yaml; .json works too),
+ *           each service listing the services it calls under depends_on
+ *   logs    log lines in which a service names another one next to a
+ *           dependency hint, e.g. api-gateway logging
+ *           "Upstream timeout: payment-service:8080" or
+ *           "Circuit breaker OPEN for payment-service"
+ *
+ * Edges point from caller to callee. Following the proxy convention of those
+ * log lines, a service's upstream is what it calls (transitively) and its
+ * downstream is what calls it: when a service is unhealthy its downstream
+ * feels it, and an unhealthy upstream may be the cause.
+ *
+ * Topology file format:
+ *   services:
+ *     api-gateway:
+ *       depends_on: [auth-service, payment-service]
+ *     payment-service:
+ *       depends_on: [database-proxy]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const database = require('./database');
+const alerts = require('./alerts');
+const { parseTime } = require('./duration');
+
+// ── Configuration ──────────────────────────────────────────
+const TOPOLOGY_FILE = path.resolve(process.env.TOPOLOGY_FILE || path.join(__dirname, '..', 'config', 'topology.yaml'));
+
+const SOURCES = ['config', 'logs'];
+/** How far back log inference looks by default */
+const DEFAULT_SINCE = '24h';
+/** Most recent log lines scanned per inference */
+const MAX_LOG_LINES = 10000;
+/** A line naming another service only implies a dependency next to one of these */
+const DEPENDENCY_HINT = /\b(upstream|circuit[ -]breaker|dependency|connection (?:refused|reset|timed out)|calling|call to|request to|timed out (?:calling|connecting to))\b/i;
+
+// ── Internal State ──────────────────────────────────────────
+let configured = null; // { file, loaded_at, services: { name: [dependencies] } }
+
+// ── Errors ─────────────────────────────────────────────────
+
+function topologyError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+// ── Loading ────────────────────────────────────────────────
+
+/**
+ * Validate a topology document.
+ * @param {object} doc - `{ services: { name: { depends_on: [...] } } }`
+ * @returns {object} { name: [dependencies] }, undeclared dependencies included with none of their own
+ * @throws {Error} code INVALID with `details` listing every problem
+ */
+function normalizeTopology(doc) {
+    const declared = doc && doc.services;
+    if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+        throw topologyError('INVALID', 'Topology file must contain a "services" map', ['services must be a map of service name to { depends_on }']);
+    }
+
+    const errors = [];
+    const services = {};
+    for (const [name, spec] of Object.entries(declared)) {
+        const dependsOn = spec && spec.depends_on !== undefined ? spec.depends_on : [];
+        if (spec !== null && (typeof spec !== 'object' || Array.isArray(spec))) {
+            errors.push(`services.${name} must be a map (or empty)`);
+        } else if (!Array.isArray(dependsOn) || dependsOn.some((d) => typeof d !== 'string' || d.trim() === '')) {
+            errors.push(`services.${name}.depends_on must be a list of service names`);
+        } else if (dependsOn.includes(name)) {
+            errors.push(`services.${name} depends on itself`);
+        } else {
+            services[name] = [...new Set(dependsOn)];
+            continue;
+        }
+        services[name] = [];
+    }
+    for (const dependency of Object.values(services).flat()) {
+        if (!services[dependency]) services[dependency] = [];
+    }
+
+    if (errors.length > 0) throw topologyError('INVALID', 'Invalid topology', errors);
+    return services;
+}
+
+/**
+ * Read and activate a topology file (.yaml, .yml or .json). The previous
+ * topology stays active if the file is invalid; a missing file means only
+ * inferred dependencies are known.
+ * @param {string} [file=TOPOLOGY_FILE]
+ * @returns {object} { file, loaded_at, services }
+ * @throws {Error} code INVALID with `details`
+ */
+function loadTopology(file = TOPOLOGY_FILE) {
+    let services = {};
+    if (fs.existsSync(file)) {
+        const text = fs.readFileSync(file, 'utf8');
+        let doc;
+        try {
+            doc = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+        } catch (error) {
+            throw topologyError('INVALID', `Cannot parse ${path.basename(file)}: ${error.message}`, [error.message]);
+        }
+        services = normalizeTopology(doc);
+    }
+
+    configured = { file, loaded_at: new Date().toISOString(), services };
+    console.log(`[topology] Loaded ${Object.keys(services).length} service(s) from ${file}`);
+    return configured;
+}
+
+/** The configured topology, loading TOPOLOGY_FILE on first use */
+function getConfiguredTopology() {
+    return configured || loadTopology();
+}
+
+// ── Inference ──────────────────────────────────────────────
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Log lines between `from` and `to`, newest first ([] before the logs table exists) */
+function recentLogs(from, to) {
+    const table = database.queryOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'logs'");
+    if (!table) return [];
+    return database.queryAll(
+        'SELECT timestamp, service, message FROM logs WHERE timestamp >= $from AND timestamp <= $to ORDER BY timestamp DESC LIMIT $limit',
+        { $from: new Date(from).toISOString(), $to: new Date(to).toISOString(), $limit: MAX_LOG_LINES }
+    );
+}
+
+/**
+ * Dependencies implied by log lines: a line from service A that carries a
+ * dependency hint and names service B (a configured service or one that
+ * logs) means A calls B. "payment-service:8080" counts as a mention;
+ * "payment-service-5c8d7f9a2-mn4kp" (a pod) does not.
+ * @param {object} [options]
+ * @param {string|number} [options.since="24h"] - Oldest log line considered
+ * @param {number} [options.now]
+ * @returns {Promise<Array<{ from, to, count, last_seen, example }>>}
+ * @throws {Error} code INVALID for an unparseable since
+ */
+async function inferFromLogs({ since = DEFAULT_SINCE, now = Date.now() } = {}) {
+    await database.getDatabase();
+    const from = parseTime(since, now);
+    if (from === null) throw topologyError('INVALID', `Invalid "since": ${since} (e.g. 24h or an ISO time)`);
+
+    const logs = recentLogs(from, now);
+    const names = new Set([...Object.keys(getConfiguredTopology().services), ...logs.map((log) => log.service)]);
+    const mentions = [...names].map((name) => ({ name, pattern: new RegExp(`(^|[^\\w-])${escapeRegExp(name)}(?![\\w-])`, 'i') }));
+
+    const edges = new Map();
+    for (const log of logs) {
+        if (!DEPENDENCY_HINT.test(log.message)) continue;
+        for (const { name, pattern } of mentions) {
+            if (name === log.service || !pattern.test(log.message)) continue;
+            const key = `${log.service}→${name}`;
+            const edge = edges.get(key);
+            // Logs arrive newest first, so the first line seen is the latest
+            if (edge) edge.count++;
+            else edges.set(key, { from: log.service, to: name, count: 1, last_seen: log.timestamp, example: log.message });
+        }
+    }
+    return [...edges.values()];
+}
+
+// ── Graph ──────────────────────────────────────────────────
+
+/**
+ * The dependency graph: configured and inferred edges merged.
+ * @param {object} [options]
+ * @param {string} [options.source] - Only "config" or only "logs" edges (default both)
+ * @param {string|number} [options.since] - Log inference window (see inferFromLogs)
+ * @param {number} [options.now]
+ * @returns {Promise<{ services: Array<string>, edges: Array<{ from, to, sources, evidence? }> }>}
+ *   `evidence` ({ count, last_seen, example }) on edges seen in logs
+ * @throws {Error} code INVALID
+ */
+async function buildGraph({ source, since, now = Date.now() } = {}) {
+    if (source !== undefined && !SOURCES.includes(source)) {
+        throw topologyError('INVALID', `"source" must be one of: ${SOURCES.join(', ')}`);
+    }
+
+    const services = new Set();
+    const edges = new Map();
+    const addEdge = (from, to, origin, evidence) => {
+        services.add(from);
+        services.add(to);
+        const key = `${from}→${to}`;
+        if (!edges.has(key)) edges.set(key, { from, to, sources: [] });
+        const edge = edges.get(key);
+        edge.sources.push(origin);
+        if (evidence) edge.evidence = evidence;
+    };
+
+    if (source !== 'logs') {
+        for (const [name, dependencies] of Object.entries(getConfiguredTopology().services)) {
+            services.add(name);
+            for (const dependency of dependencies) addEdge(name, dependency, 'config');
+        }
+    }
+    if (source !== 'config') {
+        for (const { from, to, ...evidence } of await inferFromLogs({ since, now })) addEdge(from, to, 'logs', evidence);
+    }
+
+    return {
+        services: [...services].sort(),
+        edges: [...edges.values()].sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+    };
+}
+
+/** Breadth-first walk from `start` along `next`: [{ service, distance, path }] nearest first */
+function walk(start, next, maxDepth) {
+    const seen = new Map([[start, [start]]]);
+    const found = [];
+    let frontier = [start];
+    for (let distance = 1; frontier.length > 0 && distance <= maxDepth; distance++) {
+        const following = [];
+        for (const current of frontier) {
+            for (const neighbour of next(current)) {
+                if (seen.has(neighbour)) continue;
+                const route = [...seen.get(current), neighbour];
+                seen.set(neighbour, route);
+                found.push({ service: neighbour, distance, path: route });
+                following.push(neighbour);
+            }
+        }
+        frontier = following;
+    }
+    return found;
+}
+
+/**
+ * The services affected by an unhealthy one.
+ * @param {string} service
+ * @param {object} [options]
+ * @param {number} [options.depth] - Max hops to follow (default: all)
+ * @param {string} [options.source] - See buildGraph
+ * @param {string|number} [options.since] - See buildGraph
+ * @param {number} [options.now]
+ * @returns {Promise<object>} { service, alerting, downstream, upstream, affected_services, summary };
+ *   each downstream/upstream entry is { service, distance, path, alerting } where `alerting`
+ *   lists the rules of its firing alerts
+ * @throws {Error} code NOT_FOUND when the service is not in the topology, INVALID for bad options
+ */
+async function blastRadius(service, { depth, source, since, now = Date.now() } = {}) {
+    if (depth !== undefined && (!Number.isInteger(Number(depth)) || Number(depth) < 1)) {
+        throw topologyError('INVALID', '"depth" must be a positive integer');
+    }
+    const graph = await buildGraph({ source, since, now });
+    if (!graph.services.includes(service)) {
+        throw topologyError('NOT_FOUND', `Service not in the topology: ${service}. Known: ${graph.services.join(', ') || 'none'}`);
+    }
+
+    const callers = (name) => graph.edges.filter((e) => e.to === name).map((e) => e.from);
+    const callees = (name) => graph.edges.filter((e) => e.from === name).map((e) => e.to);
+    const maxDepth = depth === undefined ? Infinity : Number(depth);
+
+    const firing = (await alerts.listAlerts({ status: 'firing', limit: 500 })).data;
+    const alertingOn = (name) => [...new Set(firing.filter((a) => a.service === name).map((a) => a.rule))];
+    const annotate = (entries) => entries.map((entry) => ({ ...entry, alerting: alertingOn(entry.service) }));
+
+    const downstream = annotate(walk(service, callers, maxDepth));
+    const upstream = annotate(walk(service, callees, maxDepth));
+    const names = (entries) => entries.map((e) => e.service).join(', ');
+
+    return {
+        service,
+        alerting: alertingOn(service),
+        downstream,
+        upstream,
+        affected_services: downstream.length,
+        summary: `${service}: ${downstream.length} downstream service(s) affected${downstream.length ? ` (${names(downstream)})` : ''}; `
+            + `depends on ${upstream.length ? names(upstream) : 'nothing known'}`,
+    };
+}
+
+/** Forget the configured topology (tests only); the next use reloads TOPOLOGY_FILE. */
+function resetForTesting() {
+    configured = null;
+}
+
+module.exports = {
+    TOPOLOGY_FILE,
+    SOURCES,
+    normalizeTopology,
+    loadTopology,
+    getConfiguredTopology,
+    inferFromLogs,
+    buildGraph,
+    blastRadius,
+    resetForTesting,
+};
@@ -12,10 +12,53 @@ require('dotenv').config();
 const express = require('express');
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { z } = require('zod');
 const { v4: uuidv4 } = require('uuid');
 const client = require('prom-client');
 
 const database = require('./lib/database');
+const { getMetricsSource, flattenSnapshot } = require('./lib/metrics-sources');
+const simulator = require('./lib/metrics-sources/simulator');
+const { filterSnapshot } = require('./lib/metrics-model');
+const scenarios = require('./lib/scenarios');
+const metricsStore = require('./lib/metrics-store');
+const { queryMetrics } = require('./lib/metrics-query');
+const baselines = require('./lib/baselines');
+const forecast = require('./lib/forecast');
+const rules = require('./lib/rules');
+const alerts = require('./lib/alerts');
+const silences = require('./lib/silences');
+const slos = require('./lib/slos');
+const topology = require('./lib/topology');
+const timeline = require('./lib/timeline');
+const postmortem = require('./lib/postmortem');
+const incidents = require('./lib/incidents');
+const oncall = require('./lib/oncall');
+const { sendSlackMessage } = require('./lib/slack');
+const { parseDuration, parseTime } = require('./lib/duration');
+const { parseSeedParam } = require('./lib/random');
+const logsRouter = require('./tools/logs-db');
+const { insertLog, queryLogs, logPatterns, logStats } = logsRouter;
+const { startSyslogFromEnv } = require('./lib/log-ingest/syslog');
+const metricsIngestRouter = require('./tools/metrics-ingest');
+const rulesRouter = require('./tools/incident-rules');
+const alertsRouter = require('./tools/alerts');
+const silencesRouter = require('./tools/silences');
+const postmortemRouter = require('./tools/postmortem');
+const oncallRouter = require('./tools/oncall');
+const scenariosRouter = require('./tools/scenarios');
+const anomalyRouter = require('./tools/anomaly-detector');
+const forecastRouter = require('./tools/forecaster');
+const metricsRouter = require('./tools/metrics-fetcher');
+const remediationRouter = require('./tools/remediation-executor');
+const incidentsRouter = require('./tools/incidents');
+const slosRouter = require('./tools/slos');
+const topologyRouter = require('./tools/topology');
+const timelineRouter = require('./tools/timeline');
+const { systemStatus } = require('./lib/status');
+
+// Scenario log lines land in the logs database
+scenarios.setLogSink(insertLog);
 
 // ── Prometheus Metrics ─────────────────────────────────────
 const register = new client.Registry();
@@ -50,28 +93,6 @@ const httpRequestDuration = new client.Histogram({
     registers: [register],
 });
 
-// ── Slack Webhook ──────────────────────────────────────────
-const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
-
-async function sendSlackMessage(channel, message) {
-    if (!SLACK_WEBHOOK_URL) return { sent: false, reason: 'No SLACK_WEBHOOK_URL configured (simulated)' };
-    try {
-        const response = await fetch(SLACK_WEBHOOK_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                channel,
-                text: `⚔️ *MCP Incident Slayer*\n${message}`,
-                username: 'Incident Slayer Bot',
-                icon_emoji: ':crossed_swords:',
-            }),
-        });
-        return { sent: true, status: response.status };
-    } catch (err) {
-        return { sent: false, reason: err.message };
-    }
-}
-
 const app = express();
 const MCP_PORT = parseInt(process.env.MCP_PORT, 10) || 4000;
 
@@ -84,36 +105,21 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json());
+// Routes that parse their own, larger bodies (POST /logs/bulk takes up to 10 MB, POST /metrics/ingest 5 MB)
+const OWN_BODY_PARSER = new Set(['/logs/bulk', '/metrics/ingest']);
+app.use(express.json({ type: (req) => !OWN_BODY_PARSER.has(req.path) && Boolean(req.is('application/json')) }));
 
-// ── Metrics simulation ─────────────────────────────────────
+// ── Metrics ────────────────────────────────────────────────
 
-let anomalyMode = false;
-
-function generateMetrics() {
-    const base = {
-        cpu_percent: 25 + Math.random() * 30,
-        memory_percent: 40 + Math.random() * 25,
-        disk_percent: 30 + Math.random() * 25,
-        network_in_mbps: 50 + Math.random() * 100,
-        network_out_mbps: 30 + Math.random() * 80,
-        request_rate_rps: 100 + Math.random() * 400,
-        error_rate_percent: 0.1 + Math.random() * 2,
-        latency_p99_ms: 50 + Math.random() * 150,
-        pods_running: 5,
-        pods_desired: 5,
-    };
-
-    if (anomalyMode) {
-        base.cpu_percent = 85 + Math.random() * 15;
-        base.memory_percent = 88 + Math.random() * 12;
-        base.error_rate_percent = 8 + Math.random() * 10;
-        base.latency_p99_ms = 500 + Math.random() * 2000;
-        base.pods_running = 2 + Math.floor(Math.random() * 2);
-        base.pods_desired = 5;
-    }
-
-    return { id: uuidv4(), timestamp: new Date().toISOString(), ...base };
+/**
+ * Current snapshot from the configured metrics source, in the flat MCP/dashboard shape.
+ * @param {object} [filters] - { service, node } to restrict the snapshot to
+ * @param {number|string} [seed] - Reproduce a simulated snapshot (left out of the history)
+ */
+async function fetchMetrics(filters = {}, seed) {
+    const snapshot = await getMetricsSource().snapshot(seed === undefined ? {} : { seed });
+    if (seed === undefined) await metricsStore.recordSnapshot(snapshot);
+    return flattenSnapshot(filterSnapshot(snapshot, filters));
 }
 
 // ── Remediation policies ───────────────────────────────────
@@ -175,58 +181,410 @@ const ALLOWED_ACTIONS = {
 // ── Register MCP Tools ─────────────────────────────────────
 
 function registerTools(server) {
-    server.tool('fetch_metrics', 'Fetch current infrastructure metrics including CPU, memory, disk, network, error rate, and pod status.', {}, async () => {
+    server.tool('fetch_metrics', 'Fetch current infrastructure metrics including CPU, memory, disk, network, error rate, and pod status, with a per-service and per-node breakdown.', {
+        service: z.string().optional().describe('Only include this service (e.g. payment-service)'),
+        node: z.string().optional().describe('Only include this node (e.g. prod-k8s-node-02)'),
+        seed: z.string().optional().describe('Seed for reproducible simulated metrics (same seed, same numbers)'),
+    }, async (params) => {
         toolCallsCounter.inc({ tool: 'fetch_metrics' });
-        return { content: [{ type: 'text', text: JSON.stringify(generateMetrics(), null, 2) }] };
+        try {
+            const metrics = await fetchMetrics({ service: params.service, node: params.node }, parseSeedParam(params.seed));
+            return { content: [{ type: 'text', text: JSON.stringify(metrics, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('get_metrics_history', 'Get stored metrics history for a time range. Older data is served from 1m/5m/1h rollups; pass a step to average points into buckets.', {
+        from: z.string().optional().describe('Start: ISO timestamp, epoch ms, or how long ago (e.g. "1h"). Default: latest points only'),
+        to: z.string().optional().describe('End: ISO timestamp, epoch ms, or how long ago. Default: now'),
+        step: z.string().optional().describe('Bucket width, e.g. "1m", "5m", "1h"'),
+        limit: z.number().optional().describe('Maximum points to return (latest first kept, default 10 without "from", max 1000)'),
+        service: z.string().optional().describe('Only include this service'),
+        node: z.string().optional().describe('Only include this node'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'get_metrics_history' });
+        try {
+            const now = Date.now();
+            const from = params.from === undefined ? undefined : parseTime(params.from, now);
+            const to = params.to === undefined ? undefined : parseTime(params.to, now);
+            const step = params.step === undefined ? undefined : parseDuration(params.step);
+            if (from === null || to === null || step === null) {
+                return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: 'Invalid from/to/step. Use ISO timestamps or durations such as "1h", "5m".' }) }] };
+            }
+            const limit = params.limit || (from === undefined ? 10 : undefined);
+            const history = (await metricsStore.queryHistory({ from, to, step, limit }))
+                .map((snapshot) => flattenSnapshot(filterSnapshot(snapshot, { service: params.service, node: params.node })));
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, count: history.length, history }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('query_metrics', 'Aggregate one metric from the stored history over a time window — avg, min, max, sum, count, last, percentile (p50/p95/p99) or rate of change — cluster-wide or grouped by service or node. E.g. p95 p99_response_time_ms per service over the last hour.', {
+        metric: z.string().optional().describe('Metric name, e.g. cpu_percent, memory_percent, disk_percent (nodes/cluster), error_rate_percent, p99_response_time_ms, requests_per_second'),
+        aggregation: z.string().optional().describe('avg (default), min, max, sum, count, last, rate, percentile, or a shorthand such as p95'),
+        percentile: z.number().optional().describe('Percentile 0-100 when aggregation is "percentile"'),
+        window: z.string().optional().describe('Window ending at "to", e.g. "15m", "1h", "1d" (default 1h)'),
+        from: z.string().optional().describe('Start instead of window: ISO timestamp, epoch ms, or how long ago'),
+        to: z.string().optional().describe('End: ISO timestamp, epoch ms, or how long ago. Default: now'),
+        group_by: z.string().optional().describe('"service" or "node" for one result per group (default: cluster-wide)'),
+        service: z.string().optional().describe('Only this service (or the nodes hosting it)'),
+        node: z.string().optional().describe('Only this node (or the services scheduled on it)'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'query_metrics' });
+        try {
+            const now = Date.now();
+            const from = params.from === undefined ? undefined : parseTime(params.from, now);
+            const to = params.to === undefined ? undefined : parseTime(params.to, now);
+            const window = params.window === undefined ? undefined : parseDuration(params.window);
+            if (from === null || to === null || window === null) {
+                return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: 'Invalid from/to/window. Use ISO timestamps or durations such as "1h", "5m".' }) }] };
+            }
+            const result = await queryMetrics({ ...params, from, to, window }, now);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('detect_anomalies', 'Score current per-service and per-node metrics against learned EWMA baselines (z-scores). Catches slow drifts and ignores workloads that are normally hot. Returns anomaly score, expected value and expected range per metric.', {
+        service: z.string().optional().describe('Only score this service'),
+        node: z.string().optional().describe('Only score this node'),
+        threshold: z.number().optional().describe('z-score at which a value counts as anomalous (default 3)'),
+        include_normal: z.boolean().optional().describe('Also return metrics within their expected range'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'detect_anomalies' });
+        try {
+            const snapshot = await getMetricsSource().snapshot();
+            const result = await baselines.detectAnomalies(snapshot, {
+                service: params.service,
+                node: params.node,
+                threshold: params.threshold,
+                includeNormal: params.include_normal === true,
+            });
+            await metricsStore.recordSnapshot(snapshot);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('forecast_exhaustion', 'Predict when disk (per node), memory (per service and node) or pod capacity (per node) will run out, from trends in the stored metrics history. Returns time-to-full with a 95% confidence interval, so pressure can be handled before thresholds fire.', {
+        resource: z.string().optional().describe('disk, memory or pods (default: all)'),
+        service: z.string().optional().describe('Only this service'),
+        node: z.string().optional().describe('Only this node'),
+        window: z.string().optional().describe('History to fit the trend on, e.g. "1h", "6h" (default 6h)'),
+        threshold: z.number().optional().describe('Level that counts as full instead of capacity, e.g. 90 for disk (needs resource)'),
+        include_stable: z.boolean().optional().describe('Also return resources that are not filling up'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'forecast_exhaustion' });
+        try {
+            const window = params.window === undefined ? undefined : parseDuration(params.window);
+            if (window === null) {
+                return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: 'Invalid window. Use a duration such as "1h" or "6h".' }) }] };
+            }
+            const result = await forecast.forecastExhaustion({
+                resource: params.resource,
+                service: params.service,
+                node: params.node,
+                window,
+                threshold: params.threshold,
+                all: params.include_stable === true,
+            });
+            const incidents = forecast.exhaustionIncidents(result.forecasts);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result, incidents }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('list_rules', 'List the active incident rules (metric, operator, threshold, duration, severity, labels) that get_system_status, the CLI and the dashboard evaluate. Rules come from RULES_FILE (config/rules.yaml by default).', {}, async () => {
+        toolCallsCounter.inc({ tool: 'list_rules' });
+        try {
+            const ruleSet = rules.getRuleSet();
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, count: ruleSet.rules.length, ...ruleSet }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message, details: error.details }) }] };
+        }
+    });
+
+    server.tool('list_alerts', 'List alerts from the incident rules. A condition that keeps breaching is one alert (stable fingerprint, growing occurrences), so check here before remediating again. Also lists alerts received from Alertmanager (source "alertmanager"). Alerts are pending while a rule\'s "for" duration runs, then firing, then resolved once the metric is back past resolve_threshold.', {
+        status: z.string().optional().describe('pending, firing, resolved, "active" (pending + firing, default) or "all"'),
+        severity: z.string().optional().describe('info, warning or critical'),
+        service: z.string().optional().describe('Only alerts for this service'),
+        node: z.string().optional().describe('Only alerts for this node'),
+        rule: z.string().optional().describe('Only alerts of this rule (or Alertmanager alertname)'),
+        source: z.string().optional().describe('"rules" (evaluated here), "alertmanager" (received from Alertmanager) or "slo" (error budget burn rates)'),
+        group_by: z.string().optional().describe('Group related alerts: service, node, cluster, rule or type'),
+        limit: z.number().optional().describe('Max alerts to return (default 100, max 500)'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'list_alerts' });
+        try {
+            const result = await alerts.listAlerts(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('get_alert', 'Get one alert by fingerprint (from list_alerts or get_system_status): status, when it started and fired, how often it was seen and how many times it has fired.', {
+        fingerprint: z.string().describe('Alert fingerprint'),
+    }, async ({ fingerprint }) => {
+        toolCallsCounter.inc({ tool: 'get_alert' });
+        try {
+            const alert = await alerts.getAlert(fingerprint);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, alert }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('get_slo_status', 'Get the status of service level objectives (config/slos.yaml): the SLI over each SLO\'s window, error budget consumed and remaining, when the budget runs out at the current burn rate, and multi-window burn-rate alerts. Use it to judge how much an incident costs a service\'s error budget and how urgent it is. Firing burn-rate alerts are also stored as alerts with source "slo".', {
+        service: z.string().optional().describe('Only SLOs of this service'),
+        name: z.string().optional().describe('One SLO by name'),
+    }, async ({ service, name }) => {
+        toolCallsCounter.inc({ tool: 'get_slo_status' });
+        try {
+            // Without a name every SLO is measured, so burn-rate alerts can be updated too
+            const measured = name ? (await slos.sloStatus({ name })).data : (await slos.evaluateSlos()).slos;
+            const data = measured.filter((slo) => !service || slo.service === service);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, count: data.length, slos: data }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message, details: error.details }) }] };
+        }
+    });
+
+    server.tool('get_blast_radius', 'Get the blast radius of an unhealthy service from the service topology (config/topology.yaml plus dependencies inferred from logs such as "Upstream timeout: payment-service"). downstream lists the services that call it, directly or through others, and feel its failure; upstream lists what it depends on, where the cause may lie. Each entry carries its hop distance, the call path and any firing alerts, which helps tell a cascading failure from its origin.', {
+        service: z.string().describe('The unhealthy service, e.g. "payment-service"'),
+        depth: z.number().optional().describe('Max hops to follow (default: all)'),
+        since: z.string().optional().describe('How far back to infer dependencies from logs (default "24h")'),
+    }, async ({ service, depth, since }) => {
+        toolCallsCounter.inc({ tool: 'get_blast_radius' });
+        try {
+            const radius = await topology.blastRadius(service, { depth, since });
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...radius }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message, details: error.details }) }] };
+        }
+    });
+
+    server.tool('get_incident_timeline', 'Answer "what happened" in one call: log lines, metric threshold crossings (stored metrics replayed against the incident rules), alert state changes, remediation executions and incident lifecycle events, merged into one ordered timeline. Repeats of the same event within a minute, and the same happening seen by several sources (e.g. a crossing and the alert it started), are folded into one entry with a count. Each entry has an offset from the incident\'s opening (with incident_id) or from the first event.', {
+        incident_id: z.string().optional().describe('Build it for an incident: its window and service (overridable)'),
+        from: z.string().optional().describe('Window start: ISO time, epoch ms or a duration ago like "2h" (default 1h before to)'),
+        to: z.string().optional().describe('Window end (default now)'),
+        window: z.string().optional().describe('Window length ending at to, e.g. "30m" (instead of from)'),
+        services: z.string().optional().describe('Comma-separated services to include, e.g. "api-gateway,payment-service"'),
+        min_level: z.string().optional().describe('Least severe log level: debug, info, warn (default), error or fatal'),
+        limit: z.number().optional().describe('Max entries (default 200, max 1000); log lines are dropped first'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'get_incident_timeline' });
+        try {
+            const result = await timeline.buildTimeline(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
     });
 
-    server.tool('toggle_anomaly_mode', 'Enable or disable anomaly simulation mode for testing.', {
-        enabled: { type: 'boolean', description: 'true to enable, false to disable' },
+    server.tool('generate_postmortem', 'Draft a postmortem for a resolved incident (or any time window) from stored logs, metrics, alerts, remediation history and incident sign-offs: summary, impact (duration, downstream services, error volume, threshold breaches with peaks, alerts, SLO budgets), timeline, candidate root-cause notes, actions taken, approvals and suggested follow-ups. Returns Markdown ready to paste, or the same document as JSON. Root-cause notes are inferred and should be confirmed.', {
+        incident_id: z.string().optional().describe('Incident to write up: its window and service (overridable)'),
+        from: z.string().optional().describe('Window start: ISO time, epoch ms or a duration ago like "2h" (without an incident)'),
+        to: z.string().optional().describe('Window end (default now, or 15m after the incident resolved)'),
+        window: z.string().optional().describe('Window length ending at to, e.g. "1h" (instead of from)'),
+        services: z.string().optional().describe('Comma-separated services to cover'),
+        format: z.string().optional().describe('markdown (default) or json'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'generate_postmortem' });
+        try {
+            const { format, postmortem: doc } = await postmortem.postmortem({ format: 'markdown', ...params });
+            if (format === 'markdown') return { content: [{ type: 'text', text: doc }] };
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, postmortem: doc }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('who_is_on_call', 'Who to escalate to: the person on call for each on-call schedule (layers of rotations with handoff times, and overrides on top), until when, and who is next. With service, only the schedules its escalation policy pages, in escalation order. Open incidents page these people through Slack automatically, step after step, until acknowledged.', {
+        schedule: z.string().optional().describe('Only this schedule, e.g. "platform-primary"'),
+        service: z.string().optional().describe('Only the schedules paged for this service\'s incidents'),
+        at: z.string().optional().describe('When: ISO time or a duration ago like "2h" (default now)'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'who_is_on_call' });
+        try {
+            const result = await oncall.whoIsOnCall(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, ...result }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    // ── Silences ────────────────────────────────────────────
+
+    const silenceResponse = (data) => ({ content: [{ type: 'text', text: JSON.stringify({ success: true, ...data }, null, 2) }] });
+    const silenceFailure = (error) => ({ content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] });
+
+    server.tool('create_silence', 'Silence a target for a maintenance window. While active, matching incidents are left out of get_system_status (listed under silenced_incidents) and execute_remediation refuses actions on matching services or nodes. Set at least one of service, node, type or labels; all that are set must match.', {
+        service: z.string().optional().describe('Service to silence'),
+        node: z.string().optional().describe('Node to silence'),
+        type: z.string().optional().describe('Incident type to silence, e.g. "high_cpu"'),
+        labels: z.record(z.string(), z.string()).optional().describe('Labels that must all match, e.g. {"cluster": "prod-eu-1"}'),
+        starts_at: z.string().optional().describe('ISO time the window starts (default now)'),
+        ends_at: z.string().optional().describe('ISO time the window ends (or give duration)'),
+        duration: z.string().optional().describe('Window length from starts_at, e.g. "2h"'),
+        created_by: z.string().optional().describe('Who is silencing'),
+        comment: z.string().optional().describe('Why, e.g. "Postgres upgrade, CHG-1234"'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'create_silence' });
+        try {
+            return silenceResponse({ silence: await silences.createSilence(params) });
+        } catch (error) {
+            return silenceFailure(error);
+        }
+    });
+
+    server.tool('list_silences', 'List silences (maintenance windows), pending and active ones by default.', {
+        status: z.string().optional().describe('pending, active, expired or "all"'),
+        service: z.string().optional().describe('Only silences on this service'),
+        node: z.string().optional().describe('Only silences on this node'),
+        type: z.string().optional().describe('Only silences of this incident type'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'list_silences' });
+        try {
+            return silenceResponse(await silences.listSilences(params));
+        } catch (error) {
+            return silenceFailure(error);
+        }
+    });
+
+    server.tool('expire_silence', 'End a silence now, e.g. when maintenance finished early.', {
+        id: z.string().describe('Silence id'),
+        actor: z.string().optional().describe('Who is ending it'),
+    }, async ({ id, actor }) => {
+        toolCallsCounter.inc({ tool: 'expire_silence' });
+        try {
+            return silenceResponse({ silence: await silences.expireSilence(id, { actor }) });
+        } catch (error) {
+            return silenceFailure(error);
+        }
+    });
+
+    server.tool('toggle_anomaly_mode', 'Enable or disable anomaly simulation mode for testing (starts/stops the built-in "anomaly" scenario).', {
+        enabled: z.boolean().describe('true to enable, false to disable'),
     }, async ({ enabled }) => {
         toolCallsCounter.inc({ tool: 'toggle_anomaly_mode' });
-        anomalyMode = !!enabled;
+        try {
+            simulator.setAnomalyMode(enabled);
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+        const anomalyMode = simulator.isAnomalyMode();
         return { content: [{ type: 'text', text: JSON.stringify({ success: true, anomaly_mode: anomalyMode, message: `Anomaly mode ${anomalyMode ? 'ENABLED' : 'DISABLED'}` }) }] };
     });
 
-    server.tool('query_logs', 'Query the log database. Filter by level, service, or search text.', {
-        level: { type: 'string', description: 'Log level: error, warn, info, debug' },
-        service: { type: 'string', description: 'Service name filter' },
-        search: { type: 'string', description: 'Text search in messages' },
-        limit: { type: 'number', description: 'Max logs to return (default 50)' },
+    server.tool('list_scenarios', 'List scripted incident scenarios (e.g. payment-service memory leak, disk filling on a node) and whether each is running, paused or completed.', {}, async () => {
+        toolCallsCounter.inc({ tool: 'list_scenarios' });
+        try {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, active: scenarios.activeScenarioNames(), scenarios: scenarios.listScenarios() }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('load_scenario', 'Load or replace a scenario from a definition object with name, duration, curves (target, metric, shape, from, to, start, end) and logs (at, level, service, message).', {
+        scenario: z.record(z.string(), z.unknown()).describe('Scenario definition, same format as the files in scenarios/'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'load_scenario' });
+        try {
+            const loaded = scenarios.loadScenario(params.scenario);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, scenario: scenarios.getScenario(loaded.name) }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message, validation_errors: error.details }) }] };
+        }
+    });
+
+    const scenarioControls = {
+        start_scenario: ['Start a scenario from the beginning, or resume it if paused.', scenarios.startScenario],
+        pause_scenario: ['Pause a running scenario; its metrics freeze at the current point of the timeline.', scenarios.pauseScenario],
+        stop_scenario: ['Stop a scenario and return its metrics to normal.', scenarios.stopScenario],
+    };
+    for (const [toolName, [description, control]] of Object.entries(scenarioControls)) {
+        server.tool(toolName, description, {
+            name: z.string().describe('Scenario name (see list_scenarios)'),
+        }, async (params) => {
+            toolCallsCounter.inc({ tool: toolName });
+            try {
+                return { content: [{ type: 'text', text: JSON.stringify({ success: true, scenario: control(params.name) }, null, 2) }] };
+            } catch (error) {
+                return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+            }
+        });
+    }
+
+    server.tool('query_logs', 'Query the log database. Filter by level or minimum level, one or more services, a full-text search and a time range (ISO timestamps or relative such as "15m"). Searches are ranked by relevance and return highlighted snippets; otherwise logs are sorted newest or oldest first.', {
+        level: z.string().optional().describe('Exact log level: debug, info, warn, error, fatal'),
+        min_level: z.string().optional().describe('That level and above (e.g. "warn" for warn, error and fatal)'),
+        service: z.string().optional().describe('Service name, or several comma-separated'),
+        search: z.string().optional().describe('Full-text search over message and metadata: words, "phrases", prefix*, AND/OR/NOT (or -word), ( ), and field:value for service, level, message or metadata (e.g. service:payment-service "OOMKilled")'),
+        since: z.string().optional().describe('Start of the range: ISO timestamp or how long ago (e.g. "15m", "2h")'),
+        until: z.string().optional().describe('End of the range: ISO timestamp or how long ago (default now)'),
+        metadata: z.record(z.string(), z.unknown()).optional().describe('Filters on metadata keys (dot paths for nested keys): a value, a list for any of several, or "*" for present (e.g. {"trace_id":"4bf92f35","pod":["api-1","api-2"],"k8s.node":"*"})'),
+        sort: z.string().optional().describe('relevance (default with a search), desc (newest first, default otherwise) or asc'),
+        limit: z.number().optional().describe('Max logs to return (default 50, max 500)'),
     }, async (params) => {
         toolCallsCounter.inc({ tool: 'query_logs' });
         try {
-            await database.getDatabase();
-            let query = 'SELECT * FROM logs WHERE 1=1';
-            const qp = [];
-            if (params.level) { query += ' AND level = ?'; qp.push(params.level); }
-            if (params.service) { query += ' AND service = ?'; qp.push(params.service); }
-            if (params.search) { query += ' AND message LIKE ?'; qp.push(`%${params.search}%`); }
-            query += ' ORDER BY timestamp DESC';
-            query += ` LIMIT ${parseInt(params.limit, 10) || 50}`;
-            const rows = database.queryAll(query, qp);
-            return { content: [{ type: 'text', text: JSON.stringify({ success: true, count: rows.length, logs: rows }, null, 2) }] };
+            const { count, filters, data } = await queryLogs(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, count, filters, logs: data }, null, 2) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
+        }
+    });
+
+    server.tool('get_log_patterns', 'Group similar log messages into templates (ids, numbers, pod names and durations masked), with counts, first/last seen and sample lines. Read this before raw logs to see what is repeating. Same filters as query_logs.', {
+        service: z.string().optional().describe('Service name, or several comma-separated'),
+        since: z.string().optional().describe('Start of the range: ISO timestamp or how long ago (e.g. "15m", "2h")'),
+        until: z.string().optional().describe('End of the range: ISO timestamp or how long ago (default now)'),
+        min_level: z.string().optional().describe('That level and above (e.g. "warn" for warn, error and fatal)'),
+        search: z.string().optional().describe('Only lines matching this full-text search (query_logs syntax)'),
+        limit: z.number().optional().describe('Max patterns to return, most frequent first (default 20, max 200)'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'get_log_patterns' });
+        try {
+            const { filters, lines, truncated, pattern_count: patternCount, data } = await logPatterns(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, filters, lines, truncated, pattern_count: patternCount, patterns: data }, null, 2) }] };
         } catch (error) {
             return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
         }
     });
 
-    server.tool('get_log_stats', 'Get aggregated log statistics by level and service.', {}, async () => {
+    server.tool('get_log_stats', 'Get aggregated log statistics by level and service, optionally grouped by metadata keys (e.g. which pods or nodes the errors come from). Takes the query_logs filters.', {
+        service: z.string().optional().describe('Service name, or several comma-separated'),
+        min_level: z.string().optional().describe('That level and above (e.g. "warn" for warn, error and fatal)'),
+        since: z.string().optional().describe('Start of the range: ISO timestamp or how long ago (e.g. "15m", "2h")'),
+        until: z.string().optional().describe('End of the range: ISO timestamp or how long ago (default now)'),
+        metadata: z.record(z.string(), z.unknown()).optional().describe('Filters on metadata keys, as for query_logs'),
+        group_by: z.string().optional().describe('Up to 3 metadata keys to count by, comma-separated (e.g. "pod" or "node,pod")'),
+        limit: z.number().optional().describe('Max groups to return, largest first (default 50, max 500)'),
+    }, async (params) => {
         toolCallsCounter.inc({ tool: 'get_log_stats' });
         try {
-            await database.getDatabase();
-            const byLevel = database.queryAll('SELECT level, COUNT(*) as count FROM logs GROUP BY level ORDER BY count DESC');
-            const byService = database.queryAll('SELECT service, COUNT(*) as count FROM logs GROUP BY service ORDER BY count DESC');
-            return { content: [{ type: 'text', text: JSON.stringify({ success: true, by_level: byLevel, by_service: byService }, null, 2) }] };
+            const { filters, data } = await logStats(params);
+            return { content: [{ type: 'text', text: JSON.stringify({ success: true, filters, ...data }, null, 2) }] };
         } catch (error) {
             return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] };
         }
     });
 
-    server.tool('execute_remediation', 'Execute a remediation action. Allowed: scale_pods, restart_service, notify_slack, clear_cache, rollback_deployment, drain_node. Pass action name as "action" and parameters as "params" object.', {
-        action: { type: 'string', description: 'The action name to execute. Must be one of: scale_pods, restart_service, notify_slack, clear_cache, rollback_deployment, drain_node' },
-        params: { type: 'object', description: 'Action parameters (e.g. {"service":"payment-service","replicas":5})' },
-        reason: { type: 'string', description: 'Reason for the action' },
+    // A whole object schema (not a shape) so unknown keys pass through to the fallbacks below
+    server.registerTool('execute_remediation', {
+        description: 'Execute a remediation action. Allowed: scale_pods, restart_service, notify_slack, clear_cache, rollback_deployment, drain_node. Pass action name as "action" and parameters as "params" object. Pass incident_id to link the action to an incident (which then counts as mitigated).',
+        inputSchema: z.object({
+            action: z.string().optional().describe('The action name to execute. Must be one of: scale_pods, restart_service, notify_slack, clear_cache, rollback_deployment, drain_node'),
+            params: z.record(z.string(), z.unknown()).optional().describe('Action parameters (e.g. {"service":"payment-service","replicas":5})'),
+            reason: z.string().optional().describe('Reason for the action'),
+            incident_id: z.string().optional().describe('Incident this action remediates (from open_incident or list_incidents)'),
+        }).passthrough(),
     }, async (args) => {
         toolCallsCounter.inc({ tool: 'execute_remediation' });
         // Handle multiple parameter formats from different LLMs
@@ -240,19 +598,22 @@ function registerTools(server) {
             const possibleActions = Object.keys(ALLOWED_ACTIONS);
             const foundAction = possibleActions.find(a => args[a] !== undefined || Object.values(args).includes(a));
             if (foundAction) {
-                return handleRemediation(foundAction, typeof args[foundAction] === 'object' ? args[foundAction] : params, reason);
+                return handleRemediation(foundAction, typeof args[foundAction] === 'object' ? args[foundAction] : params, reason, args.incident_id);
             }
             return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: `Action is undefined. Please pass "action" parameter with one of: ${possibleActions.join(', ')}. Example: {"action": "restart_service", "params": {"service": "payment-service"}}` }) }] };
         }
 
-        return handleRemediation(action, params, reason);
+        return handleRemediation(action, params, reason, args.incident_id);
     });
 
-    async function handleRemediation(action, params, reason) {
+    async function handleRemediation(action, params, reason, incidentId) {
         const actionDef = ALLOWED_ACTIONS[action];
         if (!actionDef) {
             return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: `Action '${action}' not allowed. Allowed: ${Object.keys(ALLOWED_ACTIONS).join(', ')}` }) }] };
         }
+        if (incidentId && !(await incidents.incidentExists(incidentId))) {
+            return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: `Incident not found: ${incidentId}` }) }] };
+        }
         const ap = params || {};
         for (const p of actionDef.requiredParams) {
             if (ap[p] === undefined) return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: `Missing required parameter: ${p}. Required: ${actionDef.requiredParams.join(', ')}` }) }] };
@@ -260,17 +621,39 @@ function registerTools(server) {
         const valErr = actionDef.validate(ap);
         if (valErr) return { content: [{ type: 'text', text: JSON.stringify({ success: false, error: valErr }) }] };
 
+        // Maintenance windows: nothing touches a silenced target
+        const silence = await silences.blockingSilence(ap, incidentId ? await incidents.getIncident(incidentId) : null);
+        if (silence) {
+            remediationCounter.inc({ action, status: 'silenced' });
+            return { content: [{ type: 'text', text: JSON.stringify({
+                success: false,
+                error: `Target is silenced until ${silence.ends_at} by ${silence.created_by}: ${silence.comment}`,
+                silence,
+            }, null, 2) }] };
+        }
+
         const result = typeof actionDef.simulate === 'function' && actionDef.simulate.constructor.name === 'AsyncFunction'
             ? await actionDef.simulate(ap)
             : actionDef.simulate(ap);
         remediationCounter.inc({ action, status: 'completed' });
+        const executionId = uuidv4();
+        let incident = null;
         try {
-            await database.getDatabase();
-            database.run('INSERT INTO executions (id, action, params, reason, result, status, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [uuidv4(), action, JSON.stringify(ap), reason || 'Agent action', result, 'completed', new Date().toISOString()]);
+            await ensureExecutionsTable();
+            database.run('INSERT INTO executions (id, action, params, reason, result, status, timestamp, incident_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [executionId, action, JSON.stringify(ap), reason || 'Agent action', typeof result === 'string' ? result : JSON.stringify(result), 'completed', new Date().toISOString(), incidentId || null]);
+            if (incidentId) incident = await incidents.linkRemediation(incidentId, executionId, { actor: 'agent' });
         } catch (e) { /* non-critical */ }
 
-        return { content: [{ type: 'text', text: JSON.stringify({ success: true, action, params: ap, result, timestamp: new Date().toISOString() }, null, 2) }] };
+        return { content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            execution_id: executionId,
+            action,
+            params: ap,
+            result,
+            ...(incident ? { incident: { id: incident.id, status: incident.status } } : {}),
+            timestamp: new Date().toISOString(),
+        }, null, 2) }] };
     }
 
     server.tool('list_actions', 'List all available remediation actions.', {}, async () => {
@@ -284,7 +667,7 @@ function registerTools(server) {
     // ── New Tools ───────────────────────────────────────────
 
     server.tool('get_incident_history', 'Get the history of all past remediation actions and incidents. Shows what actions were taken, when, and why.', {
-        limit: { type: 'number', description: 'Max records to return (default 20)' },
+        limit: z.number().optional().describe('Max records to return (default 20)'),
     }, async (params) => {
         toolCallsCounter.inc({ tool: 'get_incident_history' });
         try {
@@ -303,27 +686,114 @@ function registerTools(server) {
         }
     });
 
-    server.tool('get_system_status', 'Get a comprehensive system status overview including metrics, log stats, anomaly mode state, and recent incidents in one call.', {}, async () => {
+    // ── Incidents ───────────────────────────────────────────
+
+    const incidentResponse = (data) => ({ content: [{ type: 'text', text: JSON.stringify({ success: true, ...data }, null, 2) }] });
+    const incidentFailure = (error) => ({ content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }] });
+
+    server.tool('open_incident', 'Open an incident record. If an unresolved incident with the same type, service and node already exists, that one is returned (deduplicated: true) instead of a duplicate.', {
+        type: z.string().describe('Incident type, e.g. "high_cpu" or "memory_pressure" (labels.type from get_system_status)'),
+        severity: z.string().describe('info, warning or critical'),
+        title: z.string().optional().describe('Short title (default: derived from type and target)'),
+        service: z.string().optional().describe('Affected service'),
+        node: z.string().optional().describe('Affected node'),
+        summary: z.string().optional().describe('What was observed'),
+        labels: z.record(z.string(), z.string()).optional().describe('Extra key/value labels'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'open_incident' });
+        try {
+            const { incident, deduplicated } = await incidents.openIncident({ ...params, source: 'agent', actor: 'agent' });
+            return incidentResponse({ deduplicated, incident });
+        } catch (error) {
+            return incidentFailure(error);
+        }
+    });
+
+    server.tool('acknowledge_incident', 'Acknowledge an open incident. MTTA is measured from open to acknowledge.', {
+        id: z.string().describe('Incident id'),
+        actor: z.string().optional().describe('Who is acknowledging (default "agent")'),
+        note: z.string().optional().describe('Optional note'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'acknowledge_incident' });
+        try {
+            const incident = await incidents.acknowledgeIncident(params.id, { actor: params.actor || 'agent', note: params.note });
+            return incidentResponse({ incident });
+        } catch (error) {
+            return incidentFailure(error);
+        }
+    });
+
+    server.tool('resolve_incident', 'Resolve an incident once the problem is gone. Records the resolution and MTTR (time from open to resolve).', {
+        id: z.string().describe('Incident id'),
+        resolution: z.string().optional().describe('What fixed it'),
+        actor: z.string().optional().describe('Who is resolving (default "agent")'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'resolve_incident' });
+        try {
+            const incident = await incidents.resolveIncident(params.id, { actor: params.actor || 'agent', resolution: params.resolution });
+            return incidentResponse({ incident });
+        } catch (error) {
+            return incidentFailure(error);
+        }
+    });
+
+    server.tool('list_incidents', 'List stored incidents, newest first, with MTTA/MTTR averages over the matches.', {
+        status: z.string().optional().describe('open, acknowledged, mitigated, resolved, or "active" for anything unresolved'),
+        severity: z.string().optional().describe('info, warning or critical'),
+        service: z.string().optional().describe('Only incidents for this service'),
+        node: z.string().optional().describe('Only incidents for this node'),
+        type: z.string().optional().describe('Only incidents of this type'),
+        limit: z.number().optional().describe('Max incidents to return (default 50, max 200)'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'list_incidents' });
+        try {
+            return incidentResponse(await incidents.listIncidents(params));
+        } catch (error) {
+            return incidentFailure(error);
+        }
+    });
+
+    server.tool('get_incident', 'Get one incident with its lifecycle events (opened, acknowledged, mitigated, resolved) and the remediations linked to it.', {
+        id: z.string().describe('Incident id'),
+    }, async (params) => {
+        toolCallsCounter.inc({ tool: 'get_incident' });
+        try {
+            return incidentResponse({ incident: await incidents.getIncident(params.id) });
+        } catch (error) {
+            return incidentFailure(error);
+        }
+    });
+
+    server.tool('get_system_status', 'Get a comprehensive system status overview including metrics, log stats, anomaly mode state, and recent incidents in one call. Active incidents are the firing alerts of the shared rule set (see list_rules, list_alerts): a persisting condition keeps its fingerprint and is only marked new: true the first time it fires. Firing alerts received from Alertmanager and SLO burn-rate alerts are included too. Incidents covered by an active silence (maintenance window) are listed under silenced_incidents instead. They include predicted resource exhaustion when FORECAST_INCIDENTS is enabled.', {}, async () => {
         toolCallsCounter.inc({ tool: 'get_system_status' });
         try {
             await database.getDatabase();
-            const metrics = generateMetrics();
+            await baselines.syncFromStore();
+            const snapshot = await getMetricsSource().snapshot();
+            await metricsStore.recordSnapshot(snapshot);
+            const metrics = flattenSnapshot(snapshot);
+            const statisticalAnomalies = baselines.evaluate(metrics);
             const logsByLevel = database.queryAll('SELECT level, COUNT(*) as count FROM logs GROUP BY level ORDER BY count DESC');
             const recentExecutions = database.queryAll('SELECT * FROM executions ORDER BY timestamp DESC LIMIT 5');
 
-            // Detect active incidents
-            const incidents = [];
-            if (metrics.cpu_percent > 80) incidents.push({ type: 'HIGH_CPU', severity: 'critical', value: `${metrics.cpu_percent.toFixed(1)}%` });
-            if (metrics.memory_percent > 85) incidents.push({ type: 'HIGH_MEMORY', severity: 'critical', value: `${metrics.memory_percent.toFixed(1)}%` });
-            if (metrics.disk_percent > 90) incidents.push({ type: 'HIGH_DISK', severity: 'warning', value: `${metrics.disk_percent.toFixed(1)}%` });
-            if (metrics.error_rate_percent > 5) incidents.push({ type: 'HIGH_ERROR_RATE', severity: 'critical', value: `${metrics.error_rate_percent.toFixed(1)}%` });
-            if (metrics.pods_running < metrics.pods_desired) incidents.push({ type: 'POD_SHORTAGE', severity: 'warning', value: `${metrics.pods_running}/${metrics.pods_desired}` });
-            if (metrics.latency_p99_ms > 500) incidents.push({ type: 'HIGH_LATENCY', severity: 'warning', value: `${metrics.latency_p99_ms.toFixed(0)}ms` });
+            // Active incidents: firing alerts of the shared rule set, from Alertmanager and
+            // SLO burn rates, plus predicted exhaustion when enabled
+            const alertState = await alerts.evaluateAlerts(snapshot);
+            const received = [];
+            for (const source of alerts.SOURCES.filter((name) => name !== 'rules')) {
+                received.push(...(await alerts.listAlerts({ status: 'firing', source, limit: alerts.MAX_LIMIT })).data);
+            }
+            const detected = [...alertState.firing, ...received, ...await forecast.predictedIncidents()];
+            const { kept: incidents, silenced } = await silences.suppress(detected);
 
             const status = {
-                overall_health: incidents.length === 0 ? 'HEALTHY' : (incidents.some(i => i.severity === 'critical') ? 'CRITICAL' : 'DEGRADED'),
-                anomaly_mode: anomalyMode,
+                overall_health: rules.overallHealth(incidents),
+                anomaly_mode: simulator.isAnomalyMode(),
+                active_scenarios: scenarios.activeScenarioNames(),
                 active_incidents: incidents,
+                silenced_incidents: silenced,
+                pending_alerts: alertState.pending,
+                statistical_anomalies: statisticalAnomalies,
                 metrics,
                 log_summary: logsByLevel,
                 recent_actions: recentExecutions.map(r => ({ ...r, params: JSON.parse(r.params || '{}') })),
@@ -443,6 +913,79 @@ app.delete('/mcp', async (req, res) => {
     }
 });
 
+// ── REST Tools ─────────────────────────────────────────────
+//
+// Every router of the REST server (server.js) is mounted here too: the CLI
+// and the dashboard point at this server by default.
+
+// ── Metrics ────────────────────────────────────────────────
+
+// The CLI reads metrics and toggles anomaly mode here
+app.use('/', metricsRouter);
+
+// ── Metrics Ingest ─────────────────────────────────────────
+
+// Exporters push here; with METRICS_SOURCE=push, fetch_metrics serves what they sent
+app.use('/', metricsIngestRouter);
+
+// ── Incident Rules ─────────────────────────────────────────
+
+// The dashboard reads thresholds and incidents from the same rules as the tools
+app.use('/', rulesRouter);
+
+// ── Alerts ─────────────────────────────────────────────────
+
+// Alertmanager's webhook receiver delivers to POST /alerts/alertmanager
+app.use('/', alertsRouter);
+
+// ── Silences ───────────────────────────────────────────────
+
+// The CLI manages maintenance windows here
+app.use('/', silencesRouter);
+
+// ── Postmortems ────────────────────────────────────────────
+
+// The CLI drafts postmortems here
+app.use('/', postmortemRouter);
+
+// ── On-call ────────────────────────────────────────────────
+
+// The CLI shows who is on call and manages overrides here
+app.use('/', oncallRouter);
+
+// ── Scenarios ──────────────────────────────────────────────
+
+// The CLI lists, loads and runs scenarios here
+app.use('/', scenariosRouter);
+
+// ── Anomalies ──────────────────────────────────────────────
+
+// The CLI's --local check scores baselines here
+app.use('/', anomalyRouter);
+
+// ── Forecasts ──────────────────────────────────────────────
+
+// The CLI's --local check shows time-to-full here
+app.use('/', forecastRouter);
+
+// ── Remediation ────────────────────────────────────────────
+
+// The CLI's --local check lists recent actions from GET /history here
+app.use('/', remediationRouter);
+
+// ── Incidents, SLOs, Topology, Timeline ────────────────────
+
+// Not called by the CLI, but part of the same REST API
+app.use('/', incidentsRouter);
+app.use('/', slosRouter);
+app.use('/', topologyRouter);
+app.use('/', timelineRouter);
+
+// ── Logs ───────────────────────────────────────────────────
+
+// Log shippers push to POST /logs/bulk here, as they would to the REST server
+app.use('/', logsRouter);
+
 // ── Dashboard REST API ─────────────────────────────────────
 
 const path = require('path');
@@ -452,20 +995,28 @@ app.get('/', (req, res) => {
     res.redirect('/dashboard.html');
 });
 
-app.get('/api/metrics', (req, res) => {
-    res.json(generateMetrics());
+app.get('/api/metrics', async (req, res) => {
+    try {
+        res.json(await fetchMetrics());
+    } catch (error) {
+        res.status(502).json({ success: false, error: error.message });
+    }
 });
 
 app.post('/api/anomaly', (req, res) => {
-    anomalyMode = !!req.body.enabled;
-    res.json({ success: true, anomaly_mode: anomalyMode });
+    try {
+        simulator.setAnomalyMode(req.body.enabled);
+        res.json({ success: true, anomaly_mode: simulator.isAnomalyMode() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 app.get('/api/logs', async (req, res) => {
     try {
         await database.getDatabase();
         const limit = parseInt(req.query.limit, 10) || 50;
-        const logs = database.queryAll('SELECT * FROM logs ORDER BY timestamp DESC LIMIT ?', [limit]);
+        const logs = database.queryAll('SELECT id, timestamp, level, service, message, metadata FROM logs ORDER BY timestamp DESC LIMIT ?', [limit]);
         res.json({ success: true, logs });
     } catch (error) {
         res.json({ success: false, error: error.message, logs: [] });
@@ -483,6 +1034,17 @@ app.get('/api/history', async (req, res) => {
     }
 });
 
+// ── Status ─────────────────────────────────────────────────
+
+// Same report as the REST server, for node cli.js --status
+app.get('/status', (req, res) => {
+    try {
+        res.json({ success: true, data: systemStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ── Health Check ───────────────────────────────────────────
 
 app.get('/health', (req, res) => {
@@ -508,10 +1070,37 @@ app.get('/prom-metrics', async (req, res) => {
 
 // ── Startup ────────────────────────────────────────────────
 
+/** Remediations run through execute_remediation, linkable to incidents */
+async function ensureExecutionsTable() {
+    await database.getDatabase();
+    database.exec(`
+    CREATE TABLE IF NOT EXISTS executions (
+      id TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      params TEXT NOT NULL,
+      reason TEXT,
+      result TEXT,
+      status TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      incident_id TEXT
+    )
+  `);
+    await incidents.ensureTables();
+}
+
 async function startMcpServer() {
     try {
-        await database.getDatabase();
+        await ensureExecutionsTable();
         console.log('[mcp] Database initialized');
+        metricsStore.startSampling({
+            getSource: getMetricsSource,
+            onSnapshot: async (snapshot) => {
+                await alerts.evaluateAlerts(snapshot);
+                await slos.evaluateOnSample();
+                await oncall.evaluateEscalations();
+            },
+        });
+        await startSyslogFromEnv(logsRouter.insertLogs);
 
         app.listen(MCP_PORT, () => {
             console.log('');
@@ -521,15 +1110,34 @@ async function startMcpServer() {
             console.log(`║  MCP Endpoint: http://localhost:${MCP_PORT}/mcp             ║`);
             console.log(`║  Dashboard:    http://localhost:${MCP_PORT}                  ║`);
             console.log(`║  Health:       http://localhost:${MCP_PORT}/health           ║`);
+            console.log(`║  Ingest:       http://localhost:${MCP_PORT}/metrics/ingest   ║`);
             console.log('╠══════════════════════════════════════════════════════╣');
-            console.log('║  MCP Tools (8):                                    ║');
+            console.log('║  MCP Tools (34):                                   ║');
             console.log('║    • fetch_metrics         — Infra metrics         ║');
+            console.log('║    • get_metrics_history   — Metrics over time     ║');
+            console.log('║    • query_metrics         — Aggregate metrics     ║');
+            console.log('║    • detect_anomalies      — Baseline anomalies    ║');
+            console.log('║    • forecast_exhaustion   — Time-to-full          ║');
+            console.log('║    • list_rules            — Incident rules        ║');
+            console.log('║    • list_alerts / get_alert — Deduplicated alerts ║');
+            console.log('║    • create/list/expire_silence — Maintenance      ║');
+            console.log('║    • get_slo_status        — Error budgets         ║');
+            console.log('║    • get_blast_radius      — Dependency impact     ║');
+            console.log('║    • get_incident_timeline — What happened         ║');
+            console.log('║    • generate_postmortem   — Postmortem draft      ║');
+            console.log('║    • who_is_on_call        — On-call & escalation  ║');
             console.log('║    • toggle_anomaly_mode   — Anomaly simulation    ║');
+            console.log('║    • list_scenarios        — Incident scenarios    ║');
+            console.log('║    • load_scenario         — Define a scenario     ║');
+            console.log('║    • start/pause/stop_scenario — Run scenarios     ║');
             console.log('║    • query_logs            — Search logs           ║');
+            console.log('║    • get_log_patterns      — Log templates         ║');
             console.log('║    • get_log_stats         — Log statistics        ║');
             console.log('║    • execute_remediation   — Safe actions (6)      ║');
             console.log('║    • list_actions          — Available actions     ║');
             console.log('║    • get_incident_history  — Past incidents        ║');
+            console.log('║    • open/acknowledge/resolve_incident — Lifecycle ║');
+            console.log('║    • list_incidents / get_incident — Records, MTTR ║');
             console.log('║    • get_system_status     — Full system overview  ║');
             console.log('╚══════════════════════════════════════════════════════╝');
             console.log('');
@@ -541,4 +1149,10 @@ async function startMcpServer() {
     }
 }
 
-startMcpServer();
+// Start only if run directly (not imported by tests)
+if (require.main === module) {
+    startMcpServer();
+}
+
+// Exports for testing
+module.exports = app;
@@ -12,6 +12,14 @@ require('dotenv').config();
 const express = require('express');
 const promClient = require('prom-client');
 const database = require('./lib/database');
+const { getMetricsSource } = require('./lib/metrics-sources');
+const { systemStatus } = require('./lib/status');
+const scenarios = require('./lib/scenarios');
+const metricsStore = require('./lib/metrics-store');
+const alerts = require('./lib/alerts');
+const slos = require('./lib/slos');
+const oncall = require('./lib/oncall');
+const { startSyslogFromEnv } = require('./lib/log-ingest/syslog');
 
 const app = express();
 const PORT = parseInt(process.env.PORT, 10) || 4000;
@@ -55,7 +63,9 @@ const remediationActions = new promClient.Counter({
 
 // ── Middleware ──────────────────────────────────────────────
 
-app.use(express.json());
+// Routes that parse their own, larger bodies (POST /logs/bulk takes up to 10 MB, POST /metrics/ingest 5 MB)
+const OWN_BODY_PARSER = new Set(['/logs/bulk', '/metrics/ingest']);
+app.use(express.json({ type: (req) => !OWN_BODY_PARSER.has(req.path) && Boolean(req.is('application/json')) }));
 
 // Request logging and Prometheus metrics middleware
 app.use((req, res, next) => {
@@ -86,6 +96,18 @@ app.use((req, res, next) => {
 // Track tool calls
 app.use('/metrics', (req, res, next) => { toolCallsTotal.inc({ tool: 'metrics-fetcher' }); next(); });
 app.use('/logs', (req, res, next) => { toolCallsTotal.inc({ tool: 'logs-db' }); next(); });
+app.use('/scenarios', (req, res, next) => { toolCallsTotal.inc({ tool: 'scenarios' }); next(); });
+app.use('/anomalies', (req, res, next) => { toolCallsTotal.inc({ tool: 'anomaly-detector' }); next(); });
+app.use('/forecasts', (req, res, next) => { toolCallsTotal.inc({ tool: 'forecaster' }); next(); });
+app.use('/rules', (req, res, next) => { toolCallsTotal.inc({ tool: 'incident-rules' }); next(); });
+app.use('/incidents', (req, res, next) => { toolCallsTotal.inc({ tool: 'incidents' }); next(); });
+app.use('/alerts', (req, res, next) => { toolCallsTotal.inc({ tool: 'alerts' }); next(); });
+app.use('/silences', (req, res, next) => { toolCallsTotal.inc({ tool: 'silences' }); next(); });
+app.use('/slos', (req, res, next) => { toolCallsTotal.inc({ tool: 'slos' }); next(); });
+app.use('/topology', (req, res, next) => { toolCallsTotal.inc({ tool: 'topology' }); next(); });
+app.use('/timeline', (req, res, next) => { toolCallsTotal.inc({ tool: 'timeline' }); next(); });
+app.use('/postmortem', (req, res, next) => { toolCallsTotal.inc({ tool: 'postmortem' }); next(); });
+app.use('/oncall', (req, res, next) => { toolCallsTotal.inc({ tool: 'oncall' }); next(); });
 app.use('/execute', (req, res, next) => { toolCallsTotal.inc({ tool: 'remediation-executor' }); next(); });
 app.use('/history', (req, res, next) => { toolCallsTotal.inc({ tool: 'remediation-executor' }); next(); });
 app.use('/actions', (req, res, next) => { toolCallsTotal.inc({ tool: 'remediation-executor' }); next(); });
@@ -102,12 +124,41 @@ app.use((req, res, next) => {
 // ── Mount MCP Tool Routers ─────────────────────────────────
 
 const metricsRouter = require('./tools/metrics-fetcher');
+const ingestRouter = require('./tools/metrics-ingest');
 const logsRouter = require('./tools/logs-db');
 const remediationRouter = require('./tools/remediation-executor');
+const scenariosRouter = require('./tools/scenarios');
+const anomalyRouter = require('./tools/anomaly-detector');
+const forecastRouter = require('./tools/forecaster');
+const rulesRouter = require('./tools/incident-rules');
+const incidentsRouter = require('./tools/incidents');
+const alertsRouter = require('./tools/alerts');
+const silencesRouter = require('./tools/silences');
+const slosRouter = require('./tools/slos');
+const topologyRouter = require('./tools/topology');
+const timelineRouter = require('./tools/timeline');
+const postmortemRouter = require('./tools/postmortem');
+const oncallRouter = require('./tools/oncall');
 
 app.use('/', metricsRouter);
+app.use('/', ingestRouter);
 app.use('/', logsRouter);
 app.use('/', remediationRouter);
+app.use('/', scenariosRouter);
+app.use('/', anomalyRouter);
+app.use('/', forecastRouter);
+app.use('/', rulesRouter);
+app.use('/', incidentsRouter);
+app.use('/', alertsRouter);
+app.use('/', silencesRouter);
+app.use('/', slosRouter);
+app.use('/', topologyRouter);
+app.use('/', timelineRouter);
+app.use('/', postmortemRouter);
+app.use('/', oncallRouter);
+
+// Scenario log lines land in the logs database
+scenarios.setLogSink(logsRouter.insertLog);
 
 // ── Health & Status Endpoints ──────────────────────────────
 
@@ -123,41 +174,9 @@ app.get('/health', (req, res) => {
 });
 
 /** GET /status — Comprehensive system status */
-app.get('/status', async (req, res) => {
+app.get('/status', (req, res) => {
     try {
-        const dbPath = database.getDbPath();
-        const uptime = Math.floor(process.uptime());
-        const memUsage = process.memoryUsage();
-
-        res.json({
-            success: true,
-            data: {
-                service: 'mcp-incident-slayer',
-                version: '1.0.0',
-                uptime_seconds: uptime,
-                memory: {
-                    rss_mb: Math.round(memUsage.rss / 1024 / 1024),
-                    heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
-                    heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
-                },
-                database: { path: dbPath },
-                tools: ['metrics-fetcher', 'logs-db', 'remediation-executor'],
-                endpoints: {
-                    metrics: 'GET /metrics',
-                    metrics_history: 'GET /metrics/history',
-                    anomaly_toggle: 'POST /metrics/anomaly',
-                    logs: 'GET /logs',
-                    logs_insert: 'POST /logs',
-                    logs_stats: 'GET /logs/stats',
-                    execute: 'POST /execute',
-                    history: 'GET /history',
-                    actions: 'GET /actions',
-                    health: 'GET /health',
-                    prometheus: 'GET /prom-metrics',
-                },
-                timestamp: new Date().toISOString(),
-            },
-        });
+        res.json({ success: true, data: systemStatus() });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -184,13 +203,59 @@ app.use((req, res) => {
             'GET /status',
             'GET /metrics',
             'GET /metrics/history',
+            'GET /metrics/history/stats',
+            'GET /metrics/query',
+            'POST /metrics/ingest',
+            'GET /metrics/ingest/sources',
             'POST /metrics/anomaly',
+            'POST /metrics/record',
+            'POST /metrics/replay',
+            'GET /metrics/recordings',
             'GET /logs',
             'POST /logs',
+            'POST /logs/bulk',
+            'GET /logs/patterns',
+            'GET /logs/stream',
             'GET /logs/stats',
             'POST /execute',
             'GET /history',
             'GET /actions',
+            'GET /scenarios',
+            'POST /scenarios',
+            'POST /scenarios/:name/(start|pause|stop)',
+            'GET /anomalies',
+            'GET /anomalies/baselines',
+            'GET /forecasts',
+            'GET /rules',
+            'POST /rules/reload',
+            'GET /rules/evaluate',
+            'GET /incidents',
+            'POST /incidents',
+            'GET /incidents/:id',
+            'POST /incidents/:id/(acknowledge|mitigate|resolve)',
+            'POST /incidents/:id/link',
+            'GET /alerts',
+            'GET /alerts/:fingerprint',
+            'POST /alerts/alertmanager',
+            'GET /silences',
+            'POST /silences',
+            'GET /silences/:id',
+            'POST /silences/:id/expire',
+            'GET /slos',
+            'POST /slos/reload',
+            'GET /slos/:name',
+            'GET /topology',
+            'POST /topology/reload',
+            'GET /topology/blast-radius/:service',
+            'GET /timeline',
+            'GET /postmortem',
+            'GET /oncall',
+            'POST /oncall/reload',
+            'GET /oncall/schedules/:name',
+            'GET /oncall/overrides',
+            'POST /oncall/overrides',
+            'POST /oncall/overrides/:id/cancel',
+            'GET /oncall/escalations',
             'GET /prom-metrics',
         ],
     });
@@ -214,6 +279,15 @@ async function startServer() {
         // Initialize database before accepting requests
         await database.getDatabase();
         console.log('[server] Database initialized');
+        metricsStore.startSampling({
+            getSource: getMetricsSource,
+            onSnapshot: async (snapshot) => {
+                await alerts.evaluateAlerts(snapshot);
+                await slos.evaluateOnSample();
+                await oncall.evaluateEscalations();
+            },
+        });
+        const syslog = await startSyslogFromEnv(logsRouter.insertLogs);
 
         const server = app.listen(PORT, () => {
             console.log('');
@@ -237,6 +311,9 @@ async function startServer() {
         // Graceful shutdown
         const shutdown = async (signal) => {
             console.log(`\n[server] ${signal} received. Shutting down gracefully...`);
+            metricsStore.stopSampling();
+            if (syslog) await syslog.close();
+            logsRouter.closeStreams();
             database.close();
             server.close(() => {
                 console.log('[server] Server closed.');
@@ -0,0 +1,108 @@
+/**
+ * Tests: Alertmanager webhook receiver (fixtures in tests/fixtures/alertmanager)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('alertmanager');
+
+const request = require('supertest');
+const app = require('../server');
+const alertmanager = require('../lib/alertmanager');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'alertmanager', `${name}.json`), 'utf8'));
+}
+
+describe('lib/alertmanager', () => {
+    it('should map labels to rule, type, severity, service and node', () => {
+        const { receiver, alerts, errors } = alertmanager.parseWebhook(fixture('firing'));
+
+        expect(receiver).toBe('incident-slayer');
+        expect(errors).toEqual([]);
+        expect(alerts.map((a) => [a.rule, a.type, a.severity, a.scope, a.service, a.node])).toEqual([
+            ['HighErrorRate', 'high_error_rate', 'critical', 'service', 'payment-service', null],
+            ['HighErrorRate', 'high_error_rate', 'critical', 'service', 'auth-service', null],
+            ['KubeNodeDiskPressure', 'kube_node_disk_pressure', 'warning', 'node', null, 'node-2'],
+        ]);
+        expect(alerts[0]).toMatchObject({ summary: 'payment-service 5xx rate above 5%', value: 7.2, ends_at: null, starts_at: Date.parse('2025-03-13T08:00:00.000Z') });
+        expect(alerts[1].summary).toBe('Error rate is 5.4% over the last 5 minutes');
+        expect(alerts[2].summary).toBe('KubeNodeDiskPressure on node node-2');
+        expect(alertmanager.snakeCase('HighCPUUsage')).toBe('high_cpu_usage');
+    });
+
+    it('should reject invalid alerts one by one', () => {
+        const { alerts, errors } = alertmanager.parseWebhook(fixture('invalid'));
+
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0]).toMatchObject({ rule: 'PodCrashLooping', severity: 'warning', service: 'cart-service' });
+        expect(errors).toEqual([
+            { ref: 'alerts[0]', error: 'labels.alertname is required' },
+            { ref: 'alerts[1]', error: 'status must be one of: firing, resolved' },
+            { ref: 'alerts[2]', error: 'labels must be an object of strings' },
+            { ref: 'alerts[3]', error: 'invalid startsAt "yesterday"' },
+        ]);
+        expect(() => alertmanager.parseWebhook({ status: 'firing' })).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    });
+});
+
+describe('REST /alerts/alertmanager', () => {
+    it('should store firing alerts and deduplicate repeat notifications', async () => {
+        const first = await request(app).post('/alerts/alertmanager').send(fixture('firing'));
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ success: true, accepted: 3, rejected: 0 });
+        expect(first.body.alerts.every((a) => a.status === 'firing' && a.new)).toBe(true);
+
+        const repeat = await request(app).post('/alerts/alertmanager').send(fixture('firing'));
+        expect(repeat.body.alerts.map((a) => a.fingerprint)).toEqual(first.body.alerts.map((a) => a.fingerprint));
+        expect(repeat.body.alerts.some((a) => a.new)).toBe(false);
+
+        const stored = await request(app).get(`/alerts/${first.body.alerts[0].fingerprint}`);
+        expect(stored.body.data).toMatchObject({
+            source: 'alertmanager',
+            status: 'firing',
+            rule: 'HighErrorRate',
+            severity: 'critical',
+            service: 'payment-service',
+            occurrences: 2,
+            fire_count: 1,
+            started_at: '2025-03-13T08:00:00.000Z',
+            labels: { cluster: 'prod-eu-1', namespace: 'shop' },
+            annotations: { description: 'Error rate is 7.2% over the last 5 minutes' },
+            generator_url: expect.stringContaining('prometheus:9090'),
+        });
+    });
+
+    it('should resolve alerts and list them by source', async () => {
+        const res = await request(app).post('/alerts/alertmanager').send(fixture('resolved'));
+        expect(res.body.alerts).toMatchObject([{ rule: 'HighErrorRate', status: 'resolved', new: false }]);
+
+        const stored = await request(app).get(`/alerts/${res.body.alerts[0].fingerprint}`);
+        expect(stored.body.data).toMatchObject({ status: 'resolved', resolved_at: '2025-03-13T08:20:00.000Z', value: 1.1 });
+
+        const firing = await request(app).get('/alerts?source=alertmanager&status=firing');
+        expect(firing.body.data.map((a) => a.service || a.node).sort()).toEqual(['auth-service', 'node-2']);
+
+        const byCluster = await request(app).get('/alerts?source=alertmanager&status=all&group_by=cluster');
+        expect(byCluster.body.groups).toMatchObject([{ key: 'prod-eu-1', count: 3, firing: 2 }]);
+
+        expect((await request(app).get('/alerts?source=nagios')).status).toBe(400);
+    });
+
+    it('should accept partially valid payloads and reject empty ones', async () => {
+        const partial = await request(app).post('/alerts/alertmanager').send(fixture('invalid'));
+        expect(partial.status).toBe(200);
+        expect(partial.body).toMatchObject({ accepted: 1, rejected: 4 });
+
+        const none = await request(app).post('/alerts/alertmanager').send({ alerts: [{ status: 'firing', labels: {} }] });
+        expect(none.status).toBe(400);
+        expect(none.body.errors).toEqual([{ ref: 'alerts[0]', error: 'labels.alertname is required' }]);
+
+        expect((await request(app).post('/alerts/alertmanager').send({ hello: 'world' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests: Alert deduplication, pending durations, hysteresis and grouping
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('alerts');
+process.env.RULES_FILE = path.join(DB_DIR, 'rules.yaml');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const rules = require('../lib/rules');
+const alerts = require('../lib/alerts');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2025-03-12T00:00:00.000Z');
+
+/** Write a rule list to RULES_FILE and load it */
+function useRules(list) {
+    fs.writeFileSync(process.env.RULES_FILE, `rules:\n${list.map((rule) => `  - ${JSON.stringify(rule)}`).join('\n')}\n`);
+    rules.loadRules();
+}
+
+/** Cluster and auth-service cpu follow `cpu`; node-a exists unless `withoutNode` */
+function snapshotAt(epochMs, cpu, { withoutNode = false } = {}) {
+    return {
+        id: `a-${epochMs}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        infrastructure: { cpu_percent: cpu, memory_percent: 50, disk_percent: 40, pods_running: 2, pods_desired: 2 },
+        application: { error_rate_percent: 1, p99_response_time_ms: 300 },
+        network: {},
+        services: [
+            { name: 'auth-service', nodes: ['node-a'], cpu_percent: cpu, pods_running: 1, pods_desired: 1 },
+            { name: 'cart-service', nodes: ['node-a'], cpu_percent: cpu, pods_running: 1, pods_desired: 1 },
+        ],
+        nodes: withoutNode ? [] : [{ name: 'node-a', services: ['auth-service', 'cart-service'], cpu_percent: cpu, disk_percent: 95 }],
+    };
+}
+
+function evaluateAt(epochMs, cpu, options) {
+    return alerts.evaluateAlerts(snapshotAt(epochMs, cpu, options), { now: epochMs });
+}
+
+beforeAll(async () => {
+    await database.getDatabase();
+});
+
+afterEach(() => {
+    rules.resetForTesting();
+});
+
+describe('lib/alerts', () => {
+    it('should keep a persisting breach as one alert', async () => {
+        useRules([{ name: 'hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', labels: { type: 'high_cpu' } }]);
+
+        const first = await evaluateAt(T0, 90);
+        const second = await evaluateAt(T0 + MINUTE, 92);
+        const third = await evaluateAt(T0 + 2 * MINUTE, 95);
+
+        expect(first.firing).toHaveLength(1);
+        expect(first.firing[0]).toMatchObject({ rule: 'hot', type: 'high_cpu', status: 'firing', new: true, occurrences: 1, fire_count: 1 });
+        expect(first.transitions).toEqual([{ fingerprint: first.firing[0].fingerprint, rule: 'hot', from: null, to: 'firing' }]);
+
+        expect(third.firing).toHaveLength(1);
+        expect(third.firing[0]).toMatchObject({
+            fingerprint: first.firing[0].fingerprint,
+            new: false,
+            value: 95,
+            occurrences: 3,
+            fire_count: 1,
+            started_at: new Date(T0).toISOString(),
+            firing_at: new Date(T0).toISOString(),
+            last_seen_at: new Date(T0 + 2 * MINUTE).toISOString(),
+        });
+        expect(second.transitions).toEqual([]);
+    });
+
+    it('should hold an alert pending until its "for" duration has passed', async () => {
+        useRules([{ name: 'sustained', metric: 'cpu_percent', operator: '>', threshold: 80, for: '2m', severity: 'warning', scope: 'service' }]);
+        const start = T0 + 60 * MINUTE;
+
+        const pending = await evaluateAt(start, 90);
+        const stillPending = await evaluateAt(start + MINUTE, 90);
+        const firing = await evaluateAt(start + 2 * MINUTE, 90);
+
+        expect(pending.firing).toEqual([]);
+        expect(pending.pending.map((a) => a.service)).toEqual(['auth-service', 'cart-service']);
+        expect(stillPending.pending).toHaveLength(2);
+        expect(firing.firing.map((a) => [a.service, a.new, a.occurrences])).toEqual([['auth-service', true, 3], ['cart-service', true, 3]]);
+        expect(firing.pending).toEqual([]);
+
+        // A pending breach that clears never fires
+        const blip = start + 30 * MINUTE;
+        await evaluateAt(blip, 50);
+        await evaluateAt(blip + MINUTE, 90);
+        const cleared = await evaluateAt(blip + 2 * MINUTE, 50);
+        expect(cleared.pending).toEqual([]);
+        expect(cleared.transitions.map((t) => [t.from, t.to])).toEqual([['pending', 'resolved'], ['pending', 'resolved']]);
+        const auth = await alerts.getAlert(firing.firing[0].fingerprint);
+        expect(auth).toMatchObject({ status: 'resolved', fire_count: 1 });
+    });
+
+    it('should only resolve once the metric is back past resolve_threshold', async () => {
+        useRules([{ name: 'flappy', metric: 'cpu_percent', operator: '>', threshold: 80, resolve_threshold: 70, severity: 'critical', scope: 'node' }]);
+        const start = T0 + 120 * MINUTE;
+
+        const fired = await evaluateAt(start, 85);
+        const hovering = await evaluateAt(start + MINUTE, 75);
+        const recovered = await evaluateAt(start + 2 * MINUTE, 65);
+        const again = await evaluateAt(start + 3 * MINUTE, 85);
+
+        const { fingerprint } = fired.firing[0];
+        expect(hovering.firing).toMatchObject([{ fingerprint, status: 'firing', value: 75, occurrences: 1 }]);
+        expect(recovered.firing).toEqual([]);
+        expect(recovered.transitions).toEqual([{ fingerprint, rule: 'flappy', from: 'firing', to: 'resolved' }]);
+        expect(again.firing).toMatchObject([{ fingerprint, new: true, fire_count: 2, occurrences: 1, started_at: new Date(start + 3 * MINUTE).toISOString() }]);
+    });
+
+    it('should resolve alerts whose target or rule is gone', async () => {
+        useRules([{ name: 'node_hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'warning', scope: 'node' }]);
+        const start = T0 + 180 * MINUTE;
+
+        const { firing: [alert] } = await evaluateAt(start, 90);
+        const gone = await evaluateAt(start + MINUTE, 90, { withoutNode: true });
+        expect(gone.transitions).toEqual([{ fingerprint: alert.fingerprint, rule: 'node_hot', from: 'firing', to: 'resolved' }]);
+
+        await evaluateAt(start + 2 * MINUTE, 90);
+        useRules([{ name: 'other', metric: 'disk_percent', operator: '>', threshold: 99, severity: 'info' }]);
+        const removed = await evaluateAt(start + 3 * MINUTE, 90);
+        expect(removed.transitions.map((t) => [t.rule, t.to])).toEqual([['node_hot', 'resolved']]);
+    });
+
+    it('should group related alerts', async () => {
+        useRules([
+            { name: 'svc_hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'warning', scope: 'service' },
+            { name: 'node_hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: 'node', labels: { cluster: 'eu-1' } },
+        ]);
+        await evaluateAt(T0 + 240 * MINUTE, 90);
+
+        const byService = await alerts.listAlerts({ group_by: 'service' });
+        expect(byService.groups.map((g) => [g.key, g.count, g.severity])).toEqual([
+            ['node/node-a', 1, 'critical'],
+            ['auth-service', 1, 'warning'],
+            ['cart-service', 1, 'warning'],
+        ]);
+
+        const byCluster = await alerts.listAlerts({ group_by: 'cluster' });
+        expect(byCluster.groups.map((g) => [g.key, g.count, g.firing])).toEqual([['eu-1', 1, 1], ['default', 2, 2]]);
+
+        await expect(alerts.listAlerts({ group_by: 'team' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(alerts.listAlerts({ status: 'silenced' })).rejects.toMatchObject({ code: 'INVALID' });
+    });
+});
+
+describe('REST /alerts', () => {
+    it('GET /rules/evaluate should report a persisting breach with the same fingerprint', async () => {
+        useRules([{ name: 'always', metric: 'cpu_percent', operator: '>=', threshold: 0, severity: 'info', labels: { type: 'always_on' } }]);
+
+        const first = await request(app).get('/rules/evaluate');
+        const second = await request(app).get('/rules/evaluate');
+
+        expect(first.body.incidents).toMatchObject([{ rule: 'always', type: 'always_on', new: true }]);
+        expect(second.body.incidents).toMatchObject([{ fingerprint: first.body.incidents[0].fingerprint, new: false, occurrences: 2 }]);
+        expect(second.body.pending).toEqual([]);
+    });
+
+    it('GET /alerts should list, filter and group alerts', async () => {
+        useRules([{ name: 'always', metric: 'cpu_percent', operator: '>=', threshold: 0, severity: 'info', scope: ['cluster', 'service'] }]);
+        await request(app).get('/rules/evaluate');
+
+        const res = await request(app).get('/alerts?rule=always&status=firing');
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBeGreaterThan(1);
+        expect(res.body.data.every((a) => a.rule === 'always' && a.status === 'firing')).toBe(true);
+
+        const grouped = await request(app).get('/alerts?group_by=rule&status=all');
+        expect(grouped.body.groups.map((g) => g.key)).toContain('always');
+
+        const one = await request(app).get(`/alerts/${res.body.data[0].fingerprint}`);
+        expect(one.body.data).toMatchObject({ fingerprint: res.body.data[0].fingerprint, rule: 'always' });
+
+        expect((await request(app).get('/alerts/missing')).status).toBe(404);
+        expect((await request(app).get('/alerts?group_by=team')).status).toBe(400);
+    });
+});
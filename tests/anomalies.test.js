@@ -0,0 +1,171 @@
+/**
+ * Tests: Baseline anomaly detection (EWMA / z-score)
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('anomalies');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const baselines = require('../lib/baselines');
+const metricsStore = require('../lib/metrics-store');
+const { setMetricsSource } = require('../lib/metrics-sources');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2025-03-03T00:00:00.000Z');
+
+/** Minimal snapshot with one service and one node */
+function snapshot(epochMs, { cpu = 40, paymentCpu = 90, disk = 50 } = {}) {
+    return {
+        id: `snap-${epochMs}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        services: [
+            { name: 'auth-service', nodes: ['node-a'], cpu_percent: cpu, error_rate_percent: 0.5 },
+            { name: 'payment-service', nodes: ['node-a'], cpu_percent: paymentCpu, error_rate_percent: 0.5 },
+        ],
+        nodes: [{ name: 'node-a', services: ['auth-service', 'payment-service'], cpu_percent: cpu, disk_percent: disk }],
+    };
+}
+
+/** Small deterministic wobble so baselines have some variance */
+const wobble = (i) => [0, 1, -1, 2, -2][i % 5];
+
+function train(count, valuesAt, start = T0) {
+    for (let i = 0; i < count; i++) baselines.observe(snapshot(start + i * MINUTE, valuesAt(i)));
+}
+
+afterEach(() => {
+    baselines.resetForTesting();
+});
+
+afterAll(() => {
+    setMetricsSource(null);
+});
+
+describe('lib/baselines', () => {
+    it('should flag a spike with its score and expected range', () => {
+        train(50, (i) => ({ cpu: 40 + wobble(i) }));
+
+        const findings = baselines.evaluate(snapshot(T0 + 50 * MINUTE, { cpu: 75 }), { service: 'auth-service' });
+
+        expect(findings).toHaveLength(1);
+        const [finding] = findings;
+        expect(finding).toMatchObject({ kind: 'service', name: 'auth-service', metric: 'cpu_percent', value: 75, direction: 'above', anomalous: true });
+        expect(finding.expected).toBeCloseTo(40, 0);
+        expect(finding.expected_range.low).toBeLessThan(40);
+        expect(finding.expected_range.high).toBeLessThan(75);
+        expect(finding.anomaly_score).toBeGreaterThanOrEqual(3);
+    });
+
+    it('should stay quiet for a workload that is normally hot', () => {
+        train(50, (i) => ({ paymentCpu: 90 + wobble(i) }));
+
+        const findings = baselines.evaluate(snapshot(T0 + 50 * MINUTE, { paymentCpu: 92 }), { includeNormal: true });
+        const payment = findings.find((f) => f.name === 'payment-service' && f.metric === 'cpu_percent');
+
+        expect(payment.anomalous).toBe(false);
+        expect(findings.filter((f) => f.anomalous)).toHaveLength(0);
+    });
+
+    it('should catch a slow drift that a fixed threshold would miss', () => {
+        train(120, (i) => ({ disk: 30 + wobble(i) * 0.2 }));
+        // Disk creeps up 0.5 points a minute — still far below a 90% threshold
+        train(20, (i) => ({ disk: 30 + i * 0.5 }), T0 + 120 * MINUTE);
+
+        const findings = baselines.evaluate(snapshot(T0 + 140 * MINUTE, { disk: 40 }), { node: 'node-a' });
+
+        expect(findings.map((f) => f.metric)).toContain('disk_percent');
+    });
+
+    it('should not score metrics before the warm-up is over', () => {
+        train(5, () => ({}));
+
+        expect(baselines.evaluate(snapshot(T0 + 5 * MINUTE, { cpu: 99 }), { includeNormal: true })).toEqual([]);
+    });
+
+    it('should keep separate baselines per hour of day when seasonal', () => {
+        baselines.configure({ seasonality: 'hour_of_day', warmup: 10 });
+        // Busy at 09:00 UTC, idle at 03:00 UTC, for three days
+        for (let day = 0; day < 3; day++) {
+            const dayStart = T0 + day * 24 * 60 * MINUTE;
+            train(10, (i) => ({ cpu: 85 + wobble(i) }), dayStart + 9 * 60 * MINUTE);
+            train(10, (i) => ({ cpu: 10 + wobble(i) }), dayStart + 3 * 60 * MINUTE);
+        }
+        const nextDay = T0 + 3 * 24 * 60 * MINUTE;
+
+        const busy = baselines.evaluate(snapshot(nextDay + 9 * 60 * MINUTE, { cpu: 86 }), { service: 'auth-service', includeNormal: true });
+        const quiet = baselines.evaluate(snapshot(nextDay + 3 * 60 * MINUTE, { cpu: 86 }), { service: 'auth-service', includeNormal: true });
+        const cpuOf = (findings) => findings.find((f) => f.metric === 'cpu_percent');
+
+        expect(cpuOf(busy).anomalous).toBe(false);
+        expect(cpuOf(busy).baseline).toBe('hour_of_day:9');
+        expect(cpuOf(quiet).anomalous).toBe(true);
+        expect(cpuOf(quiet).baseline).toBe('hour_of_day:3');
+    });
+
+    it('should reject invalid configuration', () => {
+        expect(() => baselines.configure({ seasonality: 'weekly' })).toThrow(/seasonality/);
+        expect(() => baselines.configure({ half_life_ms: -1 })).toThrow(/half_life_ms/);
+    });
+});
+
+describe('GET /anomalies', () => {
+    let current;
+
+    beforeAll(async () => {
+        await database.getDatabase();
+        const now = Date.now();
+        for (let i = 30; i > 0; i--) {
+            await metricsStore.recordSnapshot(snapshot(now - i * MINUTE, { cpu: 40 + wobble(i) }));
+        }
+        setMetricsSource({ name: 'stub', snapshot: async () => current });
+    });
+
+    it('should learn baselines from stored history and report anomalies', async () => {
+        current = snapshot(Date.now(), { cpu: 80 });
+        const res = await request(app).get('/anomalies?service=auth-service');
+
+        expect(res.status).toBe(200);
+        expect(res.body.anomalies).toBe(1);
+        expect(res.body.findings[0]).toMatchObject({ name: 'auth-service', metric: 'cpu_percent', value: 80 });
+        expect(res.body.findings[0].expected_range).toBeDefined();
+        expect(res.body.threshold).toBe(3);
+    });
+
+    it('should include normal metrics when asked', async () => {
+        current = snapshot(Date.now(), { cpu: 40 });
+        const res = await request(app).get('/anomalies?all=true');
+
+        expect(res.status).toBe(200);
+        expect(res.body.anomalies).toBe(0);
+        expect(res.body.findings.length).toBeGreaterThan(0);
+    });
+
+    it('should reject an invalid threshold', async () => {
+        const res = await request(app).get('/anomalies?threshold=-1');
+
+        expect(res.status).toBe(400);
+    });
+
+    it('should respond 404 for an unknown service or node', async () => {
+        current = snapshot(Date.now(), { cpu: 40 });
+
+        const service = await request(app).get('/anomalies?service=nope');
+        expect(service.status).toBe(404);
+        expect(service.body.error).toMatch(/Unknown service "nope"/);
+        expect((await request(app).get('/anomalies?node=nope')).status).toBe(404);
+    });
+
+    it('should list learned baselines', async () => {
+        const res = await request(app).get('/anomalies/baselines?service=auth-service&metric=cpu_percent');
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(1);
+        expect(res.body.data[0]).toMatchObject({ kind: 'service', name: 'auth-service', metric: 'cpu_percent', warmed_up: true });
+    });
+});
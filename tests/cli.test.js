@@ -0,0 +1,100 @@
+/**
+ * Tests: CLI commands against the MCP server (its default SERVER_URL)
+ */
+
+'use strict';
+
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('cli');
+
+const app = require('../mcp-server');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/** Run cli.js with the given arguments; resolves with its output. */
+function cli(args, serverUrl = baseUrl) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'cli.js'), ...args], {
+            env: { ...process.env, SERVER_URL: serverUrl },
+            timeout: 20000,
+        }, (error, stdout, stderr) => resolve({ output: stdout + stderr }));
+    });
+}
+
+describe('CLI against the MCP server', () => {
+    it('should list and run scenarios', async () => {
+        const list = await cli(['--scenario', 'list']);
+        expect(list.output).toContain('SCENARIOS');
+        expect(list.output).toContain('payment-memory-leak');
+
+        const start = await cli(['--scenario', 'start', 'anomaly']);
+        expect(start.output).toContain('Scenario "anomaly" running');
+        await cli(['--scenario', 'stop', 'anomaly']);
+    });
+
+    it('should explain a response that is not JSON', async () => {
+        const { output } = await cli(['--scenario', 'list'], `${baseUrl}/elsewhere`);
+        expect(output).toContain(`HTTP 404 from ${baseUrl}/elsewhere/scenarios is not JSON`);
+        expect(output).not.toMatch(/Unexpected token/);
+    });
+
+    it('should serve the anomalies the --local check reads', async () => {
+        const res = await fetch(`${baseUrl}/anomalies?all=true`);
+        expect(res.status).toBe(200);
+        expect(await res.json()).toMatchObject({ success: true, anomalies: expect.any(Number) });
+    });
+
+    it('should serve the forecasts the --local check reads', async () => {
+        const res = await fetch(`${baseUrl}/forecasts`);
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.success).toBe(true);
+        expect(Array.isArray(body.forecasts)).toBe(true);
+    });
+
+    it('should run the --local check with every section served', async () => {
+        await fetch(`${baseUrl}/execute`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: 'restart_service', params: { service: 'cli-service' } }),
+        });
+
+        const { output } = await cli(['--local']);
+        expect(output).toContain('CPU');
+        expect(output).toContain('[ERROR]');
+        expect(output).toContain('restart_service');
+        expect(output).not.toMatch(/✗|Baselines unavailable|Forecast unavailable|not JSON/);
+    });
+
+    it('should run status, anomaly, rules, silence and postmortem commands', async () => {
+        expect((await cli(['--status'])).output).toContain('Available Endpoints');
+        expect((await cli(['--anomaly', 'on'])).output).toContain('Anomaly mode ENABLED');
+        expect((await cli(['--anomaly', 'off'])).output).toContain('Anomaly mode DISABLED');
+        expect((await cli(['--rules'])).output).not.toMatch(/✗|not JSON/);
+        expect((await cli(['--silence', 'list'])).output).not.toMatch(/✗|not JSON/);
+        expect((await cli(['--postmortem', 'window=1h'])).output).toContain('# ');
+    });
+
+    it('should stream logs for --tail', async () => {
+        const controller = new AbortController();
+        const res = await fetch(`${baseUrl}/logs/stream?min_level=error`, { signal: controller.signal });
+        expect(res.status).toBe(200);
+        expect(res.headers.get('content-type')).toMatch(/^text\/event-stream/);
+        controller.abort();
+    });
+});
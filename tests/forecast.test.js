@@ -0,0 +1,141 @@
+/**
+ * Tests: Resource exhaustion forecasting
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('forecast');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const metricsStore = require('../lib/metrics-store');
+const forecast = require('../lib/forecast');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.parse('2025-03-07T00:00:00.000Z');
+const NOW = T0 + 60 * MINUTE;
+
+const wobble = (i) => [0, 1, -1, 2, -2][i % 5];
+
+/** node-a's disk fills 30%/h from 50%, node-b's is flat, node-c's is already full */
+function snapshotAt(epochMs, i, { nodePrefix = 'node' } = {}) {
+    return {
+        id: `f-${nodePrefix}-${epochMs}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        services: [{ name: 'auth-service', nodes: [`${nodePrefix}-a`], memory_percent: 40 + wobble(i) * 0.1 }],
+        nodes: [
+            { name: `${nodePrefix}-a`, services: ['auth-service'], disk_percent: 50 + i * 0.5 + wobble(i) * 0.2, memory_percent: 40, pods_running: 2 },
+            { name: `${nodePrefix}-b`, services: [], disk_percent: 30 + wobble(i) * 0.2, memory_percent: 40, pods_running: 5 },
+            { name: `${nodePrefix}-c`, services: [], disk_percent: 100, memory_percent: 40, pods_running: 5 },
+        ],
+    };
+}
+
+beforeAll(async () => {
+    await database.getDatabase();
+    for (let i = 0; i <= 60; i++) await metricsStore.recordSnapshot(snapshotAt(T0 + i * MINUTE, i));
+});
+
+afterEach(() => {
+    forecast.resetForTesting();
+});
+
+describe('lib/forecast', () => {
+    it('should fit an exact line', () => {
+        const fit = forecast.fitLine([0, 1, 2, 3].map((h) => ({ t: T0 + h * HOUR, value: 10 + 2 * h })));
+
+        expect(fit.slope).toBeCloseTo(2, 10);
+        expect(fit.intercept).toBeCloseTo(16, 10);
+        expect(fit.r_squared).toBeCloseTo(1, 10);
+        expect(fit.slope_se).toBeCloseTo(0, 10);
+    });
+
+    it('should predict when a filling disk runs out, with a confidence interval', async () => {
+        const { forecasts } = await forecast.forecastExhaustion({ resource: 'disk' }, NOW);
+        const nodeA = forecasts.find((f) => f.name === 'node-a');
+
+        expect(nodeA).toMatchObject({ resource: 'disk', kind: 'node', metric: 'disk_percent', capacity: 100, status: 'filling' });
+        expect(nodeA.trend_per_hour).toBeCloseTo(30, 0);
+        // 80% now, +30%/h → about 40 minutes left
+        expect(nodeA.time_to_full_seconds).toBeGreaterThan(35 * 60);
+        expect(nodeA.time_to_full_seconds).toBeLessThan(45 * 60);
+        const { earliest, latest } = nodeA.confidence_interval;
+        expect(Date.parse(earliest)).toBeLessThanOrEqual(Date.parse(nodeA.predicted_full_at));
+        expect(Date.parse(latest)).toBeGreaterThanOrEqual(Date.parse(nodeA.predicted_full_at));
+    });
+
+    it('should leave out stable resources unless asked', async () => {
+        const filling = await forecast.forecastExhaustion({ resource: 'disk' }, NOW);
+        const all = await forecast.forecastExhaustion({ resource: 'disk', all: true }, NOW);
+
+        expect(filling.forecasts.map((f) => f.name)).toEqual(['node-c', 'node-a']);
+        expect(all.forecasts.find((f) => f.name === 'node-b').status).toBe('stable');
+        expect(all.forecasts.find((f) => f.name === 'node-c')).toMatchObject({ status: 'exhausted', time_to_full_seconds: 0 });
+    });
+
+    it('should forecast against a custom threshold', async () => {
+        const { forecasts } = await forecast.forecastExhaustion({ resource: 'disk', node: 'node-a', threshold: 90 }, NOW);
+
+        expect(forecasts).toHaveLength(1);
+        expect(forecasts[0].capacity).toBe(90);
+        expect(forecasts[0].time_to_full_seconds).toBeLessThan(25 * 60);
+    });
+
+    it('should need enough points before forecasting', async () => {
+        const { forecasts } = await forecast.forecastExhaustion({ resource: 'disk', node: 'node-a', window: 5 * MINUTE, all: true }, NOW);
+
+        expect(forecasts[0]).toMatchObject({ status: 'insufficient_data', points: 6 });
+    });
+
+    it('should turn imminent exhaustion into predicted_exhaustion incidents', async () => {
+        const { forecasts } = await forecast.forecastExhaustion({}, NOW);
+        const incidents = forecast.exhaustionIncidents(forecasts);
+
+        expect(incidents).toHaveLength(1);
+        expect(incidents[0]).toMatchObject({ type: 'predicted_exhaustion', severity: 'critical', resource: 'disk', node: 'node-a' });
+        expect(incidents[0].summary).toMatch(/node-a/);
+    });
+
+    it('should only raise incidents from status checks when enabled', async () => {
+        expect(await forecast.predictedIncidents(NOW)).toEqual([]);
+
+        forecast.configure({ incidents: true });
+        expect((await forecast.predictedIncidents(NOW)).map((i) => i.node)).toEqual(['node-a']);
+    });
+
+    it('should reject invalid options', async () => {
+        await expect(forecast.forecastExhaustion({ resource: 'cpu' }, NOW)).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(forecast.forecastExhaustion({ threshold: 90 }, NOW)).rejects.toMatchObject({ code: 'INVALID' });
+    });
+});
+
+describe('GET /forecasts', () => {
+    beforeAll(async () => {
+        const now = Date.now();
+        for (let i = 0; i <= 30; i++) {
+            await metricsStore.recordSnapshot(snapshotAt(now - (30 - i) * MINUTE, i, { nodePrefix: 'live' }));
+        }
+    });
+
+    it('should return time-to-full predictions', async () => {
+        const res = await request(app).get('/forecasts?resource=disk&node=live-a&incidents=true');
+
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(res.body.forecasts).toHaveLength(1);
+        expect(res.body.forecasts[0]).toMatchObject({ name: 'live-a', status: 'filling' });
+        expect(res.body.forecasts[0].confidence_interval.level).toBe(0.95);
+        expect(res.body.incidents[0].type).toBe('predicted_exhaustion');
+    });
+
+    it('should reject invalid parameters', async () => {
+        expect((await request(app).get('/forecasts?resource=cpu')).status).toBe(400);
+        expect((await request(app).get('/forecasts?threshold=90')).status).toBe(400);
+        expect((await request(app).get('/forecasts?window=soon')).status).toBe(400);
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Test helper: a database of its own for each test file
+ *
+ * Call useTempDb() at the top of a test file, before requiring the server or
+ * lib/database. It points DB_PATH into a fresh temporary directory, and
+ * after the file's tests closes the database and removes the directory.
+ * Tests can put config files (RULES_FILE, SLOS_FILE, ...) in the returned
+ * directory too.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @param {string} name - Names the directory and the database file
+ * @returns {string} The temporary directory
+ */
+function useTempDb(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `incident-slayer-${name}-`));
+    process.env.DB_PATH = path.join(dir, `${name}.db`);
+
+    afterAll(() => {
+        require('../../lib/database').close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return dir;
+}
+
+module.exports = { useTempDb };
@@ -0,0 +1,127 @@
+/**
+ * Tests: Incident records and their lifecycle
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('incidents');
+
+const request = require('supertest');
+const app = require('../server');
+const incidents = require('../lib/incidents');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2025-03-11T09:00:00.000Z');
+
+describe('lib/incidents', () => {
+    it('should move an incident through its lifecycle and compute MTTA/MTTR', async () => {
+        const { incident, deduplicated } = await incidents.openIncident({ type: 'high_cpu', severity: 'critical', service: 'auth-service', summary: 'cpu 93%' }, T0);
+
+        expect(deduplicated).toBe(false);
+        expect(incident).toMatchObject({ status: 'open', title: 'high cpu on auth-service', source: 'manual', mtta_seconds: null, mttr_seconds: null });
+
+        await incidents.acknowledgeIncident(incident.id, { actor: 'alice' }, T0 + 2 * MINUTE);
+        await incidents.mitigateIncident(incident.id, {}, T0 + 5 * MINUTE);
+        const resolved = await incidents.resolveIncident(incident.id, { actor: 'alice', resolution: 'scaled out' }, T0 + 12 * MINUTE);
+
+        expect(resolved).toMatchObject({ status: 'resolved', acknowledged_by: 'alice', resolved_by: 'alice', resolution: 'scaled out', mtta_seconds: 120, mttr_seconds: 720 });
+
+        const full = await incidents.getIncident(incident.id);
+        expect(full.events.map((e) => e.type)).toEqual(['opened', 'acknowledged', 'mitigated', 'resolved']);
+    });
+
+    it('should deduplicate unresolved incidents with the same type and target', async () => {
+        const first = await incidents.openIncident({ type: 'disk_pressure', severity: 'warning', node: 'node-a' }, T0);
+        const again = await incidents.openIncident({ type: 'disk_pressure', severity: 'critical', node: 'node-a' }, T0 + MINUTE);
+        const elsewhere = await incidents.openIncident({ type: 'disk_pressure', severity: 'warning', node: 'node-b' }, T0 + MINUTE);
+
+        expect(again).toMatchObject({ deduplicated: true, incident: { id: first.incident.id } });
+        expect(elsewhere.incident.id).not.toBe(first.incident.id);
+
+        await incidents.resolveIncident(first.incident.id, {}, T0 + 2 * MINUTE);
+        const reopened = await incidents.openIncident({ type: 'disk_pressure', severity: 'warning', node: 'node-a' }, T0 + 3 * MINUTE);
+        expect(reopened.deduplicated).toBe(false);
+    });
+
+    it('should refuse to move an incident backwards', async () => {
+        const { incident } = await incidents.openIncident({ type: 'pod_crash', severity: 'warning', service: 'cart-service' }, T0);
+        await incidents.resolveIncident(incident.id, {}, T0 + MINUTE);
+
+        await expect(incidents.acknowledgeIncident(incident.id)).rejects.toMatchObject({ code: 'CONFLICT' });
+        await expect(incidents.resolveIncident(incident.id)).rejects.toMatchObject({ code: 'CONFLICT' });
+        await expect(incidents.acknowledgeIncident('nope')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('should validate new incidents', async () => {
+        await expect(incidents.openIncident({ severity: 'warning' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(incidents.openIncident({ type: 'x', severity: 'sev1' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(incidents.openIncident({ type: 'x', severity: 'info', labels: [] })).rejects.toMatchObject({ code: 'INVALID' });
+    });
+});
+
+describe('REST /incidents', () => {
+    it('should open, acknowledge and resolve an incident', async () => {
+        const opened = await request(app).post('/incidents').send({ type: 'high_error_rate', severity: 'critical', service: 'payment-service', labels: { team: 'payments' } });
+        expect(opened.status).toBe(201);
+        expect(opened.body.data).toMatchObject({ status: 'open', labels: { team: 'payments' } });
+        const { id } = opened.body.data;
+
+        const duplicate = await request(app).post('/incidents').send({ type: 'high_error_rate', severity: 'critical', service: 'payment-service' });
+        expect(duplicate.status).toBe(200);
+        expect(duplicate.body).toMatchObject({ deduplicated: true, data: { id } });
+
+        const acked = await request(app).post(`/incidents/${id}/acknowledge`).send({ actor: 'bob' });
+        expect(acked.body.data).toMatchObject({ status: 'acknowledged', acknowledged_by: 'bob' });
+        expect(acked.body.data.mtta_seconds).toBeGreaterThanOrEqual(0);
+
+        const resolved = await request(app).post(`/incidents/${id}/resolve`).send({ resolution: 'rolled back' });
+        expect(resolved.body.data).toMatchObject({ status: 'resolved', resolution: 'rolled back' });
+        expect((await request(app).post(`/incidents/${id}/acknowledge`)).status).toBe(409);
+    });
+
+    it('should link executions and mark the incident mitigated', async () => {
+        const { body: { data: incident } } = await request(app).post('/incidents').send({ type: 'memory_pressure', severity: 'critical', service: 'auth-service' });
+
+        const executed = await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'auth-service' }, incident_id: incident.id });
+        expect(executed.status).toBe(200);
+        expect(executed.body.incident).toEqual({ id: incident.id, status: 'mitigated' });
+
+        const other = await request(app).post('/execute').send({ action: 'notify_slack', params: { channel: '#ops', message: 'restarted auth' } });
+        const linked = await request(app).post(`/incidents/${incident.id}/link`).send({ execution_id: other.body.execution_id });
+        expect(linked.status).toBe(200);
+
+        const res = await request(app).get(`/incidents/${incident.id}`);
+        expect(res.body.data.status).toBe('mitigated');
+        expect(res.body.data.remediations.map((r) => r.action)).toEqual(['restart_service', 'notify_slack']);
+        expect(res.body.data.events.map((e) => e.type)).toEqual(['opened', 'remediation_linked', 'mitigated', 'remediation_linked']);
+
+        const history = await request(app).get(`/history?incident_id=${incident.id}`);
+        expect(history.body.count).toBe(2);
+    });
+
+    it('should reject executions for unknown incidents and bad links', async () => {
+        expect((await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'auth-service' }, incident_id: 'missing' })).status).toBe(404);
+        const { body: { data: incident } } = await request(app).post('/incidents').send({ type: 'high_latency', severity: 'warning' });
+        expect((await request(app).post(`/incidents/${incident.id}/link`).send({})).status).toBe(400);
+        expect((await request(app).post(`/incidents/${incident.id}/link`).send({ execution_id: 'missing' })).status).toBe(404);
+    });
+
+    it('should list incidents with filters and MTTA/MTTR stats', async () => {
+        const res = await request(app).get('/incidents?status=resolved');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.every((i) => i.status === 'resolved')).toBe(true);
+        expect(res.body.stats.resolved).toBe(res.body.count);
+        expect(res.body.stats.mttr_seconds).toEqual(expect.any(Number));
+
+        const active = await request(app).get('/incidents?status=active&limit=1');
+        expect(active.body.data).toHaveLength(1);
+        expect(active.body.count).toBeGreaterThan(1);
+        expect(active.body.data[0].status).not.toBe('resolved');
+
+        expect((await request(app).get('/incidents?status=closed')).status).toBe(400);
+        expect((await request(app).get('/incidents/missing')).status).toBe(404);
+    });
+});
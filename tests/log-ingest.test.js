@@ -0,0 +1,183 @@
+/**
+ * Tests: Bulk log ingestion (NDJSON, JSON arrays, logfmt) and the syslog listener
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('log-ingest');
+
+const request = require('supertest');
+const app = require('../server');
+const { insertLogs, queryLogs } = require('../tools/logs-db');
+const { normalizeLevel, prepareBulk } = require('../lib/log-ingest');
+const { parseLogfmtLine } = require('../lib/log-ingest/logfmt');
+const { parseSyslog, splitFrames, startSyslogListener } = require('../lib/log-ingest/syslog');
+
+describe('lib/log-ingest', () => {
+    it('should normalize level spellings', () => {
+        expect(['WARNING', 'Err', 'crit', 'notice', 'TRACE', 50, '30', 'fatal'].map(normalizeLevel))
+            .toEqual(['warn', 'error', 'fatal', 'info', 'debug', 'error', 'info', 'fatal']);
+        expect(normalizeLevel('loud')).toBeNull();
+    });
+
+    it('should parse logfmt with quotes and bare keys', () => {
+        expect(parseLogfmtLine('level=warn msg="Slow \\"login\\"" duration_ms=1840 retry'))
+            .toEqual({ level: 'warn', msg: 'Slow "login"', duration_ms: '1840', retry: true });
+        expect(() => parseLogfmtLine('msg="unterminated')).toThrow(/unterminated/);
+    });
+
+    it('should map fields and report bad lines by number', () => {
+        const now = Date.parse('2025-03-09T12:00:00.000Z');
+        const body = [
+            '{"ts":1741521600,"severity":"WARNING","app":"auth-service","msg":"Slow login","user":"u-1"}',
+            '',
+            'not json',
+            '{"level":"error","message":"No service"}',
+            '{"level":"loud","service":"auth-service","message":"Unknown level"}',
+            '{"time":"2025-03-09T11:59:00Z","service":"auth-service","log":"Defaults to info","metadata":{"pod":"auth-1"}}',
+        ].join('\n');
+
+        const { entries, errors } = prepareBulk({ format: 'ndjson', body }, now);
+
+        expect(entries).toEqual([
+            { timestamp: '2025-03-09T12:00:00.000Z', level: 'warn', service: 'auth-service', message: 'Slow login', metadata: { source: 'bulk', user: 'u-1' } },
+            { timestamp: '2025-03-09T11:59:00.000Z', level: 'info', service: 'auth-service', message: 'Defaults to info', metadata: { source: 'bulk', pod: 'auth-1' } },
+        ]);
+        expect(errors.map((e) => e.ref)).toEqual(['line 3', 'line 4', 'line 5']);
+        expect(errors[1].error).toMatch(/missing service/);
+    });
+});
+
+describe('POST /logs/bulk', () => {
+    it('should store NDJSON and report rejected lines', async () => {
+        const body = [
+            '{"level":"ERR","service":"ndjson-svc","msg":"Connection refused"}',
+            '{"level":"info","msg":"No service"}',
+        ].join('\n');
+
+        const res = await request(app).post('/logs/bulk').set('Content-Type', 'application/x-ndjson').send(body);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, format: 'ndjson', accepted: 1, rejected: 1, errors: [{ ref: 'line 2' }] });
+        const stored = await request(app).get('/logs?service=ndjson-svc');
+        expect(stored.body.data).toEqual([expect.objectContaining({ level: 'error', message: 'Connection refused' })]);
+    });
+
+    it('should store a JSON array, with ?service= for entries that name none', async () => {
+        const res = await request(app).post('/logs/bulk?service=array-svc')
+            .send([{ level: 'WARNING', message: 'Queue depth 900' }, { level: 'debug', message: 'Tick' }, 'oops']);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ format: 'json', accepted: 2, rejected: 1, errors: [{ ref: 'item 3' }] });
+        expect((await queryLogs({ service: 'array-svc', min_level: 'warn' })).data.map((l) => l.message)).toEqual(['Queue depth 900']);
+    });
+
+    it('should take JSON arrays over the global 100 kB body limit', async () => {
+        const entries = Array.from({ length: 1500 }, (_, i) => ({ level: 'info', service: 'big-array-svc', message: `Processed batch ${i} of the nightly export job` }));
+        expect(JSON.stringify(entries).length).toBeGreaterThan(100 * 1024);
+
+        const res = await request(app).post('/logs/bulk').send(entries);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, format: 'json', accepted: 1500, rejected: 0 });
+    });
+
+    it('should answer a malformed JSON body in JSON', async () => {
+        const res = await request(app).post('/logs/bulk').set('Content-Type', 'application/json').send('[{"level":');
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ success: false, error: expect.any(String) });
+    });
+
+    it('should store logfmt sent as plain text', async () => {
+        const res = await request(app).post('/logs/bulk').set('Content-Type', 'text/plain')
+            .send('level=crit service=logfmt-svc msg="Disk full on /var" mount=/var\nlevel=info service=logfmt-svc msg=Recovered');
+
+        expect(res.body).toMatchObject({ format: 'logfmt', accepted: 2, rejected: 0 });
+        const stored = await queryLogs({ service: 'logfmt-svc', sort: 'asc' });
+        expect(stored.data.map((l) => [l.level, l.message, l.metadata.mount])).toEqual([
+            ['fatal', 'Disk full on /var', '/var'],
+            ['info', 'Recovered', undefined],
+        ]);
+    });
+
+    it('should respond 400 when nothing is valid, and 415 for other content types', async () => {
+        const none = await request(app).post('/logs/bulk').set('Content-Type', 'application/x-ndjson').send('{"msg":"x"}');
+        expect(none.status).toBe(400);
+        expect(none.body.errors).toHaveLength(1);
+
+        const badFormat = await request(app).post('/logs/bulk?format=csv').set('Content-Type', 'text/plain').send('a,b');
+        expect(badFormat.status).toBe(400);
+
+        const xml = await request(app).post('/logs/bulk').set('Content-Type', 'application/xml').send('<log/>');
+        expect(xml.status).toBe(415);
+    });
+});
+
+describe('Syslog', () => {
+    const MESSAGE = '<165>1 2025-03-09T12:00:00.000Z web-1 auth-service 812 ID47 [req@32473 id="r-1" path="/login"] Slow login';
+
+    it('should parse RFC 5424 messages', () => {
+        expect(parseSyslog(MESSAGE)).toEqual({
+            timestamp: '2025-03-09T12:00:00.000Z',
+            level: 'notice',
+            service: 'auth-service',
+            message: 'Slow login',
+            metadata: {
+                source: 'syslog', facility: 'local4', hostname: 'web-1', procid: '812', msgid: 'ID47',
+                structured_data: { 'req@32473': { id: 'r-1', path: '/login' } },
+            },
+        });
+        expect(parseSyslog('<11>1 - - - - - - Disk failure')).toMatchObject({ level: 'err', service: 'syslog', metadata: { facility: 'user' } });
+        expect(() => parseSyslog('<34>Oct 11 22:14:15 mymachine su: BSD style')).toThrow(/RFC 5424/);
+    });
+
+    it('should split octet-counted and newline-terminated TCP frames', () => {
+        const first = '<14>1 - - app - - - one';
+        const { frames, rest } = splitFrames(Buffer.from(`${first.length} ${first}<14>1 - - app - - - two\n<14>1 - - app - - - thr`));
+
+        expect(frames).toEqual([first, '<14>1 - - app - - - two']);
+        expect(rest.toString()).toBe('<14>1 - - app - - - thr');
+    });
+
+    it('should receive over UDP and TCP and write in batches', async () => {
+        const batches = [];
+        const write = async (entries) => {
+            batches.push(entries.length);
+            return insertLogs(entries);
+        };
+        const listener = await startSyslogListener({ port: 0, host: '127.0.0.1', write, batch: { maxSize: 100, flushMs: 50 } });
+
+        try {
+            const udp = dgram.createSocket('udp4');
+            await new Promise((resolve) => udp.send('<12>1 - host-a udp-svc - - - Over UDP', listener.addresses.udp.port, '127.0.0.1', resolve));
+            udp.close();
+
+            const tcpMessage = '<11>1 - host-b tcp-svc - - - Over TCP';
+            await new Promise((resolve) => {
+                const socket = net.connect(listener.addresses.tcp.port, '127.0.0.1', () => {
+                    socket.end(`${tcpMessage.length} ${tcpMessage}not syslog\n`);
+                });
+                socket.on('close', resolve);
+            });
+
+            for (let i = 0; i < 50 && listener.stats().received < 3; i++) await new Promise((r) => setTimeout(r, 20));
+            await listener.flush();
+
+            expect(listener.stats()).toMatchObject({ received: 3, accepted: 2, rejected: 1, pending: 0 });
+            expect(batches.reduce((a, b) => a + b, 0)).toBe(2);
+            const stored = await queryLogs({ service: 'udp-svc,tcp-svc', sort: 'asc' });
+            expect(stored.data.map((l) => [l.service, l.level, l.message, l.metadata.hostname]).sort()).toEqual([
+                ['tcp-svc', 'error', 'Over TCP', 'host-b'],
+                ['udp-svc', 'warn', 'Over UDP', 'host-a'],
+            ]);
+        } finally {
+            await listener.close();
+        }
+    });
+});
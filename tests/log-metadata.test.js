@@ -0,0 +1,118 @@
+/**
+ * Tests: Metadata filters and grouping on logs (lib/log-metadata.js)
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('log-metadata');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const { insertLogs, queryLogs, logStats } = require('../tools/logs-db');
+const { parseMetadataFilters } = require('../lib/log-metadata');
+
+const TRACE = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+beforeAll(async () => {
+    // A logs table from before the metadata columns, with a row already in it
+    await database.getDatabase();
+    database.exec(`
+    CREATE TABLE logs (
+      id TEXT PRIMARY KEY, timestamp TEXT NOT NULL, level TEXT NOT NULL,
+      service TEXT NOT NULL, message TEXT NOT NULL, metadata TEXT DEFAULT '{}'
+    )
+  `);
+    database.run(
+        "INSERT INTO logs (id, timestamp, level, service, message, metadata) VALUES ('old-1', '2025-03-09T11:00:00.000Z', 'error', 'meta-api', 'Old row', $metadata)",
+        { $metadata: JSON.stringify({ trace_id: TRACE, pod: 'api-7d9f8b6c4-x2k9p' }) }
+    );
+
+    await insertLogs([
+        { level: 'error', service: 'meta-api', message: 'Timeout calling payments', metadata: { trace_id: TRACE, pod: 'api-7d9f8b6c4-x2k9p', node: 'node-1' } },
+        { level: 'error', service: 'meta-pay', message: 'Charge failed', metadata: { trace_id: TRACE, pod: 'pay-5c8d7f9a2-mn4kp', node: 'node-2', k8s: { namespace: 'payments' }, attempt: 3 } },
+        { level: 'warn', service: 'meta-pay', message: 'Retrying charge', metadata: { trace_id: 'other', pod: 'pay-5c8d7f9a2-mn4kp', node: 'node-2', k8s: { namespace: 'payments' }, attempt: 2 } },
+        { level: 'info', service: 'meta-pay', message: 'No pod here', metadata: { k8s: { namespace: 'payments' }, cached: true } },
+    ]);
+});
+
+describe('lib/log-metadata', () => {
+    it('should parse metadata.<key> params and metadata objects', () => {
+        expect(parseMetadataFilters({ 'metadata.pod': 'a,b', 'metadata.k8s.node': '*', service: 'x' })).toEqual([
+            { key: 'pod', op: 'in', values: ['a', 'b'] },
+            { key: 'k8s.node', op: 'exists', values: [] },
+        ]);
+        expect(parseMetadataFilters({ metadata: { trace_id: 'abc', k8s: { namespace: ['p', 'q'] }, region: true } })).toEqual([
+            { key: 'trace_id', op: 'in', values: ['abc'] },
+            { key: 'k8s.namespace', op: 'in', values: ['p', 'q'] },
+            { key: 'region', op: 'exists', values: [] },
+        ]);
+        expect(() => parseMetadataFilters({ "metadata.pod']": 'x' })).toThrow(/Invalid metadata key/);
+        expect(() => parseMetadataFilters({ 'metadata.pod': '' })).toThrow(/Invalid value/);
+    });
+});
+
+describe('Metadata filters', () => {
+    it('should add indexed columns to an existing logs table', async () => {
+        await queryLogs({});
+        const columns = database.queryAll('PRAGMA table_xinfo(logs)').map((c) => c.name);
+        expect(columns).toEqual(expect.arrayContaining(['meta_trace_id', 'meta_request_id', 'meta_pod', 'meta_node', 'meta_hostname']));
+
+        const plan = database.queryAll("EXPLAIN QUERY PLAN SELECT id FROM logs l WHERE l.meta_trace_id IN ('x')");
+        expect(plan.map((row) => row.detail).join(' ')).toMatch(/idx_logs_meta_trace_id/);
+    });
+
+    it('should find every log for a trace id, without the virtual columns in rows', async () => {
+        const res = await request(app).get(`/logs?metadata.trace_id=${TRACE}&sort=asc`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((l) => l.message)).toEqual(['Old row', 'Timeout calling payments', 'Charge failed']);
+        expect(res.body.data[0]).not.toHaveProperty('meta_trace_id');
+        expect(res.body.filters.metadata).toEqual({ trace_id: TRACE });
+    });
+
+    it('should support IN, existence, nested keys and typed values', async () => {
+        const messages = async (options) => (await queryLogs({ service: 'meta-pay', sort: 'asc', ...options })).data.map((l) => l.message);
+
+        expect(await messages({ 'metadata.node': 'node-1,node-2' })).toEqual(['Charge failed', 'Retrying charge']);
+        expect(await messages({ 'metadata.pod': '*' })).toEqual(['Charge failed', 'Retrying charge']);
+        expect(await messages({ 'metadata.k8s.namespace': 'payments', 'metadata.attempt': '3' })).toEqual(['Charge failed']);
+        expect(await messages({ metadata: { cached: 'true' } })).toEqual(['No pod here']);
+        expect(await messages({ metadata: { pod: ['pay-5c8d7f9a2-mn4kp'] }, search: 'retrying' })).toEqual(['Retrying charge']);
+    });
+
+    it('should respond 400 for a bad metadata filter', async () => {
+        const res = await request(app).get('/logs?metadata.pod%27=x');
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/metadata key/);
+    });
+});
+
+describe('GET /logs/stats group_by', () => {
+    it('should count logs by metadata keys', async () => {
+        const res = await request(app).get('/logs/stats?service=meta-pay&group_by=node,k8s.namespace');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            total: 3,
+            group_by: ['node', 'k8s.namespace'],
+            groups: [
+                { node: 'node-2', 'k8s.namespace': 'payments', count: 2 },
+                { node: null, 'k8s.namespace': 'payments', count: 1 },
+            ],
+        });
+    });
+
+    it('should combine group_by with metadata filters and reject bad keys', async () => {
+        const { data } = await logStats({ 'metadata.trace_id': TRACE, group_by: 'metadata.pod' });
+        expect(data.total).toBe(3);
+        expect(data.groups).toEqual([
+            { pod: 'api-7d9f8b6c4-x2k9p', count: 2 },
+            { pod: 'pay-5c8d7f9a2-mn4kp', count: 1 },
+        ]);
+
+        expect((await request(app).get('/logs/stats?group_by=a,b,c,d')).status).toBe(400);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests: Log pattern mining (lib/log-patterns.js, GET /logs/patterns)
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('log-patterns');
+
+const request = require('supertest');
+const app = require('../server');
+const { insertLogs, logPatterns } = require('../tools/logs-db');
+const { maskMessage, minePatterns } = require('../lib/log-patterns');
+
+const T0 = Date.parse('2025-03-09T12:00:00.000Z');
+const at = (minutes) => new Date(T0 + minutes * 60 * 1000).toISOString();
+
+describe('lib/log-patterns', () => {
+    it('should mask ids, numbers, pod names and durations', () => {
+        expect(maskMessage('Pod payment-service-7d9f8b6c4-x2k9p restarted after 5m0s (exit 137)'))
+            .toBe('Pod <POD> restarted after <DURATION> (exit <NUM>)');
+        expect(maskMessage('User u-9823 request 3f2b8c1e-4d5a-4b6c-9e7f-0a1b2c3d4e5f from 10.0.3.17:8080 took 1840ms'))
+            .toBe('User <ID> request <UUID> from <IP> took <DURATION>');
+        expect(maskMessage('Checkout failed')).toBe('Checkout failed');
+    });
+
+    it('should group similar lines and keep different ones apart', () => {
+        const entries = [];
+        for (let i = 0; i < 50; i++) {
+            entries.push({ timestamp: at(i), level: 'error', service: 'payment-service', message: `Upstream timeout: payment-service:8080 after ${30000 + i}ms` });
+        }
+        entries.push({ timestamp: at(10), level: 'warn', service: 'auth-service', message: 'Cache miss for session s-4411' });
+        entries.push({ timestamp: at(20), level: 'warn', service: 'auth-service', message: 'Cache miss for session s-9120' });
+        entries.push({ timestamp: at(30), level: 'info', service: 'auth-service', message: 'Login ok for alice' });
+        entries.push({ timestamp: at(31), level: 'info', service: 'auth-service', message: 'Login ok for bob' });
+
+        const patterns = minePatterns(entries, { samples: 2 });
+
+        expect(patterns.map((p) => [p.template, p.count])).toEqual([
+            ['Upstream timeout: payment-service:<NUM> after <DURATION>', 50],
+            ['Login ok for <*>', 2],
+            ['Cache miss for session <ID>', 2],
+        ]);
+        expect(patterns[0]).toMatchObject({
+            id: expect.stringMatching(/^[0-9a-f]{10}$/),
+            first_seen: at(0),
+            last_seen: at(49),
+            levels: { error: 50 },
+            services: [{ service: 'payment-service', count: 50 }],
+        });
+        expect(patterns[0].samples.map((s) => s.message)).toEqual([
+            'Upstream timeout: payment-service:8080 after 30049ms',
+            'Upstream timeout: payment-service:8080 after 30048ms',
+        ]);
+    });
+});
+
+describe('GET /logs/patterns', () => {
+    beforeAll(async () => {
+        const entries = [];
+        for (let i = 0; i < 12; i++) {
+            entries.push({ timestamp: at(i), level: 'error', service: 'pattern-pay', message: `Charge ch_${1000 + i}x declined for order ${500 + i}`, metadata: {} });
+        }
+        entries.push({ timestamp: at(3), level: 'info', service: 'pattern-pay', message: 'Settlement batch closed', metadata: {} });
+        entries.push({ timestamp: at(60), level: 'error', service: 'pattern-pay', message: 'Charge ch_9999x declined for order 42', metadata: {} });
+        entries.push({ timestamp: at(5), level: 'error', service: 'pattern-ship', message: 'Label printer offline', metadata: {} });
+        await insertLogs(entries);
+    });
+
+    it('should return patterns for a service and time window', async () => {
+        const res = await request(app).get(`/logs/patterns?service=pattern-pay&since=${at(0)}&until=${at(30)}&samples=1`);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, lines: 13, truncated: false, pattern_count: 2, count: 2 });
+        expect(res.body.filters).toMatchObject({ service: 'pattern-pay', since: at(0), until: at(30) });
+        expect(res.body.data[0]).toMatchObject({
+            template: 'Charge <ID> declined for order <NUM>',
+            count: 12,
+            first_seen: at(0),
+            last_seen: at(11),
+            samples: [expect.objectContaining({ service: 'pattern-pay', level: 'error', message: 'Charge ch_1011x declined for order 511' })],
+        });
+        expect(res.body.data[1]).toMatchObject({ template: 'Settlement batch closed', count: 1 });
+    });
+
+    it('should keep the default similarity when none is given', async () => {
+        await insertLogs([
+            { timestamp: at(7), level: 'warn', service: 'pattern-cache', message: 'Cache refresh failed for tenant blue', metadata: {} },
+            { timestamp: at(8), level: 'warn', service: 'pattern-cache', message: 'Cache refresh completed in record time', metadata: {} },
+        ]);
+        const res = await request(app).get('/logs/patterns?service=pattern-cache');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((p) => p.template).sort()).toEqual(['Cache refresh completed in record time', 'Cache refresh failed for tenant blue']);
+    });
+
+    it('should mine only the newest lines over max_lines', async () => {
+        const result = await logPatterns({ service: 'pattern-pay', min_level: 'error', max_lines: 5, limit: 1 });
+
+        expect(result).toMatchObject({ lines: 5, truncated: true, pattern_count: 1, count: 1 });
+        expect(result.data[0]).toMatchObject({ count: 5, last_seen: at(60) });
+    });
+
+    it('should respond 400 for bad parameters', async () => {
+        expect((await request(app).get('/logs/patterns?similarity=2')).status).toBe(400);
+        expect((await request(app).get('/logs/patterns?since=yesterday')).status).toBe(400);
+        expect((await request(app).get('/logs/patterns?min_level=loud')).status).toBe(400);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests: Live log tailing (GET /logs/stream)
+ */
+
+'use strict';
+
+const http = require('http');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('log-stream');
+process.env.LOGS_STREAM_HEARTBEAT_MS = '50';
+
+const request = require('supertest');
+const app = require('../server');
+const { insertLog, insertLogs } = require('../tools/logs-db');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    await request(app).get('/logs/stats'); // creates and seeds the logs table
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/**
+ * Open a stream and collect what it sends.
+ * @returns {Promise<object>} { status, headers, events, raw, waitFor(predicate), close() }
+ */
+function openStream(query = '', headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}/logs/stream${query}`, { headers }, (res) => {
+            const stream = { status: res.statusCode, headers: res.headers, events: [], raw: '' };
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                stream.raw += chunk;
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n').filter((l) => !l.startsWith(':')).map((l) => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+                    if (fields.event) stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+                }
+            });
+            stream.waitFor = async (predicate) => {
+                for (let i = 0; i < 100 && !predicate(stream); i++) await new Promise((r) => setTimeout(r, 20));
+                return stream;
+            };
+            stream.close = () => req.destroy();
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+}
+
+describe('GET /logs/stream', () => {
+    it('should push new entries matching the filters, as they are inserted', async () => {
+        const stream = await openStream('?service=stream-a,stream-b&min_level=warn');
+        try {
+            expect(stream.status).toBe(200);
+            expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+
+            await insertLog({ level: 'error', service: 'stream-a', message: 'Disk full' });
+            await insertLog({ level: 'info', service: 'stream-a', message: 'Too quiet' });
+            await insertLogs([
+                { level: 'warn', service: 'stream-b', message: 'Slow query' },
+                { level: 'fatal', service: 'elsewhere', message: 'Other service' },
+            ]);
+
+            await stream.waitFor((s) => s.events.length >= 2);
+            expect(stream.events.map((e) => [e.event, e.data.service, e.data.message])).toEqual([
+                ['log', 'stream-a', 'Disk full'],
+                ['log', 'stream-b', 'Slow query'],
+            ]);
+            expect(Number(stream.events[1].id)).toBeGreaterThan(Number(stream.events[0].id));
+        } finally {
+            stream.close();
+        }
+    });
+
+    it('should apply full-text search to streamed entries', async () => {
+        const stream = await openStream(`?search=${encodeURIComponent('service:stream-c "connection refused"')}`);
+        try {
+            await insertLogs([
+                { level: 'error', service: 'stream-c', message: 'Upstream connection refused' },
+                { level: 'error', service: 'stream-c', message: 'Upstream refused the connection' },
+            ]);
+
+            await stream.waitFor((s) => s.events.length >= 1);
+            await new Promise((r) => setTimeout(r, 50));
+            expect(stream.events.map((e) => e.data.message)).toEqual(['Upstream connection refused']);
+        } finally {
+            stream.close();
+        }
+    });
+
+    it('should resume after Last-Event-ID and send heartbeats', async () => {
+        const first = await openStream('?service=stream-d');
+        let lastId;
+        try {
+            await insertLog({ level: 'info', service: 'stream-d', message: 'one' });
+            await first.waitFor((s) => s.events.length >= 1);
+            lastId = first.events[0].id;
+        } finally {
+            first.close();
+        }
+
+        await insertLogs([
+            { level: 'info', service: 'stream-d', message: 'two' },
+            { level: 'info', service: 'stream-d', message: 'three' },
+        ]);
+
+        const resumed = await openStream('?service=stream-d', { 'Last-Event-ID': lastId });
+        try {
+            await resumed.waitFor((s) => s.events.length >= 2 && s.raw.includes(': heartbeat'));
+            expect(resumed.events.map((e) => e.data.message)).toEqual(['two', 'three']);
+            expect(resumed.raw).toContain(': heartbeat');
+        } finally {
+            resumed.close();
+        }
+    });
+
+    it('should respond 400 for bad filters or a bad Last-Event-ID', async () => {
+        expect((await request(app).get('/logs/stream?min_level=loud')).status).toBe(400);
+        expect((await request(app).get('/logs/stream').set('Last-Event-ID', 'abc')).status).toBe(400);
+    });
+});
@@ -6,6 +6,7 @@
 
 const request = require('supertest');
 const app = require('../server');
+const { insertLog } = require('../tools/logs-db');
 
 describe('MCP Tool: logs-db', () => {
     describe('GET /logs', () => {
@@ -73,6 +74,111 @@ describe('MCP Tool: logs-db', () => {
         });
     });
 
+    describe('GET /logs time range, minimum level and services', () => {
+        // Unique service names keep these rows apart from other runs against the same database
+        const run = Date.now().toString(36);
+        const checkout = `checkout-${run}`;
+        const cart = `cart-${run}`;
+
+        beforeAll(async () => {
+            await insertLog({ level: 'info', service: checkout, message: 'Checkout started', timestamp: '2020-01-01T10:00:00.000Z' });
+            await insertLog({ level: 'warn', service: checkout, message: 'Slow inventory lookup', timestamp: '2020-01-01T10:05:00.000Z' });
+            await insertLog({ level: 'info', service: cart, message: 'Cart saved', timestamp: '2020-01-01T10:07:00.000Z' });
+            await insertLog({ level: 'error', service: checkout, message: 'Payment declined', timestamp: '2020-01-01T10:10:00.000Z' });
+            await insertLog({ level: 'fatal', service: checkout, message: 'Checkout crashed', timestamp: '2020-01-01T10:20:00.000Z' });
+            await insertLog({ level: 'info', service: checkout, message: 'Checkout restarted' });
+        });
+
+        it('should return entries between since and until, oldest first', async () => {
+            const res = await request(app)
+                .get(`/logs?service=${checkout},${cart}&since=2020-01-01T10:02:00Z&until=2020-01-01T10:15:00Z&sort=asc`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.map((l) => l.message)).toEqual(['Slow inventory lookup', 'Cart saved', 'Payment declined']);
+            expect(res.body.filters).toMatchObject({
+                service: `${checkout},${cart}`, since: '2020-01-01T10:02:00.000Z', until: '2020-01-01T10:15:00.000Z', sort: 'asc',
+            });
+        });
+
+        it('should filter by minimum level, newest first', async () => {
+            const res = await request(app).get(`/logs?service=${checkout}&min_level=warn`);
+
+            expect(res.body.data.map((l) => l.level)).toEqual(['fatal', 'error', 'warn']);
+        });
+
+        it('should accept relative times', async () => {
+            const res = await request(app).get(`/logs?service=${checkout}&since=15m`);
+
+            expect(res.body.data.map((l) => l.message)).toEqual(['Checkout restarted']);
+        });
+
+        it('should reject a bad time, sort or level combination', async () => {
+            for (const query of ['since=yesterday-ish', 'sort=sideways', 'level=error&min_level=warn', 'min_level=loud', 'since=1m&until=1h']) {
+                const res = await request(app).get(`/logs?${query}`);
+
+                expect(res.status).toBe(400);
+                expect(res.body.success).toBe(false);
+            }
+        });
+    });
+
+    describe('GET /logs full-text search', () => {
+        const run = Date.now().toString(36);
+        const worker = `worker-${run}`;
+        const cache = `cache-${run}`;
+        const only = `service=${worker},${cache}`;
+        const messages = async (query) => (await request(app).get(`/logs?${only}&${query}`)).body.data.map((l) => l.message);
+
+        beforeAll(async () => {
+            await insertLog({ level: 'error', service: worker, message: 'OOMKilled: container exceeded memory limit', timestamp: '2020-02-01T10:00:00.000Z' });
+            await insertLog({ level: 'warn', service: worker, message: 'Memory limit nearly reached, killed idle workers', timestamp: '2020-02-01T10:01:00.000Z' });
+            await insertLog({ level: 'warn', service: worker, message: 'Memory pressure: memory use keeps growing, memory not released', timestamp: '2020-02-01T10:02:00.000Z' });
+            await insertLog({ level: 'info', service: cache, message: 'Warm-up finished in 120ms', metadata: { pod: 'cache-7f9' }, timestamp: '2020-02-01T10:03:00.000Z' });
+        });
+
+        it('should match phrases and highlight them in snippets', async () => {
+            const res = await request(app).get(`/logs?${only}&search=${encodeURIComponent('"memory limit"')}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.filters.sort).toBe('relevance');
+            expect(res.body.data).toHaveLength(2);
+            for (const log of res.body.data) {
+                expect(log.snippet).toMatch(/<mark>memory<\/mark> <mark>limit<\/mark>/i);
+                expect(log.score).toBeGreaterThan(0);
+            }
+        });
+
+        it('should support field scopes, prefixes and boolean operators', async () => {
+            const search = async (query) => messages(`search=${encodeURIComponent(query)}`);
+
+            expect(await search(`service:${worker} "OOMKilled"`)).toEqual(['OOMKilled: container exceeded memory limit']);
+            expect(await search('memory limit NOT oomkilled')).toEqual(['Memory limit nearly reached, killed idle workers']);
+            expect(await search('memory limit -oomkilled')).toEqual(['Memory limit nearly reached, killed idle workers']);
+            expect(await search('(oomkilled OR warm*) AND level:info')).toEqual(['Warm-up finished in 120ms']);
+            expect(await search('metadata:cache')).toEqual(['Warm-up finished in 120ms']);
+            expect(await search('message:cache')).toEqual([]);
+        });
+
+        it('should rank the best match first unless a sort order is given', async () => {
+            expect((await messages('search=memory'))[0]).toBe('Memory pressure: memory use keeps growing, memory not released');
+            expect(await messages('search=memory&sort=asc')).toEqual([
+                'OOMKilled: container exceeded memory limit',
+                'Memory limit nearly reached, killed idle workers',
+                'Memory pressure: memory use keeps growing, memory not released',
+            ]);
+        });
+
+        it('should reject malformed searches', async () => {
+            for (const query of ['"unterminated', '(memory', 'memory OR', 'host:web-1', 'level:loud']) {
+                const res = await request(app).get(`/logs?search=${encodeURIComponent(query)}`);
+
+                expect(res.status).toBe(400);
+                expect(res.body.success).toBe(false);
+            }
+            expect((await request(app).get('/logs?sort=relevance')).status).toBe(400);
+        });
+    });
+
     describe('POST /logs', () => {
         it('should insert a new log entry', async () => {
             const res = await request(app)
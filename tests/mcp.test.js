@@ -0,0 +1,130 @@
+/**
+ * Tests: MCP tools over the protocol (mcp-server.js /mcp)
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('mcp');
+
+const path = require('path');
+const request = require('supertest');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const app = require('../mcp-server');
+const { insertLogs } = require('../tools/logs-db');
+const alerts = require('../lib/alerts');
+
+let server;
+let client;
+
+beforeAll(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    client = new Client({ name: 'mcp-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${server.address().port}/mcp`)));
+});
+
+afterAll(async () => {
+    await client.close();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+/** Call a tool and parse the JSON it answers with. */
+async function callTool(name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    return JSON.parse(result.content[0].text);
+}
+
+describe('MCP tools', () => {
+    it('should list the parameters of every tool', async () => {
+        const { tools } = await client.listTools();
+        const byName = Object.fromEntries(tools.map((tool) => [tool.name, tool.inputSchema]));
+
+        expect(Object.keys(byName.fetch_metrics.properties)).toEqual(['service', 'node', 'seed']);
+        expect(byName.fetch_metrics.properties.service).toMatchObject({ type: 'string', description: expect.stringContaining('service') });
+        expect(byName.get_alert).toMatchObject({ properties: { fingerprint: { type: 'string' } }, required: ['fingerprint'] });
+        expect(byName.load_scenario.properties.scenario.type).toBe('object');
+        expect(byName.execute_remediation.properties.params.type).toBe('object');
+        expect(tools.filter((tool) => Object.keys(tool.inputSchema.properties || {}).length === 0).map((tool) => tool.name).sort())
+            .toEqual(['get_system_status', 'list_actions', 'list_rules', 'list_scenarios']);
+    });
+
+    it('should pass arguments through to fetch_metrics', async () => {
+        const metrics = await callTool('fetch_metrics', { service: 'payment-service', seed: 'mcp' });
+
+        expect(metrics.services.map((s) => s.name)).toEqual(['payment-service']);
+        expect(await callTool('fetch_metrics', { service: 'payment-service', seed: 'mcp' })).toMatchObject({ services: metrics.services });
+        const history = await request(app).get('/metrics/history?limit=5');
+        expect(history.body.data.map((p) => p.id)).not.toContain(metrics.id);
+    });
+
+    it('should move an incident through its lifecycle by id', async () => {
+        const { incident } = await callTool('open_incident', { type: 'high_cpu', severity: 'critical', service: 'auth-service', labels: { cluster: 'prod-eu-1' } });
+        expect(incident).toMatchObject({ status: 'open', service: 'auth-service', labels: { cluster: 'prod-eu-1' } });
+
+        expect((await callTool('acknowledge_incident', { id: incident.id, actor: 'alice' })).incident).toMatchObject({ id: incident.id, status: 'acknowledged' });
+        expect((await callTool('resolve_incident', { id: incident.id, resolution: 'Scaled out' })).incident).toMatchObject({ id: incident.id, status: 'resolved' });
+
+        const fetched = (await callTool('get_incident', { id: incident.id })).incident;
+        expect(fetched).toMatchObject({ id: incident.id, status: 'resolved', resolution: 'Scaled out' });
+        expect(fetched.events.map((e) => [e.type, e.actor])).toEqual([['opened', 'agent'], ['acknowledged', 'alice'], ['resolved', 'agent']]);
+
+        expect((await callTool('list_incidents', { service: 'auth-service', status: 'resolved' })).data.map((i) => i.id)).toEqual([incident.id]);
+    });
+
+    it('should reject an incident call without its id', async () => {
+        const result = await client.callTool({ name: 'get_incident', arguments: {} });
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toMatch(/id/);
+    });
+
+    it('should filter query_logs by level, search and metadata', async () => {
+        await insertLogs([
+            { level: 'fatal', service: 'mcp-logs', message: 'Kernel panic on worker', metadata: { pod: 'worker-1' } },
+            { level: 'fatal', service: 'mcp-logs', message: 'Out of memory on worker', metadata: { pod: 'worker-2' } },
+            { level: 'error', service: 'mcp-logs', message: 'Kernel module failed', metadata: { pod: 'worker-1' } },
+        ]);
+        const messages = async (args) => (await callTool('query_logs', { service: 'mcp-logs', ...args })).logs.map((l) => l.message).sort();
+
+        expect(await messages({ level: 'fatal' })).toEqual(['Kernel panic on worker', 'Out of memory on worker']);
+        expect(await messages({ search: 'kernel' })).toEqual(['Kernel module failed', 'Kernel panic on worker']);
+        expect(await messages({ level: 'fatal', metadata: { pod: 'worker-1' } })).toEqual(['Kernel panic on worker']);
+    });
+
+    it('should get an alert by fingerprint', async () => {
+        const fixture = require(path.join(__dirname, 'fixtures', 'alertmanager', 'firing.json'));
+        const received = await request(app).post('/alerts/alertmanager').send(fixture);
+        const { fingerprint } = received.body.alerts[0];
+
+        expect((await callTool('get_alert', { fingerprint })).alert).toMatchObject({ fingerprint, source: 'alertmanager', status: 'firing' });
+        expect(await callTool('get_alert', { fingerprint: 'missing' })).toMatchObject({ success: false, error: expect.stringContaining('missing') });
+    });
+
+    it('should run a remediation, including the loose argument formats', async () => {
+        expect(await callTool('execute_remediation', { action: 'scale_pods', params: { service: 'payment-service', replicas: 4 }, reason: 'load' }))
+            .toMatchObject({ success: true, action: 'scale_pods', params: { service: 'payment-service', replicas: 4 } });
+        expect(await callTool('execute_remediation', { name: 'restart_service', params: { service: 'auth-service' } }))
+            .toMatchObject({ success: true, action: 'restart_service', params: { service: 'auth-service' } });
+        expect(await callTool('execute_remediation', { clear_cache: { service: 'auth-service' } }))
+            .toMatchObject({ success: true, action: 'clear_cache', params: { service: 'auth-service' } });
+    });
+
+    it('should report every firing Alertmanager alert in get_system_status', async () => {
+        await alerts.recordExternalAlerts('alertmanager', Array.from({ length: 120 }, (_, i) => ({
+            status: 'firing',
+            rule: 'QueueBacklog',
+            type: 'queue_backlog',
+            severity: 'warning',
+            scope: 'service',
+            service: `queue-${i}`,
+            labels: { alertname: 'QueueBacklog', service: `queue-${i}` },
+            summary: `Backlog on queue-${i}`,
+        })));
+
+        const status = await callTool('get_system_status');
+        const backlog = [...status.active_incidents, ...status.silenced_incidents].filter((alert) => alert.rule === 'QueueBacklog');
+        expect(backlog).toHaveLength(120);
+    });
+});
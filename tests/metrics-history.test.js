@@ -0,0 +1,181 @@
+/**
+ * Tests: Persistent metrics history, rollups and retention
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('history');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const metricsStore = require('../lib/metrics-store');
+const { generateMetrics } = require('../lib/metrics-sources/simulator');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// A fixed, whole-hour origin keeps bucket boundaries predictable
+const T0 = Date.parse('2025-03-01T00:00:00.000Z');
+
+/** A simulator snapshot stamped at `epochMs` with a known CPU value */
+function snapshotAt(epochMs, cpu) {
+    const snapshot = generateMetrics();
+    snapshot.id = `test-${epochMs}`;
+    snapshot.epoch_ms = epochMs;
+    snapshot.timestamp = new Date(epochMs).toISOString();
+    snapshot.infrastructure.cpu_percent = cpu;
+    return snapshot;
+}
+
+async function recordSeries(startMs, count, intervalMs, cpuOf) {
+    for (let i = 0; i < count; i++) {
+        await metricsStore.recordSnapshot(snapshotAt(startMs + i * intervalMs, cpuOf(i)));
+    }
+}
+
+describe('lib/metrics-store', () => {
+    beforeEach(async () => {
+        await database.getDatabase();
+        database.exec('DROP TABLE IF EXISTS metric_snapshots; DROP TABLE IF EXISTS metric_rollups;');
+        metricsStore._resetTablesReady();
+    });
+
+    it('should roll completed minutes up into 1m, 5m and 1h buckets', async () => {
+        // Two hours of data every 30s; cpu equals the minute index
+        await recordSeries(T0, 240, 30 * 1000, (i) => Math.floor(i / 2));
+
+        const result = await metricsStore.compact(T0 + 2 * HOUR + 1);
+
+        expect(result.rolled_up).toEqual({ '1m': 120, '5m': 24, '1h': 2 });
+        const stats = await metricsStore.historyStats();
+        const byTier = Object.fromEntries(stats.map((s) => [s.resolution, s.rows]));
+        expect(byTier).toEqual({ raw: 240, '1m': 120, '5m': 24, '1h': 2 });
+
+        const [firstHour] = await metricsStore.queryHistory({ from: T0, to: T0 + HOUR - 1, step: HOUR });
+        expect(firstHour.infrastructure.cpu_percent).toBeCloseTo(29.5, 5);
+        expect(firstHour.samples).toBe(120);
+    });
+
+    it('should drop data past retention once it has been rolled up', async () => {
+        await recordSeries(T0, 20, 30 * 1000, () => 50);
+
+        // Seven hours later, raw (6h) has expired but the 1m rollups remain
+        const result = await metricsStore.compact(T0 + 7 * HOUR);
+
+        expect(result.deleted.raw).toBe(20);
+        const points = await metricsStore.queryHistory({ from: T0, to: T0 + 10 * MINUTE });
+        expect(points.length).toBe(10);
+        expect(points[0].resolution).toBe('1m');
+        expect(points[0].infrastructure.cpu_percent).toBe(50);
+    });
+
+    it('should merge late snapshots into an existing bucket', async () => {
+        await metricsStore.recordSnapshot(snapshotAt(T0 + 10 * 1000, 10));
+        await metricsStore.compact(T0 + 2 * MINUTE);
+        await metricsStore.recordSnapshot(snapshotAt(T0 + 20 * 1000, 30));
+        await metricsStore.compact(T0 + 3 * MINUTE);
+
+        const [bucket] = await metricsStore.queryHistory({ from: T0, to: T0 + MINUTE - 1, step: MINUTE });
+        expect(bucket.infrastructure.cpu_percent).toBe(20);
+        expect(bucket.samples).toBe(2);
+    });
+
+    it('should backfill from coarser tiers where raw data has expired', async () => {
+        await recordSeries(T0, 60, MINUTE, () => 40);
+        await metricsStore.compact(T0 + 7 * HOUR);
+        await recordSeries(T0 + 7 * HOUR, 4, 15 * 1000, () => 80);
+
+        const points = await metricsStore.queryHistory({ from: T0, to: T0 + 8 * HOUR, step: 30 * MINUTE });
+
+        expect(points.map((p) => p.infrastructure.cpu_percent)).toEqual([40, 40, 80]);
+    });
+
+    it('should return the latest snapshots when no range is given', async () => {
+        await recordSeries(T0, 5, 1000, (i) => i);
+
+        const points = await metricsStore.queryHistory({ limit: 2 });
+
+        expect(points.map((p) => p.infrastructure.cpu_percent)).toEqual([3, 4]);
+    });
+});
+
+describe('GET /metrics/history', () => {
+    beforeAll(async () => {
+        await database.getDatabase();
+        database.exec('DROP TABLE IF EXISTS metric_snapshots; DROP TABLE IF EXISTS metric_rollups;');
+        metricsStore._resetTablesReady();
+        await recordSeries(T0, 30, 10 * 1000, (i) => i);
+    });
+
+    it('should persist snapshots served by GET /metrics', async () => {
+        const served = await request(app).get('/metrics');
+        const res = await request(app).get('/metrics/history?limit=1');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data[0].id).toBe(served.body.data.id);
+    });
+
+    it('should leave seeded snapshots out of the history', async () => {
+        const seeded = await request(app).get('/metrics?seed=not-now');
+        const res = await request(app).get('/metrics/history?limit=5');
+
+        expect(res.body.data.map((p) => p.id)).not.toContain(seeded.body.data.id);
+    });
+
+    it('should return a time range', async () => {
+        const from = new Date(T0).toISOString();
+        const to = new Date(T0 + 99 * 1000).toISOString();
+        const res = await request(app).get(`/metrics/history?from=${from}&to=${to}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(10);
+        expect(res.body.query.from).toBe(from);
+    });
+
+    it('should downsample by step', async () => {
+        const res = await request(app).get(`/metrics/history?from=${T0}&to=${T0 + 5 * MINUTE}&step=1m`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((p) => p.infrastructure.cpu_percent)).toEqual([2.5, 8.5, 14.5, 20.5, 26.5]);
+        expect(res.body.query.step_ms).toBe(MINUTE);
+    });
+
+    it('should filter a range by service', async () => {
+        const res = await request(app).get(`/metrics/history?from=${T0}&to=${T0 + MINUTE}&step=30s&service=auth-service`);
+
+        expect(res.status).toBe(200);
+        for (const point of res.body.data) {
+            expect(point.services.map((s) => s.name)).toEqual(['auth-service']);
+        }
+    });
+
+    it('should leave out points recorded before a service existed', async () => {
+        const start = T0 + 10 * HOUR;
+        const before = snapshotAt(start, 5);
+        before.services = before.services.filter((s) => s.name !== 'auth-service');
+        await metricsStore.recordSnapshot(before);
+        await metricsStore.recordSnapshot(snapshotAt(start + 10 * 1000, 6));
+
+        const res = await request(app).get(`/metrics/history?from=${start}&to=${start + MINUTE}&service=auth-service`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((p) => p.epoch_ms)).toEqual([start + 10 * 1000]);
+        expect((await request(app).get(`/metrics/history?from=${start}&to=${start + MINUTE}&service=nope`)).status).toBe(404);
+    });
+
+    it('should reject invalid parameters', async () => {
+        expect((await request(app).get('/metrics/history?from=yesterday-ish')).status).toBe(400);
+        expect((await request(app).get('/metrics/history?from=1h&step=fast')).status).toBe(400);
+        expect((await request(app).get(`/metrics/history?from=${T0 + HOUR}&to=${T0}`)).status).toBe(400);
+    });
+
+    it('should report stored rows per resolution', async () => {
+        const res = await request(app).get('/metrics/history/stats');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((t) => t.resolution)).toEqual(['raw', '1m', '5m', '1h']);
+        expect(res.body.data[0].rows).toBeGreaterThanOrEqual(30);
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests: Push-based metrics ingestion (Prometheus text and OTLP/JSON)
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('ingest');
+
+const request = require('supertest');
+const app = require('../server');
+const metricsStore = require('../lib/metrics-store');
+const metricsIngest = require('../lib/metrics-ingest');
+const { parsePrometheusText } = require('../lib/metrics-ingest/prometheus-text');
+const { parseOtlpJson } = require('../lib/metrics-ingest/otlp-json');
+const { setMetricsSource, createSource } = require('../lib/metrics-sources');
+
+const T0 = Date.parse('2025-03-09T12:00:00.000Z');
+
+const EXPOSITION = [
+    '# HELP cpu_percent CPU usage',
+    '# TYPE cpu_percent gauge',
+    'cpu_percent{service="auth-service",node="node-a"} 42.5',
+    'memory_percent{service="auth-service"} 61',
+    'disk_percent{node="node-a"} 73.25',
+    'ingress_mbps 120',
+].join('\n');
+
+/** OTLP/JSON with one gauge per resource */
+function otlpPayload(points) {
+    return {
+        resourceMetrics: points.map(({ service, node, name, value, timeMs }) => ({
+            resource: {
+                attributes: [
+                    ...(service ? [{ key: 'service.name', value: { stringValue: service } }] : []),
+                    ...(node ? [{ key: 'k8s.node.name', value: { stringValue: node } }] : []),
+                ],
+            },
+            scopeMetrics: [{
+                metrics: [{
+                    name,
+                    gauge: { dataPoints: [{ timeUnixNano: `${timeMs}000000`, asDouble: value }] },
+                }],
+            }],
+        })),
+    };
+}
+
+afterEach(() => {
+    metricsIngest.resetForTesting();
+});
+
+afterAll(() => {
+    setMetricsSource(null);
+});
+
+describe('lib/metrics-ingest parsers', () => {
+    it('should parse Prometheus text with labels, escapes and timestamps', () => {
+        const { samples, errors } = parsePrometheusText([
+            '# TYPE x gauge',
+            'cpu_percent{service="a\\"b",node="n"} 1.5e1 1700000000000',
+            'up NaN',
+            '',
+        ].join('\n'));
+
+        expect(errors).toEqual([]);
+        expect(samples[0]).toMatchObject({ name: 'cpu_percent', labels: { service: 'a"b', node: 'n' }, value: 15, timestamp_ms: 1700000000000, ref: 'line 2' });
+        expect(samples[1].value).toBeNaN();
+    });
+
+    it('should report malformed Prometheus lines by line number', () => {
+        const { samples, errors } = parsePrometheusText('cpu_percent 10\ncpu_percent{node="a} 1\n9bad 1\ncpu_percent abc');
+
+        expect(samples).toHaveLength(1);
+        expect(errors.map((e) => e.ref)).toEqual(['line 2', 'line 3', 'line 4']);
+    });
+
+    it('should parse OTLP gauges and sums and reject histograms', () => {
+        const body = otlpPayload([{ service: 'auth-service', name: 'cpu_percent', value: 10, timeMs: T0 }]);
+        body.resourceMetrics[0].scopeMetrics[0].metrics.push(
+            { name: 'requests_per_second', sum: { dataPoints: [{ asInt: '250', attributes: [{ key: 'node', value: { stringValue: 'node-a' } }] }] } },
+            { name: 'p99_response_time_ms', histogram: { dataPoints: [] } }
+        );
+
+        const { samples, errors } = parseOtlpJson(body);
+
+        expect(samples[0]).toMatchObject({ name: 'cpu_percent', labels: { 'service.name': 'auth-service' }, value: 10, timestamp_ms: T0 });
+        expect(samples[1]).toMatchObject({ value: 250, timestamp_ms: null, labels: { 'service.name': 'auth-service', node: 'node-a' } });
+        expect(errors).toEqual([{ ref: 'resourceMetrics[0].scopeMetrics[0].metrics[2]', error: expect.stringMatching(/histogram/) }]);
+    });
+});
+
+describe('lib/metrics-ingest', () => {
+    it('should store one snapshot per timestamp in the history', async () => {
+        const result = await metricsIngest.ingest({ format: 'prometheus', body: EXPOSITION, source: 'exporter-1', labels: { env: 'prod' } }, T0);
+
+        expect(result).toMatchObject({ accepted: 4, rejected: 0, labels: { env: 'prod', source: 'exporter-1' } });
+        const [snapshot] = await metricsStore.queryHistory({ from: T0, to: T0 });
+        expect(snapshot.source).toBe('push:exporter-1');
+        expect(snapshot.labels).toEqual({ env: 'prod', source: 'exporter-1' });
+        expect(snapshot.services).toEqual([{ name: 'auth-service', cpu_percent: 42.5, memory_percent: 61, nodes: ['node-a'] }]);
+        expect(snapshot.nodes[0]).toMatchObject({ name: 'node-a', disk_percent: 73.3, services: ['auth-service'] });
+        expect(snapshot.infrastructure.disk_percent).toBe(73.3);
+        expect(snapshot.network.ingress_mbps).toBe(120);
+    });
+
+    it('should reject invalid samples individually', async () => {
+        const body = [
+            'cpu_percent{service="auth-service"} 140',
+            'disk_percent{service="auth-service"} 10',
+            'pods_running{node="node-a"} -1',
+            'made_up_metric 1',
+            `cpu_percent{node="node-a"} 10 ${T0 + 60 * 60 * 1000}`,
+            'cpu_percent{node="node-a"} 55',
+        ].join('\n');
+
+        const result = await metricsIngest.ingest({ format: 'prometheus', body }, T0);
+
+        expect(result.accepted).toBe(1);
+        expect(result.errors.map((e) => e.ref)).toEqual(['line 1', 'line 2', 'line 3', 'line 4', 'line 5']);
+        expect(result.errors[0].error).toMatch(/at most 100/);
+        expect(result.errors[3].error).toMatch(/unknown metric/);
+        expect(result.errors[4].error).toMatch(/future/);
+    });
+
+    it('should rename exporter metrics with METRICS_INGEST_MAP', async () => {
+        process.env.METRICS_INGEST_MAP = JSON.stringify({ node_filesystem_used_percent: 'disk_percent' });
+        metricsIngest.resetForTesting();
+        try {
+            const result = await metricsIngest.ingest({ format: 'prometheus', body: 'node_filesystem_used_percent{node="node-b"} 88' }, T0 + 1000);
+            expect(result.accepted).toBe(1);
+        } finally {
+            delete process.env.METRICS_INGEST_MAP;
+        }
+    });
+
+    it('should reject bad source names and labels', async () => {
+        await expect(metricsIngest.ingest({ format: 'prometheus', body: '', source: 'bad source' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(metricsIngest.ingest({ format: 'prometheus', body: '', labels: { '1x': 'y' } })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(metricsIngest.ingest({ format: 'carbon', body: '' })).rejects.toMatchObject({ code: 'INVALID' });
+    });
+
+    it('should merge the latest pushed values for the push source', async () => {
+        const now = Date.now();
+        await metricsIngest.ingest({ format: 'prometheus', body: 'cpu_percent{node="node-a"} 30', source: 'a' }, now - 1000);
+        await metricsIngest.ingest({ format: 'prometheus', body: 'cpu_percent{node="node-a"} 35\ndisk_percent{node="node-a"} 50', source: 'b' }, now);
+        await metricsIngest.ingest({ format: 'prometheus', body: 'cpu_percent{node="node-z"} 99', source: 'old' }, now - 60 * 60 * 1000);
+
+        const snapshot = await createSource('push').snapshot();
+
+        expect(snapshot.source).toBe('push');
+        expect(snapshot.nodes).toEqual([{ name: 'node-a', cpu_percent: 35, disk_percent: 50, services: [] }]);
+        expect(metricsIngest.listSources().map((s) => s.name)).toEqual(['b', 'a', 'old']);
+    });
+});
+
+describe('POST /metrics/ingest', () => {
+    it('should accept Prometheus text exposition', async () => {
+        const res = await request(app)
+            .post('/metrics/ingest?source=node-exporter&labels=env=prod,region=eu')
+            .set('Content-Type', 'text/plain; version=0.0.4')
+            .send(EXPOSITION);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, format: 'prometheus', source: 'node-exporter', accepted: 4 });
+        expect(res.body.labels).toEqual({ env: 'prod', region: 'eu', source: 'node-exporter' });
+    });
+
+    it('should accept OTLP/JSON and feed GET /metrics/history', async () => {
+        const timeMs = Date.now() - 1000;
+        const res = await request(app)
+            .post('/metrics/ingest')
+            .set('X-Metrics-Source', 'otel-collector')
+            .send(otlpPayload([
+                { service: 'payment-service', name: 'error_rate_percent', value: 7.5, timeMs },
+                { node: 'node-p', name: 'memory.percent', value: 81, timeMs },
+            ]));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ format: 'otlp', source: 'otel-collector', accepted: 2 });
+
+        const history = await request(app).get(`/metrics/history?from=${timeMs}&to=${timeMs}`);
+        expect(history.body.data[0].source).toBe('push:otel-collector');
+        expect(history.body.data[0].services[0]).toMatchObject({ name: 'payment-service', error_rate_percent: 7.5 });
+        expect(history.body.data[0].nodes[0]).toMatchObject({ name: 'node-p', memory_percent: 81 });
+    });
+
+    it('should take OTLP/JSON over the global 100 kB body limit', async () => {
+        const timeMs = Date.now() - 1000;
+        const points = Array.from({ length: 600 }, (_, i) => ({ service: `otlp-bulk-${i}`, name: 'cpu_percent', value: i % 100, timeMs }));
+        const body = otlpPayload(points);
+        expect(JSON.stringify(body).length).toBeGreaterThan(100 * 1024);
+
+        const res = await request(app).post('/metrics/ingest?source=otlp-bulk').send(body);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ format: 'otlp', accepted: 600 });
+    });
+
+    it('should report pushing sources', async () => {
+        await request(app).post('/metrics/ingest?source=s1').set('Content-Type', 'text/plain').send('cpu_percent 10');
+        const res = await request(app).get('/metrics/ingest/sources');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data[0]).toMatchObject({ name: 's1', pushes: 1, samples_accepted: 1 });
+    });
+
+    it('should reject payloads without valid samples', async () => {
+        const res = await request(app).post('/metrics/ingest').set('Content-Type', 'text/plain').send('cpu_percent{node="a"} 250');
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0]).toMatchObject({ ref: 'line 1', metric: 'cpu_percent' });
+    });
+
+    it('should reject unsupported content types and bad labels', async () => {
+        expect((await request(app).post('/metrics/ingest').set('Content-Type', 'application/x-protobuf').send(Buffer.from([1, 2]))).status).toBe(415);
+        expect((await request(app).post('/metrics/ingest?labels=oops').set('Content-Type', 'text/plain').send('cpu_percent 1')).status).toBe(400);
+        expect((await request(app).post('/metrics/ingest').send({ metrics: [] })).status).toBe(400);
+    });
+});
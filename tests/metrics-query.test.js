@@ -0,0 +1,128 @@
+/**
+ * Tests: Metric aggregation queries over the stored history
+ */
+
+'use strict';
+
+const { useTempDb } = require('./helpers/temp-db');
+
+useTempDb('query');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const metricsStore = require('../lib/metrics-store');
+const { queryMetrics } = require('../lib/metrics-query');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2025-03-05T00:00:00.000Z');
+
+/** Two services on two nodes; auth-service cpu = i, payment-service cpu = 50 + i */
+function snapshotAt(i) {
+    const epochMs = T0 + i * MINUTE;
+    return {
+        id: `q-${i}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        cluster: 'test',
+        infrastructure: { cpu_percent: 20 + i, disk_percent: 40 + i },
+        application: { requests_per_second: 100 },
+        network: { ingress_mbps: 10 },
+        services: [
+            { name: 'auth-service', nodes: ['node-a'], cpu_percent: i, requests_per_second: 50 },
+            { name: 'payment-service', nodes: ['node-b'], cpu_percent: 50 + i, requests_per_second: 50 },
+        ],
+        nodes: [
+            { name: 'node-a', services: ['auth-service'], cpu_percent: i, disk_percent: 40 + i },
+            { name: 'node-b', services: ['payment-service'], cpu_percent: 50 + i, disk_percent: 10 },
+        ],
+    };
+}
+
+const WINDOW = { from: T0, to: T0 + 10 * MINUTE };
+
+beforeAll(async () => {
+    await database.getDatabase();
+    // Eleven points, one a minute: i = 0..10
+    for (let i = 0; i <= 10; i++) await metricsStore.recordSnapshot(snapshotAt(i));
+});
+
+describe('lib/metrics-query', () => {
+    it('should aggregate cluster-wide by default', async () => {
+        const result = await queryMetrics({ metric: 'cpu_percent', aggregation: 'avg', ...WINDOW });
+
+        expect(result.group_by).toBeNull();
+        expect(result.results).toHaveLength(1);
+        expect(result.results[0]).toMatchObject({ group: null, value: 25, points: 11, samples: 11 });
+    });
+
+    it('should group by service, highest value first', async () => {
+        const result = await queryMetrics({ metric: 'cpu_percent', aggregation: 'max', group_by: 'service', ...WINDOW });
+
+        expect(result.results.map((r) => [r.group.service, r.value])).toEqual([['payment-service', 60], ['auth-service', 10]]);
+    });
+
+    it('should compute percentiles with interpolation', async () => {
+        const p95 = await queryMetrics({ metric: 'cpu_percent', aggregation: 'p95', group_by: 'service', service: 'auth-service', ...WINDOW });
+        const p50 = await queryMetrics({ metric: 'cpu_percent', aggregation: 'percentile', percentile: 50, group_by: 'service', service: 'auth-service', ...WINDOW });
+
+        expect(p95.percentile).toBe(95);
+        expect(p95.results[0].value).toBe(9.5);
+        expect(p50.results[0].value).toBe(5);
+    });
+
+    it('should compute the rate of change per second', async () => {
+        const result = await queryMetrics({ metric: 'disk_percent', aggregation: 'rate', group_by: 'node', node: 'node-a', ...WINDOW });
+
+        expect(result.results).toHaveLength(1);
+        expect(result.results[0].delta).toBe(10);
+        expect(result.results[0].value).toBeCloseTo(10 / 600, 4);
+    });
+
+    it('should apply a window ending at "to"', async () => {
+        const result = await queryMetrics({ metric: 'cpu_percent', aggregation: 'min', group_by: 'node', node: 'node-b', to: T0 + 10 * MINUTE, window: 2 * MINUTE });
+
+        expect(result.results[0]).toMatchObject({ value: 58, points: 3 });
+        expect(result.window.from).toBe(new Date(T0 + 8 * MINUTE).toISOString());
+    });
+
+    it('should use rollups where raw data has expired', async () => {
+        await metricsStore.compact(T0 + 7 * 60 * MINUTE);
+
+        const result = await queryMetrics({ metric: 'cpu_percent', aggregation: 'avg', group_by: 'service', service: 'auth-service', ...WINDOW });
+
+        expect(result.results[0]).toMatchObject({ value: 5, samples: 11 });
+    });
+
+    it('should reject unknown metrics and aggregations', async () => {
+        await expect(queryMetrics({ metric: 'disk_percent', group_by: 'service' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(queryMetrics({ metric: 'cpu_percent', aggregation: 'median' })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(queryMetrics({ metric: 'cpu_percent', aggregation: 'percentile', percentile: 120 })).rejects.toMatchObject({ code: 'INVALID' });
+        await expect(queryMetrics({})).rejects.toThrow(/metric/);
+    });
+});
+
+describe('GET /metrics/query', () => {
+    it('should aggregate a metric per service', async () => {
+        const res = await request(app).get(`/metrics/query?metric=cpu_percent&agg=max&group_by=service&from=${T0}&to=${T0 + 10 * MINUTE}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(res.body.aggregation).toBe('max');
+        expect(res.body.results[0].group).toEqual({ service: 'payment-service' });
+    });
+
+    it('should return no results for an empty window', async () => {
+        const res = await request(app).get(`/metrics/query?metric=cpu_percent&to=${T0 - MINUTE}&window=5m`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.results).toEqual([]);
+    });
+
+    it('should reject invalid parameters', async () => {
+        expect((await request(app).get('/metrics/query')).status).toBe(400);
+        expect((await request(app).get('/metrics/query?metric=cpu_percent&group_by=pod')).status).toBe(400);
+        expect((await request(app).get('/metrics/query?metric=cpu_percent&window=soon')).status).toBe(400);
+        expect((await request(app).get(`/metrics/query?metric=cpu_percent&from=${T0 + MINUTE}&to=${T0}`)).status).toBe(400);
+    });
+});
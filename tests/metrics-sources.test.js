@@ -0,0 +1,260 @@
+/**
+ * Tests: Metrics Sources (Prometheus HTTP API adapter)
+ */
+
+'use strict';
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { setMetricsSource } = require('../lib/metrics-sources');
+const {
+    createPrometheusSource,
+    DEFAULT_QUERIES,
+    DEFAULT_SERVICE_QUERIES,
+    DEFAULT_NODE_QUERIES,
+    DEFAULT_PLACEMENT_QUERY,
+} = require('../lib/metrics-sources/prometheus');
+
+const QUERY_COUNT = Object.keys(DEFAULT_QUERIES).length
+    + Object.keys(DEFAULT_SERVICE_QUERIES).length
+    + Object.keys(DEFAULT_NODE_QUERIES).length
+    + 1;
+
+/**
+ * What the stub returns for each default query: a plain value for a single
+ * unlabelled series, or a list of labelled series. Queries not listed here
+ * return an empty result; queries starting with "invalid" return an error.
+ */
+const STUB_VALUES = {
+    [DEFAULT_QUERIES.cpu_percent]: '42.123',
+    [DEFAULT_QUERIES.memory_percent]: '63.5',
+    [DEFAULT_QUERIES.disk_percent]: '71.25',
+    [DEFAULT_QUERIES.pods_running]: '4',
+    [DEFAULT_QUERIES.pods_desired]: '5',
+    [DEFAULT_QUERIES.ingress_mbps]: '120.4',
+    [DEFAULT_QUERIES.egress_mbps]: '80.6',
+    [DEFAULT_QUERIES.requests_per_second]: '310.2',
+    [DEFAULT_QUERIES.error_rate_percent]: '1.234',
+    [DEFAULT_QUERIES.avg_response_time_ms]: '87.4',
+    [DEFAULT_QUERIES.p99_response_time_ms]: 'NaN',
+    [DEFAULT_SERVICE_QUERIES.cpu_percent]: [
+        { metric: { service: 'api-gateway' }, value: '35.55' },
+        { metric: { service: 'payment-service' }, value: '91.2' },
+    ],
+    [DEFAULT_SERVICE_QUERIES.pods_running]: [
+        { metric: { service: 'api-gateway' }, value: '3' },
+        { metric: { service: 'payment-service' }, value: '1' },
+    ],
+    [DEFAULT_NODE_QUERIES.cpu_percent]: [
+        { metric: { node: 'node-a' }, value: '40' },
+        { metric: { node: 'node-b' }, value: '88.8' },
+    ],
+    [DEFAULT_PLACEMENT_QUERY]: [
+        { metric: { service: 'api-gateway', node: 'node-a' }, value: '2' },
+        { metric: { service: 'api-gateway', node: 'node-b' }, value: '1' },
+        { metric: { service: 'payment-service', node: 'node-b' }, value: '1' },
+    ],
+};
+
+/** Normalize a STUB_VALUES entry into a list of { metric, value } series */
+function stubSeries(query) {
+    const entry = STUB_VALUES[query];
+    if (entry === undefined) return [];
+    return Array.isArray(entry) ? entry : [{ metric: {}, value: entry }];
+}
+
+/**
+ * Minimal Prometheus HTTP API stub: answers /api/v1/query and
+ * /api/v1/query_range from STUB_VALUES, and fails on unknown queries.
+ */
+function startStubPrometheus() {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const query = url.searchParams.get('query');
+        requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (query.startsWith('invalid')) {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ status: 'error', errorType: 'bad_data', error: `parse error in query: ${query}` }));
+        }
+
+        const series = stubSeries(query);
+        if (url.pathname === '/api/v1/query') {
+            const time = Number(url.searchParams.get('time'));
+            return res.end(JSON.stringify({
+                status: 'success',
+                data: { resultType: 'vector', result: series.map((s) => ({ metric: s.metric, value: [time, s.value] })) },
+            }));
+        }
+        if (url.pathname === '/api/v1/query_range') {
+            const start = Number(url.searchParams.get('start'));
+            const end = Number(url.searchParams.get('end'));
+            const step = Number(url.searchParams.get('step'));
+            const result = series.map((s) => {
+                const values = [];
+                for (let ts = start; ts <= end; ts += step) values.push([ts, s.value]);
+                return { metric: s.metric, values };
+            });
+            return res.end(JSON.stringify({ status: 'success', data: { resultType: 'matrix', result } }));
+        }
+
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ status: 'error', error: 'not found' }));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('Metrics source: prometheus', () => {
+    let stub;
+
+    beforeAll(async () => {
+        stub = await startStubPrometheus();
+    });
+
+    afterAll(async () => {
+        setMetricsSource(null);
+        await new Promise((resolve) => stub.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+    });
+
+    describe('snapshot()', () => {
+        it('should map instant query results into the snapshot shape', async () => {
+            const source = createPrometheusSource({ url: stub.url });
+            const snapshot = await source.snapshot();
+
+            expect(snapshot.source).toBe('prometheus');
+            expect(snapshot.id).toBeDefined();
+            expect(snapshot.infrastructure).toEqual({
+                cpu_percent: 42.1,
+                disk_percent: 71.3,
+                memory_percent: 63.5,
+                pods_running: 4,
+                pods_desired: 5,
+            });
+            expect(snapshot.network).toEqual({ ingress_mbps: 120, egress_mbps: 81 });
+            expect(snapshot.application.error_rate_percent).toBe(1.23);
+            expect(snapshot.application.avg_response_time_ms).toBe(87);
+        });
+
+        it('should report non-finite samples as null', async () => {
+            const source = createPrometheusSource({ url: stub.url });
+            const snapshot = await source.snapshot();
+
+            expect(snapshot.application.p99_response_time_ms).toBeNull();
+        });
+
+        it('should use /api/v1/query for every field', async () => {
+            const source = createPrometheusSource({ url: stub.url });
+            await source.snapshot();
+
+            expect(stub.requests.length).toBe(QUERY_COUNT);
+            for (const req of stub.requests) {
+                expect(req.path).toBe('/api/v1/query');
+                expect(req.params.time).toBeDefined();
+            }
+        });
+
+        it('should surface Prometheus errors', async () => {
+            const source = createPrometheusSource({ url: stub.url, queries: { cpu_percent: 'invalid{' } });
+
+            await expect(source.snapshot()).rejects.toThrow(/parse error in query: invalid\{/);
+        });
+
+        it('should build per-service and per-node entries from labelled series', async () => {
+            const source = createPrometheusSource({ url: stub.url });
+            const snapshot = await source.snapshot();
+
+            const payment = snapshot.services.find((s) => s.name === 'payment-service');
+            expect(payment.cpu_percent).toBe(91.2);
+            expect(payment.pods_running).toBe(1);
+            expect(payment.error_rate_percent).toBeNull();
+            expect(payment.nodes).toEqual(['node-b']);
+
+            const nodeB = snapshot.nodes.find((n) => n.name === 'node-b');
+            expect(nodeB.cpu_percent).toBe(88.8);
+            expect(nodeB.services).toEqual(['api-gateway', 'payment-service']);
+        });
+
+        it('should honour service and node query overrides', async () => {
+            const source = createPrometheusSource({
+                url: stub.url,
+                queries: { 'service.cpu_percent': DEFAULT_NODE_QUERIES.cpu_percent },
+                serviceLabel: 'node',
+            });
+            const snapshot = await source.snapshot();
+
+            expect(snapshot.services.find((s) => s.name === 'node-b').cpu_percent).toBe(88.8);
+        });
+    });
+
+    describe('range()', () => {
+        it('should return one snapshot per step', async () => {
+            const source = createPrometheusSource({ url: stub.url });
+            const end = 1700000600000;
+            const points = await source.range({ start: end - 120000, end, step: 60000 });
+
+            expect(points.length).toBe(3);
+            expect(points.map((p) => p.epoch_ms)).toEqual([end - 120000, end - 60000, end]);
+            expect(points[0].infrastructure.cpu_percent).toBe(42.1);
+            const rangeRequests = stub.requests.filter((r) => r.path === '/api/v1/query_range');
+            expect(rangeRequests.length).toBe(QUERY_COUNT);
+            for (const req of rangeRequests) {
+                expect(req.params.step).toBe('60');
+            }
+        });
+    });
+
+    describe('GET /metrics with the prometheus source', () => {
+        beforeAll(() => {
+            setMetricsSource(createPrometheusSource({ url: stub.url }));
+        });
+
+        afterAll(() => {
+            setMetricsSource(null);
+        });
+
+        it('should serve snapshots from Prometheus', async () => {
+            const res = await request(app).get('/metrics');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.source).toBe('prometheus');
+            expect(res.body.data.infrastructure.cpu_percent).toBe(42.1);
+        });
+
+        it('should filter Prometheus snapshots by service', async () => {
+            const res = await request(app).get('/metrics?service=payment-service');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.services.length).toBe(1);
+            expect(res.body.data.infrastructure.cpu_percent).toBe(91.2);
+            expect(res.body.data.nodes.map((n) => n.name)).toEqual(['node-b']);
+        });
+
+        it('should read history through range queries', async () => {
+            const res = await request(app).get('/metrics/history?limit=4&step=30000');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.length).toBe(4);
+            expect(stub.requests.some((r) => r.path === '/api/v1/query_range' && r.params.step === '30')).toBe(true);
+        });
+
+        it('should refuse anomaly mode for non-simulator sources', async () => {
+            const res = await request(app).post('/metrics/anomaly').send({ enabled: true });
+
+            expect(res.status).toBe(409);
+            expect(res.body.success).toBe(false);
+        });
+    });
+});
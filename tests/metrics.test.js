@@ -23,6 +23,58 @@ describe('MCP Tool: metrics-fetcher', () => {
             expect(data.cluster).toBe('us-east-1-primary');
         });
 
+        it('should break metrics down per service and per node', async () => {
+            const res = await request(app).get('/metrics');
+            const { services, nodes } = res.body.data;
+
+            expect(services.length).toBeGreaterThan(1);
+            expect(nodes.length).toBeGreaterThan(1);
+            for (const entry of [...services, ...nodes]) {
+                expect(entry.name).toBeDefined();
+                expect(entry.cpu_percent).toBeGreaterThanOrEqual(0);
+                expect(entry.memory_percent).toBeGreaterThanOrEqual(0);
+                expect(entry.pods_running).toBeLessThanOrEqual(entry.pods_desired);
+                expect(entry.error_rate_percent).toBeDefined();
+                expect(entry.avg_response_time_ms).toBeDefined();
+            }
+
+            const totalPods = services.reduce((acc, s) => acc + s.pods_desired, 0);
+            expect(res.body.data.infrastructure.pods_desired).toBe(totalPods);
+        });
+
+        it('should filter by service', async () => {
+            const res = await request(app).get('/metrics?service=payment-service');
+            const { data } = res.body;
+
+            expect(res.status).toBe(200);
+            expect(data.services.map((s) => s.name)).toEqual(['payment-service']);
+            expect(data.filters.service).toBe('payment-service');
+            expect(data.infrastructure.cpu_percent).toBe(data.services[0].cpu_percent);
+            expect(data.infrastructure.pods_desired).toBe(data.services[0].pods_desired);
+            for (const node of data.nodes) {
+                expect(data.services[0].nodes).toContain(node.name);
+            }
+        });
+
+        it('should filter by node', async () => {
+            const res = await request(app).get('/metrics?node=prod-k8s-node-02');
+            const { data } = res.body;
+
+            expect(res.status).toBe(200);
+            expect(data.nodes.map((n) => n.name)).toEqual(['prod-k8s-node-02']);
+            expect(data.infrastructure.cpu_percent).toBe(data.nodes[0].cpu_percent);
+            for (const svc of data.services) {
+                expect(svc.nodes).toContain('prod-k8s-node-02');
+            }
+        });
+
+        it('should return 404 for an unknown service', async () => {
+            const res = await request(app).get('/metrics?service=no-such-service');
+
+            expect(res.status).toBe(404);
+            expect(res.body.success).toBe(false);
+        });
+
         it('should return infrastructure metrics within valid ranges', async () => {
             const res = await request(app).get('/metrics');
             const infra = res.body.data.infrastructure;
@@ -63,6 +115,41 @@ describe('MCP Tool: metrics-fetcher', () => {
         });
     });
 
+    describe('GET /metrics?seed=', () => {
+        const withoutClock = ({ timestamp, epoch_ms, ...rest }) => rest;
+
+        it('should return identical snapshots for the same seed', async () => {
+            const res1 = await request(app).get('/metrics?seed=42');
+            const res2 = await request(app).get('/metrics?seed=42');
+
+            expect(res1.status).toBe(200);
+            expect(withoutClock(res2.body.data)).toEqual(withoutClock(res1.body.data));
+        });
+
+        it('should return different snapshots for different seeds', async () => {
+            const res1 = await request(app).get('/metrics?seed=42');
+            const res2 = await request(app).get('/metrics?seed=43');
+
+            expect(res2.body.data.id).not.toBe(res1.body.data.id);
+            expect(res2.body.data.services).not.toEqual(res1.body.data.services);
+        });
+
+        it('should accept string seeds', async () => {
+            const res1 = await request(app).get('/metrics?seed=incident-1234');
+            const res2 = await request(app).get('/metrics?seed=incident-1234&service=payment-service');
+
+            expect(res2.body.data.services[0]).toEqual(res1.body.data.services.find((s) => s.name === 'payment-service'));
+        });
+
+        it('should not make unseeded calls repeat', async () => {
+            await request(app).get('/metrics?seed=42');
+            const res1 = await request(app).get('/metrics');
+            const res2 = await request(app).get('/metrics');
+
+            expect(res2.body.data.services).not.toEqual(res1.body.data.services);
+        });
+    });
+
     describe('GET /metrics/history', () => {
         it('should return metrics history', async () => {
             // Generate a few data points first
@@ -77,6 +164,17 @@ describe('MCP Tool: metrics-fetcher', () => {
             expect(res.body.data.length).toBeGreaterThanOrEqual(1);
             expect(res.body.data.length).toBeLessThanOrEqual(5);
         });
+
+        it('should filter history by service', async () => {
+            await request(app).get('/metrics');
+
+            const res = await request(app).get('/metrics/history?limit=3&service=api-gateway');
+
+            expect(res.status).toBe(200);
+            for (const snapshot of res.body.data) {
+                expect(snapshot.services.map((s) => s.name)).toEqual(['api-gateway']);
+            }
+        });
     });
 
     describe('POST /metrics/anomaly', () => {
@@ -0,0 +1,218 @@
+/**
+ * Tests: On-call schedules, overrides and escalation policies (on a fake clock)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('oncall');
+process.env.ONCALL_FILE = path.join(DB_DIR, 'oncall.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const oncall = require('../lib/oncall');
+const slack = require('../lib/slack');
+
+const MINUTE = 60 * 1000;
+/** A Tuesday evening in alice's first week */
+const T0 = Date.parse('2025-03-04T20:00:00.000Z');
+
+const CONFIG = {
+    users: {
+        alice: { name: 'Alice', slack: '@alice' },
+        bob: { name: 'Bob', slack: '@bob' },
+        carol: { name: 'Carol', slack: '@carol' },
+        dan: { name: 'Dan' },
+    },
+    schedules: [
+        {
+            name: 'primary',
+            layers: [
+                { name: 'weekly', users: ['alice', 'bob'], rotation: '7d', handoff: '2025-03-03T09:00:00Z' },
+                { name: 'business-hours', users: ['carol'], rotation: '7d', handoff: '2025-03-03T09:00:00Z', restrict: { from: '09:00', to: '17:00' } },
+            ],
+        },
+        { name: 'secondary', layers: [{ name: 'weekly', users: ['dan'], rotation: '7d', handoff: '2025-03-03T09:00:00Z' }] },
+    ],
+    escalation_policies: [{
+        name: 'platform',
+        services: ['*'],
+        channel: '#ops',
+        steps: [
+            { notify: ['schedule:primary'], escalate_after: '5m' },
+            { notify: ['schedule:secondary', 'user:carol'], escalate_after: '10m' },
+        ],
+    }],
+};
+
+let sendSlackMessage;
+
+/** Move the fake clock */
+const setClock = (ms) => jest.setSystemTime(ms);
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.ONCALL_FILE, JSON.stringify(CONFIG));
+    // Only Date is faked: timers stay real so HTTP and the database keep working
+    jest.useFakeTimers({ now: T0, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+    await database.getDatabase();
+});
+
+beforeEach(() => {
+    sendSlackMessage = jest.spyOn(slack, 'sendSlackMessage').mockResolvedValue({ sent: true, status: 200 });
+});
+
+afterEach(() => {
+    sendSlackMessage.mockRestore();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+    oncall.resetForTesting();
+});
+
+async function openIncident(fields) {
+    const res = await request(app).post('/incidents').send(fields);
+    return res.body.data;
+}
+
+describe('lib/oncall', () => {
+    it('should validate schedules and policies', () => {
+        let error;
+        try {
+            oncall.normalizeOncall({
+                users: { alice: {} },
+                schedules: [{ name: 'primary', layers: [{ users: ['mallory'], rotation: 'weekly', handoff: '2025-03-03T09:00:00Z', restrict: { from: '17:00', to: '09:00' } }] }],
+                escalation_policies: [{ name: 'p', steps: [{ notify: ['schedule:tertiary', 'team:sre'] }] }],
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).toBe('INVALID');
+        expect(error.details).toEqual([
+            'schedules[0] (primary).layers[0].users[0]: unknown user "mallory"',
+            'schedules[0] (primary).layers[0].rotation must be a duration (e.g. 7d, 12h)',
+            'schedules[0] (primary).layers[0].restrict.from must be before restrict.to',
+            'escalation_policies[0] (p).steps[0].notify[0]: unknown schedule "tertiary"',
+            'escalation_policies[0] (p).steps[0].notify[1] must be "schedule:<name>" or "user:<id>"',
+        ]);
+    });
+});
+
+describe('REST /oncall', () => {
+    it('should resolve layers, handoffs and the next person', async () => {
+        const evening = await request(app).get('/oncall?schedule=primary');
+        expect(evening.status).toBe(200);
+        expect(evening.body.data).toEqual([expect.objectContaining({
+            schedule: 'primary', user: 'alice', slack: '@alice', source: 'layer', layer: 'weekly',
+            since: '2025-03-04T17:00:00.000Z', until: '2025-03-05T09:00:00.000Z', next: { user: 'carol', name: 'Carol', at: '2025-03-05T09:00:00.000Z' },
+        })]);
+
+        const nextWeek = await request(app).get('/oncall?schedule=primary&at=2025-03-10T20:00:00Z');
+        expect(nextWeek.body.data[0]).toMatchObject({ user: 'bob', layer: 'weekly' });
+
+        const byService = await request(app).get('/oncall?service=payment-service');
+        expect(byService.body).toMatchObject({ policy: 'platform' });
+        expect(byService.body.data.map((d) => [d.schedule, d.user])).toEqual([['primary', 'alice'], ['secondary', 'dan']]);
+    });
+
+    it('should list shifts with the business-hours layer on top', async () => {
+        const res = await request(app).get('/oncall/schedules/primary?from=2025-03-04T00:00:00Z&to=2025-03-05T00:00:00Z');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.shifts.map((s) => [s.user, s.layer, s.start.slice(11, 16), s.end.slice(11, 16)])).toEqual([
+            ['alice', 'weekly', '00:00', '09:00'],
+            ['carol', 'business-hours', '09:00', '17:00'],
+            ['alice', 'weekly', '17:00', '00:00'],
+        ]);
+        expect((await request(app).get('/oncall/schedules/tertiary')).status).toBe(404);
+    });
+
+    it('should put an override on top and take it off when cancelled', async () => {
+        const created = await request(app).post('/oncall/overrides')
+            .send({ schedule: 'primary', user: 'bob', duration: '2h', created_by: 'alice', reason: 'Dentist' });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ status: 'active', ends_at: new Date(T0 + 120 * MINUTE).toISOString() });
+
+        const covered = await request(app).get('/oncall?schedule=primary');
+        expect(covered.body.data[0]).toMatchObject({
+            user: 'bob', source: 'override', override_id: created.body.data.id, until: new Date(T0 + 120 * MINUTE).toISOString(), next: { user: 'alice' },
+        });
+
+        await request(app).post(`/oncall/overrides/${created.body.data.id}/cancel`).send({ actor: 'bob' });
+        expect((await request(app).get('/oncall?schedule=primary')).body.data[0]).toMatchObject({ user: 'alice', source: 'layer' });
+
+        expect((await request(app).post('/oncall/overrides').send({ schedule: 'primary', user: 'mallory', duration: '1h', created_by: 'x' })).status).toBe(400);
+        expect((await request(app).post('/oncall/overrides').send({ schedule: 'tertiary', user: 'bob', duration: '1h', created_by: 'x' })).status).toBe(404);
+    });
+});
+
+describe('Escalation', () => {
+    it('should page step after step until the policy runs out', async () => {
+        setClock(T0);
+        const incident = await openIncident({ type: 'high_cpu', severity: 'critical', service: 'payment-service' });
+
+        const started = await oncall.evaluateEscalations();
+        expect(started).toEqual([expect.objectContaining({ incident_id: incident.id, event: 'started', step: 0 })]);
+        expect(started[0].pages.map((p) => [p.recipient, p.channel])).toEqual([['alice', '@alice']]);
+        expect(sendSlackMessage).toHaveBeenCalledWith('@alice', expect.stringContaining(`POST /incidents/${incident.id}/acknowledge`));
+
+        setClock(T0 + 4 * MINUTE);
+        expect(await oncall.evaluateEscalations()).toEqual([]);
+
+        setClock(T0 + 5 * MINUTE);
+        const escalated = await oncall.evaluateEscalations();
+        expect(escalated).toEqual([expect.objectContaining({ event: 'escalated', step: 1 })]);
+        // dan has no Slack handle, so his page goes to the policy's channel
+        expect(escalated[0].pages.map((p) => [p.recipient, p.channel])).toEqual([['dan', '#ops'], ['carol', '@carol']]);
+
+        setClock(T0 + 15 * MINUTE);
+        expect(await oncall.evaluateEscalations()).toEqual([expect.objectContaining({ event: 'exhausted' })]);
+        expect(sendSlackMessage).toHaveBeenLastCalledWith('#ops', expect.stringContaining('Nobody acknowledged'));
+
+        const res = await request(app).get(`/oncall/escalations?incident_id=${incident.id}`);
+        expect(res.body.data).toEqual([expect.objectContaining({ status: 'exhausted', policy: 'platform' })]);
+        expect(res.body.data[0].pages).toHaveLength(3);
+    });
+
+    it('should stop once the incident is acknowledged, and leave quiet incidents alone', async () => {
+        setClock(T0 + 60 * MINUTE);
+        const incident = await openIncident({ type: 'pod_crash', severity: 'warning', service: 'auth-service' });
+        await openIncident({ type: 'cert_expiry', severity: 'info', service: 'auth-service' });
+        await request(app).post('/silences').send({ service: 'cart-service', duration: '1h', created_by: 'erin', comment: 'Migration' });
+        await openIncident({ type: 'pod_crash', severity: 'critical', service: 'cart-service' });
+
+        const started = await oncall.evaluateEscalations();
+        expect(started.map((c) => [c.incident_id, c.event])).toEqual([[incident.id, 'started']]);
+
+        await request(app).post(`/incidents/${incident.id}/acknowledge`).send({ actor: 'alice' });
+        sendSlackMessage.mockClear();
+        setClock(T0 + 70 * MINUTE);
+
+        expect(await oncall.evaluateEscalations()).toEqual([expect.objectContaining({ incident_id: incident.id, event: 'acknowledged' })]);
+        expect(sendSlackMessage).not.toHaveBeenCalled();
+        const res = await request(app).get('/oncall/escalations?status=acknowledged');
+        expect(res.body.data).toEqual([expect.objectContaining({ incident_id: incident.id, stopped_by: 'alice' })]);
+    });
+
+    it('should hold an escalation while its incident is silenced', async () => {
+        setClock(T0 + 200 * MINUTE);
+        const incident = await openIncident({ type: 'high_latency', severity: 'critical', service: 'search-service' });
+        const ofIncident = (changes) => changes.filter((c) => c.incident_id === incident.id).map((c) => [c.event, c.step]);
+
+        expect(ofIncident(await oncall.evaluateEscalations())).toEqual([['started', 0]]);
+        await request(app).post('/silences').send({ service: 'search-service', duration: '30m', created_by: 'erin', comment: 'Reindex' });
+        sendSlackMessage.mockClear();
+
+        setClock(T0 + 210 * MINUTE);
+        expect(ofIncident(await oncall.evaluateEscalations())).toEqual([]);
+        expect(sendSlackMessage).not.toHaveBeenCalledWith(expect.anything(), expect.stringContaining(incident.id));
+
+        setClock(T0 + 231 * MINUTE);
+        expect(ofIncident(await oncall.evaluateEscalations())).toEqual([['escalated', 1]]);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests: Postmortem drafts — sections built from stored data, JSON and Markdown
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('postmortem');
+process.env.RULES_FILE = path.join(DB_DIR, 'rules.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const rules = require('../lib/rules');
+const alerts = require('../lib/alerts');
+const incidents = require('../lib/incidents');
+const metricsStore = require('../lib/metrics-store');
+const postmortem = require('../lib/postmortem');
+const { insertLog } = require('../tools/logs-db');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.now();
+const ago = (ms) => new Date(NOW - ms).toISOString();
+
+let incidentId;
+
+/** payment-service CPU climbs from 85 to 97 between 12 and 6 minutes ago */
+function snapshotAt(minutesAgo) {
+    const epochMs = NOW - minutesAgo * MINUTE;
+    const hot = minutesAgo <= 12 && minutesAgo >= 6;
+    return {
+        id: `p-${minutesAgo}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        services: [
+            { name: 'payment-service', cpu_percent: hot ? 85 + (12 - minutesAgo) * 2 : 50 },
+            { name: 'api-gateway', cpu_percent: 40 },
+        ],
+        nodes: [],
+    };
+}
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.RULES_FILE, JSON.stringify({
+        rules: [{ name: 'high_cpu', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: 'service', labels: { type: 'high_cpu' } }],
+    }));
+    await database.getDatabase();
+
+    for (let minutesAgo = 20; minutesAgo >= 1; minutesAgo--) {
+        const snapshot = snapshotAt(minutesAgo);
+        await metricsStore.recordSnapshot(snapshot);
+        await alerts.evaluateAlerts(snapshot, { now: snapshot.epoch_ms });
+    }
+    for (const minutesAgo of [11, 10, 9]) {
+        await insertLog({ level: 'error', service: 'payment-service', message: 'Connection pool exhausted', timestamp: ago(minutesAgo * MINUTE) });
+    }
+
+    const { incident } = await incidents.openIncident({ type: 'high_cpu', severity: 'critical', service: 'payment-service', summary: 'cpu 89%' }, NOW - 11 * MINUTE);
+    incidentId = incident.id;
+    await incidents.acknowledgeIncident(incidentId, { actor: 'alice' }, NOW - 8 * MINUTE);
+    await request(app).post('/execute').send({ action: 'delete_pod', params: { service: 'payment-service' }, incident_id: incidentId });
+    await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'payment-service' }, incident_id: incidentId });
+    await incidents.resolveIncident(incidentId, { actor: 'bob', resolution: 'Connection pool leak; restarted payment-service' });
+});
+
+afterAll(() => {
+    rules.resetForTesting();
+});
+
+describe('REST /postmortem', () => {
+    it('should build every section for an incident', async () => {
+        const res = await request(app).get(`/postmortem?incident_id=${incidentId}`);
+
+        expect(res.status).toBe(200);
+        const doc = res.body.data;
+        expect(doc).toMatchObject({
+            title: 'high cpu on payment-service',
+            draft: true,
+            services: ['payment-service'],
+            incident: { id: incidentId, status: 'resolved', mtta: '3m00s' },
+        });
+        expect(doc.summary).toMatch(/^Critical incident "high cpu on payment-service" on payment-service, opened .* and resolved after \d+m\d{2}s\./);
+
+        expect(doc.impact.breaches).toEqual([expect.objectContaining({
+            rule: 'high_cpu', target: 'payment-service', peak: 97, started_at: ago(12 * MINUTE), ended_at: ago(5 * MINUTE), duration: '7m00s',
+        })]);
+        // api-gateway calls payment-service in config/topology.yaml
+        expect(doc.impact.downstream_services).toEqual(['api-gateway']);
+        expect(doc.impact.alerts).toEqual([expect.objectContaining({ rule: 'high_cpu', source: 'rules', firing_at: ago(12 * MINUTE), status: 'resolved' })]);
+        expect(doc.root_cause.top_errors[0]).toMatchObject({ service: 'payment-service', message: 'Connection pool exhausted', count: 3 });
+        expect(doc.root_cause.notes).toContain('Resolution by bob: Connection pool leak; restarted payment-service');
+        expect(doc.timeline.events.length).toBeGreaterThan(0);
+
+        expect(doc.actions_taken.map((a) => [a.action, a.succeeded, a.linked])).toEqual([
+            ['delete_pod', false, true], ['restart_service', true, true],
+        ]);
+        expect(doc.approvals).toEqual(expect.arrayContaining([
+            expect.objectContaining({ step: 'acknowledged', actor: 'alice' }),
+            expect.objectContaining({ step: 'resolved', actor: 'bob' }),
+        ]));
+        expect(doc.follow_ups).toEqual(expect.arrayContaining([
+            'Find out why delete_pod on payment-service ended rejected (Action "delete_pod" is not allowed)',
+            'Handle or alert on "Connection pool exhausted" (3× on payment-service)',
+        ]));
+    });
+
+    it('should render Markdown', async () => {
+        const res = await request(app).get(`/postmortem?incident_id=${incidentId}&format=markdown`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/markdown/);
+        const headings = res.text.split('\n').filter((line) => line.startsWith('#'));
+        expect(headings).toEqual([
+            '# Postmortem: high cpu on payment-service',
+            '## Summary', '## Impact', '### Threshold breaches', '### Alerts', '### SLOs',
+            '## Timeline', '## Root cause', '## Actions taken', '### Approvals', '## Follow-ups',
+        ]);
+        expect(res.text).toContain('| high_cpu | payment-service | cpu_percent 97 | > 80 |');
+        expect(res.text).toContain('- [ ] Handle or alert on "Connection pool exhausted"');
+    });
+
+    it('should cover a window without an incident', async () => {
+        const doc = await postmortem.generatePostmortem({ window: '30m', services: 'api-gateway' }, NOW);
+
+        expect(doc).toMatchObject({ title: 'Activity on api-gateway', incident: null, approvals: [], services: ['api-gateway'] });
+        expect(doc.impact.breaches).toEqual([]);
+        expect(doc.actions_taken).toEqual([]);
+        expect(postmortem.renderMarkdown(doc)).toContain('_No remediations recorded._');
+    });
+
+    it('should reject bad parameters', async () => {
+        expect((await request(app).get('/postmortem?format=pdf')).status).toBe(400);
+        expect((await request(app).get('/postmortem?window=soon')).status).toBe(400);
+        expect((await request(app).get('/postmortem?incident_id=missing')).status).toBe(404);
+    });
+});
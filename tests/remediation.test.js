@@ -131,6 +131,27 @@ describe('MCP Tool: remediation-executor', () => {
         });
     });
 
+    describe('POST /execute — Seeded results', () => {
+        it('should return the same simulated result for the same seed', async () => {
+            const body = { action: 'scale_pods', params: { service: 'api-gateway', replicas: 4 }, seed: 7 };
+            const res1 = await request(app).post('/execute').send(body);
+            const res2 = await request(app).post('/execute').send(body);
+
+            expect(res1.status).toBe(200);
+            expect(res2.body.result).toEqual(res1.body.result);
+            expect(res2.body.execution_id).not.toBe(res1.body.execution_id);
+        });
+
+        it('should reject an invalid seed', async () => {
+            const res = await request(app)
+                .post('/execute')
+                .send({ action: 'restart_service', params: { service: 'api-gateway' }, seed: 1.5 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/seed/);
+        });
+    });
+
     describe('GET /history', () => {
         it('should return execution history', async () => {
             const res = await request(app).get('/history');
@@ -0,0 +1,176 @@
+/**
+ * Tests: Seeded simulation, recording and replay
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RECORDINGS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'incident-slayer-recordings-'));
+process.env.RECORDINGS_DIR = RECORDINGS_DIR;
+
+const request = require('supertest');
+const app = require('../server');
+const random = require('../lib/random');
+const metricsSources = require('../lib/metrics-sources');
+const { generateMetrics } = require('../lib/metrics-sources/simulator');
+
+afterEach(() => {
+    if (metricsSources.recordingStatus()) metricsSources.stopRecording();
+    if (metricsSources.replayStatus()) metricsSources.stopReplay();
+    random.setSeed(null);
+});
+
+afterAll(() => {
+    fs.rmSync(RECORDINGS_DIR, { recursive: true, force: true });
+});
+
+describe('lib/random', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const a = random.createRng(1234);
+        const b = random.createRng('1234');
+        const seqA = Array.from({ length: 5 }, () => a());
+        const seqB = Array.from({ length: 5 }, () => b());
+
+        expect(seqB).toEqual(seqA);
+        for (const value of seqA) {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    it('should restore the previous generator after withSeed', () => {
+        random.setSeed(99);
+        const first = random.withSeed(5, () => random.random());
+
+        expect(random.getSeed()).toBe(99);
+        expect(random.withSeed(5, () => random.random())).toBe(first);
+    });
+
+    it('should make a seeded process reproduce the same snapshots', () => {
+        random.setSeed('replay-me');
+        const run1 = [generateMetrics(), generateMetrics()];
+        random.setSeed('replay-me');
+        const run2 = [generateMetrics(), generateMetrics()];
+
+        expect(run2.map((s) => s.services)).toEqual(run1.map((s) => s.services));
+        expect(run2.map((s) => s.id)).toEqual(run1.map((s) => s.id));
+        expect(run1[1].services).not.toEqual(run1[0].services);
+    });
+
+    it('should reject unusable seeds', () => {
+        expect(() => random.createRng(1.5)).toThrow(/Invalid seed/);
+        expect(() => random.parseSeedParam({})).toThrow(/Invalid seed/);
+        expect(random.parseSeedParam('')).toBeUndefined();
+    });
+});
+
+describe('Record & replay', () => {
+    it('should write each served snapshot to disk', async () => {
+        const start = await request(app).post('/metrics/record').send({ enabled: true, name: 'outage' });
+        expect(start.status).toBe(200);
+        expect(start.body.data.file).toBe(path.join(RECORDINGS_DIR, 'outage.ndjson'));
+
+        await request(app).get('/metrics');
+        await request(app).get('/metrics?seed=3');
+        const stop = await request(app).post('/metrics/record').send({ enabled: false });
+
+        expect(stop.body.data.snapshots).toBe(2);
+        const lines = fs.readFileSync(stop.body.data.file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+        expect(lines[0].format).toBe('metrics-recording/1');
+        expect(lines[0].source).toBe('simulator');
+        expect(lines[2].seed).toBe('3');
+    });
+
+    it('should serve a recording back exactly', async () => {
+        await request(app).post('/metrics/record').send({ enabled: true, name: 'exact' });
+        const served = [];
+        for (let i = 0; i < 3; i++) {
+            served.push((await request(app).get('/metrics')).body.data);
+        }
+        await request(app).post('/metrics/record').send({ enabled: false });
+
+        const replay = await request(app).post('/metrics/replay').send({ enabled: true, name: 'exact' });
+        expect(replay.status).toBe(200);
+        expect(replay.body.data.total).toBe(3);
+
+        for (const expected of served) {
+            const res = await request(app).get('/metrics');
+            expect(res.body.data).toEqual(expected);
+        }
+
+        const ended = await request(app).get('/metrics');
+        expect(ended.status).toBe(410);
+
+        await request(app).post('/metrics/replay').send({ enabled: false });
+        const live = await request(app).get('/metrics');
+        expect(live.body.data.source).toBe('simulator');
+    });
+
+    it('should loop a replay when asked', async () => {
+        await request(app).post('/metrics/record').send({ enabled: true, name: 'loop' });
+        const first = (await request(app).get('/metrics')).body.data;
+        await request(app).get('/metrics');
+        await request(app).post('/metrics/record').send({ enabled: false });
+
+        await request(app).post('/metrics/replay').send({ enabled: true, name: 'loop', loop: true });
+        await request(app).get('/metrics');
+        await request(app).get('/metrics');
+        const res = await request(app).get('/metrics');
+
+        expect(res.body.data).toEqual(first);
+    });
+
+    it('should list recordings', async () => {
+        await request(app).post('/metrics/record').send({ enabled: true, name: 'listed' });
+        await request(app).get('/metrics');
+        await request(app).post('/metrics/record').send({ enabled: false });
+
+        const res = await request(app).get('/metrics/recordings');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toContainEqual(expect.objectContaining({ name: 'listed.ndjson', snapshots: 1 }));
+        expect(res.body.recording).toBeNull();
+    });
+
+    it('should reject bad requests', async () => {
+        const missing = await request(app).post('/metrics/replay').send({ enabled: true, name: 'no-such-recording' });
+        expect(missing.status).toBe(404);
+
+        const traversal = await request(app).post('/metrics/replay').send({ enabled: true, name: '../../etc/passwd' });
+        expect(traversal.status).toBe(404);
+
+        const noName = await request(app).post('/metrics/replay').send({ enabled: true });
+        expect(noName.status).toBe(400);
+
+        const notRecording = await request(app).post('/metrics/record').send({ enabled: false });
+        expect(notRecording.status).toBe(409);
+
+        await request(app).post('/metrics/record').send({ enabled: true, name: 'busy' });
+        const twice = await request(app).post('/metrics/record').send({ enabled: true, name: 'busy-2' });
+        expect(twice.status).toBe(409);
+    });
+
+    it('should keep absolute and ../ names inside the recordings directory', async () => {
+        const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'incident-slayer-outside-'));
+        try {
+            for (const name of [path.join(outside, 'escaped'), '../escaped-up']) {
+                const res = await request(app).post('/metrics/record').send({ enabled: true, name });
+                expect(res.status).toBe(200);
+                expect(path.dirname(res.body.data.file)).toBe(RECORDINGS_DIR);
+                await request(app).post('/metrics/record').send({ enabled: false });
+            }
+            expect(fs.readdirSync(outside)).toEqual([]);
+            expect(fs.existsSync(path.join(RECORDINGS_DIR, '..', 'escaped-up.ndjson'))).toBe(false);
+
+            // A recording outside the directory can't be replayed by its path
+            fs.copyFileSync(path.join(RECORDINGS_DIR, 'escaped.ndjson'), path.join(outside, 'elsewhere.ndjson'));
+            const replay = await request(app).post('/metrics/replay').send({ enabled: true, name: path.join(outside, 'elsewhere.ndjson') });
+            expect(replay.status).toBe(404);
+        } finally {
+            fs.rmSync(outside, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests: Shared incident rules (rule file, evaluator, REST)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('rules');
+process.env.RULES_FILE = path.join(DB_DIR, 'rules.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const metricsStore = require('../lib/metrics-store');
+const rules = require('../lib/rules');
+const { setMetricsSource } = require('../lib/metrics-sources');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2025-03-10T00:00:00.000Z');
+
+const ALWAYS = { name: 'always', metric: 'cpu_percent', operator: '>=', threshold: 0, severity: 'info', labels: { type: 'always_on' } };
+
+function writeRuleFile(doc) {
+    fs.writeFileSync(process.env.RULES_FILE, JSON.stringify(doc));
+}
+
+/** Write a rule list to a YAML file next to the test database and return its path */
+function writeRules(list) {
+    const file = path.join(DB_DIR, 'rules.yaml');
+    const yamlText = list.map((rule) => `  - ${JSON.stringify(rule)}`).join('\n');
+    fs.writeFileSync(file, `rules:\n${yamlText}\n`);
+    return file;
+}
+
+/** Cluster cpu, one service and two nodes; `cpu` drives all of them */
+function snapshotAt(epochMs, cpu) {
+    return {
+        id: `r-${epochMs}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        infrastructure: { cpu_percent: cpu, memory_percent: 50, disk_percent: 40, pods_running: 4, pods_desired: 5 },
+        application: { error_rate_percent: 1, p99_response_time_ms: 300 },
+        network: {},
+        services: [{ name: 'auth-service', nodes: ['node-a'], cpu_percent: cpu, pods_running: 2, pods_desired: 2 }],
+        nodes: [
+            { name: 'node-a', services: ['auth-service'], cpu_percent: cpu, disk_percent: 95 },
+            { name: 'node-b', services: [], cpu_percent: 10, disk_percent: 20 },
+        ],
+    };
+}
+
+beforeAll(async () => {
+    writeRuleFile({ rules: [ALWAYS] });
+    await database.getDatabase();
+});
+
+afterEach(() => {
+    rules.resetForTesting();
+});
+
+describe('lib/rules', () => {
+    it('should load the bundled config/rules.yaml', () => {
+        const { rules: loaded } = rules.loadRules(path.join(__dirname, '..', 'config', 'rules.yaml'));
+
+        expect(loaded.map((r) => r.name)).toEqual(['high_cpu', 'memory_pressure', 'disk_pressure', 'pod_crash', 'high_error_rate', 'high_latency']);
+        expect(loaded[0]).toMatchObject({ metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: ['cluster'], duration_ms: 0 });
+        expect(loaded[0].labels).toEqual({ type: 'high_cpu', category: 'infrastructure' });
+        expect(Object.fromEntries(loaded.map((r) => [r.name, r.duration_ms]))).toMatchObject({ pod_crash: 2 * MINUTE, high_error_rate: 2 * MINUTE, high_latency: 5 * MINUTE });
+        expect(loaded.find((r) => r.name === 'high_error_rate').resolve_threshold).toBe(4);
+    });
+
+    it('should report every problem in a rule set', () => {
+        let error;
+        try {
+            rules.normalizeRules({
+                rules: [
+                    { name: 'a', metric: 'cpu_percent', operator: '~', threshold: '80', severity: 'page' },
+                    { name: 'a', metric: 'disk_percent', operator: '>', threshold: 1, severity: 'info', scope: 'service', duration: 'soon' },
+                    { name: 'b', metric: 'cpu_percent', operator: '>', threshold: 1, severity: 'info', labels: { team: 3 } },
+                ],
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.code).toBe('INVALID');
+        expect(error.details).toEqual([
+            expect.stringMatching(/rules\[0\].*operator/),
+            expect.stringMatching(/rules\[0\].*threshold/),
+            expect.stringMatching(/rules\[0\].*severity/),
+            expect.stringMatching(/rules\[1\].*name is used/),
+            expect.stringMatching(/rules\[1\].*disk_percent" is not available for scope service/),
+            expect.stringMatching(/rules\[1\].*duration/),
+            expect.stringMatching(/rules\[2\].*labels/),
+        ]);
+        expect(() => rules.normalizeRules({ alerts: [] })).toThrow(/"rules" list/);
+    });
+
+    it('should accept "for" and check resolve_threshold against the operator', () => {
+        const [rule] = rules.normalizeRules({ rules: [{ name: 'a', metric: 'cpu_percent', operator: '>', threshold: 80, resolve_threshold: 70, for: '2m', severity: 'info' }] });
+        expect(rule).toMatchObject({ duration_ms: 2 * MINUTE, resolve_threshold: 70 });
+        expect(rules.normalizeRules({ rules: [ALWAYS] })[0].resolve_threshold).toBe(0);
+
+        const bad = [
+            { name: 'b', metric: 'cpu_percent', operator: '>', threshold: 80, resolve_threshold: 90, severity: 'info' },
+            { name: 'c', metric: 'cpu_percent', operator: '==', threshold: 80, resolve_threshold: 70, severity: 'info' },
+            { name: 'd', metric: 'cpu_percent', operator: '<', threshold: 10, duration: '1m', for: '1m', severity: 'info' },
+        ];
+        expect(() => rules.normalizeRules({ rules: bad })).toThrow(expect.objectContaining({
+            details: [
+                expect.stringMatching(/rules\[0\].*healthy side of threshold \(<= 80\)/),
+                expect.stringMatching(/rules\[1\].*needs one of the operators/),
+                expect.stringMatching(/rules\[2\].*both "duration" and "for"/),
+            ],
+        }));
+    });
+
+    it('should evaluate cluster, service and node scopes', async () => {
+        rules.loadRules(writeRules([
+            { name: 'hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: ['cluster', 'service', 'node'], labels: { type: 'high_cpu' } },
+            { name: 'disk', metric: 'disk_percent', operator: '>=', threshold: 90, severity: 'warning', scope: 'node' },
+            { name: 'pods', metric: 'pods_unavailable', operator: '>', threshold: 0, severity: 'warning' },
+            { name: 'off', metric: 'cpu_percent', operator: '>', threshold: 0, severity: 'info', enabled: false },
+        ]));
+
+        const incidents = await rules.evaluateRules(snapshotAt(T0, 90), { now: T0 });
+
+        expect(incidents.map((i) => [i.rule, i.scope, i.service || i.node])).toEqual([
+            ['hot', 'cluster', null],
+            ['hot', 'service', 'auth-service'],
+            ['hot', 'node', 'node-a'],
+            ['disk', 'node', 'node-a'],
+            ['pods', 'cluster', null],
+        ]);
+        expect(incidents[0]).toMatchObject({ type: 'high_cpu', severity: 'critical', value: 90, threshold: 80, summary: 'cpu_percent 90 > 80 on cluster' });
+        expect(incidents[4]).toMatchObject({ type: 'pods', value: 1 });
+        expect(rules.overallHealth(incidents)).toBe('CRITICAL');
+        expect(rules.overallHealth(incidents.slice(3))).toBe('DEGRADED');
+        expect(rules.overallHealth([])).toBe('HEALTHY');
+    });
+
+    it('should narrow evaluation to one node', async () => {
+        rules.loadRules(writeRules([{ name: 'disk', metric: 'disk_percent', operator: '>', threshold: 30, severity: 'warning', scope: ['cluster', 'node'] }]));
+
+        const incidents = await rules.evaluateRules(snapshotAt(T0, 50), { node: 'node-b', now: T0 });
+
+        expect(incidents).toEqual([]);
+        await expect(rules.evaluateRules(snapshotAt(T0, 50), { node: 'node-z' })).rejects.toMatchObject({ code: 'UNKNOWN_TARGET' });
+    });
+
+    it('should only fire duration rules once the breach has held that long', async () => {
+        rules.loadRules(writeRules([{ name: 'sustained', metric: 'cpu_percent', operator: '>', threshold: 80, duration: '2m', severity: 'warning', scope: 'service' }]));
+        // Normal until T0+1m, hot from T0+2m on
+        for (let i = 0; i <= 5; i++) await metricsStore.recordSnapshot(snapshotAt(T0 + i * MINUTE, i < 2 ? 50 : 90));
+
+        const pending = await rules.evaluateRules(snapshotAt(T0 + 3 * MINUTE, 90), { now: T0 + 3 * MINUTE });
+        const firing = await rules.evaluateRules(snapshotAt(T0 + 4 * MINUTE, 90), { now: T0 + 4 * MINUTE });
+        const noHistory = await rules.evaluateRules(snapshotAt(T0 + 60 * MINUTE, 90), { now: T0 + 60 * MINUTE });
+
+        expect(pending).toEqual([]);
+        expect(firing).toHaveLength(1);
+        expect(firing[0]).toMatchObject({ service: 'auth-service', duration_ms: 2 * MINUTE, summary: 'cpu_percent 90 > 80 on service auth-service for 120s' });
+        expect(noHistory).toEqual([]);
+    });
+});
+
+describe('REST /rules', () => {
+    it('GET /rules should return the active rules and their file', async () => {
+        writeRuleFile({ rules: [ALWAYS] });
+        const res = await request(app).get('/rules');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, count: 1, file: process.env.RULES_FILE });
+        expect(res.body.rules[0]).toMatchObject({ name: 'always', scope: ['cluster'], enabled: true });
+    });
+
+    it('GET /rules/evaluate should return incidents with the metrics they came from', async () => {
+        writeRuleFile({ rules: [ALWAYS] });
+        const res = await request(app).get('/rules/evaluate');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, overall_health: 'DEGRADED', count: 1 });
+        expect(res.body.incidents[0]).toMatchObject({ rule: 'always', type: 'always_on', value: res.body.metrics.cpu_percent });
+        expect((await request(app).get('/rules/evaluate?service=nope')).status).toBe(404);
+    });
+
+    it('GET /rules/evaluate should report what breaches on a service or node', async () => {
+        writeRuleFile({ rules: [{ name: 'hot', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: ['cluster', 'service', 'node'] }] });
+        setMetricsSource({ name: 'stub', snapshot: async () => snapshotAt(Date.now(), 90) });
+        try {
+            const targets = async (query) => {
+                const res = await request(app).get(`/rules/evaluate?${query}`);
+                expect(res.status).toBe(200);
+                return res.body.incidents.map((i) => [i.scope, i.service || i.node || 'cluster']).sort();
+            };
+
+            const expected = [['cluster', 'cluster'], ['node', 'node-a'], ['service', 'auth-service']];
+            expect(await targets('service=auth-service')).toEqual(expected);
+            expect(await targets('node=node-a')).toEqual(expected);
+            expect(await targets('node=node-b')).toEqual([]);
+        } finally {
+            setMetricsSource(null);
+        }
+    });
+
+    it('POST /rules/reload should keep the previous rules when the file is invalid', async () => {
+        writeRuleFile({ rules: [ALWAYS] });
+        await request(app).get('/rules');
+
+        writeRuleFile({ rules: [{ ...ALWAYS, severity: 'sev1' }] });
+        const bad = await request(app).post('/rules/reload');
+        expect(bad.status).toBe(400);
+        expect(bad.body.details[0]).toMatch(/severity/);
+        expect((await request(app).get('/rules')).body.rules[0].severity).toBe('info');
+
+        writeRuleFile({ rules: [{ ...ALWAYS, severity: 'critical' }] });
+        const good = await request(app).post('/rules/reload');
+        expect(good.status).toBe(200);
+        expect(good.body.rules[0].severity).toBe('critical');
+    });
+});
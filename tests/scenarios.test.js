@@ -0,0 +1,194 @@
+/**
+ * Tests: Scenario Runner MCP Tool
+ */
+
+'use strict';
+
+const request = require('supertest');
+const app = require('../server');
+const scenarios = require('../lib/scenarios');
+const { generateMetrics } = require('../lib/metrics-sources/simulator');
+const { insertLog } = require('../tools/logs-db');
+
+const LEAK = {
+    name: 'test-leak',
+    description: 'Memory climbs on payment-service',
+    duration: '10m',
+    curves: [
+        { target: { service: 'payment-service' }, metric: 'memory_percent', shape: 'linear', from: 50, to: 90, start: '0s', end: '10m' },
+        { target: { service: 'payment-service' }, metric: 'pods_running', shape: 'step', to: 1, start: '5m' },
+        { target: { node: 'prod-k8s-node-02' }, metric: 'disk_percent', shape: 'constant', to: 97 },
+    ],
+    logs: [
+        { at: '0s', level: 'warn', service: 'payment-service', message: 'Heap growing' },
+        { at: '6m', level: 'error', service: 'payment-service', message: 'OOMKilled' },
+    ],
+};
+
+function servicesByName(snapshot) {
+    return Object.fromEntries(snapshot.services.map((s) => [s.name, s]));
+}
+
+describe('MCP Tool: scenarios', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        scenarios.resetForTesting();
+        scenarios.setLogSink(insertLog);
+    });
+
+    describe('scenario engine', () => {
+        it('should load the built-in scenario files', () => {
+            const names = scenarios.listScenarios().map((s) => s.name);
+
+            expect(names).toEqual(expect.arrayContaining(['anomaly', 'payment-memory-leak', 'disk-fill-node-02']));
+        });
+
+        it('should reject invalid definitions with every problem listed', () => {
+            expect.assertions(3);
+            try {
+                scenarios.loadScenario({ name: 'Bad Name', curves: [{ target: {}, metric: 'nope', shape: 'zigzag' }] });
+            } catch (error) {
+                expect(error.code).toBe('INVALID');
+                expect(error.details).toEqual(expect.arrayContaining([
+                    expect.stringContaining('name'),
+                    expect.stringContaining('target'),
+                    expect.stringContaining('shape'),
+                ]));
+                expect(error.details.length).toBeGreaterThanOrEqual(4);
+            }
+        });
+
+        it('should follow curves along the timeline', () => {
+            jest.useFakeTimers({ now: 1700000000000 });
+            scenarios.loadScenario(LEAK);
+            scenarios.startScenario('test-leak');
+
+            jest.advanceTimersByTime(5 * 60 * 1000);
+            const mid = servicesByName(generateMetrics());
+            expect(mid['payment-service'].memory_percent).toBe(70);
+            expect(mid['payment-service'].pods_running).toBe(1);
+
+            jest.advanceTimersByTime(5 * 60 * 1000);
+            const end = generateMetrics();
+            expect(servicesByName(end)['payment-service'].memory_percent).toBe(90);
+            expect(end.nodes.find((n) => n.name === 'prod-k8s-node-02').disk_percent).toBe(97);
+            expect(end.infrastructure.disk_percent).toBe(97);
+            expect(end.active_scenarios).toEqual(['test-leak']);
+            expect(scenarios.getScenario('test-leak').run.status).toBe('completed');
+        });
+
+        it('should freeze the timeline while paused and resume on start', () => {
+            jest.useFakeTimers({ now: 1700000000000 });
+            scenarios.loadScenario(LEAK);
+            scenarios.startScenario('test-leak');
+
+            jest.advanceTimersByTime(2 * 60 * 1000);
+            scenarios.pauseScenario('test-leak');
+            jest.advanceTimersByTime(30 * 60 * 1000);
+
+            expect(scenarios.getScenario('test-leak').run.status).toBe('paused');
+            expect(servicesByName(generateMetrics())['payment-service'].memory_percent).toBe(58);
+
+            scenarios.startScenario('test-leak');
+            jest.advanceTimersByTime(60 * 1000);
+            expect(servicesByName(generateMetrics())['payment-service'].memory_percent).toBe(62);
+        });
+
+        it('should inject log lines when their time comes', () => {
+            jest.useFakeTimers({ now: 1700000000000 });
+            const sink = jest.fn();
+            scenarios.setLogSink(sink);
+            scenarios.loadScenario(LEAK);
+            scenarios.startScenario('test-leak');
+
+            expect(sink).toHaveBeenCalledTimes(1);
+            expect(sink.mock.calls[0][0]).toMatchObject({
+                level: 'warn',
+                message: 'Heap growing',
+                metadata: { source: 'scenario', scenario: 'test-leak' },
+            });
+
+            jest.advanceTimersByTime(6 * 60 * 1000);
+            expect(sink).toHaveBeenCalledTimes(2);
+            expect(sink.mock.calls[1][0].message).toBe('OOMKilled');
+        });
+
+        it('should remove overrides when stopped', () => {
+            scenarios.loadScenario(LEAK);
+            scenarios.startScenario('test-leak');
+            scenarios.stopScenario('test-leak');
+
+            expect(scenarios.currentOverrides()).toEqual([]);
+            expect(generateMetrics().active_scenarios).toEqual([]);
+        });
+    });
+
+    describe('REST routes', () => {
+        it('should list scenarios', async () => {
+            const res = await request(app).get('/scenarios');
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(res.body.data.length).toBeGreaterThanOrEqual(3);
+        });
+
+        it('should load a scenario from the request body', async () => {
+            const res = await request(app).post('/scenarios').send(LEAK);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.name).toBe('test-leak');
+            expect(res.body.data.duration_ms).toBe(600000);
+            expect(res.body.data.origin).toBe('api');
+        });
+
+        it('should reject an invalid scenario', async () => {
+            const res = await request(app).post('/scenarios').send({ name: 'broken', curves: [{}] });
+
+            expect(res.status).toBe(400);
+            expect(res.body.validation_errors.length).toBeGreaterThan(0);
+        });
+
+        it('should reject curves and logs that are not objects', async () => {
+            const res = await request(app).post('/scenarios').send({ name: 'scalars', curves: [null, 3], logs: ['boom'] });
+
+            expect(res.status).toBe(400);
+            expect(res.body.validation_errors).toEqual(['curves[0] must be an object', 'curves[1] must be an object', 'logs[0] must be an object']);
+        });
+
+        it('should start, pause and stop a scenario', async () => {
+            await request(app).post('/scenarios').send(LEAK);
+
+            const started = await request(app).post('/scenarios/test-leak/start');
+            expect(started.status).toBe(200);
+            expect(started.body.data.run.status).toBe('running');
+
+            const again = await request(app).post('/scenarios/test-leak/start');
+            expect(again.status).toBe(409);
+
+            const paused = await request(app).post('/scenarios/test-leak/pause');
+            expect(paused.body.data.run.status).toBe('paused');
+
+            const metrics = await request(app).get('/metrics?service=payment-service');
+            expect(metrics.body.data.active_scenarios).toContain('test-leak');
+
+            const stopped = await request(app).post('/scenarios/test-leak/stop');
+            expect(stopped.body.data.run.status).toBe('stopped');
+        });
+
+        it('should return 404 for unknown scenarios', async () => {
+            const res = await request(app).post('/scenarios/no-such-scenario/start');
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should run the built-in anomaly scenario through POST /metrics/anomaly', async () => {
+            await request(app).post('/metrics/anomaly').send({ enabled: true });
+            const list = await request(app).get('/scenarios');
+            expect(list.body.active).toContain('anomaly');
+
+            await request(app).post('/metrics/anomaly').send({ enabled: false });
+            const after = await request(app).get('/scenarios');
+            expect(after.body.active).not.toContain('anomaly');
+        });
+    });
+});
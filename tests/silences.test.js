@@ -0,0 +1,134 @@
+/**
+ * Tests: Silences (maintenance windows) — matching, detection suppression, remediation blocking
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('silences');
+process.env.RULES_FILE = path.join(DB_DIR, 'rules.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const rules = require('../lib/rules');
+const silences = require('../lib/silences');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2025-03-14T10:00:00.000Z');
+
+const WINDOW = { created_by: 'alice', comment: 'Postgres upgrade' };
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.RULES_FILE, JSON.stringify({
+        rules: [{ name: 'always', metric: 'cpu_percent', operator: '>=', threshold: 0, severity: 'critical', scope: ['cluster', 'service'], labels: { type: 'always_on' } }],
+    }));
+    await database.getDatabase();
+});
+
+afterAll(() => {
+    rules.resetForTesting();
+});
+
+describe('lib/silences', () => {
+    it('should validate new silences', async () => {
+        await expect(silences.createSilence({ ...WINDOW, duration: '1h' }, T0)).rejects.toThrow(/at least one matcher/);
+        await expect(silences.createSilence({ service: 'a', duration: '1h', comment: 'x' }, T0)).rejects.toThrow(/created_by/);
+        await expect(silences.createSilence({ service: 'a', duration: '1h', created_by: 'bob' }, T0)).rejects.toThrow(/comment/);
+        await expect(silences.createSilence({ ...WINDOW, service: 'a' }, T0)).rejects.toThrow(/ends_at/);
+        await expect(silences.createSilence({ ...WINDOW, service: 'a', duration: '1h', ends_at: '2030-01-01T00:00:00Z' }, T0)).rejects.toThrow(/not both/);
+        await expect(silences.createSilence({ ...WINDOW, service: 'a', starts_at: T0 + HOUR, ends_at: T0 }, T0)).rejects.toThrow(/after "starts_at"/);
+        await expect(silences.createSilence({ ...WINDOW, labels: { team: 1 }, duration: '1h' }, T0)).rejects.toMatchObject({ code: 'INVALID' });
+    });
+
+    it('should match every matcher a silence sets, only within its window', async () => {
+        const silence = await silences.createSilence({ ...WINDOW, service: 'db-service', type: 'high_cpu', labels: { cluster: 'eu' }, starts_at: T0 + HOUR, duration: '2h' }, T0);
+        expect(silence).toMatchObject({ status: 'pending', ends_at: new Date(T0 + 3 * HOUR).toISOString() });
+
+        const target = { service: 'db-service', type: 'high_cpu', labels: { cluster: 'eu', team: 'data' } };
+        expect(silences.matches(silence, target)).toBe(true);
+        expect(silences.matches(silence, { ...target, type: 'memory_pressure' })).toBe(false);
+        expect(silences.matches(silence, { ...target, labels: {} })).toBe(false);
+
+        expect(await silences.silenceFor(target, T0)).toBeNull();
+        expect((await silences.silenceFor(target, T0 + 2 * HOUR)).id).toBe(silence.id);
+        expect(await silences.silenceFor(target, T0 + 3 * HOUR)).toBeNull();
+
+        const { kept, silenced } = await silences.suppress([target, { ...target, service: 'web' }], T0 + 2 * HOUR);
+        expect(kept).toHaveLength(1);
+        expect(silenced).toMatchObject([{ service: 'db-service', silenced_by: silence.id }]);
+    });
+
+    it('should expire silences early and refuse to expire them twice', async () => {
+        const silence = await silences.createSilence({ ...WINDOW, node: 'node-9', duration: '1h' }, T0);
+        const expired = await silences.expireSilence(silence.id, { actor: 'bob' }, T0 + 10 * 60 * 1000);
+
+        expect(expired).toMatchObject({ status: 'expired', expired_by: 'bob', ends_at: new Date(T0 + 10 * 60 * 1000).toISOString() });
+        await expect(silences.expireSilence(silence.id, {}, T0 + HOUR)).rejects.toMatchObject({ code: 'CONFLICT' });
+        await expect(silences.expireSilence('missing')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+});
+
+describe('REST /silences', () => {
+    let silenceId;
+
+    it('should create, list and fetch silences', async () => {
+        const created = await request(app).post('/silences').send({ ...WINDOW, service: 'auth-service', duration: '2h' });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ service: 'auth-service', status: 'active', created_by: 'alice', comment: 'Postgres upgrade' });
+        silenceId = created.body.data.id;
+
+        const list = await request(app).get('/silences?service=auth-service');
+        expect(list.body.data.map((s) => s.id)).toEqual([silenceId]);
+        expect((await request(app).get(`/silences/${silenceId}`)).body.data.id).toBe(silenceId);
+
+        expect((await request(app).post('/silences').send({ service: 'auth-service', duration: '2h' })).status).toBe(400);
+        expect((await request(app).get('/silences?status=muted')).status).toBe(400);
+        expect((await request(app).get('/silences/missing')).status).toBe(404);
+    });
+
+    it('should move silenced incidents out of /rules/evaluate', async () => {
+        const res = await request(app).get('/rules/evaluate');
+
+        expect(res.status).toBe(200);
+        expect(res.body.incidents.some((i) => i.service === 'auth-service')).toBe(false);
+        expect(res.body.silenced).toEqual([expect.objectContaining({ service: 'auth-service', silenced_by: silenceId })]);
+        expect(res.body.incidents.length).toBeGreaterThan(0);
+    });
+
+    it('should block remediations on silenced targets and log the rejection', async () => {
+        const blocked = await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'auth-service' } });
+        expect(blocked.status).toBe(409);
+        expect(blocked.body.error).toMatch(/silenced until .* by alice: Postgres upgrade/);
+        expect(blocked.body.silence.id).toBe(silenceId);
+
+        const history = await request(app).get('/history?status=rejected');
+        expect(history.body.data[0]).toMatchObject({ id: blocked.body.execution_id, action: 'restart_service', result: { silence_id: silenceId } });
+
+        expect((await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'cart-service' } })).status).toBe(200);
+        expect((await request(app).post('/execute').send({ action: 'notify_slack', params: { channel: '#ops', message: 'auth-service maintenance' } })).status).toBe(200);
+    });
+
+    it('should use a linked incident\'s type when matching remediations', async () => {
+        await request(app).post('/silences').send({ ...WINDOW, type: 'memory_pressure', duration: '1h' });
+        const { body: { data: incident } } = await request(app).post('/incidents').send({ type: 'memory_pressure', severity: 'critical', service: 'cart-service' });
+
+        const blocked = await request(app).post('/execute').send({ action: 'scale_pods', params: { service: 'cart-service', replicas: 4 }, incident_id: incident.id });
+        expect(blocked.status).toBe(409);
+        expect((await request(app).post('/execute').send({ action: 'scale_pods', params: { service: 'cart-service', replicas: 4 } })).status).toBe(200);
+    });
+
+    it('should let remediations through once the silence is expired', async () => {
+        const expired = await request(app).post(`/silences/${silenceId}/expire`).send({ actor: 'alice' });
+        expect(expired.body.data).toMatchObject({ status: 'expired', expired_by: 'alice' });
+        expect((await request(app).post(`/silences/${silenceId}/expire`)).status).toBe(409);
+
+        expect((await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'auth-service' } })).status).toBe(200);
+        expect((await request(app).get('/silences')).body.data.map((s) => s.id)).not.toContain(silenceId);
+        expect((await request(app).get('/silences?status=expired')).body.data.map((s) => s.id)).toContain(silenceId);
+    });
+});
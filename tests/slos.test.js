@@ -0,0 +1,163 @@
+/**
+ * Tests: SLOs — error budgets, multi-window burn rates and burn-rate alerts
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('slos');
+process.env.SLOS_FILE = path.join(DB_DIR, 'slos.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const metricsStore = require('../lib/metrics-store');
+const slos = require('../lib/slos');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = Date.parse('2025-03-20T12:00:00.000Z');
+
+const PAYMENTS = { name: 'payments', service: 'payment-service', objective: 'availability', target: 99 };
+const AUTH_LATENCY = { name: 'auth-latency', service: 'auth-service', objective: 'latency', target: 90, threshold_ms: 500, window: '1d' };
+
+function writeSlos(list) {
+    fs.writeFileSync(process.env.SLOS_FILE, JSON.stringify({ slos: list }));
+    slos.resetForTesting();
+}
+
+/** A history point as lib/slos.js reads it from the store */
+function point(t, service, weight = 1) {
+    return { t, weight, snapshot: { services: [{ name: service.name || PAYMENTS.service, ...service }] } };
+}
+
+beforeAll(async () => {
+    await database.getDatabase();
+});
+
+afterAll(() => {
+    slos.resetForTesting();
+});
+
+describe('lib/slos', () => {
+    it('should validate SLOs and fit the default burn-rate alerts to the window', () => {
+        const [payments, auth] = slos.normalizeSlos([PAYMENTS, AUTH_LATENCY]);
+        expect(payments).toMatchObject({ window: '30d', window_ms: 30 * 24 * HOUR });
+        expect(payments.burn_rate_alerts.map((a) => `${a.long}/${a.short}`)).toEqual(['1h/5m', '6h/30m', '1d/2h', '3d/6h']);
+        expect(auth).toMatchObject({ metric: 'p99_response_time_ms', threshold_ms: 500 });
+        expect(auth.burn_rate_alerts.map((a) => a.long)).toEqual(['1h', '6h', '1d']);
+
+        let error;
+        try {
+            slos.normalizeSlos([
+                { ...PAYMENTS, target: 100, threshold_ms: 200 },
+                { ...AUTH_LATENCY, threshold_ms: undefined, burn_rate_alerts: [{ long: '5m', short: '1h', burn_rate: 2, severity: 'page' }] },
+                { ...PAYMENTS, objective: 'throughput' },
+            ]);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).toBe('INVALID');
+        expect(error.details).toEqual([
+            'slos[0] (payments).target must be a percentage between 0 and 100 (exclusive)',
+            'slos[0] (payments): threshold_ms and metric only apply to latency SLOs',
+            'slos[1] (auth-latency).threshold_ms must be a positive number',
+            'slos[1] (auth-latency).burn_rate_alerts[0].short must be shorter than long',
+            'slos[1] (auth-latency).burn_rate_alerts[0].severity must be one of: warning, critical',
+            'slos[2] (payments).name is used by another SLO',
+            'slos[2] (payments).objective must be one of: availability, latency',
+        ]);
+    });
+
+    it('should weight availability by traffic and stored samples and fire on fast burns', () => {
+        const [payments] = slos.normalizeSlos([PAYMENTS]);
+        // 2h ago: a 1h rollup of 40 samples without errors; a minute ago: 20% of 100 rps failing
+        const history = [
+            point(NOW - 2 * HOUR, { requests_per_second: 300, error_rate_percent: 0 }, 40),
+            point(NOW - MINUTE, { requests_per_second: 100, error_rate_percent: 20 }),
+        ];
+        const status = slos.measureSlo(payments, history, NOW);
+
+        // 100 * 0.2 failing of 300 * 40 + 100 requests → 0.165% bad, 16.5% of a 1% budget
+        expect(status.sli).toBeCloseTo(99.8347, 3);
+        expect(status.error_budget).toMatchObject({ allowed_percent: 1, consumed_percent: 16.53, remaining_percent: 83.47 });
+        expect(status.burn_rates).toMatchObject({ '5m': 20, '1h': 20, '30m': 20, '6h': 0.165 });
+        expect(status.alerts.filter((a) => a.firing)).toEqual([
+            expect.objectContaining({ long: '1h', short: '5m', severity: 'critical', long_burn_rate: 20, short_burn_rate: 20 }),
+        ]);
+        expect(status.status).toBe('critical');
+        // The 83% left lasts 30d * 0.8347 / 20 at the 1h burn rate
+        expect(Date.parse(status.error_budget.exhausts_at) - NOW).toBeCloseTo(30 * 24 * HOUR * 0.83471 / 20, -6);
+    });
+
+    it('should measure latency as time over threshold and report missing data', () => {
+        const [, auth] = slos.normalizeSlos([PAYMENTS, AUTH_LATENCY]);
+        const latencies = [100, 600, 200, 700];
+        const history = latencies.map((p99, i) => point(NOW - (4 - i) * MINUTE, { name: 'auth-service', p99_response_time_ms: p99 }));
+
+        const status = slos.measureSlo(auth, history, NOW);
+        expect(status).toMatchObject({ sli: 50, error_budget: { consumed_percent: 500, remaining_percent: -400 }, status: 'exhausted' });
+
+        const empty = slos.measureSlo(auth, [], NOW);
+        expect(empty).toMatchObject({ sli: null, status: 'no_data', points: 0, error_budget: { remaining_percent: null } });
+        expect(empty.alerts.some((a) => a.firing)).toBe(false);
+    });
+});
+
+describe('REST /slos', () => {
+    beforeAll(async () => {
+        writeSlos([PAYMENTS, AUTH_LATENCY]);
+        const now = Date.now();
+        for (let i = 10; i >= 0; i--) {
+            await metricsStore.recordSnapshot({
+                id: `slo-${i}`,
+                timestamp: new Date(now - i * MINUTE).toISOString(),
+                epoch_ms: now - i * MINUTE,
+                services: [
+                    { name: 'payment-service', requests_per_second: 100, error_rate_percent: 30 },
+                    { name: 'auth-service', requests_per_second: 50, error_rate_percent: 0, p99_response_time_ms: 120 },
+                ],
+            });
+        }
+    });
+
+    it('should report budgets worst first and store burn-rate alerts', async () => {
+        const res = await request(app).get('/slos');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((s) => [s.name, s.status])).toEqual([['payments', 'exhausted'], ['auth-latency', 'ok']]);
+        expect(res.body.data[1]).toMatchObject({ sli: 100, error_budget: { remaining_percent: 100 } });
+
+        const stored = await request(app).get('/alerts?source=slo&status=firing');
+        expect(stored.body.data.map((a) => a.labels.long_window).sort()).toEqual(['1d', '1h', '3d', '6h']);
+        expect(stored.body.data[0]).toMatchObject({ type: 'slo_burn_rate', service: 'payment-service', rule: 'payments', severity: 'critical' });
+
+        const again = await request(app).get('/slos?service=auth-service');
+        expect(again.body.data.map((s) => s.name)).toEqual(['auth-latency']);
+        expect(again.body.alerts.some((a) => a.new)).toBe(false);
+    });
+
+    it('should fetch one SLO and 404 on unknown ones', async () => {
+        const res = await request(app).get('/slos/payments');
+        expect(res.body.data).toMatchObject({ name: 'payments', burn_rates: { '5m': 30 } });
+        expect((await request(app).get('/slos/nope')).status).toBe(404);
+    });
+
+    it('should keep the old SLOs on a bad reload and resolve alerts of removed ones', async () => {
+        fs.writeFileSync(process.env.SLOS_FILE, JSON.stringify({ slos: [{ name: 'broken' }] }));
+        const bad = await request(app).post('/slos/reload');
+        expect(bad.status).toBe(400);
+        expect(bad.body.details).toContain('slos[0] (broken).service is required');
+        expect((await request(app).get('/slos')).body.count).toBe(2);
+
+        fs.writeFileSync(process.env.SLOS_FILE, JSON.stringify({ slos: [AUTH_LATENCY] }));
+        expect((await request(app).post('/slos/reload')).body.count).toBe(1);
+        const res = await request(app).get('/slos');
+        expect(res.body.alerts.map((a) => a.status)).toEqual(['resolved', 'resolved', 'resolved', 'resolved']);
+        expect((await request(app).get('/alerts?source=slo&status=firing')).body.count).toBe(0);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests: Incident timeline — merging, de-duplication and relative offsets
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('timeline');
+process.env.RULES_FILE = path.join(DB_DIR, 'rules.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const rules = require('../lib/rules');
+const alerts = require('../lib/alerts');
+const metricsStore = require('../lib/metrics-store');
+const timeline = require('../lib/timeline');
+const { insertLog, insertLogs } = require('../tools/logs-db');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const NOW = Date.now();
+
+/** payment-service runs hot from 5 to 3 minutes ago */
+function snapshotAt(minutesAgo) {
+    const epochMs = NOW - minutesAgo * MINUTE;
+    const hot = minutesAgo <= 5 && minutesAgo >= 3;
+    return {
+        id: `t-${minutesAgo}`,
+        timestamp: new Date(epochMs).toISOString(),
+        epoch_ms: epochMs,
+        services: [
+            { name: 'payment-service', cpu_percent: hot ? 95 : 50 },
+            { name: 'api-gateway', cpu_percent: 40 },
+        ],
+        nodes: [],
+    };
+}
+
+const ago = (ms) => new Date(NOW - ms).toISOString();
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.RULES_FILE, JSON.stringify({
+        rules: [{ name: 'high_cpu', metric: 'cpu_percent', operator: '>', threshold: 80, severity: 'critical', scope: 'service', labels: { type: 'high_cpu' } }],
+    }));
+    await database.getDatabase();
+
+    for (let minutesAgo = 10; minutesAgo >= 1; minutesAgo--) {
+        const snapshot = snapshotAt(minutesAgo);
+        await metricsStore.recordSnapshot(snapshot);
+        await alerts.evaluateAlerts(snapshot, { now: snapshot.epoch_ms });
+    }
+
+    await insertLog({ level: 'error', service: 'payment-service', message: 'OOMKilled: container exceeded 512Mi', timestamp: ago(5 * MINUTE) });
+    await insertLog({ level: 'error', service: 'payment-service', message: 'OOMKilled: container exceeded 512Mi', timestamp: ago(4 * MINUTE + 30 * SECOND) });
+    await insertLog({ level: 'info', service: 'payment-service', message: 'Health check passed', timestamp: ago(4 * MINUTE) });
+    await insertLog({ level: 'warn', service: 'api-gateway', message: 'Retrying payment call', timestamp: ago(4 * MINUTE) });
+    await request(app).post('/execute').send({ action: 'restart_service', params: { service: 'payment-service' } });
+});
+
+afterAll(() => {
+    rules.resetForTesting();
+});
+
+describe('lib/timeline', () => {
+    it('should format offsets', () => {
+        expect(timeline.formatOffset(0)).toBe('+0s');
+        expect(timeline.formatOffset(150 * SECOND)).toBe('+2m30s');
+        expect(timeline.formatOffset(-45 * SECOND)).toBe('-45s');
+        expect(timeline.formatOffset(62 * MINUTE)).toBe('+1h02m');
+    });
+});
+
+describe('REST /timeline', () => {
+    it('should merge every source into one ordered, de-duplicated timeline', async () => {
+        const res = await request(app).get('/timeline?window=15m&services=payment-service');
+
+        expect(res.status).toBe(200);
+        expect(res.body.services).toEqual(['payment-service']);
+        const { events } = res.body;
+        expect(events.map((e) => Date.parse(e.at))).toEqual(events.map((e) => Date.parse(e.at)).sort((a, b) => a - b));
+        expect(events.every((e) => e.service === 'payment-service')).toBe(true);
+        expect(events.some((e) => e.summary.includes('Health check'))).toBe(false);
+
+        // The crossing and the rule alert it started are one entry, and so are its clearing and resolution
+        const breach = events.find((e) => e.kind === 'metric' && e.severity === 'critical');
+        expect(breach).toMatchObject({ at: ago(5 * MINUTE), count: 2, sources: ['metric', 'alert'], summary: 'cpu_percent 95 > 80 on service payment-service' });
+        expect(events.find((e) => e.summary.startsWith('cpu_percent back to 50'))).toMatchObject({ at: ago(2 * MINUTE), sources: ['metric', 'alert'] });
+
+        const oom = events.filter((e) => e.summary.includes('OOMKilled'));
+        expect(oom).toEqual([expect.objectContaining({ kind: 'log', severity: 'critical', count: 2, last_at: ago(4 * MINUTE + 30 * SECOND) })]);
+        expect(events[events.length - 1]).toMatchObject({ kind: 'remediation', summary: expect.stringMatching(/^restart_service payment-service/) });
+
+        expect(events[0]).toMatchObject({ offset_ms: 0, offset: '+0s' });
+        expect(breach.offset_ms).toBe(Date.parse(breach.at) - Date.parse(res.body.anchor));
+        // Logs: the two OOMKilled lines and the seeded "All replicas unhealthy" from 10 minutes ago
+        expect(res.body.totals).toMatchObject({ logs: 3, metrics: 2, alerts: 2, remediations: 1 });
+    });
+
+    it('should anchor offsets at an incident and default to its service', async () => {
+        const { body: { data: incident } } = await request(app).post('/incidents').send({ type: 'high_cpu', severity: 'critical', service: 'payment-service' });
+        const res = await request(app).get(`/timeline?incident_id=${incident.id}`);
+
+        expect(res.body).toMatchObject({ incident_id: incident.id, anchor: incident.opened_at, services: ['payment-service'] });
+        const breach = res.body.events.find((e) => e.kind === 'metric');
+        expect(breach.offset_ms).toBeLessThan(0);
+        expect(breach.offset).toMatch(/^-\d+m\d{2}s$/);
+        expect(res.body.events.find((e) => e.kind === 'incident')).toMatchObject({ severity: 'critical', summary: expect.stringContaining('opened') });
+    });
+
+    it('should drop log lines first when over the limit', async () => {
+        const res = await request(app).get('/timeline?window=15m&services=payment-service&limit=3');
+        expect(res.body).toMatchObject({ count: 3, truncated: true });
+        expect(res.body.events.some((e) => e.kind === 'log')).toBe(false);
+
+        const everything = await request(app).get('/timeline?window=15m&min_level=info');
+        expect(everything.body.events.some((e) => e.summary.includes('Retrying payment call'))).toBe(true);
+        expect(everything.body.events.some((e) => e.summary.includes('Health check'))).toBe(true);
+    });
+
+    it('should cap log lines after the service filter and say when the cap is hit', async () => {
+        const start = NOW - 3 * 60 * MINUTE;
+        await insertLogs(Array.from({ length: 5001 }, (_, i) => ({ level: 'warn', service: 'noisy-service', message: `Slow request ${i}`, timestamp: new Date(start + i).toISOString() })));
+        await insertLog({ level: 'error', service: 'quiet-service', message: 'Certificate expired', timestamp: new Date(start + MINUTE).toISOString() });
+        const range = `from=${start}&to=${start + 2 * MINUTE}`;
+
+        const quiet = await request(app).get(`/timeline?${range}&services=quiet-service`);
+        expect(quiet.body).toMatchObject({ logs_truncated: false, totals: { logs: 1 } });
+        expect(quiet.body.events[0].summary).toBe('[ERROR] Certificate expired');
+
+        const all = await request(app).get(`/timeline?${range}`);
+        expect(all.body).toMatchObject({ logs_truncated: true, totals: { logs: 5000 } });
+    });
+
+    it('should reject bad parameters', async () => {
+        expect((await request(app).get('/timeline?min_level=loud')).status).toBe(400);
+        expect((await request(app).get('/timeline?from=1h&window=30m')).status).toBe(400);
+        expect((await request(app).get('/timeline?from=now&to=1h')).status).toBe(400);
+        expect((await request(app).get('/timeline?incident_id=missing')).status).toBe(404);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests: Service topology — configured and log-inferred dependencies, blast radius
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { useTempDb } = require('./helpers/temp-db');
+
+const DB_DIR = useTempDb('topology');
+process.env.TOPOLOGY_FILE = path.join(DB_DIR, 'topology.json');
+
+const request = require('supertest');
+const app = require('../server');
+const database = require('../lib/database');
+const alerts = require('../lib/alerts');
+const topology = require('../lib/topology');
+const { insertLog } = require('../tools/logs-db');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2025-03-21T09:00:00.000Z');
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.TOPOLOGY_FILE, JSON.stringify({
+        services: {
+            'api-gateway': { depends_on: ['auth-service', 'payment-service'] },
+            'auth-service': { depends_on: ['database-proxy'] },
+            'payment-service': { depends_on: ['database-proxy'] },
+        },
+    }));
+    await database.getDatabase();
+});
+
+afterAll(() => {
+    topology.resetForTesting();
+});
+
+describe('lib/topology', () => {
+    it('should validate the topology file and add undeclared dependencies', () => {
+        expect(topology.normalizeTopology({ services: { web: { depends_on: ['api'] }, worker: null } }))
+            .toEqual({ web: ['api'], worker: [], api: [] });
+
+        let error;
+        try {
+            topology.normalizeTopology({ services: { web: { depends_on: 'api' }, api: { depends_on: ['api'] }, db: [] } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).toBe('INVALID');
+        expect(error.details).toEqual([
+            'services.web.depends_on must be a list of service names',
+            'services.api depends on itself',
+            'services.db must be a map (or empty)',
+        ]);
+        expect(() => topology.normalizeTopology({ services: [] })).toThrow(/"services" map/);
+    });
+
+    it('should infer dependencies only from lines with a dependency hint', async () => {
+        const at = (minutes) => new Date(NOW - minutes * MINUTE).toISOString();
+        await insertLog({ level: 'error', service: 'checkout', message: 'Upstream timeout: payment-service:8080 after 30000ms', timestamp: at(30) });
+        await insertLog({ level: 'warn', service: 'checkout', message: 'Connection refused to payment-service, retrying', timestamp: at(10) });
+        await insertLog({ level: 'info', service: 'k8s-controller', message: 'HPA triggered: scaling payment-service from 3 to 5 replicas', timestamp: at(5) });
+        await insertLog({ level: 'info', service: 'k8s-controller', message: 'Calling readiness probe on payment-service-5c8d7f9a2-mn4kp', timestamp: at(4) });
+        await insertLog({ level: 'error', service: 'checkout', message: 'Upstream error from auth-service', timestamp: at(3 * 24 * 60) });
+
+        const edges = await topology.inferFromLogs({ since: '1d', now: NOW });
+        expect(edges).toEqual([{
+            from: 'checkout',
+            to: 'payment-service',
+            count: 2,
+            last_seen: at(10),
+            example: 'Connection refused to payment-service, retrying',
+        }]);
+        await expect(topology.inferFromLogs({ since: 'last week' })).rejects.toMatchObject({ code: 'INVALID' });
+    });
+});
+
+describe('REST /topology', () => {
+    it('should merge configured and inferred edges', async () => {
+        const res = await request(app).get('/topology?since=1000d');
+
+        expect(res.status).toBe(200);
+        expect(res.body.services).toEqual(['api-gateway', 'auth-service', 'checkout', 'database-proxy', 'payment-service']);
+        // The seeded logs have api-gateway hitting payment-service timeouts and its circuit breaker
+        expect(res.body.edges.find((e) => e.from === 'api-gateway' && e.to === 'payment-service'))
+            .toMatchObject({ sources: ['config', 'logs'], evidence: { count: 2 } });
+        expect(res.body.edges.find((e) => e.from === 'checkout' && e.to === 'auth-service')).toMatchObject({ sources: ['logs'] });
+
+        const configured = await request(app).get('/topology?source=config');
+        expect(configured.body.edges.every((e) => e.sources.join() === 'config')).toBe(true);
+        expect(configured.body.services).not.toContain('checkout');
+
+        expect((await request(app).get('/topology?source=dns')).status).toBe(400);
+    });
+
+    it('should walk callers and callees of an unhealthy service', async () => {
+        await alerts.recordExternalAlerts('alertmanager', [{
+            status: 'firing', rule: 'PaymentErrors', type: 'payment_errors', severity: 'critical', scope: 'service',
+            service: 'payment-service', node: null, labels: { alertname: 'PaymentErrors', service: 'payment-service' },
+        }]);
+
+        const res = await request(app).get('/topology/blast-radius/database-proxy?since=1000d');
+        expect(res.status).toBe(200);
+        expect(res.body.data.downstream.map((d) => [d.service, d.distance])).toEqual([
+            ['auth-service', 1], ['payment-service', 1], ['api-gateway', 2], ['checkout', 2],
+        ]);
+        expect(res.body.data.downstream[1].alerting).toEqual(['PaymentErrors']);
+        // checkout calls both; the first caller found gives the path
+        expect(res.body.data.downstream[3].path).toEqual(['database-proxy', 'auth-service', 'checkout']);
+        expect(res.body.data).toMatchObject({ upstream: [], affected_services: 4 });
+
+        const gateway = await request(app).get('/topology/blast-radius/api-gateway?depth=1');
+        expect(gateway.body.data.upstream.map((u) => u.service)).toEqual(['auth-service', 'payment-service']);
+        expect(gateway.body.data.summary).toBe('api-gateway: 0 downstream service(s) affected; depends on auth-service, payment-service');
+
+        expect((await request(app).get('/topology/blast-radius/mainframe')).status).toBe(404);
+        expect((await request(app).get('/topology/blast-radius/api-gateway?depth=0')).status).toBe(400);
+    });
+
+    it('should keep the old topology on a bad reload', async () => {
+        fs.writeFileSync(process.env.TOPOLOGY_FILE, '{ "services": { "web": { "depends_on": "api" } } }');
+        const bad = await request(app).post('/topology/reload');
+        expect(bad.status).toBe(400);
+        expect(bad.body.details).toEqual(['services.web.depends_on must be a list of service names']);
+        expect((await request(app).get('/topology?source=config')).body.services).toContain('database-proxy');
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * MCP Tool: Alerts
+ *
+ * Deduplicated alert state from the incident rules (see lib/alerts.js).
+ * A condition that keeps breaching is one alert with a growing occurrence
+ * count; alerts go pending → firing → resolved. Alertmanager can deliver
+ * its alerts here too (see lib/alertmanager.js).
+ *
+ * Mounted by both the REST server and the MCP server, so Alertmanager can
+ * notify whichever one is deployed.
+ *
+ * Endpoints:
+ *   GET  /alerts               — List alerts, optionally grouped
+ *   GET  /alerts/:fingerprint  — One alert
+ *   POST /alerts/alertmanager  — Alertmanager webhook receiver
+ */
+
+'use strict';
+
+const express = require('express');
+const alerts = require('../lib/alerts');
+const alertmanager = require('../lib/alertmanager');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+    console.error(`[alerts] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /alerts
+ * Query params: status (pending | firing | resolved | active | all; default active),
+ *               severity, service, node, rule, type, source (rules | alertmanager),
+ *               group_by (service | node | cluster | rule | type), limit (default 100, max 500)
+ */
+router.get('/alerts', async (req, res) => {
+    try {
+        const { status, severity, service, node, rule, type, source, group_by: groupBy, limit } = req.query;
+        const result = await alerts.listAlerts({ status, severity, service, node, rule, type, source, group_by: groupBy, limit });
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list alerts');
+    }
+});
+
+/**
+ * POST /alerts/alertmanager
+ * Body: Alertmanager webhook payload ({ version: "4", receiver, status, alerts: [...] })
+ *
+ * Responds 200 when at least one alert was stored (rejected ones are listed
+ * in `errors`), 400 when none was.
+ */
+router.post('/alerts/alertmanager', async (req, res) => {
+    try {
+        const { receiver, alerts: incoming, errors } = alertmanager.parseWebhook(req.body);
+        if (incoming.length === 0 && errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'No valid alerts in payload', accepted: 0, rejected: errors.length, errors });
+        }
+
+        const stored = await alerts.recordExternalAlerts('alertmanager', incoming);
+        const firing = stored.filter((a) => a.status === 'firing').length;
+        console.log(`[alerts] Alertmanager${receiver ? ` (${receiver})` : ''}: ${firing} firing, ${stored.length - firing} resolved, ${errors.length} rejected`);
+        return res.json({ success: true, accepted: stored.length, rejected: errors.length, alerts: stored, errors });
+    } catch (error) {
+        return sendError(res, error, 'Failed to store Alertmanager alerts');
+    }
+});
+
+/** GET /alerts/:fingerprint */
+router.get('/alerts/:fingerprint', async (req, res) => {
+    try {
+        return res.json({ success: true, data: await alerts.getAlert(req.params.fingerprint) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to fetch alert');
+    }
+});
+
+module.exports = router;
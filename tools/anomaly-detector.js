@@ -0,0 +1,74 @@
+/**
+ * MCP Tool: Anomaly Detector
+ *
+ * Statistical detection on top of the metrics history: each service and node
+ * metric is compared with its own EWMA baseline, so "normally hot" workloads
+ * stay quiet and slow drifts still surface (see lib/baselines.js).
+ *
+ * Endpoints:
+ *   GET /anomalies            — Score the current snapshot against baselines
+ *   GET /anomalies/baselines  — Inspect learned baselines
+ */
+
+'use strict';
+
+const express = require('express');
+const baselines = require('../lib/baselines');
+const metricsStore = require('../lib/metrics-store');
+const { getMetricsSource } = require('../lib/metrics-sources');
+
+const router = express.Router();
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /anomalies
+ * Query params: service, node (only score these; unknown names → 404), threshold (|z|, default 3),
+ *               all=true (include metrics within their expected range)
+ */
+router.get('/anomalies', async (req, res) => {
+    try {
+        const { service, node } = req.query;
+        const threshold = req.query.threshold === undefined ? undefined : parseFloat(req.query.threshold);
+        if (threshold !== undefined && !(threshold > 0)) {
+            return res.status(400).json({ success: false, error: '"threshold" must be a positive number' });
+        }
+
+        const snapshot = await getMetricsSource().snapshot();
+        const result = await baselines.detectAnomalies(snapshot, {
+            service,
+            node,
+            threshold,
+            includeNormal: req.query.all === 'true',
+        });
+        await metricsStore.recordSnapshot(snapshot);
+
+        console.log(`[anomaly-detector] ${result.anomalies} anomalous metric(s) in snapshot ${snapshot.id}`);
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'UNKNOWN_TARGET') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('[anomaly-detector] Detection error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to detect anomalies', details: error.message });
+    }
+});
+
+/**
+ * GET /anomalies/baselines
+ * Query params: service or node, metric
+ */
+router.get('/anomalies/baselines', async (req, res) => {
+    try {
+        await baselines.syncFromStore();
+        const { service, node, metric } = req.query;
+        const kind = service ? 'service' : (node ? 'node' : undefined);
+        const data = baselines.listBaselines({ kind, name: service || node, metric });
+        return res.json({ success: true, config: baselines.getConfig(), count: data.length, data });
+    } catch (error) {
+        console.error('[anomaly-detector] Baselines error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to list baselines', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * MCP Tool: Forecaster
+ *
+ * Predicts when disk, memory or pod capacity will run out by fitting trends
+ * over the stored metrics history (see lib/forecast.js), so pressure can be
+ * handled gently before a threshold alert fires.
+ *
+ * Endpoints:
+ *   GET /forecasts — Time-to-full predictions with 95% confidence intervals
+ */
+
+'use strict';
+
+const express = require('express');
+const forecast = require('../lib/forecast');
+const { parseDuration } = require('../lib/duration');
+
+const router = express.Router();
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /forecasts
+ * Query params: resource (disk | memory | pods), service, node,
+ *               window (history to fit, e.g. 6h), threshold (level that counts as full; needs resource),
+ *               all=true (include stable resources), incidents=true (include predicted_exhaustion
+ *               incidents even when FORECAST_INCIDENTS is off)
+ */
+router.get('/forecasts', async (req, res) => {
+    try {
+        const { resource, service, node } = req.query;
+        const window = req.query.window === undefined ? undefined : parseDuration(req.query.window);
+        const threshold = req.query.threshold === undefined ? undefined : parseFloat(req.query.threshold);
+        if (window === null || window === 0) {
+            return res.status(400).json({ success: false, error: '"window" must be a positive duration such as 1h or 6h' });
+        }
+
+        const result = await forecast.forecastExhaustion({ resource, service, node, window, threshold, all: req.query.all === 'true' });
+        const withIncidents = forecast.getConfig().incidents || req.query.incidents === 'true';
+
+        console.log(`[forecaster] ${result.forecasts.filter((f) => f.status === 'filling').length} resource(s) filling up`);
+        return res.json({
+            success: true,
+            ...result,
+            ...(withIncidents ? { incidents: forecast.exhaustionIncidents(result.forecasts) } : {}),
+        });
+    } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[forecaster] Forecast error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to forecast resources', details: error.message });
+    }
+});
+
+module.exports = router;
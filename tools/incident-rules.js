@@ -0,0 +1,147 @@
+/**
+ * MCP Tool: Incident Rules
+ *
+ * Exposes the shared incident rule set (config/rules.yaml, see lib/rules.js)
+ * and evaluates it against the current metrics, so the CLI, the dashboard and
+ * agents all report the same incidents for the same numbers.
+ *
+ * Mounted by both the REST server and the MCP server (the dashboard reads it).
+ *
+ * Endpoints:
+ *   GET  /rules          — Active rules, the file they came from and when it was loaded
+ *   POST /rules/reload   — Re-read the rule file
+ *   GET  /rules/evaluate — Incidents for the current metrics
+ *
+ * Evaluations update the stored alert state (lib/alerts.js): a breach that
+ * persists across polls is reported as the same alert, not a new incident.
+ * Incidents covered by an active silence (lib/silences.js) are reported
+ * apart, under `silenced`.
+ */
+
+'use strict';
+
+const express = require('express');
+const rules = require('../lib/rules');
+const alerts = require('../lib/alerts');
+const silences = require('../lib/silences');
+const metricsStore = require('../lib/metrics-store');
+const { getMetricsSource, flattenSnapshot } = require('../lib/metrics-sources');
+const { filterSnapshot } = require('../lib/metrics-model');
+
+const router = express.Router();
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendRulesError(res, error, fallback) {
+    if (error.code === 'INVALID') {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    if (error.code === 'NOT_FOUND' || error.code === 'UNKNOWN_TARGET') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+    console.error(`[rules] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+/**
+ * The part of an evaluation that concerns one service or node: everything
+ * that breaches in its filterSnapshot() view. Service and node rules keep the
+ * stored alert (so the nodes hosting a service count too); cluster rules are
+ * judged on the target's own aggregates, which have no stored state, so they
+ * come back as plain incidents (firing once held for the rule's duration).
+ *
+ * @param {object} snapshot - Unfiltered snapshot
+ * @param {{ firing: Array<object>, pending: Array<object> }} evaluated - evaluateAlerts() result
+ * @param {{ service?: string, node?: string }} filters
+ * @returns {Promise<{ firing: Array<object>, pending: Array<object> }>}
+ */
+async function alertsOnTarget(snapshot, evaluated, filters) {
+    const stored = new Map([...evaluated.firing, ...evaluated.pending].map((alert) => [alert.fingerprint, alert]));
+    const result = { firing: [], pending: [] };
+
+    for (const observation of await rules.observeRules(snapshot, filters)) {
+        if (observation.scope === 'cluster') {
+            if (!observation.breaching) continue;
+            const status = observation.held ? 'firing' : 'pending';
+            result[status].push({ ...rules.incidentFor(observation), status });
+            continue;
+        }
+        const alert = stored.get(alerts.fingerprintOf({
+            rule: observation.rule.name,
+            scope: observation.scope,
+            service: observation.service,
+            node: observation.node,
+        }));
+        if (alert) result[alert.status].push(alert);
+    }
+
+    result.firing.sort(rules.bySeverity);
+    result.pending.sort(rules.bySeverity);
+    return result;
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/** GET /rules */
+router.get('/rules', (req, res) => {
+    try {
+        const ruleSet = rules.getRuleSet();
+        return res.json({ success: true, count: ruleSet.rules.length, ...ruleSet });
+    } catch (error) {
+        return sendRulesError(res, error, 'Failed to load rules');
+    }
+});
+
+/**
+ * POST /rules/reload
+ * Re-reads RULES_FILE. On a parse or validation error the previous rules stay
+ * active and the response lists every problem in `details`.
+ */
+router.post('/rules/reload', (req, res) => {
+    try {
+        const ruleSet = rules.loadRules();
+        return res.json({ success: true, count: ruleSet.rules.length, ...ruleSet });
+    } catch (error) {
+        return sendRulesError(res, error, 'Failed to reload rules');
+    }
+});
+
+/**
+ * GET /rules/evaluate
+ * Query params: service, node (only what breaches on that target, see
+ *   alertsOnTarget(); unknown names → 404)
+ *
+ * Fetches (and records) a snapshot and updates the alert state from it.
+ * `incidents` are the firing alerts (each with its fingerprint and `new: true`
+ * the first time it fires), `pending` the breaches still waiting out their
+ * duration; both come with the flattened metrics they were computed from.
+ * Incidents matching an active silence move to `silenced` (with `silenced_by`)
+ * and do not count towards overall_health.
+ */
+router.get('/rules/evaluate', async (req, res) => {
+    try {
+        const { service, node } = req.query;
+        const snapshot = await getMetricsSource().snapshot();
+        const metrics = flattenSnapshot(filterSnapshot(snapshot, { service, node }));
+        await metricsStore.recordSnapshot(snapshot);
+
+        const evaluated = await alerts.evaluateAlerts(snapshot);
+        const { firing, pending } = service || node ? await alertsOnTarget(snapshot, evaluated, { service, node }) : evaluated;
+        const { kept: incidents, silenced } = await silences.suppress(firing);
+        console.log(`[rules] ${incidents.length} incident(s) active${silenced.length ? `, ${silenced.length} silenced` : ''}`);
+        return res.json({
+            success: true,
+            overall_health: rules.overallHealth(incidents),
+            count: incidents.length,
+            incidents,
+            silenced,
+            pending,
+            metrics,
+            timestamp: new Date().toISOString(),
+        });
+    } catch (error) {
+        return sendRulesError(res, error, 'Failed to evaluate rules');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * MCP Tool: Incidents
+ *
+ * Stored incident records (see lib/incidents.js): open them, move them
+ * through open → acknowledged → mitigated → resolved, link the remediations
+ * that fixed them, and read MTTA/MTTR.
+ *
+ * Endpoints:
+ *   GET  /incidents                  — List incidents with MTTA/MTTR stats
+ *   POST /incidents                  — Open an incident (deduplicated by type/service/node)
+ *   GET  /incidents/:id              — One incident with its events and remediations
+ *   POST /incidents/:id/acknowledge  — Acknowledge
+ *   POST /incidents/:id/mitigate     — Mark mitigated
+ *   POST /incidents/:id/resolve      — Resolve
+ *   POST /incidents/:id/link         — Link an executed action to the incident
+ */
+
+'use strict';
+
+const express = require('express');
+const incidents = require('../lib/incidents');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+    console.error(`[incidents] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+/** POST /incidents/:id/<step> for one lifecycle step */
+function transitionRoute(step, handler) {
+    router.post(`/incidents/:id/${step}`, async (req, res) => {
+        try {
+            const { actor, note, resolution } = req.body || {};
+            const incident = await handler(req.params.id, { actor, note, resolution });
+            return res.json({ success: true, data: incident });
+        } catch (error) {
+            return sendError(res, error, `Failed to ${step} incident`);
+        }
+    });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /incidents
+ * Query params: status (open | acknowledged | mitigated | resolved | active), severity,
+ *               service, node, type, limit (default 50, max 200)
+ */
+router.get('/incidents', async (req, res) => {
+    try {
+        const { status, severity, service, node, type, limit } = req.query;
+        const result = await incidents.listIncidents({ status, severity, service, node, type, limit });
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list incidents');
+    }
+});
+
+/**
+ * POST /incidents
+ * Body: { type, severity (info | warning | critical), title?, service?, node?,
+ *         summary?, labels?, source?, actor? }
+ *
+ * Responds 201 with a new incident, or 200 with `deduplicated: true` and the
+ * unresolved incident that already covers the same type/service/node.
+ */
+router.post('/incidents', async (req, res) => {
+    try {
+        const { incident, deduplicated } = await incidents.openIncident(req.body || {});
+        return res.status(deduplicated ? 200 : 201).json({ success: true, deduplicated, data: incident });
+    } catch (error) {
+        return sendError(res, error, 'Failed to open incident');
+    }
+});
+
+/** GET /incidents/:id */
+router.get('/incidents/:id', async (req, res) => {
+    try {
+        return res.json({ success: true, data: await incidents.getIncident(req.params.id) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to fetch incident');
+    }
+});
+
+/** Body for each step: { actor?, note? }; resolve also takes `resolution` */
+transitionRoute('acknowledge', incidents.acknowledgeIncident);
+transitionRoute('mitigate', incidents.mitigateIncident);
+transitionRoute('resolve', incidents.resolveIncident);
+
+/**
+ * POST /incidents/:id/link
+ * Body: { execution_id, actor? } — an id from POST /execute (or an MCP execution)
+ */
+router.post('/incidents/:id/link', async (req, res) => {
+    try {
+        const { execution_id: executionId, actor } = req.body || {};
+        if (!executionId) {
+            return res.status(400).json({ success: false, error: 'Missing required field: execution_id' });
+        }
+        const incident = await incidents.linkRemediation(req.params.id, executionId, { actor });
+        return res.json({ success: true, data: incident });
+    } catch (error) {
+        return sendError(res, error, 'Failed to link remediation');
+    }
+});
+
+module.exports = router;
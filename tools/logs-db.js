@@ -4,10 +4,18 @@
  * Persistent, queryable log store backed by SQLite (sql.js WASM).
  * Auto-creates tables and seeds realistic sample data on first run.
  *
+ * Messages and metadata are also indexed for full-text search (lib/log-search.js)
+ * in the FTS4 table logs_fts, which triggers keep in sync with logs. Common
+ * metadata keys are indexed virtual columns for metadata filters
+ * (lib/log-metadata.js).
+ *
  * Endpoints:
- *   GET  /logs       — Query logs (filter by level, service, search, limit)
- *   POST /logs       — Insert a new log entry
- *   GET  /logs/stats — Aggregate log statistics
+ *   GET  /logs          — Query logs (level, services, full-text search, metadata, time range, sort, limit)
+ *   POST /logs          — Insert a new log entry
+ *   POST /logs/bulk     — Insert many entries from NDJSON, a JSON array or logfmt
+ *   GET  /logs/patterns — Similar messages grouped into templates (lib/log-patterns.js)
+ *   GET  /logs/stream   — New entries as they are inserted (Server-Sent Events)
+ *   GET  /logs/stats    — Aggregate log statistics, optionally grouped by metadata keys
  */
 
 'use strict';
@@ -15,9 +23,48 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../lib/database');
+const { parseTime } = require('../lib/duration');
+const logSearch = require('../lib/log-search');
+const logIngest = require('../lib/log-ingest');
+const logPatternMiner = require('../lib/log-patterns');
+const logMetadata = require('../lib/log-metadata');
+
+const { LOG_LEVELS } = logSearch;
 
 const router = express.Router();
 
+const SORT_ORDERS = ['desc', 'asc', 'relevance'];
+/** The stored columns, without the virtual metadata ones */
+const LOG_COLUMNS = 'l.id, l.timestamp, l.level, l.service, l.message, l.metadata';
+/** Rows scored per relevance-sorted search, newest first */
+const MAX_RANKED = 5000;
+/** Rows read per query while catching a stream up */
+const STREAM_BATCH = 500;
+/** Metadata groups returned by GET /logs/stats, at most */
+const MAX_GROUPS = 500;
+/** Patterns returned, and the newest lines mined for them, at most */
+const MAX_PATTERNS = 200;
+const MAX_PATTERN_LINES = 20000;
+
+/** Called after entries are written, so open streams can send them */
+const insertListeners = new Set();
+/** Open GET /logs/stream responses */
+const streams = new Set();
+
+function heartbeatMs() {
+    return parseInt(process.env.LOGS_STREAM_HEARTBEAT_MS, 10) || 15000;
+}
+
+function notifyInsert() {
+    for (const listener of insertListeners) listener();
+}
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID';
+    return error;
+}
+
 // ── Initialization ─────────────────────────────────────────
 
 /** Flag to track whether we've initialized tables for this session */
@@ -42,6 +89,9 @@ async function ensureTables() {
       metadata TEXT DEFAULT '{}'
     )
   `);
+    database.exec('CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs (timestamp)');
+    ensureMetadataColumns();
+    ensureSearchIndex();
 
     // Seed sample data only if table is empty
     const row = database.queryOne('SELECT COUNT(*) as count FROM logs');
@@ -54,6 +104,45 @@ async function ensureTables() {
     tablesReady = true;
 }
 
+/**
+ * Add a virtual column and an index for each common metadata key, on new and
+ * existing databases alike. The columns are computed from metadata, so
+ * inserts don't name them.
+ */
+function ensureMetadataColumns() {
+    const existing = new Set(database.queryAll('PRAGMA table_xinfo(logs)').map((c) => c.name));
+    for (const { column, expression } of logMetadata.indexedColumns()) {
+        if (!existing.has(column)) {
+            database.exec(`ALTER TABLE logs ADD COLUMN ${column} GENERATED ALWAYS AS (${expression}) VIRTUAL`);
+        }
+        database.exec(`CREATE INDEX IF NOT EXISTS idx_logs_${column} ON logs (${column})`);
+    }
+}
+
+/**
+ * Create the full-text index over message and metadata, and the triggers that
+ * keep it in sync. A database from before the index gets it built from the
+ * existing rows.
+ */
+function ensureSearchIndex() {
+    const exists = database.queryOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'logs_fts'");
+
+    database.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS logs_fts USING fts4(content="logs", message, metadata);
+    CREATE TRIGGER IF NOT EXISTS logs_fts_insert AFTER INSERT ON logs BEGIN
+      INSERT INTO logs_fts (docid, message, metadata) VALUES (new.rowid, new.message, new.metadata);
+    END;
+    CREATE TRIGGER IF NOT EXISTS logs_fts_delete BEFORE DELETE ON logs BEGIN
+      DELETE FROM logs_fts WHERE docid = old.rowid;
+    END;
+  `);
+
+    if (!exists) {
+        database.exec("INSERT INTO logs_fts (logs_fts) VALUES ('rebuild')");
+        console.log('[logs-db] Built full-text index');
+    }
+}
+
 /**
  * Seed realistic sample log entries simulating a production K8s environment.
  */
@@ -97,6 +186,323 @@ function seedSampleLogs() {
     console.log(`[logs-db] Seeded ${logs.length} sample log entries`);
 }
 
+/**
+ * Insert a log entry from inside the process (e.g. scenario log injection).
+ * Does not flush to disk — the database autosave picks it up.
+ * @param {object} entry - { level, service, message, metadata?, timestamp? }
+ * @returns {Promise<object>} The stored entry
+ */
+async function insertLog({ level, service, message, metadata, timestamp }) {
+    await ensureTables();
+
+    const entry = {
+        id: uuidv4(),
+        timestamp: timestamp || new Date().toISOString(),
+        level,
+        service,
+        message,
+        metadata: metadata || {},
+    };
+
+    database.run(
+        `INSERT INTO logs (id, timestamp, level, service, message, metadata) VALUES ($id, $timestamp, $level, $service, $message, $metadata)`,
+        {
+            $id: entry.id,
+            $timestamp: entry.timestamp,
+            $level: entry.level,
+            $service: entry.service,
+            $message: entry.message,
+            $metadata: JSON.stringify(entry.metadata),
+        }
+    );
+    notifyInsert();
+
+    return entry;
+}
+
+/**
+ * Insert many entries in one transaction (bulk pushes and the syslog listener).
+ * Like insertLog, leaves flushing to disk to the caller or the autosave.
+ * @param {object[]} entries - { level, service, message, metadata?, timestamp? }
+ * @returns {Promise<number>} Number of entries written
+ */
+async function insertLogs(entries) {
+    await ensureTables();
+    if (entries.length === 0) return 0;
+
+    database.exec('BEGIN');
+    try {
+        for (const { level, service, message, metadata, timestamp } of entries) {
+            database.run(
+                `INSERT INTO logs (id, timestamp, level, service, message, metadata) VALUES ($id, $timestamp, $level, $service, $message, $metadata)`,
+                {
+                    $id: uuidv4(),
+                    $timestamp: timestamp || new Date().toISOString(),
+                    $level: level,
+                    $service: service,
+                    $message: message,
+                    $metadata: JSON.stringify(metadata || {}),
+                }
+            );
+        }
+        database.exec('COMMIT');
+    } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+    }
+    notifyInsert();
+    return entries.length;
+}
+
+/**
+ * Run a body parser, answering a body it refuses (over its limit, malformed
+ * JSON) in the JSON error shape instead of Express's default error page.
+ */
+function parseBody(parser) {
+    return (req, res, next) => parser(req, res, (error) => {
+        if (!error) return next();
+        const message = error.type === 'entity.too.large' ? `Payload larger than ${error.limit} bytes` : error.message;
+        return res.status(error.status || 400).json({ success: false, error: message });
+    });
+}
+
+/** Bulk format from an explicit ?format= or the Content-Type; plain text is NDJSON if it starts with "{" */
+function bulkFormat(req) {
+    if (req.query.format) return req.query.format;
+    if (req.is('application/json')) return 'json';
+    if (req.is('application/x-ndjson') || req.is('application/jsonl')) return 'ndjson';
+    if (req.is('application/x-logfmt')) return 'logfmt';
+    if (!req.get('Content-Type') || req.is('text/*')) {
+        return typeof req.body === 'string' && req.body.trimStart().startsWith('{') ? 'ndjson' : 'logfmt';
+    }
+    return null;
+}
+
+/**
+ * Validate the filters shared by log queries and pattern mining, and turn
+ * them into WHERE conditions over `logs l`.
+ * @returns {{ where: string, params: object, filters: object, compiled: object|null }}
+ * @throws {Error} code INVALID for a bad parameter
+ */
+function buildFilter(options, now) {
+    const { level, min_level: minLevel, search } = options;
+
+    for (const [name, value] of [['level', level], ['min_level', minLevel]]) {
+        if (value && !LOG_LEVELS.includes(value)) {
+            throw invalid(`Invalid ${name} "${value}". Must be one of: ${LOG_LEVELS.join(', ')}`);
+        }
+    }
+    if (level && minLevel) throw invalid('Give either "level" or "min_level", not both');
+
+    const compiled = search ? logSearch.compileSearch(String(search)) : null;
+
+    const bounds = {};
+    for (const name of ['since', 'until']) {
+        if (options[name] === undefined || options[name] === '') continue;
+        const at = parseTime(options[name], now);
+        if (at === null) throw invalid(`Invalid ${name} "${options[name]}" (ISO 8601, epoch ms or a duration such as 15m)`);
+        bounds[name] = new Date(at).toISOString();
+    }
+    if (bounds.since && bounds.until && bounds.since > bounds.until) throw invalid('"since" must be before "until"');
+
+    const list = Array.isArray(options.service) ? options.service : String(options.service || '').split(',');
+    const services = [...new Set(list.map((s) => String(s).trim()).filter(Boolean))];
+    const metadataFilters = logMetadata.parseMetadataFilters(options);
+
+    // Build conditions dynamically — sql.js uses $param notation
+    let where = '1=1';
+    const params = {};
+
+    if (level) {
+        where += ' AND level = $level';
+        params.$level = level;
+    }
+    if (minLevel) {
+        const levels = LOG_LEVELS.slice(LOG_LEVELS.indexOf(minLevel));
+        where += ` AND level IN (${levels.map((_, i) => `$level${i}`).join(', ')})`;
+        levels.forEach((l, i) => { params[`$level${i}`] = l; });
+    }
+    if (services.length > 0) {
+        where += ` AND service IN (${services.map((_, i) => `$service${i}`).join(', ')})`;
+        services.forEach((s, i) => { params[`$service${i}`] = s; });
+    }
+    if (compiled) {
+        where += ` AND ${compiled.where}`;
+        Object.assign(params, compiled.params);
+    }
+    if (bounds.since) {
+        where += ' AND timestamp >= $since';
+        params.$since = bounds.since;
+    }
+    if (bounds.until) {
+        where += ' AND timestamp <= $until';
+        params.$until = bounds.until;
+    }
+    if (metadataFilters.length > 0) {
+        const metadata = logMetadata.compileMetadataFilters(metadataFilters);
+        where += metadata.conditions.map((condition) => ` AND ${condition}`).join('');
+        Object.assign(params, metadata.params);
+    }
+
+    return {
+        where,
+        params,
+        compiled,
+        filters: {
+            level: level || null,
+            min_level: minLevel || null,
+            service: services.length > 0 ? services.join(',') : null,
+            search: search || null,
+            since: bounds.since || null,
+            until: bounds.until || null,
+            metadata: logMetadata.describeFilters(metadataFilters),
+        },
+    };
+}
+
+/**
+ * Query stored logs. Shared by GET /logs and the query_logs MCP tool.
+ * @param {object} options - { level, min_level, service (string, comma-separated or array),
+ *   search (full-text query, see lib/log-search.js), since, until (ISO 8601, epoch ms or a duration
+ *   meaning that long ago), metadata ({ key: value | [values] | "*" }, or metadata.<key> options,
+ *   see lib/log-metadata.js), sort ('desc' | 'asc' | 'relevance'; relevance by default with a search),
+ *   limit (1-500, default 50), offset }
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<object>} { count, filters, data } — with a search, each row has `score` and a
+ *   `snippet` with the matched words in <mark> tags
+ * @throws {Error} code INVALID for a bad parameter
+ */
+async function queryLogs(options = {}, now = Date.now()) {
+    await ensureTables();
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+    const { where, params, filters, compiled } = buildFilter(options, now);
+    const ranked = Boolean(compiled && compiled.match);
+
+    const sort = String(options.sort || (ranked ? 'relevance' : 'desc')).toLowerCase();
+    if (!SORT_ORDERS.includes(sort)) throw invalid(`Invalid sort "${options.sort}". Must be one of: ${SORT_ORDERS.join(', ')}`);
+    if (sort === 'relevance' && !ranked) throw invalid('sort=relevance needs a search with words to rank by');
+
+    let query = `SELECT ${LOG_COLUMNS} FROM logs l WHERE ${where}`;
+    if (ranked) {
+        query = `SELECT ${LOG_COLUMNS}, m.match_info, m.snippet FROM logs l
+          LEFT JOIN (
+            SELECT docid, matchinfo(logs_fts, '${logSearch.MATCHINFO_FORMAT}') AS match_info,
+                   snippet(logs_fts, '${logSearch.SNIPPET_OPEN}', '${logSearch.SNIPPET_CLOSE}', '…', -1, 15) AS snippet
+            FROM logs_fts WHERE logs_fts MATCH $match
+          ) m ON m.docid = l.rowid
+          WHERE ${where}`;
+        params.$match = compiled.match;
+    }
+
+    let rows;
+    if (sort === 'relevance') {
+        query += ' ORDER BY l.timestamp DESC LIMIT $max';
+        params.$max = MAX_RANKED;
+        rows = database.queryAll(query, params)
+            .map((row) => ({ ...row, score: logSearch.scoreMatch(row.match_info) }))
+            .sort((a, b) => b.score - a.score || (a.timestamp < b.timestamp ? 1 : -1))
+            .slice(offset, offset + limit);
+    } else {
+        query += ` ORDER BY l.timestamp ${sort.toUpperCase()} LIMIT $limit OFFSET $offset`;
+        params.$limit = limit;
+        params.$offset = offset;
+        rows = database.queryAll(query, params);
+    }
+
+    return {
+        count: rows.length,
+        filters: { ...filters, sort },
+        data: rows.map(({ match_info: matchInfo, snippet, ...r }) => {
+            const entry = { ...r, metadata: JSON.parse(r.metadata || '{}') };
+            if (!compiled) return entry;
+            const score = ranked ? (r.score === undefined ? logSearch.scoreMatch(matchInfo) : r.score) : null;
+            return { ...entry, score: score === null ? null : parseFloat(score.toFixed(3)), snippet: snippet || null };
+        }),
+    };
+}
+
+/**
+ * Group matching logs into message patterns (lib/log-patterns.js). Shared by
+ * GET /logs/patterns and the get_log_patterns MCP tool.
+ * @param {object} options - The filters of queryLogs (level, min_level, service, search, since,
+ *   until, metadata), plus limit (patterns, default 20, max 200), samples (per pattern, default 3, max 10),
+ *   similarity (0-1, default 0.5) and max_lines (newest lines mined, default 5000, max 20000)
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<object>} { filters, lines, truncated, pattern_count, count, data }
+ * @throws {Error} code INVALID for a bad parameter
+ */
+async function logPatterns(options = {}, now = Date.now()) {
+    await ensureTables();
+
+    const { where, params, filters } = buildFilter(options, now);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_PATTERNS);
+    const samples = Math.min(Math.max(parseInt(options.samples, 10) || 3, 1), 10);
+    const maxLines = Math.min(Math.max(parseInt(options.max_lines, 10) || 5000, 1), MAX_PATTERN_LINES);
+    const similarity = options.similarity === undefined || options.similarity === '' ? undefined : Number(options.similarity);
+    if (similarity !== undefined && !(similarity > 0 && similarity <= 1)) throw invalid('"similarity" must be a number above 0 and at most 1');
+
+    // Newest lines when over the cap, then mined oldest first
+    const rows = database.queryAll(
+        `SELECT l.id, l.timestamp, l.level, l.service, l.message FROM logs l WHERE ${where}
+         ORDER BY l.timestamp DESC LIMIT $max`,
+        { ...params, $max: maxLines + 1 }
+    );
+    const truncated = rows.length > maxLines;
+    const lines = rows.slice(0, maxLines).reverse();
+
+    const patterns = logPatternMiner.minePatterns(lines, { samples, similarity });
+
+    return {
+        filters,
+        lines: lines.length,
+        truncated,
+        pattern_count: patterns.length,
+        count: Math.min(patterns.length, limit),
+        data: patterns.slice(0, limit),
+    };
+}
+
+/**
+ * Count logs by level and service, and by metadata keys with `group_by`.
+ * Shared by GET /logs/stats and the get_log_stats MCP tool.
+ * @param {object} [options] - The filters of queryLogs, plus group_by (up to 3 metadata keys,
+ *   comma-separated) and limit (groups, default 50, max 500)
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<object>} { filters, data: { total, by_level, by_service, group_by?, groups? } }
+ * @throws {Error} code INVALID for a bad parameter
+ */
+async function logStats(options = {}, now = Date.now()) {
+    await ensureTables();
+
+    const { where, params, filters } = buildFilter(options, now);
+    const groupBy = logMetadata.parseGroupBy(options.group_by);
+
+    const data = {
+        total: database.queryOne(`SELECT COUNT(*) as count FROM logs l WHERE ${where}`, params).count,
+        by_level: database.queryAll(`SELECT level, COUNT(*) as count FROM logs l WHERE ${where} GROUP BY level ORDER BY count DESC`, params),
+        by_service: database.queryAll(`SELECT service, COUNT(*) as count FROM logs l WHERE ${where} GROUP BY service ORDER BY count DESC`, params),
+    };
+
+    if (groupBy.length > 0) {
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_GROUPS);
+        const columns = groupBy.map((key, i) => `${logMetadata.valueSql(key)} AS g${i}`);
+        const rows = database.queryAll(
+            `SELECT ${columns.join(', ')}, COUNT(*) as count FROM logs l WHERE ${where}
+             GROUP BY ${groupBy.map((_, i) => `g${i}`).join(', ')} ORDER BY count DESC LIMIT $limit`,
+            { ...params, $limit: limit }
+        );
+        data.group_by = groupBy;
+        data.groups = rows.map((row) => ({
+            ...Object.fromEntries(groupBy.map((key, i) => [key, row[`g${i}`]])),
+            count: row.count,
+        }));
+    }
+
+    return { filters: { ...filters, group_by: groupBy.length > 0 ? groupBy.join(',') : null }, data };
+}
+
 // ── Middleware — ensure DB is ready before handling requests ─
 router.use(async (req, res, next) => {
     try {
@@ -113,57 +519,22 @@ router.use(async (req, res, next) => {
 /**
  * GET /logs
  * Query logs with optional filters.
- * Query params: level, service, search, limit (default 50), offset (default 0)
+ * Query params: level, min_level (that level and above), service (comma-separated or repeated),
+ *               search, since / until (ISO 8601, epoch ms or "15m" ago), sort (desc | asc),
+ *               limit (default 50), offset (default 0),
+ *               metadata.<key> (value, a,b or * for present; e.g. metadata.trace_id=abc)
  */
-router.get('/logs', (req, res) => {
+router.get('/logs', async (req, res) => {
     try {
-        const { level, service, search } = req.query;
-        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
-        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
-
-        // Validate level if provided
-        if (level) {
-            const validLevels = ['info', 'warn', 'error', 'debug', 'fatal'];
-            if (!validLevels.includes(level)) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid level "${level}". Must be one of: ${validLevels.join(', ')}`,
-                });
-            }
-        }
+        const result = await queryLogs(req.query);
 
-        // Build query dynamically — sql.js uses $param notation
-        let query = 'SELECT * FROM logs WHERE 1=1';
-        const params = {};
+        console.log(`[logs-db] Query returned ${result.count} logs (level=${result.filters.min_level ? `${result.filters.min_level}+` : result.filters.level || 'all'}, service=${result.filters.service || 'all'})`);
 
-        if (level) {
-            query += ' AND level = $level';
-            params.$level = level;
-        }
-        if (service) {
-            query += ' AND service = $service';
-            params.$service = service;
-        }
-        if (search) {
-            query += " AND message LIKE $search";
-            params.$search = `%${search}%`;
-        }
-
-        query += ' ORDER BY timestamp DESC LIMIT $limit OFFSET $offset';
-        params.$limit = limit;
-        params.$offset = offset;
-
-        const rows = database.queryAll(query, params);
-
-        console.log(`[logs-db] Query returned ${rows.length} logs (level=${level || 'all'}, service=${service || 'all'})`);
-
-        return res.json({
-            success: true,
-            count: rows.length,
-            filters: { level: level || null, service: service || null, search: search || null },
-            data: rows.map((r) => ({ ...r, metadata: JSON.parse(r.metadata || '{}') })),
-        });
+        return res.json({ success: true, ...result });
     } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         console.error('[logs-db] Query error:', error.message);
         return res.status(500).json({ success: false, error: 'Failed to query logs', details: error.message });
     }
@@ -174,7 +545,7 @@ router.get('/logs', (req, res) => {
  * Insert a new log entry.
  * Body: { level, service, message, metadata? }
  */
-router.post('/logs', (req, res) => {
+router.post('/logs', async (req, res) => {
     try {
         const { level, service, message, metadata } = req.body;
 
@@ -190,44 +561,182 @@ router.post('/logs', (req, res) => {
             });
         }
 
-        const id = uuidv4();
-        const timestamp = new Date().toISOString();
-
-        database.run(
-            `INSERT INTO logs (id, timestamp, level, service, message, metadata) VALUES ($id, $timestamp, $level, $service, $message, $metadata)`,
-            { $id: id, $timestamp: timestamp, $level: level, $service: service, $message: message, $metadata: JSON.stringify(metadata || {}) }
-        );
+        const entry = await insertLog({ level, service, message, metadata });
         database.saveToDisk();
 
         console.log(`[logs-db] Inserted: [${level.toUpperCase()}] ${service} — ${message.substring(0, 80)}`);
 
-        return res.status(201).json({
-            success: true,
-            data: { id, timestamp, level, service, message, metadata: metadata || {} },
-        });
+        return res.status(201).json({ success: true, data: entry });
     } catch (error) {
         console.error('[logs-db] Insert error:', error.message);
         return res.status(500).json({ success: false, error: 'Failed to insert log', details: error.message });
     }
 });
 
+const bulkText = parseBody(express.text({ type: ['text/*', 'application/x-ndjson', 'application/jsonl', 'application/x-logfmt'], limit: '10mb' }));
+const bulkJson = parseBody(express.json({ limit: '10mb' }));
+
+/**
+ * POST /logs/bulk
+ * Body: NDJSON (application/x-ndjson), a JSON array (application/json) or logfmt
+ *       (text/plain, application/x-logfmt); field mapping in lib/log-ingest
+ * Query params: format (ndjson | json | logfmt, overrides the Content-Type),
+ *               service (for entries that name none)
+ *
+ * Valid entries are written in one transaction and saved once. Responds 200
+ * when at least one was stored (rejected ones are listed in `errors` by line
+ * or item), 400 when none was, 413 over 10 MB. The route parses its own body:
+ * the servers' global JSON parser skips it (it stops at 100 kB).
+ */
+router.post('/logs/bulk', bulkText, bulkJson, async (req, res) => {
+    try {
+        const format = bulkFormat(req);
+        if (!format) {
+            return res.status(415).json({ success: false, error: `Unsupported Content-Type "${req.get('Content-Type')}". Send NDJSON, a JSON array or logfmt` });
+        }
+
+        const { entries, errors } = logIngest.prepareBulk({ format, body: req.body, service: req.query.service });
+        const result = { format, accepted: entries.length, rejected: errors.length, errors };
+        if (entries.length === 0) {
+            return res.status(400).json({ success: false, error: 'No valid log entries in payload', ...result });
+        }
+
+        await insertLogs(entries);
+        database.saveToDisk();
+
+        console.log(`[logs-db] Bulk insert: ${entries.length} accepted, ${errors.length} rejected (${format})`);
+
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[logs-db] Bulk insert error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to insert logs', details: error.message });
+    }
+});
+
+/**
+ * GET /logs/patterns
+ * Query params: the filters of GET /logs (level, min_level, service, search, since, until),
+ *               limit (patterns, default 20), samples (per pattern, default 3),
+ *               similarity (0-1, default 0.5), max_lines (default 5000)
+ */
+router.get('/logs/patterns', async (req, res) => {
+    try {
+        return res.json({ success: true, ...await logPatterns(req.query) });
+    } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[logs-db] Patterns error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to mine log patterns', details: error.message });
+    }
+});
+
+/**
+ * GET /logs/stream
+ * Server-Sent Events: one "log" event per entry inserted after the client
+ * connected, with the rowid as the event id. A reconnecting client sends the
+ * last id it saw (Last-Event-ID header, or ?last_event_id= where the header
+ * can't be set) and first gets every matching entry inserted since. A comment
+ * line every LOGS_STREAM_HEARTBEAT_MS (default 15s) keeps proxies from
+ * closing an idle stream.
+ * Query params: level, min_level, service, search, metadata.<key> — as for GET /logs
+ */
+router.get('/logs/stream', (req, res) => {
+    let filter;
+    let lastId;
+    try {
+        filter = buildFilter({ ...req.query, since: undefined, until: undefined }, Date.now());
+
+        const resumeFrom = req.get('Last-Event-ID') || req.query.last_event_id;
+        if (resumeFrom !== undefined && !/^\d+$/.test(String(resumeFrom).trim())) {
+            throw invalid(`Invalid Last-Event-ID "${resumeFrom}": expected the id of a log event`);
+        }
+        lastId = resumeFrom !== undefined
+            ? parseInt(resumeFrom, 10)
+            : database.queryOne('SELECT MAX(rowid) AS id FROM logs').id || 0;
+    } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[logs-db] Stream error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to open log stream', details: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    // Send every matching row after lastId; runs once per tick however many inserts notified it
+    let scheduled = false;
+    const send = () => {
+        scheduled = false;
+        if (res.writableEnded) return;
+        try {
+            let rows;
+            do {
+                rows = database.queryAll(
+                    `SELECT l.rowid AS event_id, ${LOG_COLUMNS} FROM logs l WHERE l.rowid > $after AND ${filter.where}
+                     ORDER BY l.rowid LIMIT $batch`,
+                    { ...filter.params, $after: lastId, $batch: STREAM_BATCH }
+                );
+                for (const { event_id: eventId, ...row } of rows) {
+                    res.write(`id: ${eventId}\nevent: log\ndata: ${JSON.stringify({ ...row, metadata: JSON.parse(row.metadata || '{}') })}\n\n`);
+                }
+                if (rows.length > 0) lastId = rows[rows.length - 1].event_id;
+            } while (rows.length === STREAM_BATCH);
+        } catch (error) {
+            console.error('[logs-db] Stream error:', error.message);
+        }
+    };
+    const listener = () => {
+        if (scheduled) return;
+        scheduled = true;
+        setImmediate(send);
+    };
+
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, heartbeatMs());
+    insertListeners.add(listener);
+    streams.add(res);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        insertListeners.delete(listener);
+        streams.delete(res);
+    });
+
+    listener();
+});
+
+/** End open log streams so the HTTP server can close */
+function closeStreams() {
+    for (const res of streams) res.end();
+}
+
 /**
  * GET /logs/stats
  * Returns aggregate log statistics — counts by level and service.
+ * Query params: the filters of GET /logs, group_by (metadata keys, comma-separated,
+ *               e.g. group_by=pod,node) and limit (groups, default 50)
  */
-router.get('/logs/stats', (req, res) => {
+router.get('/logs/stats', async (req, res) => {
     try {
-        const byLevel = database.queryAll('SELECT level, COUNT(*) as count FROM logs GROUP BY level ORDER BY count DESC');
-        const byService = database.queryAll('SELECT service, COUNT(*) as count FROM logs GROUP BY service ORDER BY count DESC');
-        const total = database.queryOne('SELECT COUNT(*) as count FROM logs');
+        const { filters, data } = await logStats(req.query);
 
-        console.log(`[logs-db] Stats: ${total ? total.count : 0} total logs`);
+        console.log(`[logs-db] Stats: ${data.total} total logs`);
 
-        return res.json({
-            success: true,
-            data: { total: total ? total.count : 0, by_level: byLevel, by_service: byService },
-        });
+        return res.json({ success: true, filters, data });
     } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         console.error('[logs-db] Stats error:', error.message);
         return res.status(500).json({ success: false, error: 'Failed to fetch stats', details: error.message });
     }
@@ -235,4 +744,11 @@ router.get('/logs/stats', (req, res) => {
 
 module.exports = router;
 module.exports.ensureTables = ensureTables;
+module.exports.insertLog = insertLog;
+module.exports.insertLogs = insertLogs;
+module.exports.queryLogs = queryLogs;
+module.exports.logPatterns = logPatterns;
+module.exports.logStats = logStats;
+module.exports.closeStreams = closeStreams;
+module.exports.LOG_LEVELS = LOG_LEVELS;
 module.exports._resetTablesReady = () => { tablesReady = false; };
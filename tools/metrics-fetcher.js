@@ -1,112 +1,101 @@
 /**
  * MCP Tool: Metrics Fetcher
  *
- * Simulates infrastructure metrics for an SRE monitoring system.
- * Returns realistic CPU, disk, memory, and pod metrics with
- * configurable anomaly injection for demo/testing purposes.
+ * Serves infrastructure metrics for an SRE monitoring system.
+ * Snapshots come from the configured metrics source (see lib/metrics-sources):
+ * the built-in simulator by default, or a Prometheus-compatible API. Every
+ * snapshot served is kept in SQLite (see lib/metrics-store.js) for history.
+ * Pushed samples arrive through tools/metrics-ingest.js.
  *
  * Endpoints:
- *   GET  /metrics          — Current infrastructure snapshot
- *   GET  /metrics/history  — Last N data points
- *   POST /metrics/anomaly  — Toggle anomaly mode for demos
+ *   GET  /metrics            — Current infrastructure snapshot (filter by service, node; seed)
+ *   GET  /metrics/history    — Data points by count or from/to/step range (filter by service, node)
+ *   GET  /metrics/history/stats — Stored rows and retention per resolution
+ *   GET  /metrics/query      — Aggregate a metric over a window (avg/min/max/pNN/rate), per service or node
+ *   POST /metrics/anomaly    — Toggle anomaly mode for demos
+ *   POST /metrics/record     — Start/stop recording snapshots to disk
+ *   POST /metrics/replay     — Start/stop replaying a recording
+ *   GET  /metrics/recordings — List recordings on disk
  */
 
 'use strict';
 
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const metricsSources = require('../lib/metrics-sources');
+const { listRecordings } = require('../lib/metrics-sources/recording');
+const { filterSnapshot } = require('../lib/metrics-model');
+const simulator = require('../lib/metrics-sources/simulator');
+const metricsStore = require('../lib/metrics-store');
+const { queryMetrics } = require('../lib/metrics-query');
+const { parseSeedParam } = require('../lib/random');
+const { parseDuration, parseTime } = require('../lib/duration');
+
+const { getMetricsSource } = metricsSources;
 
 const router = express.Router();
 
-// ── Internal State ──────────────────────────────────────────
-const metricsHistory = [];
-const MAX_HISTORY = 100;
-let anomalyMode = false;
+// ── Configuration ──────────────────────────────────────────
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_POINTS = 1000;
+const DEFAULT_HISTORY_STEP_MS = 60000;
 
-// ── Helpers ────────────────────────────────────────────────
+/** Map error codes from the metrics sources onto HTTP statuses */
+const STATUS_BY_CODE = {
+  INVALID_SEED: 400,
+  INVALID: 400,
+  UNKNOWN_TARGET: 404,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  REPLAY_ENDED: 410,
+};
 
-/**
- * Random float between min and max, rounded to precision decimal places.
- */
-function randomBetween(min, max, precision = 1) {
-  const value = Math.random() * (max - min) + min;
-  return parseFloat(value.toFixed(precision));
+function sendError(res, error, fallback, label) {
+  const status = STATUS_BY_CODE[error.code];
+  if (status) {
+    return res.status(status).json({ success: false, error: error.message });
+  }
+  console.error(`[metrics-fetcher] ${label}:`, error.message);
+  return res.status(500).json({ success: false, error: fallback, details: error.message });
 }
 
 /**
- * Generate a realistic infrastructure metrics snapshot.
- * Anomaly mode pushes values toward incident thresholds.
+ * Narrow history points to a service or node. Points from before it existed
+ * are dropped; a name no point knows is still UNKNOWN_TARGET.
  */
-function generateMetrics() {
-  const now = new Date();
-
-  const cpu = anomalyMode
-    ? randomBetween(78, 99, 1)
-    : randomBetween(15, 75, 1);
-
-  const disk = anomalyMode
-    ? randomBetween(85, 98, 1)
-    : randomBetween(20, 70, 1);
-
-  const memory = anomalyMode
-    ? randomBetween(80, 96, 1)
-    : randomBetween(30, 70, 1);
-
-  const podsDesired = 5;
-  const podsRunning = anomalyMode
-    ? Math.max(1, Math.floor(Math.random() * 3))
-    : Math.min(podsDesired, podsDesired - Math.floor(Math.random() * 2));
-
-  const networkInMbps = randomBetween(10, 500, 0);
-  const networkOutMbps = randomBetween(5, 300, 0);
-
-  const requestsPerSecond = anomalyMode
-    ? randomBetween(800, 2000, 0)
-    : randomBetween(50, 400, 0);
-
-  const errorRate = anomalyMode
-    ? randomBetween(5, 25, 2)
-    : randomBetween(0, 2, 2);
-
-  const responseTimeMs = anomalyMode
-    ? randomBetween(500, 5000, 0)
-    : randomBetween(20, 200, 0);
-
-  return {
-    id: uuidv4(),
-    timestamp: now.toISOString(),
-    epoch_ms: now.getTime(),
-    host: 'prod-k8s-node-01',
-    cluster: 'us-east-1-primary',
-    infrastructure: {
-      cpu_percent: cpu,
-      disk_percent: disk,
-      memory_percent: memory,
-      pods_running: podsRunning,
-      pods_desired: podsDesired,
-    },
-    network: {
-      ingress_mbps: networkInMbps,
-      egress_mbps: networkOutMbps,
-    },
-    application: {
-      requests_per_second: requestsPerSecond,
-      error_rate_percent: errorRate,
-      avg_response_time_ms: responseTimeMs,
-    },
-    anomaly_mode: anomalyMode,
-  };
+function filterRecords(records, filters) {
+  let unknown = null;
+  const kept = records.flatMap((snapshot) => {
+    try {
+      return [filterSnapshot(snapshot, filters)];
+    } catch (error) {
+      if (error.code !== 'UNKNOWN_TARGET') throw error;
+      unknown = error;
+      return [];
+    }
+  });
+  if (kept.length === 0 && unknown) throw unknown;
+  return kept;
 }
 
 // ── Routes ─────────────────────────────────────────────────
 
-/** GET /metrics — Current snapshot */
-router.get('/metrics', (req, res) => {
+/**
+ * GET /metrics — Current snapshot
+ * Query params: service, node (restrict the snapshot and its aggregates),
+ *               seed (simulator only — same seed, same numbers; not stored in the history)
+ *
+ * `host` is the first node of the (filtered) snapshot, kept for clients from
+ * before the per-node breakdown; read `nodes` instead.
+ */
+router.get('/metrics', async (req, res) => {
   try {
-    const metrics = generateMetrics();
+    const { service, node } = req.query;
+    const seed = parseSeedParam(req.query.seed);
+    const snapshot = await getMetricsSource().snapshot(seed === undefined ? {} : { seed });
 
-    metricsHistory.push(metrics);
-    if (metricsHistory.length > MAX_HISTORY) metricsHistory.shift();
+    if (seed === undefined) await metricsStore.recordSnapshot(snapshot);
+
+    const metrics = filterSnapshot(snapshot, { service, node });
 
     console.log(
       `[metrics-fetcher] CPU=${metrics.infrastructure.cpu_percent}% | ` +
@@ -114,23 +103,118 @@ router.get('/metrics', (req, res) => {
       `Pods=${metrics.infrastructure.pods_running}/${metrics.infrastructure.pods_desired}`
     );
 
-    return res.json({ success: true, data: metrics });
+    const host = metrics.nodes && metrics.nodes.length > 0 ? metrics.nodes[0].name : null;
+    return res.json({ success: true, data: { ...metrics, host } });
   } catch (error) {
-    console.error('[metrics-fetcher] Error:', error.message);
-    return res.status(500).json({ success: false, error: 'Failed to generate metrics', details: error.message });
+    return sendError(res, error, 'Failed to fetch metrics', 'Error');
   }
 });
 
-/** GET /metrics/history — Recent snapshots */
-router.get('/metrics/history', (req, res) => {
+/**
+ * GET /metrics/history — Stored snapshots
+ * Query params: from, to (ISO timestamp, epoch ms, or a duration ago such as "1h"),
+ *               step (bucket width: "30s", "5m", or ms — points are averaged per bucket),
+ *               limit (latest N points; default 10 without a range, max 1000),
+ *               service, node (points without that target are left out)
+ *
+ * Sources that keep their own history (e.g. Prometheus) are asked for the
+ * range directly; otherwise it is read from the SQLite history, using 1m/5m/1h
+ * rollups for steps and for periods older than raw retention.
+ */
+router.get('/metrics/history', async (req, res) => {
   try {
-    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_HISTORY);
-    const records = metricsHistory.slice(-limit);
+    const { service, node } = req.query;
+    const now = Date.now();
+    const from = req.query.from === undefined ? undefined : parseTime(req.query.from, now);
+    const to = req.query.to === undefined ? undefined : parseTime(req.query.to, now);
+    const step = req.query.step === undefined ? undefined : parseDuration(req.query.step);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: '"from" and "to" must be ISO timestamps, epoch milliseconds or durations ago (e.g. 1h)' });
+    }
+    if (step === null || step === 0) {
+      return res.status(400).json({ success: false, error: '"step" must be a positive duration such as 30s, 5m or 60000' });
+    }
+    if (from !== undefined && from > (to === undefined ? now : to)) {
+      return res.status(400).json({ success: false, error: '"from" must be before "to"' });
+    }
+
+    const defaultLimit = from === undefined ? DEFAULT_HISTORY_LIMIT : MAX_HISTORY_POINTS;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1), MAX_HISTORY_POINTS);
+    const source = getMetricsSource();
+
+    let records;
+    if (typeof source.range === 'function') {
+      const rangeStep = Math.max(step || DEFAULT_HISTORY_STEP_MS, 1000);
+      const end = to === undefined ? now : to;
+      const start = from === undefined ? end - (limit - 1) * rangeStep : from;
+      const points = await source.range({ start, end, step: rangeStep });
+      records = points.slice(-limit);
+    } else {
+      records = await metricsStore.queryHistory({ from, to, step, limit });
+    }
+    records = filterRecords(records, { service, node });
     console.log(`[metrics-fetcher] History: ${records.length} records`);
-    return res.json({ success: true, count: records.length, data: records });
+    return res.json({
+      success: true,
+      count: records.length,
+      query: {
+        from: from === undefined ? null : new Date(from).toISOString(),
+        to: new Date(to === undefined ? now : to).toISOString(),
+        step_ms: step || null,
+      },
+      data: records,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch history', 'History error');
+  }
+});
+
+/** GET /metrics/history/stats — Stored rows and retention per resolution */
+router.get('/metrics/history/stats', async (req, res) => {
+  try {
+    return res.json({ success: true, data: await metricsStore.historyStats() });
   } catch (error) {
-    console.error('[metrics-fetcher] History error:', error.message);
-    return res.status(500).json({ success: false, error: 'Failed to fetch history', details: error.message });
+    return sendError(res, error, 'Failed to fetch history stats', 'History stats error');
+  }
+});
+
+/**
+ * GET /metrics/query — Aggregate one metric from the stored history
+ * Query params: metric (required), agg (avg, min, max, sum, count, last, rate,
+ *               percentile or p50/p95/p99; default avg), percentile (0-100),
+ *               window (default 1h) or from/to, group_by (service | node), service, node
+ */
+router.get('/metrics/query', async (req, res) => {
+  try {
+    const { metric, group_by, service, node, percentile } = req.query;
+    const now = Date.now();
+    const from = req.query.from === undefined ? undefined : parseTime(req.query.from, now);
+    const to = req.query.to === undefined ? undefined : parseTime(req.query.to, now);
+    const window = req.query.window === undefined ? undefined : parseDuration(req.query.window);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: '"from" and "to" must be ISO timestamps, epoch milliseconds or durations ago (e.g. 1h)' });
+    }
+    if (window === null || window === 0) {
+      return res.status(400).json({ success: false, error: '"window" must be a positive duration such as 15m, 1h or 3600000' });
+    }
+
+    const result = await queryMetrics({
+      metric,
+      aggregation: req.query.agg || req.query.aggregation,
+      percentile,
+      group_by,
+      from,
+      to,
+      window,
+      service,
+      node,
+    }, now);
+    console.log(`[metrics-fetcher] Query: ${result.aggregation}(${result.metric}) → ${result.results.length} group(s)`);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, 'Failed to query metrics', 'Query error');
   }
 });
 
@@ -141,7 +225,12 @@ router.post('/metrics/anomaly', (req, res) => {
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ success: false, error: '"enabled" must be a boolean' });
     }
-    anomalyMode = enabled;
+    const source = getMetricsSource();
+    if (source.name !== 'simulator') {
+      return res.status(409).json({ success: false, error: `Anomaly mode only applies to the simulator source (active: ${source.name})` });
+    }
+    simulator.setAnomalyMode(enabled);
+    const anomalyMode = simulator.isAnomalyMode();
     console.log(`[metrics-fetcher] Anomaly mode ${anomalyMode ? 'ENABLED' : 'DISABLED'}`);
     return res.json({
       success: true,
@@ -156,9 +245,66 @@ router.post('/metrics/anomaly', (req, res) => {
   }
 });
 
+/**
+ * POST /metrics/record — Record every snapshot served to disk
+ * Body: { enabled: boolean, name?: string } — name defaults to a timestamp
+ */
+router.post('/metrics/record', (req, res) => {
+  try {
+    const { enabled, name } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: '"enabled" must be a boolean' });
+    }
+    if (!enabled) {
+      return res.json({ success: true, recording: false, data: metricsSources.stopRecording() });
+    }
+    const recordingName = name || `recording-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    return res.json({ success: true, recording: true, data: metricsSources.startRecording(recordingName) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to toggle recording', 'Record toggle error');
+  }
+});
+
+/**
+ * POST /metrics/replay — Serve a recording back instead of the live source
+ * Body: { enabled: boolean, name?: string (required to enable), loop?: boolean }
+ */
+router.post('/metrics/replay', (req, res) => {
+  try {
+    const { enabled, name, loop } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: '"enabled" must be a boolean' });
+    }
+    if (!enabled) {
+      return res.json({ success: true, replaying: false, data: metricsSources.stopReplay() });
+    }
+    if (!name) {
+      return res.status(400).json({ success: false, error: '"name" is required to start a replay' });
+    }
+    return res.json({ success: true, replaying: true, data: metricsSources.startReplay(name, { loop: loop === true }) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to toggle replay', 'Replay toggle error');
+  }
+});
+
+/** GET /metrics/recordings — Recordings available for replay */
+router.get('/metrics/recordings', (req, res) => {
+  try {
+    const data = listRecordings();
+    return res.json({
+      success: true,
+      count: data.length,
+      recording: metricsSources.recordingStatus(),
+      replay: metricsSources.replayStatus(),
+      data,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to list recordings', 'Recordings error');
+  }
+});
+
 module.exports = router;
-module.exports.generateMetrics = generateMetrics;
+module.exports.generateMetrics = simulator.generateMetrics;
 module.exports._testInternals = {
-  metricsHistory,
-  setAnomalyMode: (v) => { anomalyMode = v; },
+  setAnomalyMode: simulator.setAnomalyMode,
 };
@@ -0,0 +1,113 @@
+/**
+ * MCP Tool: Metrics Ingest
+ *
+ * Lets exporters push metrics instead of having them generated or pulled:
+ * Prometheus text exposition or OTLP/JSON samples are validated, mapped onto
+ * snapshot fields and stored in the metrics history (see lib/metrics-ingest).
+ * With METRICS_SOURCE=push, /metrics and fetch_metrics serve the latest pushed values.
+ *
+ * Mounted by both the REST server and the MCP server, so exporters can push
+ * to whichever one is deployed.
+ *
+ * Endpoints:
+ *   POST /metrics/ingest         — Push samples into the history
+ *   GET  /metrics/ingest/sources — Sources that have pushed since startup
+ */
+
+'use strict';
+
+const express = require('express');
+const metricsIngest = require('../lib/metrics-ingest');
+
+const router = express.Router();
+
+// ── Helpers ────────────────────────────────────────────────
+
+/**
+ * Run a body parser, answering a body it refuses (over its limit, malformed
+ * JSON) in the JSON error shape instead of Express's default error page.
+ */
+function parseBody(parser) {
+    return (req, res, next) => parser(req, res, (error) => {
+        if (!error) return next();
+        const message = error.type === 'entity.too.large' ? `Payload larger than ${error.limit} bytes` : error.message;
+        return res.status(error.status || 400).json({ success: false, error: message });
+    });
+}
+
+/** Ingest format from an explicit ?format= or the Content-Type */
+function ingestFormat(req) {
+    if (req.query.format) return req.query.format;
+    if (req.is('application/json')) return 'otlp';
+    if (!req.get('Content-Type') || req.is('text/*') || req.is('application/openmetrics-text')) return 'prometheus';
+    return null;
+}
+
+/** "env=prod,region=eu" → { env: 'prod', region: 'eu' }, or null when malformed */
+function parseLabelsParam(raw) {
+    const labels = {};
+    if (!raw) return labels;
+    for (const pair of String(raw).split(',')) {
+        const index = pair.indexOf('=');
+        if (index <= 0) return null;
+        labels[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+    return labels;
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+const ingestText = parseBody(express.text({ type: ['text/*', 'application/openmetrics-text'], limit: '5mb' }));
+const ingestJson = parseBody(express.json({ limit: '5mb' }));
+
+/**
+ * POST /metrics/ingest
+ * Body: Prometheus text exposition (text/plain) or OTLP/JSON (application/json)
+ * Query params: source (who is pushing; or the X-Metrics-Source header; default "push"),
+ *               labels ("env=prod,region=eu", attached to everything from this source),
+ *               format (prometheus | otlp, overrides the Content-Type)
+ *
+ * Responds 200 when at least one sample was stored (rejected ones are listed
+ * in `errors`), 400 when none was, 413 over 5 MB in either format (the
+ * servers' global JSON parser skips this route).
+ */
+router.post('/metrics/ingest', ingestText, ingestJson, async (req, res) => {
+    try {
+        const format = ingestFormat(req);
+        if (!format) {
+            return res.status(415).json({ success: false, error: `Unsupported Content-Type "${req.get('Content-Type')}". Send Prometheus text (text/plain) or OTLP/JSON (application/json)` });
+        }
+        if (format === 'prometheus' && typeof req.body !== 'string') {
+            return res.status(400).json({ success: false, error: 'Prometheus text must be sent as text/plain' });
+        }
+        const labels = parseLabelsParam(req.query.labels);
+        if (!labels) {
+            return res.status(400).json({ success: false, error: '"labels" must be comma-separated key=value pairs' });
+        }
+
+        const result = await metricsIngest.ingest({
+            format,
+            body: req.body,
+            source: req.query.source || req.get('X-Metrics-Source') || undefined,
+            labels,
+        });
+        if (result.accepted === 0) {
+            return res.status(400).json({ success: false, error: 'No valid samples in payload', ...result });
+        }
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'INVALID') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('[metrics-ingest] Ingest error:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to ingest metrics', details: error.message });
+    }
+});
+
+/** GET /metrics/ingest/sources */
+router.get('/metrics/ingest/sources', (req, res) => {
+    const data = metricsIngest.listSources();
+    return res.json({ success: true, count: data.length, data });
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * MCP Tool: On-call
+ *
+ * On-call schedules, overrides and escalations (see lib/oncall.js): who is
+ * on call now or at any time, who covers for whom, and who was paged about
+ * which incident.
+ *
+ * Endpoints:
+ *   GET  /oncall                          — Who is on call, per schedule
+ *   POST /oncall/reload                   — Re-read the on-call file
+ *   GET  /oncall/schedules/:name          — A schedule's shifts over a range
+ *   GET  /oncall/overrides                — List overrides (pending and active by default)
+ *   POST /oncall/overrides                — Put someone on call for a while
+ *   POST /oncall/overrides/:id/cancel     — End an override now
+ *   GET  /oncall/escalations              — Escalations and the pages they sent
+ */
+
+'use strict';
+
+const express = require('express');
+const oncall = require('../lib/oncall');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message, details: error.details });
+    }
+    console.error(`[oncall] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /oncall
+ * Query params: schedule, service (the schedules its escalation policy pages), at (default now)
+ */
+router.get('/oncall', async (req, res) => {
+    try {
+        const { schedule, service, at } = req.query;
+        return res.json({ success: true, ...await oncall.whoIsOnCall({ schedule, service, at }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to look up on-call');
+    }
+});
+
+/**
+ * POST /oncall/reload
+ * Re-reads ONCALL_FILE. On a parse or validation error the previous
+ * configuration stays active and the response lists every problem in `details`.
+ */
+router.post('/oncall/reload', (req, res) => {
+    try {
+        const { file, loaded_at: loadedAt, schedules, policies } = oncall.loadOncall();
+        return res.json({ success: true, file, loaded_at: loadedAt, schedules: schedules.map((s) => s.name), escalation_policies: policies.map((p) => p.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to reload on-call configuration');
+    }
+});
+
+/**
+ * GET /oncall/schedules/:name
+ * Query params: from (default now), to (default 7 days after from, at most 90 days)
+ */
+router.get('/oncall/schedules/:name', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        return res.json({ success: true, data: await oncall.scheduleShifts(req.params.name, { from, to }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to build schedule');
+    }
+});
+
+/**
+ * GET /oncall/overrides
+ * Query params: schedule, status (pending | active | expired | all), limit (default 50, max 200)
+ */
+router.get('/oncall/overrides', async (req, res) => {
+    try {
+        const { schedule, status, limit } = req.query;
+        return res.json({ success: true, ...await oncall.listOverrides({ schedule, status, limit }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list overrides');
+    }
+});
+
+/**
+ * POST /oncall/overrides
+ * Body: { schedule, user, starts_at? (default now), ends_at | duration ("8h"), created_by, reason? }
+ */
+router.post('/oncall/overrides', async (req, res) => {
+    try {
+        return res.status(201).json({ success: true, data: await oncall.createOverride(req.body || {}) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to create override');
+    }
+});
+
+/** POST /oncall/overrides/:id/cancel — Body: { actor? } */
+router.post('/oncall/overrides/:id/cancel', async (req, res) => {
+    try {
+        const { actor } = req.body || {};
+        return res.json({ success: true, data: await oncall.cancelOverride(req.params.id, { actor }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to cancel override');
+    }
+});
+
+/**
+ * GET /oncall/escalations
+ * Query params: status (active | acknowledged | resolved | exhausted | cancelled), incident_id,
+ *               limit (default 50, max 200)
+ */
+router.get('/oncall/escalations', async (req, res) => {
+    try {
+        const { status, incident_id, limit } = req.query;
+        return res.json({ success: true, ...await oncall.listEscalations({ status, incident_id, limit }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list escalations');
+    }
+});
+
+module.exports = router;
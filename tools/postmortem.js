@@ -0,0 +1,45 @@
+/**
+ * MCP Tool: Postmortem
+ *
+ * A draft postmortem for an incident or a time window (see
+ * lib/postmortem.js), as JSON or Markdown.
+ *
+ * Endpoints:
+ *   GET /postmortem — Postmortem for an incident or a window
+ */
+
+'use strict';
+
+const express = require('express');
+const postmortem = require('../lib/postmortem');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+};
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /postmortem
+ * Query params: incident_id, from, to, window (instead of from), services (comma-separated),
+ *               min_level (timeline logs, default warn), limit (timeline events, default 100),
+ *               format (json | markdown; default json — markdown is sent as text/markdown)
+ */
+router.get('/postmortem', async (req, res) => {
+    try {
+        const { incident_id, from, to, window, services, min_level, limit, format } = req.query;
+        const result = await postmortem.postmortem({ incident_id, from, to, window, services, min_level, limit, format });
+        if (result.format === 'markdown') return res.type('text/markdown').send(result.postmortem);
+        return res.json({ success: true, data: result.postmortem });
+    } catch (error) {
+        const status = STATUS_BY_CODE[error.code];
+        if (status) return res.status(status).json({ success: false, error: error.message });
+        console.error('[postmortem] Failed to generate postmortem:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to generate postmortem', details: error.message });
+    }
+});
+
+module.exports = router;
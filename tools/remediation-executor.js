@@ -8,6 +8,7 @@
  * Policy Rules:
  *   - Only allowed: scale_pods, restart_service, notify_slack
  *   - No destructive operations without approval
+ *   - Nothing runs against a target under an active silence (lib/silences.js)
  *   - All executions logged with full context
  *
  * Endpoints:
@@ -21,6 +22,9 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../lib/database');
+const random = require('../lib/random');
+const incidents = require('../lib/incidents');
+const silences = require('../lib/silences');
 
 const router = express.Router();
 
@@ -42,9 +46,9 @@ const ALLOWED_ACTIONS = {
         },
         simulate: (params) => ({
             message: `Scaled ${params.service} to ${params.replicas} replicas`,
-            previous_replicas: Math.floor(Math.random() * 3) + 1,
+            previous_replicas: random.randomInt(1, 3),
             new_replicas: params.replicas,
-            estimated_ready_seconds: Math.floor(Math.random() * 30) + 10,
+            estimated_ready_seconds: random.randomInt(10, 39),
         }),
     },
 
@@ -61,8 +65,8 @@ const ALLOWED_ACTIONS = {
         simulate: (params) => ({
             message: `Rolling restart initiated for ${params.service}`,
             strategy: params.strategy || 'rolling',
-            pods_restarting: Math.floor(Math.random() * 3) + 1,
-            estimated_completion_seconds: Math.floor(Math.random() * 60) + 30,
+            pods_restarting: random.randomInt(1, 3),
+            estimated_completion_seconds: random.randomInt(30, 89),
         }),
     },
 
@@ -106,9 +110,11 @@ async function ensureTables() {
       params TEXT NOT NULL,
       result TEXT NOT NULL,
       status TEXT NOT NULL,
-      duration_ms INTEGER DEFAULT 0
+      duration_ms INTEGER DEFAULT 0,
+      incident_id TEXT
     )
   `);
+    await incidents.ensureTables();
 
     console.log('[remediation-executor] Actions table ready');
     tablesReady = true;
@@ -130,13 +136,17 @@ router.use(async (req, res, next) => {
 /**
  * POST /execute
  * Execute a remediation action.
- * Body: { action: string, params: object }
+ * Body: { action: string, params: object, seed?: number|string, incident_id?: string }
+ * A seed makes the simulated result reproducible (see lib/random.js).
+ * With an incident_id the execution is linked to that incident (see lib/incidents.js).
+ * A target under an active silence is refused with 409 and logged as rejected.
  */
-router.post('/execute', (req, res) => {
+router.post('/execute', async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { action, params } = req.body;
+        const { action, params, incident_id: incidentId } = req.body;
+        const seed = random.parseSeedParam(req.body.seed);
 
         if (!action) {
             return res.status(400).json({ success: false, error: 'Missing required field: action' });
@@ -144,13 +154,16 @@ router.post('/execute', (req, res) => {
         if (!params || typeof params !== 'object') {
             return res.status(400).json({ success: false, error: 'Missing or invalid field: params (must be an object)' });
         }
+        if (incidentId !== undefined && (typeof incidentId !== 'string' || !(await incidents.incidentExists(incidentId)))) {
+            return res.status(404).json({ success: false, error: `Incident not found: ${incidentId}` });
+        }
 
         // Policy check — is this action allowed?
         if (!ALLOWED_ACTIONS[action]) {
             const rejectionId = uuidv4();
 
             database.run(
-                `INSERT INTO actions (id, timestamp, action, params, result, status, duration_ms) VALUES ($id, $ts, $action, $params, $result, $status, $dur)`,
+                `INSERT INTO actions (id, timestamp, action, params, result, status, duration_ms, incident_id) VALUES ($id, $ts, $action, $params, $result, $status, $dur, $incident)`,
                 {
                     $id: rejectionId,
                     $ts: new Date().toISOString(),
@@ -159,6 +172,7 @@ router.post('/execute', (req, res) => {
                     $result: JSON.stringify({ error: `Action "${action}" is not allowed` }),
                     $status: 'rejected',
                     $dur: Date.now() - startTime,
+                    $incident: incidentId || null,
                 }
             );
             database.saveToDisk();
@@ -195,13 +209,41 @@ router.post('/execute', (req, res) => {
             });
         }
 
+        // Maintenance windows — is the target silenced?
+        const silence = await silences.blockingSilence(params, incidentId ? await incidents.getIncident(incidentId) : null);
+        if (silence) {
+            const rejectionId = uuidv4();
+            const error = `Target is silenced until ${silence.ends_at} by ${silence.created_by}: ${silence.comment}`;
+
+            database.run(
+                `INSERT INTO actions (id, timestamp, action, params, result, status, duration_ms, incident_id) VALUES ($id, $ts, $action, $params, $result, $status, $dur, $incident)`,
+                {
+                    $id: rejectionId,
+                    $ts: new Date().toISOString(),
+                    $action: action,
+                    $params: JSON.stringify(params),
+                    $result: JSON.stringify({ error, silence_id: silence.id }),
+                    $status: 'rejected',
+                    $dur: Date.now() - startTime,
+                    $incident: incidentId || null,
+                }
+            );
+            database.saveToDisk();
+
+            console.warn(`[remediation-executor] REJECTED action="${action}" — silenced by ${silence.id}`);
+
+            return res.status(409).json({ success: false, error, silence, execution_id: rejectionId });
+        }
+
         // Simulate execution
-        const simulationResult = actionDef.simulate(params);
+        const simulationResult = seed === undefined
+            ? actionDef.simulate(params)
+            : random.withSeed(seed, () => actionDef.simulate(params));
         const durationMs = Date.now() - startTime;
         const executionId = uuidv4();
 
         database.run(
-            `INSERT INTO actions (id, timestamp, action, params, result, status, duration_ms) VALUES ($id, $ts, $action, $params, $result, $status, $dur)`,
+            `INSERT INTO actions (id, timestamp, action, params, result, status, duration_ms, incident_id) VALUES ($id, $ts, $action, $params, $result, $status, $dur, $incident)`,
             {
                 $id: executionId,
                 $ts: new Date().toISOString(),
@@ -210,15 +252,19 @@ router.post('/execute', (req, res) => {
                 $result: JSON.stringify(simulationResult),
                 $status: 'success',
                 $dur: durationMs,
+                $incident: incidentId || null,
             }
         );
         database.saveToDisk();
 
         console.log(`[remediation-executor] EXECUTED action="${action}" | ${durationMs}ms | id=${executionId}`);
 
+        const incident = incidentId ? await incidents.linkRemediation(incidentId, executionId) : null;
+
         return res.json({
             success: true,
             execution_id: executionId,
+            ...(incident ? { incident: { id: incident.id, status: incident.status } } : {}),
             action,
             params,
             result: simulationResult,
@@ -226,6 +272,9 @@ router.post('/execute', (req, res) => {
             timestamp: new Date().toISOString(),
         });
     } catch (error) {
+        if (error.code === 'INVALID_SEED') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         console.error('[remediation-executor] Execution error:', error.message);
         return res.status(500).json({ success: false, error: 'Internal error', details: error.message });
     }
@@ -234,11 +283,11 @@ router.post('/execute', (req, res) => {
 /**
  * GET /history
  * Returns the execution audit trail.
- * Query params: status (success|rejected|error), limit (default 50)
+ * Query params: status (success|rejected|error), incident_id, limit (default 50)
  */
 router.get('/history', (req, res) => {
     try {
-        const { status } = req.query;
+        const { status, incident_id: incidentId } = req.query;
         const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
         let query = 'SELECT * FROM actions WHERE 1=1';
@@ -252,6 +301,10 @@ router.get('/history', (req, res) => {
             query += ' AND status = $status';
             params.$status = status;
         }
+        if (incidentId) {
+            query += ' AND incident_id = $incident';
+            params.$incident = incidentId;
+        }
 
         query += ' ORDER BY timestamp DESC LIMIT $limit';
         params.$limit = limit;
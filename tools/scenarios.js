@@ -0,0 +1,109 @@
+/**
+ * MCP Tool: Scenario Runner
+ *
+ * Loads and controls scripted incident scenarios for the metrics simulator
+ * (see lib/scenarios.js for the file format). Scenarios drive metric curves
+ * for specific services/nodes and inject log lines along a timeline.
+ *
+ * Endpoints:
+ *   GET  /scenarios              — List loaded scenarios and their run state
+ *   GET  /scenarios/:name        — One scenario with its full timeline
+ *   POST /scenarios              — Load (or replace) a scenario from the request body
+ *   POST /scenarios/reload       — Re-read scenario files from disk
+ *   POST /scenarios/:name/start  — Start, or resume if paused
+ *   POST /scenarios/:name/pause  — Freeze at the current position
+ *   POST /scenarios/:name/stop   — Stop and remove its effect on metrics
+ */
+
+'use strict';
+
+const express = require('express');
+const scenarios = require('../lib/scenarios');
+
+const router = express.Router();
+
+/** Map scenario engine error codes onto HTTP statuses */
+const STATUS_BY_CODE = { INVALID: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message, validation_errors: error.details });
+    }
+    console.error(`[scenarios] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/** GET /scenarios — List loaded scenarios */
+router.get('/scenarios', (req, res) => {
+    try {
+        const data = scenarios.listScenarios();
+        return res.json({ success: true, count: data.length, active: scenarios.activeScenarioNames(), data });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list scenarios');
+    }
+});
+
+/** POST /scenarios/reload — Re-read the scenarios directory */
+router.post('/scenarios/reload', (req, res) => {
+    try {
+        const result = scenarios.loadScenarioDirectory();
+        return res.json({ success: result.errors.length === 0, ...result });
+    } catch (error) {
+        return sendError(res, error, 'Failed to reload scenarios');
+    }
+});
+
+/** GET /scenarios/:name — One scenario */
+router.get('/scenarios/:name', (req, res) => {
+    try {
+        return res.json({ success: true, data: scenarios.getScenario(req.params.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to fetch scenario');
+    }
+});
+
+/**
+ * POST /scenarios
+ * Load a scenario definition. Body: a scenario document.
+ */
+router.post('/scenarios', (req, res) => {
+    try {
+        const scenario = scenarios.loadScenario(req.body);
+        console.log(`[scenarios] Loaded "${scenario.name}" via API`);
+        return res.status(201).json({ success: true, data: scenarios.getScenario(scenario.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to load scenario');
+    }
+});
+
+/** POST /scenarios/:name/start */
+router.post('/scenarios/:name/start', (req, res) => {
+    try {
+        return res.json({ success: true, data: scenarios.startScenario(req.params.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to start scenario');
+    }
+});
+
+/** POST /scenarios/:name/pause */
+router.post('/scenarios/:name/pause', (req, res) => {
+    try {
+        return res.json({ success: true, data: scenarios.pauseScenario(req.params.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to pause scenario');
+    }
+});
+
+/** POST /scenarios/:name/stop */
+router.post('/scenarios/:name/stop', (req, res) => {
+    try {
+        return res.json({ success: true, data: scenarios.stopScenario(req.params.name) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to stop scenario');
+    }
+});
+
+module.exports = router;
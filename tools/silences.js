@@ -0,0 +1,86 @@
+/**
+ * MCP Tool: Silences
+ *
+ * Maintenance windows (see lib/silences.js): while a silence is active,
+ * matching incidents are left out of detection output and remediations on
+ * matching targets are refused.
+ *
+ * Endpoints:
+ *   GET  /silences             — List silences (pending and active by default)
+ *   POST /silences             — Create a silence
+ *   GET  /silences/:id         — One silence
+ *   POST /silences/:id/expire  — End a silence now
+ */
+
+'use strict';
+
+const express = require('express');
+const silences = require('../lib/silences');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message });
+    }
+    console.error(`[silences] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /silences
+ * Query params: status (pending | active | expired | all), service, node, type, limit (default 50, max 200)
+ */
+router.get('/silences', async (req, res) => {
+    try {
+        const { status, service, node, type, limit } = req.query;
+        return res.json({ success: true, ...await silences.listSilences({ status, service, node, type, limit }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to list silences');
+    }
+});
+
+/**
+ * POST /silences
+ * Body: { service?, node?, type?, labels? (at least one), starts_at? (default now),
+ *         ends_at | duration ("2h"), created_by, comment }
+ */
+router.post('/silences', async (req, res) => {
+    try {
+        return res.status(201).json({ success: true, data: await silences.createSilence(req.body || {}) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to create silence');
+    }
+});
+
+/** GET /silences/:id */
+router.get('/silences/:id', async (req, res) => {
+    try {
+        return res.json({ success: true, data: await silences.getSilence(req.params.id) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to fetch silence');
+    }
+});
+
+/** POST /silences/:id/expire — Body: { actor? } */
+router.post('/silences/:id/expire', async (req, res) => {
+    try {
+        const { actor } = req.body || {};
+        return res.json({ success: true, data: await silences.expireSilence(req.params.id, { actor }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to expire silence');
+    }
+});
+
+module.exports = router;
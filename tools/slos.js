@@ -0,0 +1,82 @@
+/**
+ * MCP Tool: SLOs
+ *
+ * Service level objectives measured from stored metric history (see
+ * lib/slos.js): the SLI over each SLO's window, the error budget consumed
+ * and left, and multi-window burn-rate alerts.
+ *
+ * Endpoints:
+ *   GET  /slos          — Status of every SLO (updates the stored burn-rate alerts)
+ *   POST /slos/reload   — Re-read the SLO file
+ *   GET  /slos/:name    — Status of one SLO
+ */
+
+'use strict';
+
+const express = require('express');
+const slos = require('../lib/slos');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message, details: error.details });
+    }
+    console.error(`[slos] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /slos
+ * Query params: service (only that service's SLOs)
+ *
+ * Measures every SLO and records or resolves its burn-rate alerts; `alerts`
+ * lists the burn-rate alerts that fired or resolved on this evaluation.
+ */
+router.get('/slos', async (req, res) => {
+    try {
+        const { service } = req.query;
+        const { file, loaded_at: loadedAt } = slos.getSloSet();
+        const result = await slos.evaluateSlos();
+        const data = service ? result.slos.filter((slo) => slo.service === service) : result.slos;
+        return res.json({ success: true, file, loaded_at: loadedAt, count: data.length, data, alerts: result.alerts });
+    } catch (error) {
+        return sendError(res, error, 'Failed to evaluate SLOs');
+    }
+});
+
+/**
+ * POST /slos/reload
+ * Re-reads SLOS_FILE. On a parse or validation error the previous SLOs stay
+ * active and the response lists every problem in `details`.
+ */
+router.post('/slos/reload', (req, res) => {
+    try {
+        const sloSet = slos.loadSlos();
+        return res.json({ success: true, count: sloSet.slos.length, ...sloSet });
+    } catch (error) {
+        return sendError(res, error, 'Failed to reload SLOs');
+    }
+});
+
+/** GET /slos/:name */
+router.get('/slos/:name', async (req, res) => {
+    try {
+        const { data } = await slos.sloStatus({ name: req.params.name });
+        return res.json({ success: true, data: data[0] });
+    } catch (error) {
+        return sendError(res, error, 'Failed to fetch SLO');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * MCP Tool: Timeline
+ *
+ * One ordered, de-duplicated timeline of log lines, metric threshold
+ * crossings, alerts, remediations and incident events (see lib/timeline.js),
+ * so "what happened" takes one call instead of four.
+ *
+ * Endpoints:
+ *   GET /timeline — Timeline for a window and services, or for an incident
+ */
+
+'use strict';
+
+const express = require('express');
+const timeline = require('../lib/timeline');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+};
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /timeline
+ * Query params: incident_id, from, to, window (instead of from), services (comma-separated),
+ *               min_level (default warn), limit (default 200, max 1000)
+ */
+router.get('/timeline', async (req, res) => {
+    try {
+        const { incident_id, from, to, window, services, min_level, limit } = req.query;
+        return res.json({ success: true, ...await timeline.buildTimeline({ incident_id, from, to, window, services, min_level, limit }) });
+    } catch (error) {
+        const status = STATUS_BY_CODE[error.code];
+        if (status) return res.status(status).json({ success: false, error: error.message });
+        console.error('[timeline] Failed to build timeline:', error.message);
+        return res.status(500).json({ success: false, error: 'Failed to build timeline', details: error.message });
+    }
+});
+
+module.exports = router;
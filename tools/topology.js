@@ -0,0 +1,79 @@
+/**
+ * MCP Tool: Topology
+ *
+ * The service dependency graph, declared in the topology file and inferred
+ * from logs (see lib/topology.js), and the blast radius of an unhealthy
+ * service.
+ *
+ * Endpoints:
+ *   GET  /topology                       — Services and dependency edges
+ *   POST /topology/reload                — Re-read the topology file
+ *   GET  /topology/blast-radius/:service — Services up- and downstream of one
+ */
+
+'use strict';
+
+const express = require('express');
+const topology = require('../lib/topology');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+    INVALID: 400,
+    NOT_FOUND: 404,
+};
+
+// ── Helpers ────────────────────────────────────────────────
+
+function sendError(res, error, fallback) {
+    const status = STATUS_BY_CODE[error.code];
+    if (status) {
+        return res.status(status).json({ success: false, error: error.message, details: error.details });
+    }
+    console.error(`[topology] ${fallback}:`, error.message);
+    return res.status(500).json({ success: false, error: fallback, details: error.message });
+}
+
+// ── Routes ─────────────────────────────────────────────────
+
+/**
+ * GET /topology
+ * Query params: source (config | logs; default both), since (log window, default 24h)
+ */
+router.get('/topology', async (req, res) => {
+    try {
+        const { source, since } = req.query;
+        const { file, loaded_at: loadedAt } = topology.getConfiguredTopology();
+        return res.json({ success: true, file, loaded_at: loadedAt, ...await topology.buildGraph({ source, since }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to build topology');
+    }
+});
+
+/**
+ * POST /topology/reload
+ * Re-reads TOPOLOGY_FILE. On a parse or validation error the previous
+ * topology stays active and the response lists every problem in `details`.
+ */
+router.post('/topology/reload', (req, res) => {
+    try {
+        return res.json({ success: true, ...topology.loadTopology() });
+    } catch (error) {
+        return sendError(res, error, 'Failed to reload topology');
+    }
+});
+
+/**
+ * GET /topology/blast-radius/:service
+ * Query params: depth (max hops), source, since
+ */
+router.get('/topology/blast-radius/:service', async (req, res) => {
+    try {
+        const { depth, source, since } = req.query;
+        return res.json({ success: true, data: await topology.blastRadius(req.params.service, { depth, source, since }) });
+    } catch (error) {
+        return sendError(res, error, 'Failed to compute blast radius');
+    }
+});
+
+module.exports = router;